@@ -3,7 +3,7 @@
  * Primary responsibility: Wire up the application components
  */
 const { ConfigManager } = require('./config');
-const { DNSManager, TraefikMonitor, DockerMonitor, StatusReporter, DirectDNSManager } = require('./services');
+const { DNSManager, TraefikMonitor, DockerMonitor, StatusReporter, DirectDNSManager, KubernetesMonitor, ApiServer, MetricsCollector, HealthMonitor, ConfigReloader, AuditLog, SnapshotManager, MigrationManager } = require('./services');
 const { EventBus } = require('./events/EventBus');
 const logger = require('./utils/logger');
 
@@ -15,8 +15,8 @@ async function start() {
     // Create event bus (central communication)
     const eventBus = new EventBus();
     
-    // Initialize configuration
-    const config = new ConfigManager();
+    // Initialize configuration, IP changes are published on the event bus
+    const config = new ConfigManager(eventBus);
     
     // Initialize services
     const statusReporter = new StatusReporter(config, eventBus);
@@ -24,34 +24,88 @@ async function start() {
     const dockerMonitor = new DockerMonitor(config, eventBus);
     
     // Choose the appropriate monitor based on operation mode
+    const operationMode = config.operationMode.toLowerCase();
     let monitor;
     
-    if (config.operationMode.toLowerCase() === 'direct') {
+    if (operationMode === 'direct') {
       logger.info('🚀 Starting in DIRECT mode (without Traefik)');
       monitor = new DirectDNSManager(config, eventBus);
+    } else if (operationMode === 'kubernetes') {
+      logger.info('🚀 Starting in KUBERNETES mode');
+      monitor = new KubernetesMonitor(config, eventBus);
     } else {
       logger.info('🚀 Starting in TRAEFIK mode');
       monitor = new TraefikMonitor(config, eventBus);
     }
     
+    // There is no Docker socket in Kubernetes mode
+    const usesDocker = operationMode !== 'kubernetes';
+    
     // Connect monitors for container name resolution
     monitor.dockerMonitor = dockerMonitor;
     
     // Display startup configuration
     await statusReporter.displaySettings();
     
+    // Journal every DNS record change
+    const auditLog = config.auditLogEnabled ? new AuditLog(config, eventBus) : null;
+    
+    // Snapshot each zone on startup, before any record is changed, and then periodically
+    const snapshotManager = config.snapshotEnabled ? new SnapshotManager(config, eventBus, dnsManager) : null;
+    dnsManager.snapshotManager = snapshotManager;
+    
+    // Copy managed records to the provider a zone is being migrated to
+    const migrationManager = new MigrationManager(config, eventBus, dnsManager);
+    
+    // Start the management API if enabled, otherwise serve only the health
+    // endpoints on the loopback interface so the container health check works
+    const apiServer = new ApiServer(config, eventBus, dnsManager, { healthOnly: !config.apiEnabled });
+    
+    // Expose liveness and readiness probes
+    const healthMonitor = new HealthMonitor(config, eventBus, usesDocker ? dockerMonitor : null);
+    healthMonitor.registerRoutes(apiServer);
+    
+    if (config.apiEnabled) {
+      // Expose Prometheus metrics on the API server
+      if (config.metricsEnabled) {
+        const metricsCollector = new MetricsCollector(config, eventBus, dnsManager);
+        metricsCollector.registerRoutes(apiServer);
+      }
+      
+      // Expose the audit log for queries
+      if (auditLog) {
+        auditLog.registerRoutes(apiServer);
+      }
+    }
+    
+    await apiServer.start();
+    
     // Initialize all services
     await dnsManager.init();
+    await migrationManager.init();
     await monitor.init();
     
     // Start monitoring
-    if (config.watchDockerEvents) {
+    if (config.watchDockerEvents && usesDocker) {
       await dockerMonitor.startWatching();
     }
     
     // Start main polling
     await monitor.startPolling();
     
+    if (snapshotManager) {
+      snapshotManager.start();
+    }
+    
+    migrationManager.start();
+    
+    // Reload the configuration on file changes and SIGHUP
+    const configReloader = new ConfigReloader(config, eventBus);
+    configReloader.start();
+    
+    // Report ready once all services are running
+    healthMonitor.markReady();
+    
     logger.complete('TráfegoDNS running successfully');
   } catch (error) {
     logger.error(`Failed to start TráfegoDNS: ${error.message}`);
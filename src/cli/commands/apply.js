@@ -0,0 +1,25 @@
+/**
+ * apply command
+ * Runs one reconcile pass, making the changes that plan shows
+ */
+const { reconcile } = require('../reconcile');
+
+module.exports = {
+  usage: 'apply',
+  summary: 'Run one reconcile pass',
+  options: {},
+
+  async run() {
+    const { stats, hostnames, plans } = await reconcile({ dryRun: false });
+
+    // DRY_RUN from the configuration still applies
+    if (plans.size > 0) {
+      console.log('DRY_RUN is enabled, no changes were made, run trafegodns plan to see them');
+      return 0;
+    }
+
+    console.log(`Processed ${hostnames.length} hostnames: ${stats.created} created, ${stats.updated} updated, ${stats.upToDate} up to date, ${stats.errors} errors`);
+
+    return stats.errors > 0 ? 1 : 0;
+  }
+};
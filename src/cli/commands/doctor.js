@@ -0,0 +1,150 @@
+/**
+ * doctor command
+ * Checks the configuration and everything TráfegoDNS connects to: the DNS
+ * providers, the Traefik API, the Docker socket, the Kubernetes API and the
+ * public IP sources
+ */
+const { createCliContext, createMonitor } = require('../context');
+const EnvironmentLoader = require('../../config/EnvironmentLoader');
+
+const PASS = '✅';
+const WARN = '⚠️';
+const FAIL = '❌';
+
+module.exports = {
+  usage: 'doctor',
+  summary: 'Check credentials, connections and IP discovery',
+  options: {},
+
+  async run() {
+    const results = [];
+    const report = (status, check, detail) => {
+      results.push(status);
+      console.log(`${status} ${check}: ${detail}`);
+    };
+
+    let context;
+    try {
+      context = createCliContext();
+    } catch (error) {
+      report(FAIL, 'Configuration', error.message);
+      return 1;
+    }
+
+    const { config, dnsManager } = context;
+    report(PASS, 'Configuration', config.configFile.isLoaded() ? `loaded from ${config.configFile.path}` : 'loaded from the environment');
+
+    // Credentials and zone access
+    const providers = [...dnsManager.providers];
+    if (config.migrationTargetConfig) {
+      providers.push(dnsManager.createProviderContext(config.migrationTargetConfig));
+    }
+
+    for (const { name, zone, config: providerConfig, provider } of providers) {
+      try {
+        await provider.init();
+        const records = await provider.getRecordsFromCache();
+        report(PASS, `Provider ${name}`, `${providerConfig.dnsProvider}, zone ${zone} with ${records.length} records`);
+      } catch (error) {
+        report(FAIL, `Provider ${name}`, `${providerConfig.dnsProvider}, zone ${zone}: ${error.message}`);
+      }
+    }
+
+    await checkMonitor(config, report);
+    await checkIpSources(config, report);
+
+    const failed = results.filter(status => status === FAIL).length;
+    const warnings = results.filter(status => status === WARN).length;
+    console.log(`${results.length} checks: ${failed} failed, ${warnings} warnings`);
+
+    return failed > 0 ? 1 : 0;
+  }
+};
+
+/**
+ * Check the connections of the operation mode's monitor
+ * @param {ConfigManager} config - Configuration
+ * @param {Function} report - Report the result of a check
+ */
+async function checkMonitor(config, report) {
+  const { mode, monitor, dockerMonitor } = createMonitor(config);
+
+  if (mode === 'traefik') {
+    for (const { instance, client } of monitor.clients) {
+      const check = monitor.clients.length > 1 ? `Traefik API ${instance.name}` : 'Traefik API';
+
+      try {
+        await client.get('/overview');
+        report(PASS, check, instance.apiUrl);
+      } catch (error) {
+        report(FAIL, check, `${instance.apiUrl}: ${error.message}`);
+      }
+    }
+  }
+
+  if (mode === 'kubernetes') {
+    try {
+      const response = await monitor.client.get('/version');
+      report(PASS, 'Kubernetes API', `connected to ${response.data.gitVersion || 'Kubernetes'}`);
+    } catch (error) {
+      report(FAIL, 'Kubernetes API', error.message);
+    }
+  }
+
+  if (dockerMonitor) {
+    try {
+      const info = await dockerMonitor.docker.info();
+      report(PASS, 'Docker socket', `${config.dockerSocket}, Docker ${info.ServerVersion} with ${info.ContainersRunning} running containers`);
+    } catch (error) {
+      // Traefik mode only reads container labels for per-host settings
+      report(mode === 'direct' ? FAIL : WARN, 'Docker socket', `${config.dockerSocket}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Ask every public IP source for its address
+ * Missing IPv4 discovery fails the check unless PUBLIC_IP is set, IPv6 is optional
+ * @param {ConfigManager} config - Configuration
+ * @param {Function} report - Report the result of a check
+ */
+async function checkIpSources(config, report) {
+  const results = await config.ipDiscovery.checkSources();
+
+  for (const result of results) {
+    if (result.error) {
+      report(WARN, `IP source ${result.source}`, `${result.label}: ${result.error}`);
+    } else {
+      report(PASS, `IP source ${result.source}`, `${result.label} ${result.address}`);
+    }
+  }
+
+  const chains = [
+    { chain: 'ipv4', check: 'IPv4 discovery', setting: 'PUBLIC_IP', status: FAIL },
+    { chain: 'ipv6', check: 'IPv6 discovery', setting: 'PUBLIC_IPV6', status: WARN }
+  ];
+
+  for (const { chain, check, setting, status } of chains) {
+    const chainResults = results.filter(result => result.chain === chain);
+    const fixedAddress = EnvironmentLoader.getString(setting);
+
+    if (fixedAddress) {
+      report(PASS, check, `${fixedAddress}, set with ${setting}`);
+      continue;
+    }
+
+    // An address is only accepted once a quorum of sources agrees on it
+    const { quorum } = config.ipDiscovery.chains[chain];
+    const votes = new Map();
+    for (const { address } of chainResults.filter(result => !result.error)) {
+      votes.set(address, (votes.get(address) || 0) + 1);
+    }
+    const agreeing = Math.max(0, ...votes.values());
+
+    if (agreeing >= quorum) {
+      report(PASS, check, `${agreeing} of ${chainResults.length} sources agree, quorum ${quorum}`);
+    } else {
+      report(status, check, `${agreeing} of ${chainResults.length} sources agree, quorum ${quorum} not reached`);
+    }
+  }
+}
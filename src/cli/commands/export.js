@@ -0,0 +1,53 @@
+/**
+ * export command
+ * Writes the records of a zone, or a snapshot of it, as a BIND zone file
+ */
+const fs = require('fs');
+const { createCliContext, initProviders } = require('../context');
+const { renderZoneFile } = require('../../utils/zoneFile');
+
+module.exports = {
+  usage: 'export [--provider <name>] [--tracked-only] [--snapshot <file>] [--output <file>]',
+  summary: 'Export zone records as a BIND zone file',
+  options: {
+    provider: { type: 'string' },
+    'tracked-only': { type: 'boolean', default: false },
+    snapshot: { type: 'string' },
+    output: { type: 'string' }
+  },
+
+  async run({ values }) {
+    const { dnsManager, snapshotManager } = createCliContext();
+    let source;
+
+    if (values.snapshot) {
+      source = snapshotManager.loadSnapshot(values.snapshot);
+    } else {
+      // Without --provider, the primary provider's zone is exported
+      const [context] = await initProviders(dnsManager, values.provider || dnsManager.providers[0].name);
+      source = {
+        provider: context.name,
+        zone: context.zone,
+        takenAt: new Date().toISOString(),
+        records: await snapshotManager.getLiveRecords(context)
+      };
+    }
+
+    const trackedOnly = values['tracked-only'];
+    const records = trackedOnly ? source.records.filter(record => record.tracked) : source.records;
+
+    const zoneFile = renderZoneFile(source.zone, records, [
+      `${source.zone} exported by TráfegoDNS from ${source.provider} at ${source.takenAt}`,
+      `${records.length} ${trackedOnly ? 'records managed by TráfegoDNS' : 'records'}`
+    ]);
+
+    if (values.output) {
+      fs.writeFileSync(values.output, zoneFile, 'utf8');
+      console.error(`Exported ${records.length} records to ${values.output}`);
+    } else {
+      process.stdout.write(zoneFile);
+    }
+
+    return 0;
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * import command
+ * Turns a BIND zone file into managed hostnames for the configuration file or MANAGED_HOSTNAMES
+ */
+const fs = require('fs');
+const YAML = require('yaml');
+const { parseZoneFile } = require('../../utils/zoneFile');
+const { RECORD_TYPES } = require('../../config/configSchema');
+const TxtRegistry = require('../../utils/txtRegistry');
+
+// Fields of a managed hostname besides hostname, type and content
+const MANAGED_FIELDS = ['ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag'];
+
+module.exports = {
+  usage: 'import <zonefile> [--origin <zone>] [--format yaml|env]',
+  summary: 'Print the records of a zone file as managed hostnames',
+  options: {
+    origin: { type: 'string' },
+    format: { type: 'string', default: 'yaml' }
+  },
+
+  async run({ values, positionals }) {
+    if (positionals.length !== 1) {
+      console.error('Name the zone file to import');
+      return 1;
+    }
+
+    if (!['yaml', 'env'].includes(values.format)) {
+      console.error(`Unknown format: ${values.format} (expected yaml or env)`);
+      return 1;
+    }
+
+    const records = parseZoneFile(fs.readFileSync(positionals[0], 'utf8'), { origin: values.origin });
+    const managedHostnames = [];
+
+    for (const record of records) {
+      if (!RECORD_TYPES.includes(record.type)) {
+        console.error(`Skipping ${record.type} record ${record.name}, managed hostnames can be ${RECORD_TYPES.join(', ')}`);
+        continue;
+      }
+
+      // Ownership records belong to the instance that wrote them
+      if (record.type === 'TXT' && TxtRegistry.isOwnershipContent(record.content)) {
+        console.error(`Skipping ownership TXT record ${record.name}`);
+        continue;
+      }
+
+      const managed = { hostname: record.name, type: record.type, content: record.content };
+
+      for (const field of MANAGED_FIELDS) {
+        if (record[field] !== undefined) {
+          managed[field] = record[field];
+        }
+      }
+
+      managedHostnames.push(managed);
+    }
+
+    if (values.format === 'yaml') {
+      process.stdout.write(YAML.stringify({ managedHostnames }));
+    } else {
+      process.stdout.write(`MANAGED_HOSTNAMES=${toManagedHostnamesString(managedHostnames)}\n`);
+    }
+
+    console.error(`Imported ${managedHostnames.length} of ${records.length} records`);
+
+    return 0;
+  }
+};
+
+/**
+ * Format managed hostnames as a MANAGED_HOSTNAMES string, hostname:type:content:ttl:proxied
+ * Records that the format cannot hold are left out and reported
+ * @param {Array<Object>} managedHostnames - Managed hostnames
+ * @returns {string} - Comma-separated managed hostnames
+ */
+function toManagedHostnamesString(managedHostnames) {
+  const entries = [];
+
+  for (const managed of managedHostnames) {
+    if (['priority', 'weight', 'port', 'flags', 'tag'].some(field => managed[field] !== undefined) || /[:,]/.test(managed.content)) {
+      console.error(`Skipping ${managed.type} record ${managed.hostname}, MANAGED_HOSTNAMES cannot hold it, use --format yaml`);
+      continue;
+    }
+
+    const fields = [managed.hostname, managed.type, managed.content, managed.ttl ?? ''];
+    if (managed.proxied !== undefined) {
+      fields.push(managed.proxied);
+    }
+
+    entries.push(fields.join(':').replace(/:+$/, ''));
+  }
+
+  return entries.join(',');
+}
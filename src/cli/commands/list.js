@@ -0,0 +1,88 @@
+/**
+ * list command
+ * Shows the records in each provider's zone and which of them TráfegoDNS manages
+ */
+const { createCliContext, initProviders } = require('../context');
+const { formatTable, formatDuration } = require('../format');
+const { normalizeRecord } = require('../../utils/dns');
+
+module.exports = {
+  usage: 'list [--provider <name>] [--managed]',
+  summary: 'List live and tracked records',
+  options: {
+    provider: { type: 'string' },
+    managed: { type: 'boolean', default: false }
+  },
+
+  async run({ values }) {
+    const { dnsManager } = createCliContext();
+    const contexts = await initProviders(dnsManager, values.provider);
+
+    for (const context of contexts) {
+      const { provider, recordTracker } = context;
+      const records = await provider.getRecordsFromCache();
+      const rows = [['TYPE', 'NAME', 'CONTENT', 'TTL', 'STATUS']];
+      const liveKeys = new Set();
+
+      for (const record of records) {
+        const tracked = recordTracker.isTracked(record);
+
+        if (tracked) {
+          liveKeys.add(recordTracker.getTrackedRecordKey(record));
+        } else if (values.managed) {
+          continue;
+        }
+
+        const normalized = normalizeRecord(record, context.zone);
+        rows.push([normalized.type, normalized.name, normalized.content, normalized.ttl, describeStatus(recordTracker, record, tracked)]);
+      }
+
+      // Tracked records that are gone from the zone, e.g. deleted in the provider's dashboard
+      for (const trackedRecord of recordTracker.getCurrentProviderRecords()) {
+        if (!liveKeys.has(recordTracker.getTrackedRecordKey(trackedRecord))) {
+          const name = dnsManager.getRecordFqdn(trackedRecord, context.zone);
+          rows.push([trackedRecord.type, name, trackedRecord.content, '', 'managed, missing from the zone']);
+        }
+      }
+
+      const managed = rows.filter(row => row[4].startsWith('managed')).length;
+      console.log(`${context.name} (${context.zone}): ${rows.length - 1} records, ${managed} managed by TráfegoDNS`);
+
+      if (rows.length > 1) {
+        console.log(formatTable(rows));
+      }
+    }
+
+    return 0;
+  }
+};
+
+/**
+ * Describe how TráfegoDNS manages a record
+ * @param {RecordTracker} recordTracker - Tracker of the record's provider
+ * @param {Object} record - Record from the provider cache
+ * @param {boolean} tracked - Whether the record is tracked
+ * @returns {string} - Status, empty for records TráfegoDNS does not manage
+ */
+function describeStatus(recordTracker, record, tracked) {
+  if (!tracked) {
+    return '';
+  }
+
+  const status = ['managed'];
+
+  if (recordTracker.isMultiValueRecord(record)) {
+    status.push('multi-value');
+  }
+
+  if (recordTracker.isDualStackRecord(record)) {
+    status.push('dual-stack');
+  }
+
+  const orphanedAt = recordTracker.getRecordOrphanedTime(record);
+  if (orphanedAt) {
+    status.push(`orphaned ${formatDuration(Date.now() - orphanedAt.getTime())} ago`);
+  }
+
+  return status.join(', ');
+}
@@ -0,0 +1,126 @@
+/**
+ * migrate command
+ * Copies the records TráfegoDNS manages to the MIGRATION_TARGET provider,
+ * reports whether both providers match, and removes the records from the
+ * source once the zone is delegated to the target
+ */
+const { createCliContext, initProviders } = require('../context');
+
+const ACTIONS = ['status', 'copy', 'finish'];
+
+module.exports = {
+  usage: 'migrate status|copy|finish [--yes] [--force]',
+  summary: 'Migrate managed records to MIGRATION_TARGET',
+  options: {
+    yes: { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false }
+  },
+
+  async run({ values, positionals }) {
+    const [action = 'status'] = positionals;
+
+    if (!ACTIONS.includes(action)) {
+      console.error(`Unknown migrate action: ${action} (expected ${ACTIONS.join(', ')})`);
+      return 1;
+    }
+
+    const { config, dnsManager, migrationManager } = createCliContext();
+
+    if (!config.migrationTargetConfig) {
+      console.error('No migration is configured, set MIGRATION_TARGET to the provider to migrate to');
+      return 1;
+    }
+
+    await initProviders(dnsManager, config.migrationSource);
+    const target = await migrationManager.createTarget();
+    console.log(`Migrating ${target.zone} from ${config.migrationSource} to ${target.name}`);
+
+    const { inSync, plan } = await migrationManager.verify();
+
+    if (action === 'finish') {
+      return finish(config, migrationManager, inSync, values);
+    }
+
+    if (inSync) {
+      console.log(`${target.name} holds every record managed at ${config.migrationSource}`);
+    } else {
+      for (const change of plan.changes) {
+        console.log(plan.formatChange(change));
+      }
+
+      const summary = plan.getSummary();
+      console.log(`${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete at ${target.name}`);
+    }
+
+    if (action === 'status') {
+      const { delegated, expected, confirmed } = await migrationManager.checkDelegation();
+      console.log(`Nameservers of ${target.zone}: ${delegated.join(', ') || 'unknown'}`);
+      console.log(`Nameservers of ${target.name}: ${expected.join(', ') || 'unknown'}`);
+      console.log(confirmed ? `${target.zone} is delegated to ${target.name}` : `${target.zone} is not delegated to ${target.name} yet`);
+      return 0;
+    }
+
+    if (inSync) {
+      return 0;
+    }
+
+    if (config.dryRun) {
+      console.log('DRY_RUN is enabled, the changes are not applied');
+      return 0;
+    }
+
+    if (!values.yes) {
+      console.log('Run again with --yes to apply these changes');
+      return 0;
+    }
+
+    const { failed } = await migrationManager.applyCopy(plan);
+
+    return failed > 0 ? 1 : 0;
+  }
+};
+
+/**
+ * Remove the managed records from the source
+ * @param {ConfigManager} config - Configuration
+ * @param {MigrationManager} migrationManager - Migration manager with its target created
+ * @param {boolean} inSync - Whether the target holds every managed record
+ * @param {Object} values - Command options
+ * @returns {Promise<number>} - Exit code
+ */
+async function finish(config, migrationManager, inSync, values) {
+  const { target } = migrationManager;
+
+  if (!inSync) {
+    console.error(`${target.name} does not hold every record managed at ${config.migrationSource}, run: trafegodns migrate copy`);
+    return 1;
+  }
+
+  if (!values.force) {
+    const { delegated, expected, confirmed } = await migrationManager.checkDelegation();
+
+    if (!confirmed) {
+      console.error(`${target.zone} is delegated to ${delegated.join(', ') || 'unknown nameservers'}, not to ${target.name} (${expected.join(', ') || 'unknown nameservers'})`);
+      console.error('Change the nameservers at your registrar first, or run again with --force');
+      return 1;
+    }
+  }
+
+  const records = await migrationManager.getSourceRecords();
+  console.log(`${records.length} managed records to delete from ${config.migrationSource}`);
+
+  if (config.dryRun) {
+    console.log('DRY_RUN is enabled, the records are not deleted');
+    return 0;
+  }
+
+  if (!values.yes) {
+    console.log('Run again with --yes to delete them');
+    return 0;
+  }
+
+  const { failed } = await migrationManager.finish({ force: values.force });
+  console.log(`Make ${target.name} the DNS provider and remove MIGRATION_TARGET before starting TráfegoDNS again`);
+
+  return failed > 0 ? 1 : 0;
+}
@@ -0,0 +1,49 @@
+/**
+ * orphans command
+ * Shows the managed records whose hostname is gone and when they are deleted
+ */
+const { createCliContext, initProviders } = require('../context');
+const { formatTable, formatDuration } = require('../format');
+
+module.exports = {
+  usage: 'orphans [--provider <name>]',
+  summary: 'List orphaned records and their grace periods',
+  options: {
+    provider: { type: 'string' }
+  },
+
+  async run({ values }) {
+    const { config, dnsManager } = createCliContext();
+    const contexts = await initProviders(dnsManager, values.provider);
+    const now = Date.now();
+    const rows = [['PROVIDER', 'TYPE', 'NAME', 'ORPHANED', 'DELETED']];
+
+    for (const context of contexts) {
+      for (const { record, name, orphanedAt, deleteAt } of await dnsManager.getOrphanedRecords(context)) {
+        let deleted;
+
+        if (!config.cleanupOrphaned) {
+          deleted = 'never, CLEANUP_ORPHANED is disabled';
+        } else if (context.recordTracker.shouldPreserveHostname(name)) {
+          deleted = 'never, preserved hostname';
+        } else if (deleteAt.getTime() <= now) {
+          deleted = 'on the next poll';
+        } else {
+          deleted = `in ${formatDuration(deleteAt.getTime() - now)}`;
+        }
+
+        rows.push([context.name, record.type, name, `${formatDuration(now - orphanedAt.getTime())} ago`, deleted]);
+      }
+    }
+
+    if (rows.length === 1) {
+      console.log('No orphaned records');
+      return 0;
+    }
+
+    console.log(formatTable(rows));
+    console.log(`${rows.length - 1} orphaned records, grace period ${config.cleanupGracePeriod} minutes`);
+
+    return 0;
+  }
+};
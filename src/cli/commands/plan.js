@@ -0,0 +1,35 @@
+/**
+ * plan command
+ * Shows the changes one reconcile pass would make, without making them
+ */
+const { reconcile } = require('../reconcile');
+const { DryRunPlan } = require('../../utils/dryRun');
+
+module.exports = {
+  usage: 'plan',
+  summary: 'Show the changes one reconcile pass would make',
+  options: {},
+
+  async run() {
+    const { hostnames, plans } = await reconcile({ dryRun: true });
+    const formatter = new DryRunPlan();
+    let changes = 0;
+
+    console.log(`Found ${hostnames.length} hostnames`);
+
+    for (const [name, planned] of plans) {
+      if (planned.length === 0) {
+        console.log(`${name}: no changes`);
+        continue;
+      }
+
+      console.log(`${name}:`);
+      planned.forEach(change => console.log(formatter.formatChange(change)));
+      changes += planned.length;
+    }
+
+    console.log(changes > 0 ? 'Run trafegodns apply to make these changes' : 'Every zone is up to date');
+
+    return 0;
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * purge command
+ * Deletes orphaned records now instead of waiting for the grace period
+ */
+const { createCliContext, initProviders } = require('../context');
+
+module.exports = {
+  usage: 'purge [--provider <name>] [--yes]',
+  summary: 'Delete orphaned records now',
+  options: {
+    provider: { type: 'string' },
+    yes: { type: 'boolean', default: false }
+  },
+
+  async run({ values }) {
+    const { config, dnsManager } = createCliContext();
+    const contexts = await initProviders(dnsManager, values.provider);
+    const orphans = [];
+
+    for (const context of contexts) {
+      for (const orphan of await dnsManager.getOrphanedRecords(context)) {
+        // Preserved hostnames are never cleaned up
+        if (context.recordTracker.shouldPreserveHostname(orphan.name)) {
+          console.log(`Skipping preserved hostname ${orphan.name}`);
+          continue;
+        }
+
+        orphans.push({ context, ...orphan });
+      }
+    }
+
+    if (orphans.length === 0) {
+      console.log('No orphaned records to delete');
+      return 0;
+    }
+
+    for (const { context, record, name } of orphans) {
+      console.log(`  - delete ${record.type} ${name} at ${context.name}`);
+    }
+
+    if (config.dryRun) {
+      console.log('DRY_RUN is enabled, the records are not deleted');
+      return 0;
+    }
+
+    if (!values.yes) {
+      console.log(`Run again with --yes to delete ${orphans.length} records`);
+      return 0;
+    }
+
+    let failed = 0;
+
+    for (const { context, record, name } of orphans) {
+      try {
+        await dnsManager.deleteOrphanedRecord(context, record, name);
+        console.log(`Deleted ${record.type} ${name}`);
+      } catch (error) {
+        console.error(`Deleting ${record.type} ${name} failed: ${error.message}`);
+        failed++;
+      }
+    }
+
+    return failed > 0 ? 1 : 0;
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * restore command
+ * Shows the changes that bring a zone back to a snapshot, and applies them with --yes
+ */
+const { createCliContext, initProviders } = require('../context');
+
+module.exports = {
+  usage: 'restore <snapshot> [--managed-only] [--yes]',
+  summary: 'Restore a zone from a snapshot',
+  options: {
+    'managed-only': { type: 'boolean', default: false },
+    yes: { type: 'boolean', default: false }
+  },
+
+  async run({ values, positionals }) {
+    if (positionals.length !== 1) {
+      console.error('Name the snapshot to restore, see: trafegodns snapshots');
+      return 1;
+    }
+
+    const { config, dnsManager, snapshotManager } = createCliContext();
+    const snapshot = snapshotManager.loadSnapshot(positionals[0]);
+    const [context] = await initProviders(dnsManager, snapshot.provider);
+
+    if (context.zone !== snapshot.zone) {
+      console.error(`The snapshot is of ${snapshot.zone}, but ${context.name} now manages ${context.zone}`);
+      return 1;
+    }
+
+    const managedOnly = values['managed-only'];
+    const plan = await snapshotManager.planRestore(context, snapshot, { managedOnly });
+
+    console.log(`Restoring ${snapshot.zone} (${context.name}) to the snapshot of ${snapshot.takenAt}${managedOnly ? ', records managed by TráfegoDNS only' : ''}`);
+
+    if (!plan.hasChanges()) {
+      console.log('The zone already matches the snapshot');
+      return 0;
+    }
+
+    for (const change of plan.changes) {
+      console.log(plan.formatChange(change));
+    }
+
+    const summary = plan.getSummary();
+    console.log(`${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete`);
+
+    if (config.dryRun) {
+      console.log('DRY_RUN is enabled, the changes are not applied');
+      return 0;
+    }
+
+    if (!values.yes) {
+      console.log('Run again with --yes to apply these changes');
+      return 0;
+    }
+
+    const { file, failed } = await snapshotManager.applyRestore(context, plan, snapshot);
+    console.log(`The zone as it was before the restore is saved in ${file}`);
+
+    return failed > 0 ? 1 : 0;
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * snapshot command
+ * Takes a snapshot of each provider's zone
+ */
+const { createCliContext, initProviders } = require('../context');
+
+module.exports = {
+  usage: 'snapshot [--provider <name>]',
+  summary: 'Save a snapshot of the zone records',
+  options: {
+    provider: { type: 'string' }
+  },
+
+  async run({ values }) {
+    const { dnsManager, snapshotManager } = createCliContext();
+    const contexts = await initProviders(dnsManager, values.provider);
+
+    for (const context of contexts) {
+      const { file, snapshot } = await snapshotManager.takeSnapshot(context, 'manual');
+      console.log(`${context.name}: ${snapshot.records.length} records saved to ${file}`);
+    }
+
+    return 0;
+  }
+};
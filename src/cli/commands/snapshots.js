@@ -0,0 +1,30 @@
+/**
+ * snapshots command
+ * Lists the saved zone snapshots
+ */
+const path = require('path');
+const { createCliContext } = require('../context');
+
+module.exports = {
+  usage: 'snapshots [--provider <name>]',
+  summary: 'List saved snapshots, newest first',
+  options: {
+    provider: { type: 'string' }
+  },
+
+  async run({ values }) {
+    const { config, snapshotManager } = createCliContext();
+    const snapshots = snapshotManager.listSnapshots(values.provider);
+
+    if (snapshots.length === 0) {
+      console.log(`No snapshots in ${config.snapshotDir}`);
+      return 0;
+    }
+
+    for (const { file, provider, takenAt } of snapshots) {
+      console.log(`${takenAt}  ${provider.padEnd(16)} ${path.basename(file)}`);
+    }
+
+    return 0;
+  }
+};
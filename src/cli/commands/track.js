@@ -0,0 +1,85 @@
+/**
+ * track command
+ * Adopts records that exist in a zone, so TráfegoDNS manages them from now on
+ */
+const { createCliContext, findHostnameRecords } = require('../context');
+const { normalizeRecord } = require('../../utils/dns');
+
+module.exports = {
+  usage: 'track <hostname> [--type <type>] [--content <value>] [--provider <name>]',
+  summary: 'Start managing existing records',
+  options: {
+    type: { type: 'string' },
+    content: { type: 'string' },
+    provider: { type: 'string' }
+  },
+
+  async run({ values, positionals }) {
+    if (positionals.length !== 1) {
+      console.error('Name the hostname to track');
+      return 1;
+    }
+
+    const { config, dnsManager } = createCliContext();
+    const { context, fqdn, records } = await findHostnameRecords(dnsManager, positionals[0], values);
+    const { recordTracker, registry } = context;
+    const adopted = [];
+    let alreadyTracked = 0;
+
+    for (const record of records) {
+      const { type, content } = normalizeRecord(record, context.zone);
+
+      if (values.content !== undefined && content !== values.content) {
+        continue;
+      }
+
+      if (recordTracker.isTracked(record)) {
+        console.log(`${type} ${fqdn} (${content}) is already tracked`);
+        alreadyTracked++;
+        continue;
+      }
+
+      // Records another instance owns are left to it
+      const owner = registry ? registry.getOwner(fqdn, type) : null;
+      if (owner && owner !== registry.ownerId) {
+        console.error(`${type} ${fqdn} (${content}) is owned by the TráfegoDNS instance ${owner}`);
+        continue;
+      }
+
+      // A name with several values is managed value by value, the others may belong to other hosts
+      const multiValue = records.filter(other => other.type === record.type).length > 1;
+
+      adopted.push({ record: multiValue ? { ...record, multiValue } : record, type, content });
+    }
+
+    if (adopted.length === 0 && alreadyTracked > 0) {
+      return 0;
+    }
+
+    if (adopted.length === 0) {
+      console.error(`No record to track found for ${fqdn} at ${context.name}`);
+      return 1;
+    }
+
+    for (const { type, content } of adopted) {
+      console.log(`  + track ${type} ${fqdn} (${content})`);
+    }
+
+    if (config.dryRun) {
+      console.log('DRY_RUN is enabled, the records are not tracked');
+      return 0;
+    }
+
+    for (const { record } of adopted) {
+      dnsManager.adoptRecord(context, record, fqdn);
+    }
+
+    await dnsManager.claimRecords(context, adopted.map(({ record, type }) => ({ name: fqdn, type, multiValue: record.multiValue })));
+
+    if (config.cleanupOrphaned && !recordTracker.shouldPreserveHostname(fqdn)) {
+      console.log(`Unless a router, container or managed hostname asks for ${fqdn}, the orphan cleanup deletes it after ${config.cleanupGracePeriod} minutes`);
+    }
+
+    return 0;
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * untrack command
+ * Releases tracked records, so TráfegoDNS leaves them in the zone as they are
+ */
+const { createCliContext, findHostnameRecords } = require('../context');
+const { normalizeRecord } = require('../../utils/dns');
+const logger = require('../../utils/logger');
+
+module.exports = {
+  usage: 'untrack <hostname> [--type <type>] [--content <value>] [--provider <name>]',
+  summary: 'Stop managing records without deleting them',
+  options: {
+    type: { type: 'string' },
+    content: { type: 'string' },
+    provider: { type: 'string' }
+  },
+
+  async run({ values, positionals }) {
+    if (positionals.length !== 1) {
+      console.error('Name the hostname to untrack');
+      return 1;
+    }
+
+    const { config, dnsManager } = createCliContext();
+    const { context, fqdn, records } = await findHostnameRecords(dnsManager, positionals[0], values);
+    const { recordTracker, registry } = context;
+
+    // Tracked records are released even when they are gone from the zone
+    const liveRecords = new Map(records.map(record => [recordTracker.getTrackedRecordKey(record), record]));
+
+    const released = recordTracker.getCurrentProviderRecords().filter(trackedRecord => {
+      if (dnsManager.getRecordFqdn(trackedRecord, context.zone) !== fqdn) {
+        return false;
+      }
+
+      if (values.type && trackedRecord.type !== values.type.toUpperCase()) {
+        return false;
+      }
+
+      const record = liveRecords.get(recordTracker.getTrackedRecordKey(trackedRecord));
+      const content = record ? normalizeRecord(record, context.zone).content : trackedRecord.content;
+
+      return values.content === undefined || content === values.content;
+    });
+
+    if (released.length === 0) {
+      console.error(`No tracked record found for ${fqdn} at ${context.name}`);
+      return 1;
+    }
+
+    for (const trackedRecord of released) {
+      console.log(`  - untrack ${trackedRecord.type} ${fqdn}${trackedRecord.multiValue ? ` (${trackedRecord.content})` : ''}`);
+    }
+
+    if (config.dryRun) {
+      console.log('DRY_RUN is enabled, the records stay tracked');
+      return 0;
+    }
+
+    for (const trackedRecord of released) {
+      recordTracker.untrackRecord(trackedRecord);
+      logger.info(`📌 Stopped tracking ${trackedRecord.type} record ${fqdn} at ${context.name}`);
+
+      // The ownership TXT record would have another instance leave the record alone
+      if (registry && !trackedRecord.multiValue && registry.getOwner(fqdn, trackedRecord.type) === registry.ownerId) {
+        await registry.releaseRecord(fqdn, trackedRecord.type);
+      }
+    }
+
+    console.log(`If a router, container or managed hostname still asks for ${fqdn}, TráfegoDNS tracks it again on the next poll`);
+
+    return 0;
+  }
+};
@@ -0,0 +1,167 @@
+/**
+ * Shared setup for CLI commands
+ * Builds the services the application uses, without starting monitoring or
+ * public IP updates that would change records
+ */
+const { ConfigManager } = require('../config');
+const { DNSManager, AuditLog, SnapshotManager, MigrationManager, TraefikMonitor, DockerMonitor, DirectDNSManager, KubernetesMonitor } = require('../services');
+const { EventBus } = require('../events/EventBus');
+const EventTypes = require('../events/EventTypes');
+const logger = require('../utils/logger');
+const TxtRegistry = require('../utils/txtRegistry');
+const { normalizeRecord } = require('../utils/dns');
+
+/**
+ * Create the configuration and services for a command
+ * @param {Object} options - Context options
+ * @param {boolean} options.dryRun - Plan provider changes instead of applying them, as with DRY_RUN
+ * @returns {Object} - { config, eventBus, dnsManager, auditLog, snapshotManager, migrationManager }
+ */
+function createCliContext({ dryRun = false } = {}) {
+  const eventBus = new EventBus();
+
+  // Without an event bus, public IP changes are not published to the DNS manager
+  const config = new ConfigManager();
+
+  // Provider configurations inherit the setting, so set it before the providers are created
+  if (dryRun) {
+    config.dryRun = true;
+  }
+
+  const dnsManager = new DNSManager(config, eventBus);
+
+  // Changes made from the command line are journaled like any other
+  const auditLog = config.auditLogEnabled ? new AuditLog(config, eventBus) : null;
+
+  return {
+    config,
+    eventBus,
+    dnsManager,
+    auditLog,
+    snapshotManager: new SnapshotManager(config, eventBus, dnsManager),
+    migrationManager: new MigrationManager(config, eventBus, dnsManager)
+  };
+}
+
+/**
+ * Find and initialise the providers a command works on
+ * @param {DNSManager} dnsManager - DNS manager holding the provider contexts
+ * @param {string} name - Provider instance name, or all providers when not given
+ * @returns {Promise<Array<Object>>} - Initialised provider contexts
+ */
+async function initProviders(dnsManager, name = null) {
+  const contexts = name
+    ? dnsManager.providers.filter(context => context.name === name)
+    : dnsManager.providers;
+
+  if (contexts.length === 0) {
+    const names = dnsManager.providers.map(context => context.name).join(', ');
+    throw new Error(`Unknown provider: ${name} (configured: ${names})`);
+  }
+
+  for (const context of contexts) {
+    await context.provider.init();
+  }
+
+  return contexts;
+}
+
+/**
+ * Find the records of a hostname in the zone of its provider
+ * Ownership TXT records are never returned
+ * @param {DNSManager} dnsManager - DNS manager holding the provider contexts
+ * @param {string} hostname - Fully qualified hostname
+ * @param {Object} filters - Record filters
+ * @param {string} filters.provider - Provider instance name, found by zone when not given
+ * @param {string} filters.type - Record type (optional)
+ * @returns {Promise<Object>} - { context, fqdn, records } with the initialised provider context
+ */
+async function findHostnameRecords(dnsManager, hostname, { provider = null, type = null } = {}) {
+  const fqdn = hostname.toLowerCase().replace(/\.$/, '');
+  const match = provider ? null : dnsManager.getProviderForHostname(fqdn);
+
+  if (!provider && !match) {
+    throw new Error(`No configured zone contains ${fqdn}`);
+  }
+
+  const [context] = await initProviders(dnsManager, provider || match.name);
+
+  const records = (await context.provider.getRecordsFromCache()).filter(record => {
+    const normalized = normalizeRecord(record, context.zone);
+
+    return normalized.name === fqdn &&
+      (!type || normalized.type === type.toUpperCase()) &&
+      !(normalized.type === 'TXT' && TxtRegistry.isOwnershipContent(normalized.content));
+  });
+
+  return { context, fqdn, records };
+}
+
+/**
+ * Create the monitor for the operation mode, as the application does
+ * The monitor gets its own event bus, so its polls are not processed by the
+ * DNS manager unless a command passes the hostnames on
+ * @param {ConfigManager} config - Configuration
+ * @returns {Object} - { mode, monitor, dockerMonitor, poll } where poll() resolves
+ *   to the hostnames and labels of one poll
+ */
+function createMonitor(config) {
+  const eventBus = new EventBus();
+  const mode = config.operationMode.toLowerCase();
+  const dockerMonitor = mode === 'kubernetes' ? null : new DockerMonitor(config, eventBus);
+  let monitor;
+  let pollMethod;
+
+  if (mode === 'direct') {
+    monitor = new DirectDNSManager(config, eventBus);
+    pollMethod = 'pollContainers';
+  } else if (mode === 'kubernetes') {
+    monitor = new KubernetesMonitor(config, eventBus);
+    pollMethod = 'pollKubernetes';
+  } else {
+    monitor = new TraefikMonitor(config, eventBus);
+    pollMethod = 'pollTraefikAPI';
+  }
+
+  monitor.dockerMonitor = dockerMonitor;
+
+  const poll = async () => {
+    let result = null;
+    const unsubscribe = eventBus.subscribe(EventTypes.TRAEFIK_ROUTERS_UPDATED, data => {
+      result = data;
+    });
+
+    try {
+      // Container labels are read once, Traefik mode works without them
+      if (dockerMonitor) {
+        try {
+          await dockerMonitor.updateContainerLabelsCache();
+        } catch (error) {
+          if (mode === 'direct') {
+            throw error;
+          }
+          logger.warn(`Reading container labels failed, using Traefik router labels only: ${error.message}`);
+        }
+      }
+
+      await monitor[pollMethod]();
+    } finally {
+      unsubscribe();
+    }
+
+    if (!result) {
+      throw new Error(`Polling for hostnames in ${mode} mode failed, see the log above`);
+    }
+
+    return result;
+  };
+
+  return { mode, monitor, dockerMonitor, poll };
+}
+
+module.exports = {
+  createCliContext,
+  initProviders,
+  findHostnameRecords,
+  createMonitor
+};
@@ -0,0 +1,44 @@
+/**
+ * Output helpers for CLI commands
+ */
+
+/**
+ * Format rows as columns aligned on the longest value, the last column unpadded
+ * @param {Array<Array<string>>} rows - Rows of cell values, the first row being the header
+ * @param {string} indent - Prefix of each line
+ * @returns {string} - Table lines joined by newlines
+ */
+function formatTable(rows, indent = '  ') {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column] ?? '').length)));
+
+  return rows
+    .map(row => indent + row
+      .map((value, column) => (column < row.length - 1 ? String(value ?? '').padEnd(widths[column]) : String(value ?? '')))
+      .join('  ')
+      .trimEnd())
+    .join('\n');
+}
+
+/**
+ * Describe a duration in minutes, hours or days, e.g. 90 minutes as 1h 30m
+ * @param {number} milliseconds - Duration
+ * @returns {string} - Rounded duration
+ */
+function formatDuration(milliseconds) {
+  const minutes = Math.max(0, Math.round(milliseconds / 60000));
+
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+
+  if (minutes < 1440) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+module.exports = {
+  formatTable,
+  formatDuration
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Command line interface for TráfegoDNS
+ * Runs maintenance commands against the configured providers, e.g. in the
+ * container with docker exec, using the same configuration as the application
+ */
+// Logs go to stderr, so command output can be redirected to a file
+process.env.LOG_OUTPUT = process.env.LOG_OUTPUT || 'stderr';
+
+const { parseArgs } = require('util');
+
+const commands = {
+  list: require('./commands/list'),
+  plan: require('./commands/plan'),
+  apply: require('./commands/apply'),
+  orphans: require('./commands/orphans'),
+  purge: require('./commands/purge'),
+  track: require('./commands/track'),
+  untrack: require('./commands/untrack'),
+  doctor: require('./commands/doctor'),
+  snapshot: require('./commands/snapshot'),
+  snapshots: require('./commands/snapshots'),
+  restore: require('./commands/restore'),
+  export: require('./commands/export'),
+  import: require('./commands/import'),
+  migrate: require('./commands/migrate')
+};
+
+/**
+ * Print the available commands
+ */
+function printUsage() {
+  console.log('Usage: trafegodns <command> [options]');
+  console.log('');
+  console.log('Commands:');
+
+  for (const command of Object.values(commands)) {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.summary}`);
+  }
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+
+  if (!name || ['help', '--help', '-h'].includes(name)) {
+    printUsage();
+    return 0;
+  }
+
+  const command = commands[name];
+
+  if (!command) {
+    console.error(`Unknown command: ${name}`);
+    printUsage();
+    return 1;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: command.options || {}, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\nUsage: trafegodns ${command.usage}`);
+    return 1;
+  }
+
+  return command.run(parsed);
+}
+
+// Timers started by the configuration would keep the process running
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
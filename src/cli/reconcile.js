@@ -0,0 +1,51 @@
+/**
+ * One reconcile pass for the plan and apply commands
+ * Polls the monitor of the operation mode once and brings the managed hostnames
+ * and the hostnames found into the zones, as one poll of the application does
+ */
+const { createCliContext, createMonitor } = require('./context');
+
+/**
+ * Run one reconcile pass
+ * @param {Object} options - Reconcile options
+ * @param {boolean} options.dryRun - Collect the changes instead of applying them
+ * @returns {Promise<Object>} - { stats, hostnames, plans } with the planned changes of each
+ *   provider in dry-run mode
+ */
+async function reconcile({ dryRun }) {
+  const { config, dnsManager, snapshotManager, migrationManager } = createCliContext({ dryRun });
+  const { poll } = createMonitor(config);
+
+  // A and AAAA records default to the public IP addresses
+  await config.updatePublicIPs();
+  config.updateIpRecordDefaults();
+
+  // Keep the plans instead of logging them, the command prints them once at the end
+  const plans = new Map();
+  dnsManager.logDryRunPlan = () => {
+    for (const { name, dryRunPlan } of dnsManager.providers) {
+      if (dryRunPlan) {
+        plans.set(name, [...(plans.get(name) || []), ...dryRunPlan.changes]);
+        dryRunPlan.reset();
+      }
+    }
+  };
+
+  if (!dryRun && config.snapshotEnabled) {
+    dnsManager.snapshotManager = snapshotManager;
+  }
+
+  await dnsManager.init();
+
+  const { hostnames, containerLabels } = await poll();
+  const { stats } = await dnsManager.processHostnames(hostnames, containerLabels);
+
+  // Copy the changes to the provider a zone is being migrated to
+  await migrationManager.init();
+
+  return { stats, hostnames, plans };
+}
+
+module.exports = {
+  reconcile
+};
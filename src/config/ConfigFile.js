@@ -0,0 +1,240 @@
+/**
+ * Configuration file loader
+ * Reads trafegodns.yml (or a JSON file), validates it against the schema and
+ * exposes its values as fallbacks for environment variables
+ */
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SCHEMA, validate } = require('./configSchema');
+
+const DEFAULT_CONFIG_FILE = '/config/trafegodns.yml';
+
+class ConfigFile {
+  /**
+   * @param {string|null} filePath - Path the configuration was loaded from
+   * @param {Object} data - Validated configuration
+   */
+  constructor(filePath = null, data = {}) {
+    this.path = filePath;
+    this.data = data;
+  }
+
+  /**
+   * Get the path of the configuration file, from CONFIG_FILE or the default location
+   */
+  static getPath() {
+    return process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  }
+
+  /**
+   * Load the configuration file named by CONFIG_FILE, or the default location
+   * A missing file at the default location is not an error
+   * @returns {ConfigFile} - The loaded configuration, empty if there is no file
+   */
+  static load() {
+    const explicitPath = process.env.CONFIG_FILE;
+    const filePath = ConfigFile.getPath();
+
+    if (!fs.existsSync(filePath)) {
+      if (explicitPath) {
+        throw new Error(`Configuration file not found: ${filePath}`);
+      }
+      return new ConfigFile();
+    }
+
+    return ConfigFile.parse(fs.readFileSync(filePath, 'utf8'), filePath);
+  }
+
+  /**
+   * Parse and validate configuration file contents
+   * @param {string} text - File contents
+   * @param {string} filePath - Path used for error messages and to detect JSON
+   * @returns {ConfigFile} - The validated configuration
+   */
+  static parse(text, filePath) {
+    let data;
+
+    try {
+      data = path.extname(filePath).toLowerCase() === '.json'
+        ? JSON.parse(text)
+        : YAML.parse(text);
+    } catch (error) {
+      throw new Error(`Unable to parse configuration file ${filePath}: ${error.message}`);
+    }
+
+    // An empty file is a valid, empty configuration
+    if (data === null || data === undefined) {
+      data = {};
+    }
+
+    // Log levels are case-insensitive, as they are in LOG_LEVEL
+    if (typeof data.logLevel === 'string') {
+      data.logLevel = data.logLevel.toUpperCase();
+    }
+
+    const errors = validate(data, SCHEMA);
+    errors.push(...ConfigFile.checkUniqueProviders(data.providers));
+    errors.push(...ConfigFile.checkUniqueNames(data.traefik?.instances, 'traefik.instances'));
+    errors.push(...ConfigFile.checkUniqueNames(data.traefik?.entrypoints, 'traefik.entrypoints'));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return new ConfigFile(filePath, data);
+  }
+
+  /**
+   * Check that provider instance names and zones are unique
+   * @returns {Array<string>} - Error messages
+   */
+  static checkUniqueProviders(providers) {
+    const errors = [];
+
+    if (!Array.isArray(providers)) {
+      return errors;
+    }
+
+    const names = new Map();
+    const zones = new Map();
+
+    providers.forEach((provider, index) => {
+      const name = String(provider?.name ?? '').toUpperCase();
+      const zone = String(provider?.zone ?? '').toLowerCase();
+
+      if (name && names.has(name)) {
+        errors.push(`providers[${index}].name: duplicates the name of providers[${names.get(name)}]`);
+      }
+      if (zone && zones.has(zone)) {
+        errors.push(`providers[${index}].zone: ${zone} is already configured for providers[${zones.get(zone)}]`);
+      }
+
+      names.set(name, index);
+      zones.set(zone, index);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check that the names in a list of named Traefik settings are unique
+   * @param {Array<Object>} items - Traefik instances or entrypoints
+   * @param {string} path - Setting path of the list
+   * @returns {Array<string>} - Error messages
+   */
+  static checkUniqueNames(items, path) {
+    const errors = [];
+
+    if (!Array.isArray(items)) {
+      return errors;
+    }
+
+    const names = new Map();
+
+    items.forEach((item, index) => {
+      const name = String(item?.name ?? '').toUpperCase();
+
+      if (name && names.has(name)) {
+        errors.push(`${path}[${index}].name: duplicates the name of ${path}[${names.get(name)}]`);
+      }
+
+      names.set(name, index);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Whether a configuration file was loaded
+   */
+  isLoaded() {
+    return this.path !== null;
+  }
+
+  /**
+   * Convert file settings to the environment variables they correspond to
+   * Provider instances become DNS_PROVIDERS and DNS_PROVIDER_<NAME>_* variables,
+   * Traefik instances and entrypoints become TRAEFIK_INSTANCES and TRAEFIK_INSTANCE_<NAME>_*,
+   * and TRAEFIK_ENTRYPOINTS and TRAEFIK_ENTRYPOINT_<NAME>_* variables.
+   * The migration target becomes MIGRATION_TARGET and DNS_PROVIDER_<NAME>_* variables
+   * @returns {Object} - Environment variable names mapped to string values
+   */
+  toEnvironment() {
+    const environment = {};
+
+    const collect = (value, schema) => {
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      if (schema.env) {
+        environment[schema.env] = Array.isArray(value) ? value.join(',') : String(value);
+      } else if (schema.type === 'object' && schema.properties) {
+        for (const [key, childSchema] of Object.entries(schema.properties)) {
+          collect(value[key], childSchema);
+        }
+      }
+    };
+
+    collect(this.data, SCHEMA);
+
+    const collectNamed = (items, listEnv, envPrefixBase, itemSchema) => {
+      if (!items) {
+        return;
+      }
+
+      environment[listEnv] = items.map(item => item.name).join(',');
+
+      for (const item of items) {
+        const envPrefix = `${envPrefixBase}${item.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+        for (const [key, value] of Object.entries(item)) {
+          const { suffix } = itemSchema.properties[key];
+          if (suffix && value !== null) {
+            environment[`${envPrefix}${suffix}`] = String(value);
+          }
+        }
+      }
+    };
+
+    const traefikSchema = SCHEMA.properties.traefik.properties;
+    collectNamed(this.data.providers, 'DNS_PROVIDERS', 'DNS_PROVIDER_', SCHEMA.properties.providers.items);
+    collectNamed(this.data.traefik?.instances, 'TRAEFIK_INSTANCES', 'TRAEFIK_INSTANCE_', traefikSchema.instances.items);
+    collectNamed(this.data.traefik?.entrypoints, 'TRAEFIK_ENTRYPOINTS', 'TRAEFIK_ENTRYPOINT_', traefikSchema.entrypoints.items);
+    collectNamed(this.data.ipDiscovery?.sources, 'IP_SOURCES', 'IP_SOURCE_', SCHEMA.properties.ipDiscovery.properties.sources.items);
+    collectNamed(this.data.migration ? [this.data.migration.target] : null, 'MIGRATION_TARGET', 'DNS_PROVIDER_', SCHEMA.properties.migration.properties.target);
+
+    return environment;
+  }
+
+  /**
+   * Get managed hostnames from the file
+   * @returns {Array<Object>|null} - Managed hostname records, or null if not configured
+   */
+  getManagedHostnames() {
+    if (!this.data.managedHostnames) {
+      return null;
+    }
+
+    return this.data.managedHostnames.map(record => ({
+      ...record,
+      content: record.content !== undefined ? String(record.content) : undefined
+    }));
+  }
+
+  /**
+   * Get per-host overrides keyed by lower-case hostname
+   */
+  getHostOverrides() {
+    const overrides = {};
+
+    for (const [hostname, settings] of Object.entries(this.data.hosts || {})) {
+      overrides[hostname.toLowerCase().replace(/\.$/, '')] = settings || {};
+    }
+
+    return overrides;
+  }
+}
+
+module.exports = ConfigFile;
@@ -1,27 +1,129 @@
 /**
  * Configuration management for Traefik DNS Manager 
  */
-const axios = require('axios');
 const logger = require('../utils/logger');
 const EnvironmentLoader = require('./EnvironmentLoader');
+const ConfigFile = require('./ConfigFile');
+const { KUBERNETES_RESOURCES } = require('../utils/kubernetes');
+const { RECORD_TYPES } = require('./configSchema');
+const EventTypes = require('../events/EventTypes');
+const { IpDiscovery, parseIPv6Suffix, isIPv6Suffix, applyIPv6Prefix, isSamePrefix } = require('../ip');
 
 // Semaphore for IP update process
 let ipUpdateInProgress = false;
 
+// Failed IPv6 lookups in a row before the last known address is dropped
+const IPV6_LOOKUP_MISSES_BEFORE_LOSS = 3;
+
+// Settings for each provider type when configured as a DNS_PROVIDERS instance,
+// mapped from the DNS_PROVIDER_<NAME>_<SUFFIX> environment variables
+const PROVIDER_INSTANCE_SETTINGS = {
+  cloudflare: [
+    { property: 'cloudflareToken', suffix: 'TOKEN', secret: true, required: true },
+    { property: 'cloudflareZone', suffix: 'ZONE', required: true }
+  ],
+  route53: [
+    { property: 'route53AccessKey', suffix: 'ACCESS_KEY', secret: true, required: true },
+    { property: 'route53SecretKey', suffix: 'SECRET_KEY', secret: true, required: true },
+    { property: 'route53Zone', suffix: 'ZONE', required: true },
+    { property: 'route53ZoneId', suffix: 'ZONE_ID' },
+    { property: 'route53Region', suffix: 'REGION', defaultValue: 'eu-west-2' }
+  ],
+  digitalocean: [
+    { property: 'digitalOceanToken', suffix: 'TOKEN', secret: true, required: true },
+    { property: 'digitalOceanDomain', suffix: 'ZONE', required: true }
+  ],
+  technitium: [
+    { property: 'technitiumUrl', suffix: 'URL', required: true },
+    { property: 'technitiumToken', suffix: 'TOKEN', secret: true, required: true },
+    { property: 'technitiumZone', suffix: 'ZONE', required: true }
+  ]
+};
+
+/**
+ * Get the default TTL for a provider type
+ */
+function getProviderDefaultTTL(providerType) {
+  switch (providerType.toLowerCase()) {
+    case 'cloudflare':
+      return 1; // Cloudflare minimum is 1 (Auto)
+    case 'digitalocean':
+      return 30; // DigitalOcean minimum is 30
+    case 'route53':
+      return 60; // Route53 minimum is 60
+    case 'technitium':
+      return 3600; // Technitium standard default
+    default:
+      return 1; // Default fallback
+  }
+}
+
 class ConfigManager {
-  constructor() {
+  /**
+   * @param {EventBus} eventBus - Event bus for IP_UPDATED events (optional)
+   */
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+    
+    // Load the optional configuration file - environment variables override its values
+    this.configFile = ConfigFile.load();
+    EnvironmentLoader.setFileValues(this.configFile.toEnvironment());
+    
+    if (this.configFile.isLoaded()) {
+      logger.info(`📄 Loaded configuration file: ${this.configFile.path}`);
+      this.applyFileLogLevel();
+    }
+    
     // Initialize IP cache first to avoid reference errors
     this.ipCache = {
-      ipv4: process.env.PUBLIC_IP || null,
-      ipv6: process.env.PUBLIC_IPV6 || null,
+      ipv4: EnvironmentLoader.getString('PUBLIC_IP') || null,
+      ipv6: EnvironmentLoader.getString('PUBLIC_IPV6') || null,
+      ipv6Prefix: null,
       lastCheck: 0
     };
     
-    // Operation mode - traefik or direct
+    // Consecutive IPv6 lookups that found no address
+    this.ipv6LookupMisses = 0;
+    
+    // Longest prefix length of the IPv6 host suffixes resolved so far
+    this.ipv6SuffixPrefixLength = 0;
+    
+    this.loadSettings();
+    
+    // Watch the configuration file and reload it when it changes
+    this.configWatch = EnvironmentLoader.getBool('CONFIG_WATCH', true);
+    
+    // Schedule immediate IP update and then periodic refresh
+    this.updatePublicIPs().then(() => {
+      // Update A record defaults after IP discovery
+      this.updateIpRecordDefaults();
+      logger.debug(`Updated A record defaults with IP: ${this.recordDefaults.A.content}`);
+    });
+
+    // Set up periodic IP refresh
+    this.ipRefreshTimer = null;
+    this.scheduleIpRefresh();
+  }
+  
+  /**
+   * Load all settings from the environment and configuration file
+   * Called on startup and again when the configuration is reloaded
+   */
+  loadSettings() {
+    // Operation mode - traefik, direct or kubernetes
     this.operationMode = EnvironmentLoader.getString('OPERATION_MODE', 'traefik');
 
-    // Managed Hostname management
-    this.managedHostnames = EnvironmentLoader.getString('MANAGED_HOSTNAMES', '');    
+    // Managed Hostname management - records from the configuration file unless MANAGED_HOSTNAMES is set
+    const fileManagedHostnames = this.configFile.getManagedHostnames();
+    this.managedHostnames = fileManagedHostnames && !EnvironmentLoader.isSetInEnvironment('MANAGED_HOSTNAMES')
+      ? fileManagedHostnames
+      : EnvironmentLoader.getString('MANAGED_HOSTNAMES', '');
+    
+    // Hostnames never deleted by orphan cleanup
+    this.preservedHostnames = EnvironmentLoader.getString('PRESERVED_HOSTNAMES', '');
+    
+    // Per-host record settings from the configuration file
+    this.hostOverrides = this.configFile.getHostOverrides();
 
     // DNS Provider configuration
     this.dnsProvider = EnvironmentLoader.getString('DNS_PROVIDER', 'cloudflare');
@@ -47,6 +149,14 @@ class ConfigManager {
     this.digitalOceanToken = EnvironmentLoader.getSecret('DO_TOKEN');
     this.digitalOceanDomain = EnvironmentLoader.getString('DO_DOMAIN');
     
+    // Multiple provider instances - the first instance becomes the primary provider
+    this.providerInstances = this.loadProviderInstances();
+    if (this.providerInstances.length > 0) {
+      this.dnsProvider = this.providerInstances[0].type;
+      Object.assign(this, this.providerInstances[0].settings);
+    }
+    this.providerName = this.providerInstances.length > 0 ? this.providerInstances[0].name : this.dnsProvider;
+    
     // Validate required settings based on provider
     this.validateProviderConfig();
     
@@ -55,6 +165,34 @@ class ConfigManager {
     this.traefikApiUsername = EnvironmentLoader.getString('TRAEFIK_API_USERNAME');
     this.traefikApiPassword = EnvironmentLoader.getSecret('TRAEFIK_API_PASSWORD');
     
+    // Traefik instances to poll (just the one above unless TRAEFIK_INSTANCES is set)
+    this.traefikInstances = this.loadTraefikInstances();
+    
+    // Record defaults for hostnames routed on specific Traefik entrypoints
+    this.traefikEntryPoints = this.loadTraefikEntryPoints();
+    
+    // Kubernetes API settings - in a cluster the service account is used by default
+    const serviceHost = EnvironmentLoader.getString('KUBERNETES_SERVICE_HOST');
+    const servicePort = EnvironmentLoader.getString('KUBERNETES_SERVICE_PORT', '443');
+    this.kubernetesApiUrl = EnvironmentLoader.getString('KUBERNETES_API_URL', serviceHost ? `https://${serviceHost}:${servicePort}` : '');
+    this.kubernetesToken = EnvironmentLoader.getSecret('KUBERNETES_TOKEN');
+    this.kubernetesNamespace = EnvironmentLoader.getString('KUBERNETES_NAMESPACE', '');
+    this.kubernetesResources = EnvironmentLoader.getString('KUBERNETES_RESOURCES', 'ingress,ingressroute')
+      .split(',')
+      .map(resource => resource.trim().toLowerCase())
+      .filter(resource => resource.length > 0);
+    this.kubernetesWatch = EnvironmentLoader.getBool('KUBERNETES_WATCH', true);
+    
+    for (const resource of this.kubernetesResources) {
+      if (!KUBERNETES_RESOURCES[resource]) {
+        throw new Error(`Unsupported KUBERNETES_RESOURCES entry: ${resource} (expected ${Object.keys(KUBERNETES_RESOURCES).join(' or ')})`);
+      }
+    }
+    
+    if (this.operationMode.toLowerCase() === 'kubernetes' && !this.kubernetesApiUrl) {
+      throw new Error('KUBERNETES_API_URL is required when not running inside a Kubernetes cluster');
+    }
+    
     // Label prefixes
     this.genericLabelPrefix = EnvironmentLoader.getString('DNS_LABEL_PREFIX', 'dns.');
     this.dnsLabelPrefix = `${this.genericLabelPrefix}${this.dnsProvider}.`;
@@ -66,46 +204,224 @@ class ConfigManager {
     this.defaultProxied = EnvironmentLoader.getBool('DNS_DEFAULT_PROXIED', true);
     
     // Set default TTL based on the provider
-    switch (this.dnsProvider.toLowerCase()) {
-      case 'cloudflare':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Cloudflare minimum is 1 (Auto)
-        break;
-      case 'digitalocean':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 30); // DigitalOcean minimum is 30
-        break;
-      case 'route53':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 60); // Route53 minimum is 60
-        break;
-      case 'technitium':
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 3600); // Technitium standard default
-        break;
-      default:
-        this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', 1); // Default fallback
-    }
+    this.defaultTTL = EnvironmentLoader.getInt('DNS_DEFAULT_TTL', getProviderDefaultTTL(this.dnsProvider));
     
     this.defaultManage = EnvironmentLoader.getBool('DNS_DEFAULT_MANAGE', true);
     
+    // Publish an AAAA record with the public IPv6 address next to each A record
+    this.defaultDualStack = EnvironmentLoader.getBool('DNS_DEFAULT_DUALSTACK', false);
+    
     // Record type specific defaults - we'll set A content after IP discovery
-    this.recordDefaults = {
+    this.recordDefaults = this.buildRecordDefaults();
+    
+    // Application behavior
+    this.dockerSocket = EnvironmentLoader.getString('DOCKER_SOCKET', '/var/run/docker.sock');
+    this.pollInterval = EnvironmentLoader.getInt('POLL_INTERVAL', 60000);
+    this.watchDockerEvents = EnvironmentLoader.getBool('WATCH_DOCKER_EVENTS', true);
+    
+    // Read Swarm service labels - auto enables it on Swarm managers
+    this.dockerSwarm = EnvironmentLoader.getString('DOCKER_SWARM', 'auto').toLowerCase();
+    if (!['auto', 'true', 'false'].includes(this.dockerSwarm)) {
+      throw new Error(`Unsupported DOCKER_SWARM: ${this.dockerSwarm} (expected auto, true or false)`);
+    }
+    this.cleanupOrphaned = EnvironmentLoader.getBool('CLEANUP_ORPHANED', false);
+    this.cleanupGracePeriod = EnvironmentLoader.getInt('CLEANUP_GRACE_PERIOD', 15); // Default to 60 minutes
+
+    // Ownership registry - none (local tracker only) or txt (companion TXT records in the zone)
+    this.registry = EnvironmentLoader.getString('DNS_REGISTRY', 'none').toLowerCase();
+    if (!['none', 'txt'].includes(this.registry)) {
+      throw new Error(`Unsupported DNS_REGISTRY: ${this.registry} (expected none or txt)`);
+    }
+    this.registryOwnerId = EnvironmentLoader.getString('DNS_REGISTRY_OWNER_ID', 'default');
+    if (!/^[A-Za-z0-9_.-]+$/.test(this.registryOwnerId)) {
+      throw new Error('DNS_REGISTRY_OWNER_ID may only contain letters, digits, ., - and _');
+    }
+    this.registryPrefix = EnvironmentLoader.getString('DNS_REGISTRY_PREFIX', '_trafegodns');
+
+    // Adoption of existing records - never, active (records active hostnames ask for) or list (ADOPTION_HOSTNAMES)
+    this.adoptionPolicy = EnvironmentLoader.getString('ADOPTION_POLICY', 'never').toLowerCase();
+    if (!['never', 'active', 'list'].includes(this.adoptionPolicy)) {
+      throw new Error(`Unsupported ADOPTION_POLICY: ${this.adoptionPolicy} (expected never, active or list)`);
+    }
+    this.adoptionHostnames = EnvironmentLoader.getString('ADOPTION_HOSTNAMES', '')
+      .split(',')
+      .map(hostname => hostname.trim().toLowerCase())
+      .filter(hostname => hostname.length > 0);
+    if (this.adoptionPolicy === 'list' && this.adoptionHostnames.length === 0) {
+      throw new Error('ADOPTION_POLICY=list needs the hostnames to adopt in ADOPTION_HOSTNAMES');
+    }
+
+    // Dry-run mode - compute and log DNS changes without applying them
+    this.dryRun = EnvironmentLoader.getBool('DRY_RUN', false);
+    
+    // Management API settings (disabled by default)
+    this.apiEnabled = EnvironmentLoader.getBool('API_ENABLED', false);
+    this.apiPort = EnvironmentLoader.getInt('API_PORT', 3000);
+    this.apiHost = EnvironmentLoader.getString('API_HOST', '0.0.0.0');
+    this.apiToken = EnvironmentLoader.getSecret('API_TOKEN');
+    
+    // Prometheus metrics endpoint (served by the management API)
+    this.metricsEnabled = EnvironmentLoader.getBool('METRICS_ENABLED', true);
+    
+    // Liveness thresholds for the /healthz endpoint
+    this.healthMaxMissedPolls = EnvironmentLoader.getInt('HEALTH_MAX_MISSED_POLLS', 3);
+    this.healthDockerDisconnectTimeout = EnvironmentLoader.getInt('HEALTH_DOCKER_DISCONNECT_TIMEOUT', 300000);
+    this.healthMaxProviderFailures = EnvironmentLoader.getInt('HEALTH_MAX_PROVIDER_FAILURES', 5);
+    
+    // Journal of every DNS record change, rotated when it reaches the maximum size
+    this.auditLogEnabled = EnvironmentLoader.getBool('AUDIT_LOG_ENABLED', true);
+    this.auditLogFile = EnvironmentLoader.getString('AUDIT_LOG_FILE', '/config/data/audit.jsonl');
+    this.auditLogMaxSize = EnvironmentLoader.getInt('AUDIT_LOG_MAX_SIZE', 10485760);
+    this.auditLogMaxFiles = EnvironmentLoader.getInt('AUDIT_LOG_MAX_FILES', 5);
+    
+    // Zone snapshots, taken on startup and then periodically (default: daily)
+    this.snapshotEnabled = EnvironmentLoader.getBool('SNAPSHOT_ENABLED', true);
+    this.snapshotDir = EnvironmentLoader.getString('SNAPSHOT_DIR', '/config/data/snapshots');
+    this.snapshotInterval = EnvironmentLoader.getInt('SNAPSHOT_INTERVAL', 86400000);
+    this.snapshotRetention = EnvironmentLoader.getInt('SNAPSHOT_RETENTION', 30);
+    
+    // Cache refresh interval in milliseconds (default: 1 hour)
+    this.cacheRefreshInterval = EnvironmentLoader.getInt('DNS_CACHE_REFRESH_INTERVAL', 3600000);
+
+    // API request timeout in milliseconds (default: 1 minute)
+    this.apiTimeout = EnvironmentLoader.getInt('API_TIMEOUT', 60000);    
+    
+    // IP refresh interval in milliseconds (default: 1 hour)
+    this.ipRefreshInterval = EnvironmentLoader.getInt('IP_REFRESH_INTERVAL', 3600000);
+    
+    // Public IP discovery - the sources asked in order for each address family
+    // and how many of them must report the same address
+    this.ipSources = this.loadIpSources();
+    this.ipv4Sources = this.loadIpSourceChain('PUBLIC_IP_SOURCES', 'ipify,ifconfig');
+    this.ipv4Quorum = EnvironmentLoader.getInt('PUBLIC_IP_QUORUM', 1);
+    this.ipv6Sources = this.loadIpSourceChain('PUBLIC_IPV6_SOURCES', 'ipify');
+    this.ipv6Quorum = EnvironmentLoader.getInt('PUBLIC_IPV6_QUORUM', 1);
+    
+    // AAAA records written as a host suffix take the delegated prefix from the
+    // public IPv6 address, or from these sources when set, e.g. an interface
+    this.ipv6PrefixSources = EnvironmentLoader.getString('IPV6_PREFIX_SOURCES')
+      ? this.loadIpSourceChain('IPV6_PREFIX_SOURCES', '')
+      : [];
+    
+    this.ipDiscovery = new IpDiscovery({
+      sources: this.ipSources,
+      ipv4: { sources: this.ipv4Sources, quorum: this.ipv4Quorum },
+      ipv6: { sources: this.ipv6Sources, quorum: this.ipv6Quorum },
+      ipv6Prefix: { sources: this.ipv6PrefixSources, quorum: 1 },
+      timeout: 5000
+    });
+    
+    // Configuration views for each active provider (just this one unless DNS_PROVIDERS is set)
+    this.providerConfigs = this.providerInstances.length > 0
+      ? this.providerInstances.map(instance => this.createProviderView(instance))
+      : [this];
+    
+    // Provider migration - records managed in the source zone are copied to the target provider
+    this.migrationTarget = EnvironmentLoader.getString('MIGRATION_TARGET', '');
+    this.migrationSource = EnvironmentLoader.getString('MIGRATION_SOURCE', this.providerName);
+    this.migrationTargetConfig = this.loadMigrationTarget();
+  }
+  
+  /**
+   * Reload settings after the configuration file has changed
+   * The new settings are validated before any are applied, so an invalid
+   * file leaves the current configuration in place
+   * @returns {Array<string>} - Names of the settings that changed
+   */
+  reload() {
+    const configFile = ConfigFile.load();
+    const previousFileValues = EnvironmentLoader.fileValues;
+    const previousSettings = this.getSettingsSnapshot();
+    const previousIpRefreshInterval = this.ipRefreshInterval;
+    
+    EnvironmentLoader.setFileValues(configFile.toEnvironment());
+    
+    try {
+      const candidate = Object.create(ConfigManager.prototype);
+      candidate.ipCache = this.ipCache;
+      candidate.configFile = configFile;
+      candidate.loadSettings();
+    } catch (error) {
+      EnvironmentLoader.setFileValues(previousFileValues);
+      throw error;
+    }
+    
+    this.configFile = configFile;
+    this.applyFileLogLevel();
+    this.loadSettings();
+    this.updateIpRecordDefaults();
+    
+    if (this.ipRefreshInterval !== previousIpRefreshInterval) {
+      this.scheduleIpRefresh();
+    }
+    
+    const currentSettings = this.getSettingsSnapshot();
+    const names = new Set([...Object.keys(previousSettings), ...Object.keys(currentSettings)]);
+    
+    return [...names].filter(name => previousSettings[name] !== currentSettings[name]);
+  }
+  
+  /**
+   * Serialise each setting so changes can be detected on reload
+   * @returns {Object} - Setting names mapped to serialised values
+   */
+  getSettingsSnapshot() {
+    const ignored = ['configFile', 'eventBus', 'ipCache', 'ipDiscovery', 'ipRefreshTimer', 'providerConfigs', 'migrationTargetConfig'];
+    const snapshot = {};
+    
+    for (const [name, value] of Object.entries(this)) {
+      if (!ignored.includes(name) && typeof value !== 'function') {
+        snapshot[name] = JSON.stringify(value);
+      }
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * Apply the log level from the configuration file
+   * The logger reads LOG_LEVEL when it is created, before the file is loaded
+   */
+  applyFileLogLevel() {
+    const fileLogLevel = this.configFile.data.logLevel;
+    
+    if (!EnvironmentLoader.isSetInEnvironment('LOG_LEVEL') && fileLogLevel && fileLogLevel !== logger.levelNames[logger.level]) {
+      logger.setLevel(fileLogLevel);
+    }
+  }
+  
+  /**
+   * Start, or restart, the periodic public IP refresh
+   */
+  scheduleIpRefresh() {
+    if (this.ipRefreshTimer) {
+      clearInterval(this.ipRefreshTimer);
+      this.ipRefreshTimer = null;
+    }
+    
+    if (this.ipRefreshInterval > 0) {
+      this.ipRefreshTimer = setInterval(() => this.updatePublicIPs(), this.ipRefreshInterval);
+    }
+  }
+  
+  /**
+   * Build record type specific defaults from the default TTL, content and proxied settings
+   */
+  buildRecordDefaults() {
+    return {
       A: {
         content: '',  // Will be set after IP discovery
-        proxied: process.env.DNS_DEFAULT_A_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_A_PROXIED !== 'false' : 
-                 this.defaultProxied,
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_A_PROXIED', this.defaultProxied),
         ttl: EnvironmentLoader.getInt('DNS_DEFAULT_A_TTL', this.defaultTTL)
       },
       AAAA: {
         content: '',  // Will be set after IP discovery
-        proxied: process.env.DNS_DEFAULT_AAAA_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_AAAA_PROXIED !== 'false' : 
-                 this.defaultProxied,
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_AAAA_PROXIED', this.defaultProxied),
         ttl: EnvironmentLoader.getInt('DNS_DEFAULT_AAAA_TTL', this.defaultTTL)
       },
       CNAME: {
         content: EnvironmentLoader.getString('DNS_DEFAULT_CNAME_CONTENT', this.defaultContent || ''),
-        proxied: process.env.DNS_DEFAULT_CNAME_PROXIED !== undefined ? 
-                 process.env.DNS_DEFAULT_CNAME_PROXIED !== 'false' : 
-                 this.defaultProxied,
+        proxied: EnvironmentLoader.getBool('DNS_DEFAULT_CNAME_PROXIED', this.defaultProxied),
         ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CNAME_TTL', this.defaultTTL)
       },
       MX: {
@@ -131,35 +447,358 @@ class ConfigManager {
         ttl: EnvironmentLoader.getInt('DNS_DEFAULT_CAA_TTL', this.defaultTTL)
       }
     };
+  }
+  
+  /**
+   * Set A and AAAA record default content from the discovered public IPs
+   */
+  updateIpRecordDefaults() {
+    const targets = new Set([this, ...(this.providerConfigs || [])]);
     
-    // Application behavior
-    this.dockerSocket = EnvironmentLoader.getString('DOCKER_SOCKET', '/var/run/docker.sock');
-    this.pollInterval = EnvironmentLoader.getInt('POLL_INTERVAL', 60000);
-    this.watchDockerEvents = EnvironmentLoader.getBool('WATCH_DOCKER_EVENTS', true);
-    this.cleanupOrphaned = EnvironmentLoader.getBool('CLEANUP_ORPHANED', false);
-    this.cleanupGracePeriod = EnvironmentLoader.getInt('CLEANUP_GRACE_PERIOD', 15); // Default to 60 minutes
+    for (const target of targets) {
+      target.recordDefaults.A.content = EnvironmentLoader.getString('DNS_DEFAULT_A_CONTENT') || this.ipCache.ipv4 || '';
+      target.recordDefaults.AAAA.content = EnvironmentLoader.getString('DNS_DEFAULT_AAAA_CONTENT') || this.ipCache.ipv6 || '';
+    }
+  }
+  
+  /**
+   * Load provider instances from DNS_PROVIDERS
+   * Each instance is configured with DNS_PROVIDER_<NAME>_TYPE and the
+   * provider's settings, e.g. DNS_PROVIDER_<NAME>_TOKEN and DNS_PROVIDER_<NAME>_ZONE
+   * @returns {Array<Object>} - Provider instances, empty when DNS_PROVIDERS is not set
+   */
+  loadProviderInstances() {
+    const names = EnvironmentLoader.getString('DNS_PROVIDERS', '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
     
-    // Cache refresh interval in milliseconds (default: 1 hour)
-    this.cacheRefreshInterval = EnvironmentLoader.getInt('DNS_CACHE_REFRESH_INTERVAL', 3600000);
-
-    // API request timeout in milliseconds (default: 1 minute)
-    this.apiTimeout = EnvironmentLoader.getInt('API_TIMEOUT', 60000);    
+    const instances = names.map(name => this.loadProviderInstance(name));
     
-    // IP refresh interval in milliseconds (default: 1 hour)
-    this.ipRefreshInterval = EnvironmentLoader.getInt('IP_REFRESH_INTERVAL', 3600000);
+    // Each zone can only be managed by one provider
+    const zones = new Set();
+    for (const { zone } of instances) {
+      if (zones.has(zone)) {
+        throw new Error(`Zone ${zone} is configured for more than one DNS provider`);
+      }
+      zones.add(zone);
+    }
     
-    // Schedule immediate IP update and then periodic refresh
-    this.updatePublicIPs().then(() => {
-      // Update A record defaults after IP discovery
-      this.recordDefaults.A.content = process.env.DNS_DEFAULT_A_CONTENT || this.ipCache.ipv4 || '';
-      this.recordDefaults.AAAA.content = process.env.DNS_DEFAULT_AAAA_CONTENT || this.ipCache.ipv6 || '';
-      logger.debug(`Updated A record defaults with IP: ${this.recordDefaults.A.content}`);
+    return instances;
+  }
+  
+  /**
+   * Load a provider instance from its DNS_PROVIDER_<NAME>_* variables
+   * @param {string} name - Instance name
+   * @returns {Object} - { name, type, zone, envPrefix, settings }
+   */
+  loadProviderInstance(name) {
+    const envPrefix = `DNS_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const type = EnvironmentLoader.getString(`${envPrefix}TYPE`, '').toLowerCase();
+    const settingDefinitions = PROVIDER_INSTANCE_SETTINGS[type];
+    
+    if (!type) {
+      throw new Error(`${envPrefix}TYPE environment variable is required for DNS provider '${name}'`);
+    }
+    
+    if (!settingDefinitions) {
+      throw new Error(`Unsupported DNS provider type for '${name}': ${type}`);
+    }
+    
+    const settings = {};
+    for (const { property, suffix, secret, required, defaultValue } of settingDefinitions) {
+      const envName = `${envPrefix}${suffix}`;
+      settings[property] = secret
+        ? EnvironmentLoader.getSecret(envName)
+        : EnvironmentLoader.getString(envName, defaultValue);
+      
+      if (required && !settings[property]) {
+        throw new Error(`${envName} environment variable is required for DNS provider '${name}' (${type})`);
+      }
+    }
+    
+    const zone = EnvironmentLoader.getString(`${envPrefix}ZONE`).toLowerCase();
+    
+    return { name, type, zone, envPrefix, settings };
+  }
+  
+  /**
+   * Load the provider records are migrated to, from MIGRATION_TARGET
+   * The target is configured like a DNS_PROVIDERS instance but is not listed
+   * there, and must serve the source provider's zone with another provider type
+   * @returns {Object|null} - Configuration for the target provider, or null when no migration is configured
+   */
+  loadMigrationTarget() {
+    if (!this.migrationTarget) {
+      return null;
+    }
+    
+    const source = this.providerConfigs.find(providerConfig => providerConfig.providerName === this.migrationSource);
+    
+    if (!source) {
+      throw new Error(`MIGRATION_SOURCE ${this.migrationSource} is not a configured DNS provider`);
+    }
+    
+    if (this.providerConfigs.some(providerConfig => providerConfig.providerName === this.migrationTarget)) {
+      throw new Error(`MIGRATION_TARGET ${this.migrationTarget} must not be listed in DNS_PROVIDERS`);
+    }
+    
+    const instance = this.loadProviderInstance(this.migrationTarget);
+    const sourceZone = source.getProviderDomain().toLowerCase();
+    
+    if (instance.zone !== sourceZone) {
+      throw new Error(`MIGRATION_TARGET ${instance.name} serves ${instance.zone}, but ${source.providerName} serves ${sourceZone}`);
+    }
+    
+    // Tracked records are keyed by provider type and zone
+    if (instance.type === source.dnsProvider) {
+      throw new Error(`MIGRATION_TARGET ${instance.name} must use another provider type than ${source.providerName} (${instance.type})`);
+    }
+    
+    return this.createProviderView(instance);
+  }
+  
+  /**
+   * Load Traefik instances from TRAEFIK_INSTANCES
+   * Each instance is configured with TRAEFIK_INSTANCE_<NAME>_API_URL, optional
+   * credentials and optional record defaults for the hostnames it routes,
+   * e.g. TRAEFIK_INSTANCE_<NAME>_CONTENT
+   * @returns {Array<Object>} - Traefik instances, a single default instance
+   *   from TRAEFIK_API_URL when TRAEFIK_INSTANCES is not set
+   */
+  loadTraefikInstances() {
+    const names = EnvironmentLoader.getString('TRAEFIK_INSTANCES', '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+    
+    if (names.length === 0) {
+      return [{
+        name: 'default',
+        apiUrl: this.traefikApiUrl,
+        username: this.traefikApiUsername,
+        password: this.traefikApiPassword,
+        content: null,
+        proxied: null
+      }];
+    }
+    
+    const envPrefixes = new Set();
+    
+    return names.map(name => {
+      const envPrefix = `TRAEFIK_INSTANCE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      
+      if (envPrefixes.has(envPrefix)) {
+        throw new Error(`Traefik instance '${name}' is configured more than once`);
+      }
+      envPrefixes.add(envPrefix);
+      
+      const apiUrl = EnvironmentLoader.getString(`${envPrefix}API_URL`);
+      if (!apiUrl) {
+        throw new Error(`${envPrefix}API_URL environment variable is required for Traefik instance '${name}'`);
+      }
+      
+      return {
+        name,
+        apiUrl,
+        username: EnvironmentLoader.getString(`${envPrefix}USERNAME`),
+        password: EnvironmentLoader.getSecret(`${envPrefix}PASSWORD`),
+        content: EnvironmentLoader.getString(`${envPrefix}CONTENT`) || null,
+        proxied: EnvironmentLoader.getBool(`${envPrefix}PROXIED`, null)
+      };
     });
-
-    // Set up periodic IP refresh
-    if (this.ipRefreshInterval > 0) {
-      setInterval(() => this.updatePublicIPs(), this.ipRefreshInterval);
+  }
+  
+  /**
+   * Load entrypoint record defaults from TRAEFIK_ENTRYPOINTS
+   * Each entrypoint is configured with TRAEFIK_ENTRYPOINT_<NAME>_TYPE, _CONTENT,
+   * _PROXIED and _TTL, all optional. The order of TRAEFIK_ENTRYPOINTS decides
+   * which entrypoint applies to a router that listens on several of them.
+   * @returns {Array<Object>} - Entrypoint record defaults
+   */
+  loadTraefikEntryPoints() {
+    const names = EnvironmentLoader.getString('TRAEFIK_ENTRYPOINTS', '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+    
+    return names.map(name => {
+      const envPrefix = `TRAEFIK_ENTRYPOINT_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      const type = EnvironmentLoader.getString(`${envPrefix}TYPE`, '').toUpperCase() || null;
+      
+      if (type && !RECORD_TYPES.includes(type)) {
+        throw new Error(`Unsupported ${envPrefix}TYPE: ${type} (expected one of ${RECORD_TYPES.join(', ')})`);
+      }
+      
+      return {
+        name,
+        type,
+        content: EnvironmentLoader.getString(`${envPrefix}CONTENT`) || null,
+        proxied: EnvironmentLoader.getBool(`${envPrefix}PROXIED`, null),
+        ttl: EnvironmentLoader.getInt(`${envPrefix}TTL`, null)
+      };
+    });
+  }
+  
+  /**
+   * Load public IP source definitions from IP_SOURCES
+   * Each source is configured with IP_SOURCE_<NAME>_TYPE and the settings of
+   * its type, e.g. IP_SOURCE_<NAME>_URL and IP_SOURCE_<NAME>_REGEX for http
+   * @returns {Array<Object>} - Source definitions
+   */
+  loadIpSources() {
+    const names = EnvironmentLoader.getString('IP_SOURCES', '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name.length > 0);
+    
+    return names.map(name => {
+      const envPrefix = `IP_SOURCE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      const type = EnvironmentLoader.getString(`${envPrefix}TYPE`, '').toLowerCase();
+      
+      if (!type) {
+        throw new Error(`${envPrefix}TYPE environment variable is required for IP source '${name}'`);
+      }
+      
+      const source = { name, type };
+      const settings = {
+        url: EnvironmentLoader.getString(`${envPrefix}URL`),
+        regex: EnvironmentLoader.getString(`${envPrefix}REGEX`),
+        jsonPath: EnvironmentLoader.getString(`${envPrefix}JSON_PATH`),
+        interface: EnvironmentLoader.getString(`${envPrefix}INTERFACE`),
+        hostname: EnvironmentLoader.getString(`${envPrefix}HOSTNAME`),
+        resolver: EnvironmentLoader.getString(`${envPrefix}RESOLVER`),
+        recordType: EnvironmentLoader.getString(`${envPrefix}RECORD_TYPE`),
+        gateway: EnvironmentLoader.getString(`${envPrefix}GATEWAY`),
+        port: EnvironmentLoader.getInt(`${envPrefix}PORT`, null),
+        value: EnvironmentLoader.getString(`${envPrefix}VALUE`),
+        timeout: EnvironmentLoader.getInt(`${envPrefix}TIMEOUT`, null)
+      };
+      
+      for (const [key, value] of Object.entries(settings)) {
+        if (value !== undefined && value !== null && value !== '') {
+          source[key] = value;
+        }
+      }
+      
+      return source;
+    });
+  }
+  
+  /**
+   * Load the names of the IP sources asked for an address family
+   * @param {string} name - Environment variable with comma-separated source names
+   * @param {string} defaultValue - Sources used when the variable is not set
+   * @returns {Array<string>} - Source names in order
+   */
+  loadIpSourceChain(name, defaultValue) {
+    const sources = EnvironmentLoader.getString(name, defaultValue)
+      .split(',')
+      .map(source => source.trim())
+      .filter(source => source.length > 0);
+    
+    if (sources.length === 0) {
+      throw new Error(`${name} must name at least one IP source`);
+    }
+    
+    return sources;
+  }
+  
+  /**
+   * Get the record defaults for a router's entrypoints as labels
+   * They apply above Traefik instance defaults and below host overrides and container labels
+   * @param {string} entryPoints - Comma-separated entrypoints the hostname is routed on
+   * @returns {Object} - Generic DNS labels of the first configured entrypoint
+   *   the hostname is routed on, empty when none is configured
+   */
+  getEntryPointLabels(entryPoints) {
+    const routed = (entryPoints || '').split(',');
+    const entryPoint = (this.traefikEntryPoints || []).find(candidate => routed.includes(candidate.name));
+    const labels = {};
+    
+    if (!entryPoint) {
+      return labels;
+    }
+    
+    for (const key of ['type', 'content', 'proxied', 'ttl']) {
+      if (entryPoint[key] !== null) {
+        labels[`${this.genericLabelPrefix}${key}`] = String(entryPoint[key]);
+      }
+    }
+    
+    return labels;
+  }
+  
+  /**
+   * Get the record defaults of a Traefik instance as labels
+   * They apply below host overrides and container labels
+   * @param {string} name - Traefik instance name
+   * @returns {Object} - Generic DNS labels, empty for an unknown instance
+   */
+  getTraefikInstanceLabels(name) {
+    const instance = (this.traefikInstances || []).find(candidate => candidate.name === name);
+    const labels = {};
+    
+    if (instance && instance.content) {
+      labels[`${this.genericLabelPrefix}content`] = instance.content;
     }
+    if (instance && instance.proxied !== null) {
+      labels[`${this.genericLabelPrefix}proxied`] = String(instance.proxied);
+    }
+    
+    return labels;
+  }
+  
+  /**
+   * Create a configuration view for a provider instance
+   * The view inherits all settings from this configuration and overrides
+   * the provider type, credentials, zone, label prefix and record defaults
+   * @param {Object} instance - Provider instance from loadProviderInstances
+   * @returns {Object} - Configuration for the provider instance
+   */
+  createProviderView(instance) {
+    const view = Object.create(this);
+    
+    view.providerName = instance.name;
+    view.dnsProvider = instance.type;
+    Object.assign(view, instance.settings);
+    
+    view.dnsLabelPrefix = `${this.genericLabelPrefix}${instance.type}.`;
+    view.defaultTTL = EnvironmentLoader.getInt(`${instance.envPrefix}TTL`,
+      EnvironmentLoader.getInt('DNS_DEFAULT_TTL', getProviderDefaultTTL(instance.type)));
+    view.defaultContent = EnvironmentLoader.getString('DNS_DEFAULT_CONTENT', view.getProviderDomain());
+    view.recordDefaults = view.buildRecordDefaults();
+    
+    // IP lookups share the cache of the main configuration
+    for (const method of ['getPublicIP', 'getPublicIPSync', 'getPublicIPv6Sync', 'updatePublicIPs']) {
+      view[method] = this[method].bind(this);
+    }
+    
+    return view;
+  }
+  
+  /**
+   * Get the configuration for every active DNS provider
+   */
+  getProviderConfigs() {
+    return this.providerConfigs;
+  }
+  
+  /**
+   * Get the settings a provider is created with, serialised
+   * The provider must be recreated when these change
+   * @param {Object} providerConfig - Configuration for the provider instance
+   * @returns {string} - Serialised provider settings
+   */
+  getProviderSignature(providerConfig) {
+    const settingDefinitions = PROVIDER_INSTANCE_SETTINGS[providerConfig.dnsProvider] || [];
+    
+    return JSON.stringify([
+      providerConfig.dnsProvider,
+      providerConfig.dryRun,
+      providerConfig.apiTimeout,
+      ...settingDefinitions.map(({ property }) => providerConfig[property])
+    ]);
   }
   
   /**
@@ -234,6 +873,26 @@ class ConfigManager {
     }
   }
   
+  /**
+   * Get the per-host overrides for a hostname as generic DNS labels
+   * @param {string} hostname - Fully qualified hostname
+   * @returns {Object} - Labels, empty if the hostname has no overrides
+   */
+  getHostOverrideLabels(hostname) {
+    const overrides = this.hostOverrides[hostname.toLowerCase().replace(/\.$/, '')];
+    const labels = {};
+    
+    for (const [key, value] of Object.entries(overrides || {})) {
+      if (key === 'manage') {
+        labels[`${this.genericLabelPrefix}${value ? 'manage' : 'skip'}`] = 'true';
+      } else {
+        labels[`${this.genericLabelPrefix}${key}`] = String(value);
+      }
+    }
+    
+    return labels;
+  }
+  
   /**
    * Get defaults for a specific record type
    */
@@ -268,6 +927,38 @@ class ConfigManager {
     return this.ipCache?.ipv6 || null;
   }
   
+  /**
+   * Get the address of dual-stack AAAA records
+   * DNS_DEFAULT_AAAA_CONTENT takes precedence over the discovered public IPv6 address.
+   * Reads the cache only, so hosts without IPv6 do not trigger a lookup per record
+   * @returns {string|null} - IPv6 address, or null without IPv6 connectivity
+   */
+  getDualStackIPv6() {
+    const content = EnvironmentLoader.getString('DNS_DEFAULT_AAAA_CONTENT');
+    
+    if (content && isIPv6Suffix(content)) {
+      return this.resolveIPv6Suffix(content);
+    }
+    
+    return content || this.ipCache?.ipv6 || null;
+  }
+  
+  /**
+   * Combine an IPv6 host suffix with the current delegated prefix
+   * Reads the cache only, like getDualStackIPv6
+   * @param {string} content - Host suffix, e.g. ::1:2:3:4/64
+   * @returns {string|null} - IPv6 address, or null while no prefix is known
+   */
+  resolveIPv6Suffix(content) {
+    const parsed = parseIPv6Suffix(content);
+    if (parsed) {
+      this.ipv6SuffixPrefixLength = Math.max(this.ipv6SuffixPrefixLength, parsed.prefixLength);
+    }
+    
+    const prefixAddress = this.ipCache?.ipv6Prefix || this.ipCache?.ipv6;
+    return prefixAddress ? applyIPv6Prefix(prefixAddress, content) : null;
+  }
+  
   /**
    * Get public IP address asynchronously
    * Returns a promise that resolves to the public IP
@@ -309,36 +1000,60 @@ class ConfigManager {
       // Remember old IPs to detect changes
       const oldIpv4 = this.ipCache.ipv4;
       const oldIpv6 = this.ipCache.ipv6;
+      const oldIpv6Prefix = this.ipCache.ipv6Prefix || oldIpv6;
       
       // Use environment variables if provided, otherwise fetch from IP service
-      let ipv4 = process.env.PUBLIC_IP;
-      let ipv6 = process.env.PUBLIC_IPV6;
+      let ipv4 = EnvironmentLoader.getString('PUBLIC_IP');
+      let ipv6 = EnvironmentLoader.getString('PUBLIC_IPV6');
       
-      // If IP not set via environment, fetch from service
+      // If IP not set via environment, ask the configured IP sources
       if (!ipv4) {
-        try {
-          // First try ipify.org
-          const response = await axios.get('https://api.ipify.org', { timeout: 5000 });
-          ipv4 = response.data;
-        } catch (error) {
-          // Fallback to ifconfig.me if ipify fails
-          try {
-            const response = await axios.get('https://ifconfig.me/ip', { timeout: 5000 });
-            ipv4 = response.data;
-          } catch (fallbackError) {
-            logger.error(`Failed to fetch public IPv4 address: ${fallbackError.message}`);
-          }
+        ipv4 = await this.ipDiscovery.lookup('ipv4');
+        
+        if (!ipv4) {
+          logger.error(`Failed to fetch public IPv4 address from IP sources: ${this.ipv4Sources.join(', ')}`);
         }
       }
       
       // Try to get IPv6 if not set in environment
       if (!ipv6) {
-        try {
-          const response = await axios.get('https://api6.ipify.org', { timeout: 5000 });
-          ipv6 = response.data;
-        } catch (error) {
+        ipv6 = await this.ipDiscovery.lookup('ipv6');
+        
+        if (ipv6) {
+          this.ipv6LookupMisses = 0;
+        } else {
           // IPv6 fetch failure is not critical, just log it
           logger.debug('Failed to fetch public IPv6 address (this is normal if you don\'t have IPv6)');
+          this.ipv6LookupMisses++;
+        }
+      }
+      
+      // The delegated prefix comes from the public IPv6 address unless it has its own sources
+      let ipv6Prefix = null;
+      if (this.ipv6PrefixSources.length > 0) {
+        ipv6Prefix = await this.ipDiscovery.lookup('ipv6Prefix');
+        
+        if (!ipv6Prefix && this.ipCache.ipv6Prefix) {
+          logger.warn(`Failed to look up the IPv6 prefix address, keeping ${this.ipCache.ipv6Prefix}`);
+          ipv6Prefix = this.ipCache.ipv6Prefix;
+        }
+      }
+      
+      // Keep the last known IPv4 address when the lookup fails, so a brief outage
+      // neither empties the A record defaults nor hides the next change
+      if (!ipv4 && oldIpv4) {
+        logger.warn(`Keeping last known public IPv4 address ${oldIpv4}`);
+        ipv4 = oldIpv4;
+      }
+      
+      // IPv6 is only treated as gone after several failed lookups in a row,
+      // since losing it removes every dual-stack AAAA record
+      if (!ipv6 && oldIpv6) {
+        if (this.ipv6LookupMisses < IPV6_LOOKUP_MISSES_BEFORE_LOSS) {
+          logger.warn(`Keeping last known public IPv6 address ${oldIpv6} (failed lookup ${this.ipv6LookupMisses} of ${IPV6_LOOKUP_MISSES_BEFORE_LOSS})`);
+          ipv6 = oldIpv6;
+        } else {
+          logger.warn(`Public IPv6 address ${oldIpv6} not found in ${this.ipv6LookupMisses} lookups in a row, treating IPv6 as unavailable`);
         }
       }
       
@@ -346,6 +1061,7 @@ class ConfigManager {
       this.ipCache = {
         ipv4: ipv4,
         ipv6: ipv6,
+        ipv6Prefix: ipv6Prefix,
         lastCheck: Date.now()
       };
       
@@ -359,6 +1075,32 @@ class ConfigManager {
         logger.debug(`Public IPv6: ${ipv6}`);
       }
       
+      // A change from one known address to another moves every record that used it
+      const ipv4Changed = !!(oldIpv4 && ipv4 && ipv4 !== oldIpv4);
+      const ipv6Changed = !!(oldIpv6 && ipv6 && ipv6 !== oldIpv6);
+      
+      // Records written as an IPv6 host suffix follow the delegated prefix. Only the
+      // bits the suffixes take from it are compared, so a new interface identifier,
+      // e.g. a rotated privacy address, leaves those records alone
+      const newIpv6Prefix = ipv6Prefix || ipv6;
+      const ipv6PrefixChanged = !!(oldIpv6Prefix && newIpv6Prefix && this.ipv6SuffixPrefixLength > 0 &&
+        !isSamePrefix(oldIpv6Prefix, newIpv6Prefix, this.ipv6SuffixPrefixLength));
+      
+      if (ipv4Changed || ipv6Changed || ipv6PrefixChanged) {
+        this.updateIpRecordDefaults();
+        
+        if (this.eventBus) {
+          this.eventBus.publish(EventTypes.IP_UPDATED, {
+            ipv4,
+            ipv6,
+            previousIpv4: ipv4Changed ? oldIpv4 : null,
+            previousIpv6: ipv6Changed ? oldIpv6 : null,
+            ipv6Prefix: newIpv6Prefix,
+            previousIpv6Prefix: ipv6PrefixChanged ? oldIpv6Prefix : null
+          });
+        }
+      }
+      
       return this.ipCache;
     } catch (error) {
       logger.error(`Error updating public IPs: ${error.message}`);
@@ -1,8 +1,26 @@
 /**
  * Environment variable loader
  * Handles loading and validating environment variables
+ * Values from the configuration file are used when a variable is not set
  */
 class EnvironmentLoader {
+    /**
+     * Use values from the configuration file as fallbacks
+     * @param {Object} values - Environment variable names mapped to string values
+     */
+    static setFileValues(values) {
+      this.fileValues = values || {};
+    }
+    
+    /**
+     * Check whether an environment variable is set in the environment itself,
+     * ignoring the configuration file
+     * @param {string} name - Environment variable name
+     */
+    static isSetInEnvironment(name) {
+      return process.env[name] !== undefined;
+    }
+    
     /**
      * Get environment variable with type conversion
      * @param {string} name - Environment variable name
@@ -11,7 +29,7 @@ class EnvironmentLoader {
      * @returns {*} The environment variable value
      */
     static get(name, defaultValue, converter = null) {
-      const value = process.env[name];
+      const value = process.env[name] !== undefined ? process.env[name] : this.fileValues[name];
       
       if (value === undefined) {
         return defaultValue;
@@ -89,7 +107,7 @@ class EnvironmentLoader {
      * @throws {Error} If the variable is not set
      */
     static getRequired(name) {
-      const value = process.env[name];
+      const value = this.get(name, undefined);
       
       if (value === undefined) {
         throw new Error(`Required environment variable ${name} is not set`);
@@ -99,4 +117,7 @@ class EnvironmentLoader {
     }
   }
   
+  // No configuration file values until one is loaded
+  EnvironmentLoader.fileValues = {};
+  
   module.exports = EnvironmentLoader;
\ No newline at end of file
@@ -0,0 +1,404 @@
+/**
+ * Configuration file schema
+ * Describes the structure of trafegodns.yml and validates parsed files against it
+ *
+ * Each setting may name the environment variable it corresponds to with `env`,
+ * so file values can be used as fallbacks when the variable is not set
+ */
+
+const PROVIDER_TYPES = ['cloudflare', 'digitalocean', 'route53', 'technitium'];
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA'];
+const LOG_LEVELS = ['ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'];
+const IP_SOURCE_TYPES = ['http', 'dns', 'interface', 'upnp', 'natpmp', 'static'];
+
+// Fields that can be set for a single DNS record
+const RECORD_FIELDS = {
+  type: { type: 'string', enum: RECORD_TYPES },
+  content: { type: 'string' },
+  ttl: { type: 'integer', minimum: 1 },
+  proxied: { type: 'boolean' },
+  priority: { type: 'integer', minimum: 0 },
+  weight: { type: 'integer', minimum: 0 },
+  port: { type: 'integer', minimum: 0, maximum: 65535 },
+  flags: { type: 'integer', minimum: 0, maximum: 255 },
+  tag: { type: 'string', enum: ['issue', 'issuewild', 'iodef'] }
+};
+
+/**
+ * Build the schema for the defaults of one record type
+ * @param {string} recordType - DNS record type
+ * @param {Array<string>} fields - Fields that have a default for this type
+ */
+function recordDefaults(recordType, fields) {
+  const properties = {};
+  for (const field of fields) {
+    properties[field] = { ...RECORD_FIELDS[field], env: `DNS_DEFAULT_${recordType}_${field.toUpperCase()}` };
+  }
+  return { type: 'object', properties };
+}
+
+// Provider instance settings, mapped to DNS_PROVIDER_<NAME>_<SUFFIX>
+const PROVIDER = {
+  type: 'object',
+  required: ['name', 'type', 'zone'],
+  properties: {
+    name: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, patternDescription: 'letters, digits, - and _' },
+    type: { type: 'string', enum: PROVIDER_TYPES, suffix: 'TYPE' },
+    zone: { type: 'string', suffix: 'ZONE' },
+    token: { type: 'string', suffix: 'TOKEN' },
+    accessKey: { type: 'string', suffix: 'ACCESS_KEY' },
+    secretKey: { type: 'string', suffix: 'SECRET_KEY' },
+    zoneId: { type: 'string', suffix: 'ZONE_ID' },
+    region: { type: 'string', suffix: 'REGION' },
+    url: { type: 'string', suffix: 'URL' },
+    ttl: { type: 'integer', minimum: 1, suffix: 'TTL' }
+  }
+};
+
+// Traefik instance settings, mapped to TRAEFIK_INSTANCE_<NAME>_<SUFFIX>
+const TRAEFIK_INSTANCE = {
+  type: 'object',
+  required: ['name', 'apiUrl'],
+  properties: {
+    name: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, patternDescription: 'letters, digits, - and _' },
+    apiUrl: { type: 'string', suffix: 'API_URL' },
+    username: { type: 'string', suffix: 'USERNAME' },
+    password: { type: 'string', suffix: 'PASSWORD' },
+    content: { type: 'string', suffix: 'CONTENT' },
+    proxied: { type: 'boolean', suffix: 'PROXIED' }
+  }
+};
+
+// Record defaults for hostnames on a Traefik entrypoint, mapped to TRAEFIK_ENTRYPOINT_<NAME>_<SUFFIX>
+const TRAEFIK_ENTRYPOINT = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, patternDescription: 'letters, digits, - and _' },
+    type: { type: 'string', enum: RECORD_TYPES, suffix: 'TYPE' },
+    content: { type: 'string', suffix: 'CONTENT' },
+    proxied: { type: 'boolean', suffix: 'PROXIED' },
+    ttl: { type: 'integer', minimum: 1, suffix: 'TTL' }
+  }
+};
+
+// Public IP source settings, mapped to IP_SOURCE_<NAME>_<SUFFIX>
+const IP_SOURCE = {
+  type: 'object',
+  required: ['name', 'type'],
+  properties: {
+    name: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, patternDescription: 'letters, digits, - and _' },
+    type: { type: 'string', enum: IP_SOURCE_TYPES, suffix: 'TYPE' },
+    url: { type: 'string', suffix: 'URL' },
+    regex: { type: 'string', suffix: 'REGEX' },
+    jsonPath: { type: 'string', suffix: 'JSON_PATH' },
+    interface: { type: 'string', suffix: 'INTERFACE' },
+    hostname: { type: 'string', suffix: 'HOSTNAME' },
+    resolver: { type: 'string', suffix: 'RESOLVER' },
+    recordType: { type: 'string', enum: ['A', 'AAAA', 'TXT'], suffix: 'RECORD_TYPE' },
+    gateway: { type: 'string', suffix: 'GATEWAY' },
+    port: { type: 'integer', minimum: 1, maximum: 65535, suffix: 'PORT' },
+    value: { type: 'string', suffix: 'VALUE' },
+    timeout: { type: 'integer', minimum: 1, suffix: 'TIMEOUT' }
+  }
+};
+
+const MANAGED_HOSTNAME = {
+  type: 'object',
+  required: ['hostname', 'type'],
+  properties: {
+    hostname: { type: 'string' },
+    ...RECORD_FIELDS
+  }
+};
+
+const HOST_OVERRIDE = {
+  type: 'object',
+  properties: {
+    manage: { type: 'boolean' },
+    multivalue: { type: 'boolean' },
+    dualstack: { type: 'boolean' },
+    ...RECORD_FIELDS
+  }
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    operationMode: { type: 'string', enum: ['traefik', 'direct', 'kubernetes'], env: 'OPERATION_MODE' },
+    logLevel: { type: 'string', enum: LOG_LEVELS, env: 'LOG_LEVEL' },
+    dryRun: { type: 'boolean', env: 'DRY_RUN' },
+    pollInterval: { type: 'integer', minimum: 1000, env: 'POLL_INTERVAL' },
+    watchDockerEvents: { type: 'boolean', env: 'WATCH_DOCKER_EVENTS' },
+    dockerSocket: { type: 'string', env: 'DOCKER_SOCKET' },
+    dockerSwarm: { type: 'string', enum: ['auto', 'true', 'false'], booleans: true, env: 'DOCKER_SWARM' },
+    labelPrefix: { type: 'string', env: 'DNS_LABEL_PREFIX' },
+    publicIp: { type: 'string', env: 'PUBLIC_IP' },
+    publicIpv6: { type: 'string', env: 'PUBLIC_IPV6' },
+    ipRefreshInterval: { type: 'integer', minimum: 0, env: 'IP_REFRESH_INTERVAL' },
+    ipDiscovery: {
+      type: 'object',
+      properties: {
+        sources: { type: 'array', items: IP_SOURCE },
+        ipv4: {
+          type: 'object',
+          properties: {
+            sources: { type: 'array', minItems: 1, items: { type: 'string' }, env: 'PUBLIC_IP_SOURCES' },
+            quorum: { type: 'integer', minimum: 1, env: 'PUBLIC_IP_QUORUM' }
+          }
+        },
+        ipv6: {
+          type: 'object',
+          properties: {
+            sources: { type: 'array', minItems: 1, items: { type: 'string' }, env: 'PUBLIC_IPV6_SOURCES' },
+            quorum: { type: 'integer', minimum: 1, env: 'PUBLIC_IPV6_QUORUM' }
+          }
+        },
+        ipv6Prefix: {
+          type: 'object',
+          properties: {
+            sources: { type: 'array', items: { type: 'string' }, env: 'IPV6_PREFIX_SOURCES' }
+          }
+        }
+      }
+    },
+    cacheRefreshInterval: { type: 'integer', minimum: 0, env: 'DNS_CACHE_REFRESH_INTERVAL' },
+    apiTimeout: { type: 'integer', minimum: 1, env: 'API_TIMEOUT' },
+    traefik: {
+      type: 'object',
+      properties: {
+        apiUrl: { type: 'string', env: 'TRAEFIK_API_URL' },
+        username: { type: 'string', env: 'TRAEFIK_API_USERNAME' },
+        password: { type: 'string', env: 'TRAEFIK_API_PASSWORD' },
+        labelPrefix: { type: 'string', env: 'TRAEFIK_LABEL_PREFIX' },
+        instances: { type: 'array', minItems: 1, items: TRAEFIK_INSTANCE },
+        entrypoints: { type: 'array', items: TRAEFIK_ENTRYPOINT }
+      }
+    },
+    kubernetes: {
+      type: 'object',
+      properties: {
+        apiUrl: { type: 'string', env: 'KUBERNETES_API_URL' },
+        token: { type: 'string', env: 'KUBERNETES_TOKEN' },
+        namespace: { type: 'string', env: 'KUBERNETES_NAMESPACE' },
+        resources: { type: 'array', items: { type: 'string', enum: ['ingress', 'ingressroute'] }, env: 'KUBERNETES_RESOURCES' },
+        watch: { type: 'boolean', env: 'KUBERNETES_WATCH' }
+      }
+    },
+    providers: { type: 'array', minItems: 1, items: PROVIDER },
+    defaults: {
+      type: 'object',
+      properties: {
+        type: { ...RECORD_FIELDS.type, env: 'DNS_DEFAULT_TYPE' },
+        content: { type: 'string', env: 'DNS_DEFAULT_CONTENT' },
+        proxied: { type: 'boolean', env: 'DNS_DEFAULT_PROXIED' },
+        ttl: { type: 'integer', minimum: 1, env: 'DNS_DEFAULT_TTL' },
+        manage: { type: 'boolean', env: 'DNS_DEFAULT_MANAGE' },
+        dualstack: { type: 'boolean', env: 'DNS_DEFAULT_DUALSTACK' },
+        records: {
+          type: 'object',
+          properties: {
+            A: recordDefaults('A', ['content', 'proxied', 'ttl']),
+            AAAA: recordDefaults('AAAA', ['content', 'proxied', 'ttl']),
+            CNAME: recordDefaults('CNAME', ['content', 'proxied', 'ttl']),
+            MX: recordDefaults('MX', ['content', 'priority', 'ttl']),
+            TXT: recordDefaults('TXT', ['content', 'ttl']),
+            SRV: recordDefaults('SRV', ['content', 'priority', 'weight', 'port', 'ttl']),
+            CAA: recordDefaults('CAA', ['content', 'flags', 'tag', 'ttl'])
+          }
+        }
+      }
+    },
+    cleanup: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', env: 'CLEANUP_ORPHANED' },
+        gracePeriod: { type: 'integer', minimum: 0, env: 'CLEANUP_GRACE_PERIOD' }
+      }
+    },
+    registry: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['none', 'txt'], env: 'DNS_REGISTRY' },
+        ownerId: { type: 'string', pattern: /^[A-Za-z0-9_.-]+$/, patternDescription: 'letters, digits, ., - and _', env: 'DNS_REGISTRY_OWNER_ID' },
+        prefix: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, patternDescription: 'letters, digits, - and _', env: 'DNS_REGISTRY_PREFIX' }
+      }
+    },
+    adoption: {
+      type: 'object',
+      properties: {
+        policy: { type: 'string', enum: ['never', 'active', 'list'], env: 'ADOPTION_POLICY' },
+        hostnames: { type: 'array', items: { type: 'string' }, env: 'ADOPTION_HOSTNAMES' }
+      }
+    },
+    preservedHostnames: { type: 'array', items: { type: 'string' }, env: 'PRESERVED_HOSTNAMES' },
+    managedHostnames: { type: 'array', items: MANAGED_HOSTNAME },
+    hosts: { type: 'object', additionalProperties: HOST_OVERRIDE },
+    api: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', env: 'API_ENABLED' },
+        port: { type: 'integer', minimum: 1, maximum: 65535, env: 'API_PORT' },
+        host: { type: 'string', env: 'API_HOST' },
+        token: { type: 'string', env: 'API_TOKEN' }
+      }
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', env: 'METRICS_ENABLED' }
+      }
+    },
+    health: {
+      type: 'object',
+      properties: {
+        maxMissedPolls: { type: 'integer', minimum: 1, env: 'HEALTH_MAX_MISSED_POLLS' },
+        dockerDisconnectTimeout: { type: 'integer', minimum: 0, env: 'HEALTH_DOCKER_DISCONNECT_TIMEOUT' },
+        maxProviderFailures: { type: 'integer', minimum: 1, env: 'HEALTH_MAX_PROVIDER_FAILURES' }
+      }
+    },
+    audit: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', env: 'AUDIT_LOG_ENABLED' },
+        file: { type: 'string', env: 'AUDIT_LOG_FILE' },
+        maxSize: { type: 'integer', minimum: 1024, env: 'AUDIT_LOG_MAX_SIZE' },
+        maxFiles: { type: 'integer', minimum: 0, env: 'AUDIT_LOG_MAX_FILES' }
+      }
+    },
+    snapshots: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', env: 'SNAPSHOT_ENABLED' },
+        dir: { type: 'string', env: 'SNAPSHOT_DIR' },
+        interval: { type: 'integer', minimum: 0, env: 'SNAPSHOT_INTERVAL' },
+        retention: { type: 'integer', minimum: 1, env: 'SNAPSHOT_RETENTION' }
+      }
+    },
+    migration: {
+      type: 'object',
+      required: ['target'],
+      properties: {
+        source: { type: 'string', env: 'MIGRATION_SOURCE' },
+        target: PROVIDER
+      }
+    }
+  }
+};
+
+/**
+ * Join a property name onto a setting path
+ */
+function joinPath(path, key) {
+  if (!path) {
+    return key;
+  }
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${path}.${key}` : `${path}["${key}"]`;
+}
+
+/**
+ * Describe the type of a parsed value for error messages
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Parsed value
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value within the file
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {Array<string>} - Error messages, each prefixed with the setting path
+ */
+function validate(value, schema, path = '', errors = []) {
+  const location = path || '(root)';
+
+  switch (schema.type) {
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${location}: expected an object but got ${describeType(value)}`);
+        return errors;
+      }
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${joinPath(path, key)}: is required`);
+        }
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties ? schema.properties[key] : schema.additionalProperties;
+
+        if (!childSchema) {
+          const known = Object.keys(schema.properties).join(', ');
+          errors.push(`${joinPath(path, key)}: unknown setting (expected one of ${known})`);
+        } else if (child !== null && child !== undefined) {
+          validate(child, childSchema, joinPath(path, key), errors);
+        }
+      }
+      return errors;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${location}: expected an array but got ${describeType(value)}`);
+        return errors;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${location}: must contain at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, errors));
+      return errors;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${location}: expected an integer but got ${describeType(value)} ${JSON.stringify(value)}`);
+        return errors;
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${location}: must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${location}: must be at most ${schema.maximum}`);
+      }
+      return errors;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${location}: expected true or false but got ${describeType(value)} ${JSON.stringify(value)}`);
+      }
+      return errors;
+
+    case 'string':
+      // Numbers are accepted where a string is expected, e.g. a TXT value or an IP written without quotes,
+      // and true or false where the enum offers them next to other values, e.g. auto
+      if (typeof value !== 'string' && typeof value !== 'number' && !(schema.booleans && typeof value === 'boolean')) {
+        errors.push(`${location}: expected a string but got ${describeType(value)}`);
+        return errors;
+      }
+      if (schema.enum && !schema.enum.includes(String(value))) {
+        errors.push(`${location}: must be one of ${schema.enum.join(', ')} but got ${JSON.stringify(value)}`);
+      }
+      if (schema.pattern && !schema.pattern.test(String(value))) {
+        errors.push(`${location}: may only contain ${schema.patternDescription}`);
+      }
+      return errors;
+
+    default:
+      throw new Error(`Unknown schema type for ${location}: ${schema.type}`);
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  PROVIDER_TYPES,
+  RECORD_TYPES,
+  validate
+};
@@ -4,8 +4,10 @@
  */
 const ConfigManager = require('./ConfigManager');
 const EnvironmentLoader = require('./EnvironmentLoader');
+const ConfigFile = require('./ConfigFile');
 
 module.exports = {
   ConfigManager,
-  EnvironmentLoader
+  EnvironmentLoader,
+  ConfigFile
 };
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Reasons attached to DNS record change events
+ */
+module.exports = {
+    // A router, container or Kubernetes resource started using the hostname
+    NEW_ROUTER: 'new-router',
+    // The labels, defaults or overrides of an existing hostname changed
+    LABEL_CHANGE: 'label-change',
+    CONFIG_RELOAD: 'config-reload',
+    IP_CHANGE: 'ip-change',
+    MANAGED_HOSTNAME: 'managed-hostname',
+    ORPHAN_CLEANUP: 'orphan-cleanup',
+    // A dual-stack AAAA record is no longer wanted
+    DUAL_STACK: 'dual-stack',
+    // A zone was restored from a snapshot
+    RESTORE: 'restore',
+    // A record was copied to or removed by a provider migration
+    MIGRATION: 'migration',
+    // An existing record was adopted into tracking
+    ADOPTION: 'adoption'
+  };
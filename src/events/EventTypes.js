@@ -21,7 +21,9 @@ module.exports = {
     DNS_RECORD_CREATED: 'dns:record:created',
     DNS_RECORD_UPDATED: 'dns:record:updated', 
     DNS_RECORD_DELETED: 'dns:record:deleted',
+    DNS_RECORD_ADOPTED: 'dns:record:adopted',
     DNS_CACHE_REFRESHED: 'dns:cache:refreshed',
+    DNS_PROVIDER_REQUEST: 'dns:provider:request',
     
     // Status events
     STATUS_UPDATE: 'status:update',
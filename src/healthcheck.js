@@ -0,0 +1,55 @@
+/**
+ * Health probe for Docker HEALTHCHECK and orchestrators
+ * Exits 0 when the application reports healthy, 1 otherwise, including when it cannot be reached
+ * With the management API disabled, the health endpoints are served on 127.0.0.1:API_PORT
+ */
+const http = require('http');
+const { EnvironmentLoader, ConfigFile } = require('./config');
+
+const PROBE_TIMEOUT = 5000;
+
+function probe() {
+  // API settings may come from the configuration file
+  try {
+    EnvironmentLoader.setFileValues(ConfigFile.load().toEnvironment());
+  } catch (error) {
+    console.error(`Health check failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  const port = EnvironmentLoader.getInt('API_PORT', 3000);
+  const apiEnabled = EnvironmentLoader.getBool('API_ENABLED', false);
+  const configuredHost = apiEnabled ? EnvironmentLoader.getString('API_HOST', '0.0.0.0') : '127.0.0.1';
+
+  // Wildcard bind addresses are reachable on loopback
+  const host = ['0.0.0.0', '::', ''].includes(configuredHost) ? '127.0.0.1' : configuredHost;
+
+  // Probe /readyz with --ready, /healthz otherwise
+  const path = process.argv.includes('--ready') ? '/readyz' : '/healthz';
+
+  const request = http.get({ host, port, path, timeout: PROBE_TIMEOUT }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => {
+      if (res.statusCode === 200) {
+        process.exit(0);
+      }
+
+      console.error(`Health check failed (${res.statusCode}): ${body}`);
+      process.exit(1);
+    });
+  });
+
+  request.on('timeout', () => {
+    console.error(`Health check timed out after ${PROBE_TIMEOUT}ms`);
+    request.destroy();
+    process.exit(1);
+  });
+
+  request.on('error', (error) => {
+    console.error(`Health check failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+probe();
@@ -0,0 +1,160 @@
+/**
+ * Public IP discovery
+ * Looks up each address family through a chain of sources and only accepts
+ * an address once enough sources agree on it
+ */
+const logger = require('../utils/logger');
+const { BUILTIN_IP_SOURCES, createIpSource, parseAddress } = require('./sources');
+
+const FAMILY_LABELS = {
+  ipv4: 'IPv4',
+  ipv6: 'IPv6'
+};
+
+// Lookup chains with the family they look up and what they find
+const CHAINS = {
+  ipv4: { family: 'ipv4', label: 'public IPv4 address' },
+  ipv6: { family: 'ipv6', label: 'public IPv6 address' },
+  ipv6Prefix: { family: 'ipv6', label: 'IPv6 prefix address', optional: true }
+};
+
+class IpDiscovery {
+  /**
+   * @param {Object} settings - Discovery settings
+   * @param {Array<Object>} settings.sources - Defined sources, each with a name and type
+   * @param {Object} settings.ipv4 - { sources, quorum } for IPv4, sources being source names in order
+   * @param {Object} settings.ipv6 - { sources, quorum } for IPv6
+   * @param {Object} settings.ipv6Prefix - { sources, quorum } for the address the delegated
+   *   IPv6 prefix is taken from (optional, the public IPv6 address is used without it)
+   * @param {number} settings.timeout - Default lookup timeout in milliseconds
+   */
+  constructor(settings) {
+    this.chains = {};
+
+    for (const [chain, { family, optional }] of Object.entries(CHAINS)) {
+      if (optional && !(settings[chain]?.sources?.length > 0)) {
+        continue;
+      }
+
+      const { sources, quorum } = settings[chain];
+
+      this.chains[chain] = {
+        sources: sources.map(name => this.createSource(name, family, settings)),
+        quorum
+      };
+
+      if (quorum > sources.length) {
+        throw new Error(`Quorum of ${quorum} for the ${CHAINS[chain].label} needs at least ${quorum} IP sources, ${sources.length} configured`);
+      }
+    }
+  }
+
+  /**
+   * Create a source of a chain from its definition or a built-in source
+   * @param {string} name - Source name
+   * @param {string} family - ipv4 or ipv6
+   * @param {Object} settings - Discovery settings
+   * @returns {IpSource} - IP source
+   */
+  createSource(name, family, settings) {
+    const definition = settings.sources.find(source => source.name.toLowerCase() === name.toLowerCase());
+    const builtin = BUILTIN_IP_SOURCES[name.toLowerCase()];
+
+    if (!definition && !builtin) {
+      throw new Error(`Unknown IP source '${name}' for ${FAMILY_LABELS[family]} (define it in IP_SOURCES or use one of ${Object.keys(BUILTIN_IP_SOURCES).join(', ')})`);
+    }
+
+    const options = definition || builtin[family];
+    if (!options) {
+      throw new Error(`Built-in IP source '${name}' cannot look up ${FAMILY_LABELS[family]} addresses`);
+    }
+
+    const source = createIpSource({ timeout: settings.timeout, ...options, name });
+
+    if (!source.families.includes(family)) {
+      throw new Error(`IP source '${name}' (${source.type}) cannot look up ${FAMILY_LABELS[family]} addresses`);
+    }
+
+    return source;
+  }
+
+  /**
+   * Look up the address of a chain
+   * Sources are asked in order until one address is reported by as many
+   * sources as the quorum, so a single wrong answer cannot move every record
+   * @param {string} chain - ipv4, ipv6 or ipv6Prefix
+   * @returns {Promise<string|null>} - Address, or null when no address reached the quorum
+   */
+  async lookup(chain) {
+    const { family, label } = CHAINS[chain];
+    const { sources, quorum } = this.chains[chain];
+    const votes = new Map();
+
+    for (const source of sources) {
+      let address;
+
+      try {
+        address = parseAddress(await source.lookup(family), family);
+      } catch (error) {
+        logger.debug(`IP source ${source.name} failed to look up the ${label}: ${error.message}`);
+        continue;
+      }
+
+      logger.trace(`IpDiscovery.lookup: ${source.name} reported ${address}`);
+
+      const voters = votes.get(address) || [];
+      voters.push(source.name);
+      votes.set(address, voters);
+
+      if (voters.length >= quorum) {
+        if (votes.size > 1) {
+          logger.warn(`IP sources disagree on the ${label} (${describeVotes(votes)}), using ${address}`);
+        }
+        return address;
+      }
+    }
+
+    if (votes.size > 0) {
+      logger.warn(`No ${label} was reported by ${quorum} IP sources (${describeVotes(votes)})`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Ask every source of every chain, to diagnose the discovery settings
+   * @returns {Promise<Array<Object>>} - { chain, label, quorum, source, address, error } for each source
+   */
+  async checkSources() {
+    const results = [];
+
+    for (const [chain, { sources, quorum }] of Object.entries(this.chains)) {
+      const { family, label } = CHAINS[chain];
+
+      for (const source of sources) {
+        const result = { chain, label, quorum, source: source.name };
+
+        try {
+          result.address = parseAddress(await source.lookup(family), family);
+        } catch (error) {
+          result.error = error.message;
+        }
+
+        results.push(result);
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Describe which sources reported which address, e.g. 192.0.2.1 from upnp, ipify
+ */
+function describeVotes(votes) {
+  return [...votes.entries()]
+    .map(([address, voters]) => `${address} from ${voters.join(', ')}`)
+    .join('; ');
+}
+
+module.exports = IpDiscovery;
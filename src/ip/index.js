@@ -0,0 +1,18 @@
+/**
+ * Public IP discovery exports
+ */
+const IpDiscovery = require('./IpDiscovery');
+const { IP_SOURCE_TYPES, BUILTIN_IP_SOURCES, IpSource, createIpSource } = require('./sources');
+const { parseIPv6Suffix, isIPv6Suffix, applyIPv6Prefix, isSamePrefix } = require('./prefix');
+
+module.exports = {
+  IpDiscovery,
+  IpSource,
+  IP_SOURCE_TYPES,
+  BUILTIN_IP_SOURCES,
+  createIpSource,
+  parseIPv6Suffix,
+  isIPv6Suffix,
+  applyIPv6Prefix,
+  isSamePrefix
+};
@@ -0,0 +1,138 @@
+/**
+ * IPv6 host suffixes
+ * A suffix such as ::1:2:3:4/64 keeps the interface identifier of a host
+ * and takes the first /64 bits from the current delegated prefix, so records
+ * follow a prefix the ISP rotates
+ */
+const net = require('net');
+
+/**
+ * Parse an IPv6 host suffix
+ * @param {string} content - Record content, e.g. ::1:2:3:4/64
+ * @returns {Object|null} - { suffix, prefixLength }, or null when the content is not a suffix
+ */
+function parseIPv6Suffix(content) {
+  const match = typeof content === 'string' && content.trim().match(/^([0-9A-Fa-f:]+)\/(\d{1,3})$/);
+
+  if (!match || !net.isIPv6(match[1])) {
+    return null;
+  }
+
+  const prefixLength = parseInt(match[2], 10);
+  if (prefixLength < 1 || prefixLength > 127) {
+    return null;
+  }
+
+  return { suffix: match[1], prefixLength };
+}
+
+/**
+ * Check if record content is an IPv6 host suffix
+ * @param {string} content - Record content
+ * @returns {boolean} - True for a suffix such as ::1:2:3:4/64
+ */
+function isIPv6Suffix(content) {
+  return parseIPv6Suffix(content) !== null;
+}
+
+/**
+ * Combine the prefix of an address with a host suffix
+ * @param {string} prefixAddress - Address in the delegated prefix, e.g. the public IPv6 address
+ * @param {string} content - Host suffix, e.g. ::1:2:3:4/64
+ * @returns {string} - Combined address in its compressed form
+ */
+function applyIPv6Prefix(prefixAddress, content) {
+  const parsed = parseIPv6Suffix(content);
+
+  if (!parsed) {
+    throw new Error(`Invalid IPv6 suffix: ${content} (expected e.g. ::1:2:3:4/64)`);
+  }
+
+  if (!net.isIPv6(prefixAddress)) {
+    throw new Error(`Invalid IPv6 prefix address: ${prefixAddress}`);
+  }
+
+  const hostBits = BigInt(128 - parsed.prefixLength);
+  const hostMask = (1n << hostBits) - 1n;
+  const address = (toBigInt(prefixAddress) & ~hostMask) | (toBigInt(parsed.suffix) & hostMask);
+
+  return fromBigInt(address);
+}
+
+/**
+ * Check if two IPv6 addresses share their first bits
+ * @param {string} first - IPv6 address
+ * @param {string} second - IPv6 address
+ * @param {number} prefixLength - Number of leading bits to compare
+ * @returns {boolean} - True when the prefixes are equal
+ */
+function isSamePrefix(first, second, prefixLength) {
+  const hostMask = (1n << BigInt(128 - prefixLength)) - 1n;
+  return (toBigInt(first) & ~hostMask) === (toBigInt(second) & ~hostMask);
+}
+
+/**
+ * Convert an IPv6 address to a 128-bit integer
+ */
+function toBigInt(address) {
+  const [head, tail] = address.split('::');
+  let groups = head ? head.split(':') : [];
+
+  // An embedded IPv4 address takes the last two groups
+  const expand = parts => parts.flatMap(part => {
+    if (!part.includes('.')) {
+      return [part];
+    }
+    const octets = part.split('.').map(Number);
+    return [((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16)];
+  });
+
+  groups = expand(groups);
+
+  if (tail !== undefined) {
+    const tailGroups = tail ? expand(tail.split(':')) : [];
+    groups = [...groups, ...new Array(8 - groups.length - tailGroups.length).fill('0'), ...tailGroups];
+  }
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Format a 128-bit integer as a compressed IPv6 address (RFC 5952)
+ */
+function fromBigInt(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Compress the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === 0) {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+module.exports = {
+  parseIPv6Suffix,
+  isIPv6Suffix,
+  applyIPv6Prefix,
+  isSamePrefix,
+  toBigInt,
+  fromBigInt
+};
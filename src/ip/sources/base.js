@@ -0,0 +1,86 @@
+/**
+ * Base class for public IP address sources
+ * Each source type looks up the public address of an address family in its own way
+ */
+const net = require('net');
+
+// Address family names mapped to the numbers used by Node's net and dns modules
+const FAMILY_VERSIONS = {
+  ipv4: 4,
+  ipv6: 6
+};
+
+class IpSource {
+  /**
+   * @param {Object} options - Source settings
+   * @param {string} options.name - Source name used in logs
+   * @param {number} options.timeout - Lookup timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.type = options.type;
+    this.options = options;
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Address families this source can look up
+   * @returns {Array<string>} - ipv4 and/or ipv6
+   */
+  get families() {
+    return ['ipv4', 'ipv6'];
+  }
+
+  /**
+   * Look up the public address
+   * @param {string} family - ipv4 or ipv6
+   * @returns {Promise<string>} - Address as reported by the source
+   */
+  async lookup(family) {
+    throw new Error('lookup() must be implemented by the IP source');
+  }
+
+  /**
+   * Require a setting of the source
+   * @param {string} option - Setting name
+   * @returns {*} - Setting value
+   */
+  requireOption(option) {
+    if (this.options[option] === undefined || this.options[option] === null || this.options[option] === '') {
+      throw new Error(`IP source '${this.name}' (${this.type}) requires ${option}`);
+    }
+
+    return this.options[option];
+  }
+}
+
+/**
+ * Check an address reported by a source
+ * Unspecified, loopback, link-local and multicast addresses are never public
+ * @param {string} value - Reported address
+ * @param {string} family - ipv4 or ipv6
+ * @returns {string} - The address, trimmed
+ */
+function parseAddress(value, family) {
+  const address = String(value === undefined || value === null ? '' : value).trim();
+
+  if (net.isIP(address) !== FAMILY_VERSIONS[family]) {
+    throw new Error(`${JSON.stringify(address.slice(0, 64))} is not an ${family === 'ipv6' ? 'IPv6' : 'IPv4'} address`);
+  }
+
+  const unusable = family === 'ipv6'
+    ? /^(::1?|fe[89ab][0-9a-f]:.*|ff[0-9a-f]{2}:.*)$/i
+    : /^(0\.|127\.|169\.254\.|22[4-9]\.|2[3-5][0-9]\.)/;
+
+  if (unusable.test(address)) {
+    throw new Error(`${address} is not a public address`);
+  }
+
+  return address;
+}
+
+module.exports = {
+  IpSource,
+  FAMILY_VERSIONS,
+  parseAddress
+};
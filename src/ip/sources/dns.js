@@ -0,0 +1,88 @@
+/**
+ * DNS IP source
+ * Asks a resolver that answers with the address of the client, e.g.
+ * myip.opendns.com at resolver1.opendns.com or the TXT record
+ * o-o.myaddr.l.google.com at ns1.google.com
+ */
+const dns = require('dns');
+const net = require('net');
+const { IpSource, FAMILY_VERSIONS } = require('./base');
+
+class DnsIpSource extends IpSource {
+  constructor(options) {
+    super(options);
+    this.hostname = this.requireOption('hostname');
+    this.resolver = this.requireOption('resolver');
+    this.recordType = options.recordType ? options.recordType.toUpperCase() : null;
+  }
+
+  async lookup(family) {
+    const resolver = new dns.promises.Resolver({ timeout: this.timeout, tries: 1 });
+    resolver.setServers([await this.getServer(family)]);
+
+    const recordType = this.recordType || (family === 'ipv6' ? 'AAAA' : 'A');
+    let answers;
+
+    switch (recordType) {
+      case 'A':
+        answers = await resolver.resolve4(this.hostname);
+        break;
+      case 'AAAA':
+        answers = await resolver.resolve6(this.hostname);
+        break;
+      case 'TXT':
+        answers = (await resolver.resolveTxt(this.hostname)).map(chunks => chunks.join(''));
+        break;
+      default:
+        throw new Error(`Unsupported record type ${recordType}`);
+    }
+
+    if (answers.length === 0) {
+      throw new Error(`No ${recordType} record for ${this.hostname}`);
+    }
+
+    return answers[0];
+  }
+
+  /**
+   * Get the resolver address to query
+   * A resolver given by name is looked up in the family being looked up, so
+   * the query reaches it over that family and it answers with that address
+   * @param {string} family - ipv4 or ipv6
+   * @returns {Promise<string>} - Server in the format of Resolver.setServers()
+   */
+  async getServer(family) {
+    const { host, port } = parseResolver(this.resolver);
+    const address = net.isIP(host)
+      ? host
+      : (await dns.promises.lookup(host, { family: FAMILY_VERSIONS[family] })).address;
+
+    if (!port) {
+      return address;
+    }
+
+    return net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+  }
+}
+
+/**
+ * Split a resolver into host and port, e.g. 127.0.0.1:5353 or [::1]:5353
+ * @param {string} resolver - Resolver host, optionally with a port
+ * @returns {Object} - { host, port }, port is null without one
+ */
+function parseResolver(resolver) {
+  const bracketed = resolver.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (bracketed) {
+    return { host: bracketed[1], port: bracketed[2] || null };
+  }
+
+  // A bare IPv6 address has several colons and no port
+  const withPort = resolver.match(/^([^:]+):(\d+)$/);
+  if (withPort) {
+    return { host: withPort[1], port: withPort[2] };
+  }
+
+  return { host: resolver, port: null };
+}
+
+module.exports = DnsIpSource;
@@ -0,0 +1,67 @@
+/**
+ * HTTP IP source
+ * Requests a URL that reports the caller's address, as plain text or in a
+ * response picked apart with a regular expression or a JSON path
+ */
+const axios = require('axios');
+const { IpSource, FAMILY_VERSIONS } = require('./base');
+
+class HttpIpSource extends IpSource {
+  constructor(options) {
+    super(options);
+    this.url = this.requireOption('url');
+    this.regex = options.regex ? new RegExp(options.regex) : null;
+    this.jsonPath = options.jsonPath || null;
+  }
+
+  async lookup(family) {
+    // The connection uses the address family being looked up, so one URL serves both
+    const response = await axios.get(this.url, {
+      timeout: this.timeout,
+      family: FAMILY_VERSIONS[family],
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+
+    let value = String(response.data);
+
+    if (this.jsonPath) {
+      value = getJsonPath(JSON.parse(value), this.jsonPath);
+    }
+
+    if (this.regex) {
+      const match = String(value).match(this.regex);
+
+      if (!match) {
+        throw new Error(`Response of ${this.url} does not match ${this.regex}`);
+      }
+
+      // The first capture group holds the address, or the whole match without one
+      value = match[1] !== undefined ? match[1] : match[0];
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Get a value from parsed JSON by a dotted path, e.g. data.address or ips.0
+ * @param {*} data - Parsed JSON
+ * @param {string} path - Dotted path, an optional leading $. is ignored
+ * @returns {*} - Value at the path
+ */
+function getJsonPath(data, path) {
+  const keys = path.replace(/^\$\.?/, '').split('.').filter(key => key.length > 0);
+  let value = data;
+
+  for (const key of keys) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      throw new Error(`JSON path ${path} not found in response`);
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+module.exports = HttpIpSource;
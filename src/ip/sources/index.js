@@ -0,0 +1,68 @@
+/**
+ * Public IP source types and the built-in sources
+ */
+const HttpIpSource = require('./http');
+const DnsIpSource = require('./dns');
+const InterfaceIpSource = require('./interface');
+const UpnpIpSource = require('./upnp');
+const NatPmpIpSource = require('./natpmp');
+const StaticIpSource = require('./static');
+const { IpSource, parseAddress } = require('./base');
+
+const IP_SOURCE_CLASSES = {
+  http: HttpIpSource,
+  dns: DnsIpSource,
+  interface: InterfaceIpSource,
+  upnp: UpnpIpSource,
+  natpmp: NatPmpIpSource,
+  static: StaticIpSource
+};
+
+// Sources that can be used by name without defining them, with settings per address family
+const BUILTIN_IP_SOURCES = {
+  ipify: {
+    ipv4: { type: 'http', url: 'https://api.ipify.org' },
+    ipv6: { type: 'http', url: 'https://api6.ipify.org' }
+  },
+  ifconfig: {
+    ipv4: { type: 'http', url: 'https://ifconfig.me/ip' },
+    ipv6: { type: 'http', url: 'https://ifconfig.me/ip' }
+  },
+  opendns: {
+    ipv4: { type: 'dns', hostname: 'myip.opendns.com', resolver: 'resolver1.opendns.com' },
+    ipv6: { type: 'dns', hostname: 'myip.opendns.com', resolver: 'resolver1.opendns.com' }
+  },
+  google: {
+    ipv4: { type: 'dns', hostname: 'o-o.myaddr.l.google.com', resolver: 'ns1.google.com', recordType: 'TXT' },
+    ipv6: { type: 'dns', hostname: 'o-o.myaddr.l.google.com', resolver: 'ns1.google.com', recordType: 'TXT' }
+  },
+  upnp: {
+    ipv4: { type: 'upnp' }
+  },
+  natpmp: {
+    ipv4: { type: 'natpmp' }
+  }
+};
+
+/**
+ * Create an IP source from its settings
+ * @param {Object} definition - Source settings, including name and type
+ * @returns {IpSource} - IP source
+ */
+function createIpSource(definition) {
+  const SourceClass = IP_SOURCE_CLASSES[definition.type];
+
+  if (!SourceClass) {
+    throw new Error(`Unsupported type '${definition.type}' for IP source '${definition.name}' (expected one of ${Object.keys(IP_SOURCE_CLASSES).join(', ')})`);
+  }
+
+  return new SourceClass(definition);
+}
+
+module.exports = {
+  IP_SOURCE_TYPES: Object.keys(IP_SOURCE_CLASSES),
+  BUILTIN_IP_SOURCES,
+  IpSource,
+  createIpSource,
+  parseAddress
+};
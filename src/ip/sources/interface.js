@@ -0,0 +1,39 @@
+/**
+ * Network interface IP source
+ * Reads the address of a local network interface, for hosts that hold the
+ * public address themselves, e.g. with host networking on a router
+ */
+const os = require('os');
+const { IpSource } = require('./base');
+
+class InterfaceIpSource extends IpSource {
+  constructor(options) {
+    super(options);
+    this.interfaceName = this.requireOption('interface');
+  }
+
+  async lookup(family) {
+    const addresses = os.networkInterfaces()[this.interfaceName];
+
+    if (!addresses) {
+      throw new Error(`Network interface ${this.interfaceName} not found`);
+    }
+
+    // Node 18.0 to 18.3 report the family as a number
+    const candidates = addresses.filter(address =>
+      !address.internal &&
+      (address.family === (family === 'ipv6' ? 'IPv6' : 'IPv4') || address.family === (family === 'ipv6' ? 6 : 4)) &&
+      !/^fe[89ab][0-9a-f]:/i.test(address.address));
+
+    // Prefer global IPv6 addresses over unique local ones (fc00::/7)
+    const address = candidates.find(candidate => !/^f[cd][0-9a-f]{2}:/i.test(candidate.address)) || candidates[0];
+
+    if (!address) {
+      throw new Error(`Network interface ${this.interfaceName} has no ${family === 'ipv6' ? 'IPv6' : 'IPv4'} address`);
+    }
+
+    return address.address;
+  }
+}
+
+module.exports = InterfaceIpSource;
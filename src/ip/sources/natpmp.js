@@ -0,0 +1,97 @@
+/**
+ * NAT-PMP IP source
+ * Asks the gateway for its external address (RFC 6886), supported by most
+ * routers that also support UPnP and by PCP-capable routers for compatibility
+ */
+const dgram = require('dgram');
+const fs = require('fs');
+const { IpSource } = require('./base');
+
+const NAT_PMP_PORT = 5351;
+
+class NatPmpIpSource extends IpSource {
+  get families() {
+    return ['ipv4'];
+  }
+
+  async lookup() {
+    const gateway = this.options.gateway || getDefaultGateway();
+    const port = this.options.port || NAT_PMP_PORT;
+
+    if (!gateway) {
+      throw new Error('No default gateway found, set the gateway of the source');
+    }
+
+    const socket = dgram.createSocket('udp4');
+
+    return new Promise((resolve, reject) => {
+      let finished = false;
+
+      const finish = (error, address) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        socket.close();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(address);
+        }
+      };
+
+      const timer = setTimeout(() => finish(new Error(`No NAT-PMP response from ${gateway}:${port}`)), this.timeout);
+
+      socket.on('error', error => finish(error));
+
+      socket.on('message', message => {
+        // Version 0, opcode 128 is the response to an external address request
+        if (message.length < 12 || message[0] !== 0 || message[1] !== 128) {
+          return;
+        }
+
+        const resultCode = message.readUInt16BE(2);
+        if (resultCode !== 0) {
+          finish(new Error(`NAT-PMP request failed with result code ${resultCode}`));
+          return;
+        }
+
+        finish(null, `${message[8]}.${message[9]}.${message[10]}.${message[11]}`);
+      });
+
+      socket.send(Buffer.from([0, 0]), port, gateway, error => {
+        if (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Read the IPv4 default gateway from the Linux routing table
+ * @returns {string|null} - Gateway address, or null when there is none
+ */
+function getDefaultGateway() {
+  try {
+    const lines = fs.readFileSync('/proc/net/route', 'utf8').trim().split('\n').slice(1);
+
+    for (const line of lines) {
+      const [, destination, gateway] = line.trim().split(/\s+/);
+
+      if (destination === '00000000' && gateway !== '00000000') {
+        // The routing table stores addresses as little-endian hex
+        const octets = gateway.match(/../g).map(octet => parseInt(octet, 16)).reverse();
+        return octets.join('.');
+      }
+    }
+  } catch (error) {
+    // Not Linux, or no access to the routing table
+  }
+
+  return null;
+}
+
+module.exports = NatPmpIpSource;
@@ -0,0 +1,18 @@
+/**
+ * Static IP source
+ * Reports a fixed address, e.g. as a fallback at the end of a chain
+ */
+const { IpSource } = require('./base');
+
+class StaticIpSource extends IpSource {
+  constructor(options) {
+    super(options);
+    this.value = this.requireOption('value');
+  }
+
+  async lookup() {
+    return this.value;
+  }
+}
+
+module.exports = StaticIpSource;
@@ -0,0 +1,146 @@
+/**
+ * UPnP IP source
+ * Asks an Internet Gateway Device for its external address with the
+ * GetExternalIPAddress action of its WANIPConnection or WANPPPConnection service
+ */
+const axios = require('axios');
+const dgram = require('dgram');
+const { IpSource } = require('./base');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const GATEWAY_DEVICE = 'urn:schemas-upnp-org:device:InternetGatewayDevice:1';
+
+class UpnpIpSource extends IpSource {
+  get families() {
+    return ['ipv4'];
+  }
+
+  async lookup() {
+    // The device description URL can be set to skip SSDP discovery
+    const location = this.options.url || await this.discoverGateway();
+    const description = await axios.get(location, {
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+
+    const service = findWanService(String(description.data));
+    if (!service) {
+      throw new Error(`Gateway at ${location} has no WANIPConnection or WANPPPConnection service`);
+    }
+
+    const urlBase = getElement(String(description.data), 'URLBase') || location;
+    const controlUrl = new URL(service.controlUrl, urlBase).toString();
+
+    const body = '<?xml version="1.0"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+      `<s:Body><u:GetExternalIPAddress xmlns:u="${service.serviceType}"/></s:Body>` +
+      '</s:Envelope>';
+
+    const response = await axios.post(controlUrl, body, {
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: [data => data],
+      headers: {
+        'Content-Type': 'text/xml; charset="utf-8"',
+        SOAPAction: `"${service.serviceType}#GetExternalIPAddress"`
+      }
+    });
+
+    const address = getElement(String(response.data), 'NewExternalIPAddress');
+    if (!address) {
+      throw new Error(`Gateway at ${controlUrl} did not report an external address`);
+    }
+
+    return address;
+  }
+
+  /**
+   * Find the gateway with an SSDP search
+   * @returns {Promise<string>} - URL of the gateway's device description
+   */
+  discoverGateway() {
+    const socket = dgram.createSocket('udp4');
+    const search = Buffer.from([
+      'M-SEARCH * HTTP/1.1',
+      `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+      'MAN: "ssdp:discover"',
+      'MX: 2',
+      `ST: ${GATEWAY_DEVICE}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    return new Promise((resolve, reject) => {
+      let finished = false;
+
+      const finish = (error, location) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        socket.close();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(location);
+        }
+      };
+
+      const timer = setTimeout(() => finish(new Error('No UPnP gateway answered the SSDP search')), this.timeout);
+
+      socket.on('error', error => finish(error));
+
+      socket.on('message', message => {
+        const location = message.toString().match(/^location:\s*(\S+)\s*$/im);
+        if (location) {
+          finish(null, location[1]);
+        }
+      });
+
+      socket.send(search, SSDP_PORT, SSDP_ADDRESS, error => {
+        if (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Find the WAN connection service in a device description
+ * @param {string} xml - Device description
+ * @returns {Object|null} - { serviceType, controlUrl }
+ */
+function findWanService(xml) {
+  const services = xml.match(/<service>[\s\S]*?<\/service>/gi) || [];
+
+  for (const service of services) {
+    const serviceType = getElement(service, 'serviceType');
+
+    if (serviceType && /:(WANIPConnection|WANPPPConnection):\d+$/.test(serviceType)) {
+      const controlUrl = getElement(service, 'controlURL');
+      if (controlUrl) {
+        return { serviceType, controlUrl };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the text of the first element with a name, ignoring namespace prefixes
+ * @param {string} xml - XML document
+ * @param {string} name - Element name
+ * @returns {string|null} - Trimmed text, or null when the element is missing
+ */
+function getElement(xml, name) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([^<]*)</(?:\\w+:)?${name}>`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+module.exports = UpnpIpSource;
@@ -2,6 +2,8 @@
  * Abstract DNS Provider Interface
  * Base class for all DNS provider implementations
  */
+const { normalizeRecord } = require('../utils/dns');
+
 class DNSProvider {
   /**
    * Constructor for the DNS provider
@@ -58,11 +60,28 @@ class DNSProvider {
    * Find a record in the cache
    * @param {string} type - Record type
    * @param {string} name - Record name
+   * @param {string} content - Record value, to pick one value of a multi-value record
    * @returns {Object|null} - The found record or null
    */
-  findRecordInCache(type, name) {
+  findRecordInCache(type, name, content) {
     return this.recordCache.records.find(
-      record => record.type === type && record.name === name
+      record => record.type === type && record.name === name &&
+        (content === undefined || String(record.content).toLowerCase() === String(content).toLowerCase())
+    );
+  }
+  
+  /**
+   * Find the cached record a record configuration refers to
+   * Multi-value records are matched on their value, so each value of the
+   * name is managed on its own
+   * @param {Object} recordConfig - Record configuration
+   * @returns {Object|null} - The found record or null
+   */
+  findRecordForConfig(recordConfig) {
+    return this.findRecordInCache(
+      recordConfig.type,
+      recordConfig.name,
+      recordConfig.multiValue ? recordConfig.content : undefined
     );
   }
   
@@ -103,6 +122,16 @@ class DNSProvider {
     throw new Error('Method deleteRecord() must be implemented by subclass');
   }
   
+  /**
+   * Delete a single value of a multi-value record
+   * Providers that store each value as its own record delete that record
+   * @param {Object} record - The record value to delete, from the cache
+   * @returns {Promise<boolean>} - True if deletion was successful
+   */
+  async deleteRecordValue(record) {
+    return this.deleteRecord(record.id);
+  }
+  
   /**
    * Batch process multiple DNS records at once
    * @param {Array<Object>} recordConfigs - Array of record configurations
@@ -112,6 +141,22 @@ class DNSProvider {
     throw new Error('Method batchEnsureRecords() must be implemented by subclass');
   }
   
+  /**
+   * Get the nameservers that serve the zone at this provider
+   * Taken from the NS records at the zone apex
+   * @returns {Promise<Array<string>>} - Nameserver host names, lowercase without trailing dots
+   */
+  async getNameservers() {
+    const zone = this.config.getProviderDomain().toLowerCase();
+    const records = await this.getRecordsFromCache();
+    
+    return records
+      .filter(record => record.type === 'NS')
+      .map(record => normalizeRecord(record, zone))
+      .filter(record => record.name === zone)
+      .map(record => String(record.content).toLowerCase().replace(/\.$/, ''));
+  }
+  
   /**
    * Check if a record needs to be updated
    * @param {Object} existing - The existing record
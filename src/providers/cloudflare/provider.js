@@ -18,6 +18,9 @@ class CloudflareProvider extends DNSProvider {
     this.zone = config.cloudflareZone;
     this.zoneId = null;
     
+    // Nameservers Cloudflare assigned to the zone, Cloudflare does not list them as NS records
+    this.nameservers = [];
+    
     // Initialize Axios client
     this.client = axios.create({
       baseURL: 'https://api.cloudflare.com/client/v4',
@@ -52,6 +55,7 @@ class CloudflareProvider extends DNSProvider {
       }
       
       this.zoneId = response.data.result[0].id;
+      this.nameservers = response.data.result[0].name_servers || [];
       logger.debug(`Cloudflare zone ID for ${this.zone}: ${this.zoneId}`);
       logger.success('Cloudflare zone authenticated successfully');
       
@@ -67,6 +71,14 @@ class CloudflareProvider extends DNSProvider {
     }
   }
   
+  /**
+   * Get the nameservers Cloudflare assigned to the zone
+   * @returns {Promise<Array<string>>} - Nameserver host names
+   */
+  async getNameservers() {
+    return this.nameservers.map(nameserver => nameserver.toLowerCase());
+  }
+  
   /**
    * Refresh the DNS record cache
    */
@@ -432,7 +444,7 @@ class CloudflareProvider extends DNSProvider {
           validateRecord(recordConfig);
           
           // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          const existing = this.findRecordForConfig(recordConfig);
           
           if (existing) {
             logger.trace(`CloudflareProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
@@ -252,8 +252,11 @@ class DigitalOceanProvider extends DNSProvider {
    * Find a record in the cache
    * Override the base method to handle DigitalOcean's @ symbol for apex domains
    * and trailing dots for domains
+   * @param {string} type - Record type
+   * @param {string} name - Record name
+   * @param {string} content - Record value, to pick one value of a multi-value record
    */
-  findRecordInCache(type, name) {
+  findRecordInCache(type, name, content) {
     // First normalize the name to handle apex domain scenarios
     const domainPart = `.${this.domain}`;
     
@@ -269,6 +272,13 @@ class DigitalOceanProvider extends DNSProvider {
     
     logger.trace(`DigitalOceanProvider.findRecordInCache: Looking for ${type} record with name ${recordName}`);
     
+    // One value of a multi-value record, DigitalOcean stores the value as data
+    if (content !== undefined) {
+      return this.recordCache.records.find(r =>
+        r.type === type && r.name === recordName && String(r.data).toLowerCase() === String(content).toLowerCase()
+      ) || null;
+    }
+    
     // For records that store the content with a trailing dot (like CNAME),
     // we need to handle both forms in our comparison
     const record = this.recordCache.records.find(r => 
@@ -700,6 +710,11 @@ async handleApexDomain(record) {
       );
     }
     
+    // A multi-value record only ever touches the apex record with its own value
+    if (record.multiValue) {
+      existingRecords = existingRecords.filter(r => r.data === record.content);
+    }
+    
     if (existingRecords && existingRecords.length > 0) {
       const existing = existingRecords[0];
       logger.debug(`Found existing apex domain record: ${JSON.stringify(existing)}`);
@@ -895,7 +910,7 @@ async handleApexDomain(record) {
           }
           
           // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          const existing = this.findRecordForConfig(recordConfig);
           
           if (existing) {
             logger.trace(`DigitalOceanProvider.batchEnsureRecords: Found existing record ID=${existing.id}`);
@@ -57,8 +57,11 @@ async function fetchAllRecords() {
 /**
  * Find a record in the cache
  * Override to handle Route53's trailing dots in names
+ * @param {string} type - Record type
+ * @param {string} name - Record name
+ * @param {string} content - Record value, to pick one value of a multi-value record
  */
-function findRecordInCache(type, name) {
+function findRecordInCache(type, name, content) {
   // Normalize the name (remove trailing dot if present)
   const normalizedName = name.endsWith('.') ? name.slice(0, -1) : name;
   
@@ -68,7 +71,8 @@ function findRecordInCache(type, name) {
   const record = this.recordCache.records.find(r => {
     // Normalize record name as well
     const recordName = r.name.endsWith('.') ? r.name.slice(0, -1) : r.name;
-    return r.type === type && recordName === normalizedName;
+    return r.type === type && recordName === normalizedName &&
+      (content === undefined || String(r.content).toLowerCase() === String(content).toLowerCase());
   });
   
   if (record) {
@@ -82,6 +86,7 @@ function findRecordInCache(type, name) {
 
 /**
  * Update a record in the cache
+ * A record set with several values replaces all cached records of the set
  */
 function updateRecordInCache(record) {
   logger.trace(`Route53Provider.updateRecordInCache: Updating record in cache: name=${record.name}, type=${record.type}`);
@@ -90,12 +95,19 @@ function updateRecordInCache(record) {
     r => r.name === record.name && r.type === record.type
   );
   
+  const records = record.values && record.values.length > 1
+    ? record.values.map(value => ({ ...record, content: value }))
+    : [record];
+  
   if (index !== -1) {
     logger.trace(`Route53Provider.updateRecordInCache: Found existing record at index ${index}, replacing`);
-    this.recordCache.records[index] = record;
+    this.recordCache.records = this.recordCache.records.filter(
+      (r, i) => i === index || !(r.name === record.name && r.type === record.type)
+    );
+    this.recordCache.records.splice(index, 1, ...records);
   } else {
     logger.trace(`Route53Provider.updateRecordInCache: Record not found in cache, adding new record`);
-    this.recordCache.records.push(record);
+    this.recordCache.records.push(...records);
   }
 }
 
@@ -28,6 +28,14 @@ function convertToRoute53Format(record, zone) {
   switch (record.type) {
     case 'A':
     case 'AAAA':
+      // A record set may hold several addresses
+      for (const value of record.values || [record.content]) {
+        route53Record.ResourceRecords.push({
+          Value: value
+        });
+      }
+      break;
+      
     case 'TXT':
     case 'NS':
       route53Record.ResourceRecords.push({
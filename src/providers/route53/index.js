@@ -16,6 +16,8 @@ const {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
+  submitChangeBatch,
   batchEnsureRecords
 } = require('./operationUtils');
 
@@ -36,4 +38,6 @@ module.exports.removeRecordFromCache = removeRecordFromCache;
 module.exports.createRecord = createRecord;
 module.exports.updateRecord = updateRecord;
 module.exports.deleteRecord = deleteRecord;
+module.exports.deleteRecordValue = deleteRecordValue;
+module.exports.submitChangeBatch = submitChangeBatch;
 module.exports.batchEnsureRecords = batchEnsureRecords;
\ No newline at end of file
@@ -115,6 +115,11 @@ async function createRecord(record) {
       ttl: record.ttl
     };
     
+    // Keep all addresses of a record set with several values
+    if (record.values) {
+      createdRecord.values = record.values;
+    }
+    
     // Add type-specific fields
     if (record.type === 'MX') {
       createdRecord.priority = record.priority;
@@ -237,6 +242,11 @@ async function updateRecord(id, record) {
       ttl: record.ttl
     };
     
+    // Keep all addresses of a record set with several values
+    if (record.values) {
+      updatedRecord.values = record.values;
+    }
+    
     // Add type-specific fields
     if (record.type === 'MX') {
       updatedRecord.priority = record.priority;
@@ -349,6 +359,48 @@ async function deleteRecord(id) {
   }
 }
 
+/**
+ * Delete a single value of a multi-value record
+ * The record set is rewritten without the value, or deleted with its last value
+ */
+async function deleteRecordValue(record) {
+  logger.trace(`Route53Provider.deleteRecordValue: Deleting ${record.content} from ${record.name} (${record.type})`);
+  
+  const recordSet = this.findRecordInCache(record.type, record.name);
+  const values = recordSet
+    ? (recordSet.values || [recordSet.content]).filter(value => value !== record.content)
+    : [];
+  
+  if (values.length === 0) {
+    return this.deleteRecord(record.id);
+  }
+  
+  logger.info(`🗑️ Removing ${record.content} from DNS record set: ${record.name} (${record.type})`);
+  await this.updateRecord(record.id, { ...recordSet, content: values[0], values });
+  
+  return true;
+}
+
+/**
+ * Submit a batch of record set changes in a single API call
+ * A separate provider operation, so batches are instrumented like other API requests
+ * @param {Array<Object>} changes - Route53 changes with Action and ResourceRecordSet
+ */
+async function submitChangeBatch(changes) {
+  logger.trace(`Route53Provider.submitChangeBatch: Sending ${changes.length} changes to Route53`);
+  
+  const params = {
+    HostedZoneId: this.zoneId,
+    ChangeBatch: {
+      Comment: 'Batch update by TráfegoDNS',
+      Changes: changes
+    }
+  };
+  
+  const command = new ChangeResourceRecordSetsCommand(params);
+  return this.route53.send(command);
+}
+
 /**
  * Batch process multiple DNS records at once
  * Route53 supports batching changes in a single API call, which is more efficient
@@ -371,9 +423,14 @@ async function batchEnsureRecords(recordConfigs) {
       const pendingChanges = {
         create: [],
         update: [],
+        upsert: [],
         unchanged: []
       };
       
+      // Values of multi-value records grouped by record set, since Route53
+      // rejects a batch that changes the same record set more than once
+      const recordSetGroups = new Map();
+      
       // First pass: examine all records and sort into categories
       logger.trace('Route53Provider.batchEnsureRecords: First pass - examining records');
       
@@ -426,8 +483,21 @@ async function batchEnsureRecords(recordConfigs) {
             }
           }
           
+          // Route53 keeps all values of a name in one record set, so the
+          // values of a multi-value record are merged into a single change
+          if (recordConfig.multiValue) {
+            const groupKey = `${recordConfig.type}:${recordConfig.name}`;
+            
+            if (!recordSetGroups.has(groupKey)) {
+              recordSetGroups.set(groupKey, []);
+            }
+            
+            recordSetGroups.get(groupKey).push(recordConfig);
+            continue;
+          }
+          
           // Find existing record in cache
-          const existing = this.findRecordInCache(recordConfig.type, recordConfig.name);
+          const existing = this.findRecordForConfig(recordConfig);
           
           if (existing) {
             logger.trace(`Route53Provider.batchEnsureRecords: Found existing record name=${existing.name}`);
@@ -473,8 +543,48 @@ async function batchEnsureRecords(recordConfigs) {
         }
       }
       
+      // Turn each multi-value record set into one change with all its values
+      for (const configs of recordSetGroups.values()) {
+        const recordSet = this.findRecordInCache(configs[0].type, configs[0].name);
+        const values = recordSet ? [...(recordSet.values || [recordSet.content])] : [];
+        let needsChange = !recordSet;
+        
+        for (const recordConfig of configs) {
+          const existing = this.findRecordForConfig(recordConfig);
+          
+          if (!values.includes(recordConfig.content)) {
+            values.push(recordConfig.content);
+          }
+          
+          if (!existing || this.recordNeedsUpdate(existing, recordConfig)) {
+            needsChange = true;
+          }
+        }
+        
+        if (needsChange) {
+          logger.trace(`Route53Provider.batchEnsureRecords: Writing record set ${configs[0].name} (${configs[0].type}) with values ${values.join(', ')}`);
+          
+          pendingChanges.upsert.push({
+            record: { ...configs[0], content: values[0], values },
+            configs,
+            existing: recordSet
+          });
+        } else {
+          for (const recordConfig of configs) {
+            pendingChanges.unchanged.push({
+              record: recordConfig,
+              existing: this.findRecordForConfig(recordConfig)
+            });
+            
+            if (global.statsCounter) {
+              global.statsCounter.upToDate++;
+            }
+          }
+        }
+      }
+      
       // Second pass: apply all changes
-      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.unchanged.length} unchanged`);
+      logger.debug(`DNS changes: ${pendingChanges.create.length} to create, ${pendingChanges.update.length} to update, ${pendingChanges.upsert.length} record sets to write, ${pendingChanges.unchanged.length} unchanged`);
       logger.trace('Route53Provider.batchEnsureRecords: Second pass - applying changes');
       
       let batchSucceeded = true;
@@ -484,7 +594,9 @@ async function batchEnsureRecords(recordConfigs) {
       const MAX_CHANGES_PER_BATCH = 100; // Set conservatively below Route53's limit
       
       // Process creates and updates in batches
-      if (pendingChanges.create.length > 0 || pendingChanges.update.length > 0) {
+      const hasChanges = pendingChanges.create.length > 0 || pendingChanges.update.length > 0 || pendingChanges.upsert.length > 0;
+      
+      if (hasChanges) {
         // Combine all creates and updates into a single array of changes
         const allChanges = [];
         
@@ -510,6 +622,14 @@ async function batchEnsureRecords(recordConfigs) {
             ResourceRecordSet: convertToRoute53Format(record, this.zone)
           });
         }
+        
+        // Add multi-value record sets, written whole with all their values
+        for (const { record } of pendingChanges.upsert) {
+          allChanges.push({
+            Action: 'UPSERT',
+            ResourceRecordSet: convertToRoute53Format(record, this.zone)
+          });
+        }
   
         // Split changes into batches
         const changeBatches = [];
@@ -524,17 +644,8 @@ async function batchEnsureRecords(recordConfigs) {
           const changes = changeBatches[i];
           logger.debug(`Processing Route53 change batch ${i+1}/${changeBatches.length} with ${changes.length} changes`);
           
-          const params = {
-            HostedZoneId: this.zoneId,
-            ChangeBatch: {
-              Comment: 'Batch update by TráfegoDNS',
-              Changes: changes
-            }
-          };
-          
           try {
-            const command = new ChangeResourceRecordSetsCommand(params);
-            await this.route53.send(command);
+            await this.submitChangeBatch(changes);
             logger.debug(`Successfully submitted batch ${i+1}/${changeBatches.length}`);
           } catch (error) {
             // Analyze the error
@@ -577,12 +688,12 @@ async function batchEnsureRecords(recordConfigs) {
       if (batchSucceeded) {
         // Collect all records to return in results
         // For creates and updates, we need to refresh the cache to get the latest records
-        if (pendingChanges.create.length > 0 || pendingChanges.update.length > 0) {
+        if (hasChanges) {
           await this.refreshRecordCache();
           
           // Add created records to results
           for (const { record } of pendingChanges.create) {
-            const createdRecord = this.findRecordInCache(record.type, record.name);
+            const createdRecord = this.findRecordForConfig(record);
             if (createdRecord) {
               results.push(createdRecord);
             }
@@ -590,11 +701,21 @@ async function batchEnsureRecords(recordConfigs) {
           
           // Add updated records to results
           for (const { record } of pendingChanges.update) {
-            const updatedRecord = this.findRecordInCache(record.type, record.name);
+            const updatedRecord = this.findRecordForConfig(record);
             if (updatedRecord) {
               results.push(updatedRecord);
             }
           }
+          
+          // Add each value of the written record sets to results
+          for (const { configs } of pendingChanges.upsert) {
+            for (const recordConfig of configs) {
+              const valueRecord = this.findRecordForConfig(recordConfig);
+              if (valueRecord) {
+                results.push(valueRecord);
+              }
+            }
+          }
         }
         
         // Add unchanged records to results
@@ -620,7 +741,7 @@ async function batchEnsureRecords(recordConfigs) {
             }
             
             // Check if the record already exists in the cache (might have been created in a batch)
-            const existingInCache = this.findRecordInCache(record.type, record.name);
+            const existingInCache = this.findRecordForConfig(record);
             if (existingInCache) {
               logger.debug(`Record ${record.name} (${record.type}) already exists, no need to create`);
               results.push(existingInCache);
@@ -699,6 +820,38 @@ async function batchEnsureRecords(recordConfigs) {
           }
         }
   
+        // Write multi-value record sets
+        for (const { record, configs } of pendingChanges.upsert) {
+          try {
+            // The set may have been written by a partially successful batch
+            const recordSet = this.findRecordInCache(record.type, record.name);
+            
+            logger.trace(`Route53Provider.batchEnsureRecords: Writing record set ${record.name} (${record.type})`);
+            
+            if (recordSet) {
+              logger.info(`📝 Updating ${record.type} record for ${record.name}`);
+              await this.updateRecord(recordSet.id, record);
+            } else {
+              logger.info(`✨ Creating ${record.type} record for ${record.name}`);
+              await this.createRecord(record);
+            }
+            
+            for (const recordConfig of configs) {
+              const valueRecord = this.findRecordForConfig(recordConfig);
+              if (valueRecord) {
+                results.push(valueRecord);
+              }
+            }
+          } catch (error) {
+            logger.error(`Failed to write ${record.type} record set for ${record.name}: ${error.message}`);
+            logger.trace(`Route53Provider.batchEnsureRecords: Record set error: ${error.message}`);
+            
+            if (global.statsCounter) {
+              global.statsCounter.errors++;
+            }
+          }
+        }
+  
         // Add unchanged records to results too
         for (const { existing } of pendingChanges.unchanged) {
           results.push(existing);
@@ -718,5 +871,7 @@ module.exports = {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
+  submitChangeBatch,
   batchEnsureRecords
 };
\ No newline at end of file
@@ -26,6 +26,8 @@ const {
   createRecord,
   updateRecord,
   deleteRecord,
+  deleteRecordValue,
+  submitChangeBatch,
   batchEnsureRecords
 } = require('./operationUtils');
 
@@ -60,6 +62,8 @@ class Route53Provider extends DNSProvider {
     this.createRecord = createRecord.bind(this);
     this.updateRecord = updateRecord.bind(this);
     this.deleteRecord = deleteRecord.bind(this);
+    this.deleteRecordValue = deleteRecordValue.bind(this);
+    this.submitChangeBatch = submitChangeBatch.bind(this);
     this.batchEnsureRecords = batchEnsureRecords.bind(this);
     
     logger.trace('Route53Provider.constructor: AWS Route53 client initialised');
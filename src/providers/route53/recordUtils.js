@@ -7,7 +7,7 @@ const logger = require('../../utils/logger');
  * Standardize Route53 records to internal format
  */
 function standardizeRecords(route53Records) {
-  return route53Records.map(record => {
+  return route53Records.flatMap(record => {
     // Create a standardized record with common fields
     const standardRecord = {
       id: `${record.Name}:${record.Type}`, // Route53 doesn't have record IDs, create a composite key
@@ -22,6 +22,11 @@ function standardizeRecords(route53Records) {
       if (['A', 'AAAA', 'CNAME', 'TXT', 'NS'].includes(record.Type)) {
         standardRecord.content = record.ResourceRecords[0].Value;
         
+        // Keep every address of an A or AAAA record set
+        if (['A', 'AAAA'].includes(record.Type)) {
+          standardRecord.values = record.ResourceRecords.map(resourceRecord => resourceRecord.Value);
+        }
+        
         // For TXT records, remove quotes if present
         if (record.Type === 'TXT' && standardRecord.content.startsWith('"') && standardRecord.content.endsWith('"')) {
           standardRecord.content = standardRecord.content.slice(1, -1);
@@ -60,6 +65,12 @@ function standardizeRecords(route53Records) {
       };
     }
     
+    // A record set with several addresses is cached as one record per address,
+    // each carrying all addresses so the set can be rewritten as a whole
+    if (standardRecord.values && standardRecord.values.length > 1) {
+      return standardRecord.values.map(value => ({ ...standardRecord, content: value }));
+    }
+    
     return standardRecord;
   });
 }
@@ -106,9 +106,7 @@ class TechnitiumProvider extends DNSProvider {
 
     for (const config of recordConfigs) {
       try {
-        const existing = this.recordCache.records.find(r => 
-          r.name === config.name && r.type === config.type
-        );
+        const existing = this.findRecordForConfig(config);
 
         if (!existing) {
           logger.info(`✨ Creating Technitium ${config.type} record for ${config.name}`);
@@ -0,0 +1,300 @@
+/**
+ * API Server Service
+ * Embedded HTTP server exposing read-only management endpoints
+ */
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+
+class ApiServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {boolean} options.healthOnly - Serve only the routes registered by other
+   *   services, on the loopback interface, for the container health check
+   */
+  constructor(config, eventBus, dnsManager, options = {}) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dnsManager = dnsManager;
+    this.healthOnly = options.healthOnly || false;
+
+    // The health-only server is never reachable from outside the container
+    this.host = this.healthOnly ? '127.0.0.1' : config.apiHost;
+    this.port = config.apiPort;
+
+    // Registered routes, keyed by "METHOD path"
+    this.routes = new Map();
+
+    // Paths that can be requested without the API token
+    this.publicPaths = new Set();
+
+    // Hostnames from the last TRAEFIK_ROUTERS_UPDATED event
+    this.lastHostnames = {
+      hostnames: [],
+      receivedAt: null
+    };
+
+    // Node HTTP server reference
+    this.server = null;
+
+    if (!this.healthOnly) {
+      this.registerDefaultRoutes();
+      this.setupEventSubscriptions();
+    }
+  }
+
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    this.eventBus.subscribe(EventTypes.TRAEFIK_ROUTERS_UPDATED, (data) => {
+      this.lastHostnames = {
+        hostnames: data.hostnames || [],
+        receivedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Register a route handler
+   * @param {string} method - HTTP method
+   * @param {string} routePath - Exact request path
+   * @param {Function} handler - Handler called with (req, res, url)
+   * @param {Object} options - Route options
+   * @param {boolean} options.public - Allow access without the API token
+   */
+  addRoute(method, routePath, handler, options = {}) {
+    this.routes.set(`${method.toUpperCase()} ${routePath}`, handler);
+
+    if (options.public) {
+      this.publicPaths.add(routePath);
+    }
+
+    logger.debug(`Registered API route: ${method.toUpperCase()} ${routePath}`);
+  }
+
+  /**
+   * Register the built-in management endpoints
+   */
+  registerDefaultRoutes() {
+    this.addRoute('GET', '/api/status', (req, res) => {
+      this.sendJson(res, 200, this.getStatus());
+    });
+
+    this.addRoute('GET', '/api/records', (req, res) => {
+      const records = this.dnsManager.recordTracker.getAllTrackedRecords();
+      this.sendJson(res, 200, { count: records.length, records });
+    });
+
+    this.addRoute('GET', '/api/records/orphaned', (req, res) => {
+      const records = this.getOrphanedRecords();
+      this.sendJson(res, 200, { count: records.length, gracePeriodMinutes: this.config.cleanupGracePeriod, records });
+    });
+
+    this.addRoute('GET', '/api/cache', (req, res) => {
+      const providers = this.dnsManager.providers.map(context => {
+        const { records, lastUpdated } = context.provider.recordCache;
+
+        return {
+          name: context.name,
+          type: context.config.dnsProvider,
+          zone: context.zone,
+          lastUpdated: lastUpdated ? new Date(lastUpdated).toISOString() : null,
+          count: records.length,
+          records
+        };
+      });
+
+      this.sendJson(res, 200, { providers });
+    });
+
+    this.addRoute('GET', '/api/hostnames', (req, res) => {
+      this.sendJson(res, 200, {
+        count: this.lastHostnames.hostnames.length,
+        receivedAt: this.lastHostnames.receivedAt,
+        hostnames: this.lastHostnames.hostnames
+      });
+    });
+
+    this.addRoute('GET', '/api/ip', (req, res) => {
+      const { ipv4, ipv6, lastCheck } = this.config.ipCache;
+      this.sendJson(res, 200, {
+        ipv4: ipv4 || null,
+        ipv6: ipv6 || null,
+        lastCheck: lastCheck ? new Date(lastCheck).toISOString() : null
+      });
+    });
+  }
+
+  /**
+   * Build the application status summary
+   */
+  getStatus() {
+    const packageJson = require(path.join(__dirname, '..', '..', 'package.json'));
+
+    return {
+      version: packageJson.version,
+      operationMode: this.config.operationMode,
+      providers: this.dnsManager.providers.map(context => ({
+        name: context.name,
+        type: context.config.dnsProvider,
+        zone: context.zone
+      })),
+      dryRun: this.config.dryRun,
+      cleanupOrphaned: this.config.cleanupOrphaned,
+      trackedRecords: this.dnsManager.recordTracker.getAllTrackedRecords().length,
+      orphanedRecords: this.getOrphanedRecords().length,
+      lastPollStats: this.dnsManager.stats,
+      uptimeSeconds: Math.floor(process.uptime())
+    };
+  }
+
+  /**
+   * Get tracked records marked as orphaned, with the time left in the grace period
+   */
+  getOrphanedRecords() {
+    const gracePeriodMs = this.config.cleanupGracePeriod * 60 * 1000;
+    const now = Date.now();
+
+    return this.dnsManager.recordTracker.getAllTrackedRecords()
+      .filter(record => record.orphanedAt)
+      .map(record => {
+        const orphanedAt = new Date(record.orphanedAt).getTime();
+        const remainingMs = Math.max(0, orphanedAt + gracePeriodMs - now);
+
+        return {
+          ...record,
+          deleteAfter: new Date(orphanedAt + gracePeriodMs).toISOString(),
+          remainingMinutes: Math.ceil(remainingMs / 60000)
+        };
+      });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, statusCode, data) {
+    const body = JSON.stringify(data, null, 2);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  /**
+   * Send a plain text response
+   */
+  sendText(res, statusCode, text, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(statusCode, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(text)
+    });
+    res.end(text);
+  }
+
+  /**
+   * Check the request carries the configured API token (if any)
+   */
+  isAuthorised(req, pathname) {
+    if (!this.config.apiToken || this.publicPaths.has(pathname)) {
+      return true;
+    }
+
+    // Constant-time comparison, so response times do not reveal the token
+    const expected = Buffer.from(`Bearer ${this.config.apiToken}`);
+    const received = Buffer.from(req.headers.authorization || '');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Handle an incoming HTTP request
+   */
+  async handleRequest(req, res) {
+    let pathname = req.url;
+
+    try {
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        this.sendJson(res, 400, { error: 'Invalid request URL' });
+        return;
+      }
+
+      pathname = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+
+      logger.trace(`ApiServer.handleRequest: ${req.method} ${pathname}`);
+
+      if (!this.isAuthorised(req, pathname)) {
+        this.sendJson(res, 401, { error: 'Unauthorised' });
+        return;
+      }
+
+      const handler = this.routes.get(`${req.method} ${pathname}`);
+
+      if (!handler) {
+        const pathExists = [...this.routes.keys()].some(key => key.endsWith(` ${pathname}`));
+
+        if (pathExists) {
+          this.sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        } else {
+          this.sendJson(res, 404, { error: `Not found: ${pathname}` });
+        }
+        return;
+      }
+
+      await handler(req, res, url);
+    } catch (error) {
+      logger.error(`API request ${req.method} ${pathname} failed: ${error.message}`);
+
+      if (!res.headersSent) {
+        this.sendJson(res, 500, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Start the HTTP server
+   */
+  async start() {
+    if (this.server) {
+      return true;
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    if (this.healthOnly) {
+      logger.debug(`Health check server listening on ${this.host}:${this.port}`);
+    } else {
+      logger.success(`API server listening on ${this.host}:${this.port}`);
+    }
+    return true;
+  }
+
+  /**
+   * Stop the HTTP server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.debug('API server stopped');
+  }
+}
+
+module.exports = ApiServer;
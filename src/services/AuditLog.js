@@ -0,0 +1,271 @@
+/**
+ * Audit Log Service
+ * Appends every DNS record change to a JSON lines journal, with the record
+ * before and after the change and why it was made
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const { getRecordContent } = require('../utils/dns');
+
+// Record fields kept in journal entries, provider-specific extras are dropped
+const RECORD_FIELDS = ['id', 'type', 'name', 'content', 'ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag'];
+
+// Query parameters matched exactly against entry fields
+const QUERY_FIELDS = ['provider', 'zone', 'action', 'type', 'reason'];
+
+class AuditLog {
+  constructor(config, eventBus) {
+    this.config = config;
+    this.eventBus = eventBus;
+
+    this.setupEventSubscriptions();
+  }
+
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_CREATED, (data) => {
+      this.append({
+        provider: data.provider,
+        zone: data.zone,
+        action: 'create',
+        name: data.record.name,
+        type: data.record.type,
+        old: null,
+        new: pickRecord(data.record),
+        reason: data.reason || null,
+        trigger: data.trigger || null
+      });
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_UPDATED, (data) => {
+      this.append({
+        provider: data.provider,
+        zone: data.zone,
+        action: 'update',
+        name: data.record.name,
+        type: data.record.type,
+        old: { ...pickRecord(data.previous), name: data.record.name },
+        new: pickRecord(data.record),
+        reason: data.reason || null,
+        trigger: data.trigger || null
+      });
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_DELETED, (data) => {
+      this.append({
+        provider: data.provider,
+        zone: data.zone,
+        action: 'delete',
+        name: data.name,
+        type: data.type,
+        old: { ...pickRecord(data.record), name: data.name },
+        new: null,
+        reason: data.reason || null,
+        trigger: data.trigger || null
+      });
+    });
+
+    // Adopted records are unchanged, the entry notes when TráfegoDNS started managing them
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_ADOPTED, (data) => {
+      this.append({
+        provider: data.provider,
+        zone: data.zone,
+        action: 'adopt',
+        name: data.name,
+        type: data.type,
+        old: null,
+        new: { ...pickRecord(data.record), name: data.name },
+        reason: data.reason || null,
+        trigger: data.trigger || null
+      });
+    });
+  }
+
+  /**
+   * Get the journal file and its rotated files, newest first
+   * @returns {Array<string>} - File paths, rotated files numbered from .1
+   */
+  getFiles() {
+    const files = [this.config.auditLogFile];
+
+    for (let index = 1; index <= this.config.auditLogMaxFiles; index++) {
+      files.push(`${this.config.auditLogFile}.${index}`);
+    }
+
+    return files;
+  }
+
+  /**
+   * Append an entry to the journal
+   * Write failures are logged, a DNS change is never held up by the journal
+   * @param {Object} entry - Journal entry without its timestamp
+   */
+  append(entry) {
+    const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.config.auditLogFile), { recursive: true });
+      this.rotate(Buffer.byteLength(line));
+      fs.appendFileSync(this.config.auditLogFile, line, 'utf8');
+      logger.trace(`AuditLog.append: ${entry.action} ${entry.type} ${entry.name} (${entry.reason})`);
+    } catch (error) {
+      logger.error(`Failed to write audit log ${this.config.auditLogFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rotate the journal when the next entry would take it over the maximum size
+   * The journal becomes .1, .1 becomes .2 and so on, and the oldest file is removed
+   * @param {number} entrySize - Size of the next entry in bytes
+   */
+  rotate(entrySize) {
+    const file = this.config.auditLogFile;
+
+    if (!fs.existsSync(file) || fs.statSync(file).size + entrySize <= this.config.auditLogMaxSize) {
+      return;
+    }
+
+    const files = this.getFiles();
+
+    for (let index = files.length - 1; index > 0; index--) {
+      if (fs.existsSync(files[index - 1])) {
+        fs.renameSync(files[index - 1], files[index]);
+      }
+    }
+
+    // Without rotated files to keep, the last one written is the journal itself
+    if (this.config.auditLogMaxFiles === 0 && fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    logger.debug(`Rotated audit log ${file}`);
+  }
+
+  /**
+   * Find journal entries, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.name - Record name, the FQDN
+   * @param {string} filters.provider - Provider name
+   * @param {string} filters.zone - Zone name
+   * @param {string} filters.action - create, update, delete or adopt
+   * @param {string} filters.type - Record type
+   * @param {string} filters.reason - Change reason
+   * @param {string} filters.since - Earliest time, ISO 8601
+   * @param {string} filters.until - Latest time, ISO 8601
+   * @param {number} filters.limit - Maximum number of entries (default 100)
+   * @returns {Array<Object>} - Matching entries
+   */
+  query(filters = {}) {
+    const limit = filters.limit || 100;
+    const name = filters.name ? filters.name.toLowerCase().replace(/\.$/, '') : null;
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw new Error('since and until must be ISO 8601 times');
+    }
+
+    const matches = entry => {
+      const time = new Date(entry.timestamp).getTime();
+
+      return (!name || String(entry.name).toLowerCase().replace(/\.$/, '') === name) &&
+        QUERY_FIELDS.every(field => !filters[field] || String(entry[field]).toLowerCase() === String(filters[field]).toLowerCase()) &&
+        (since === null || time >= since) &&
+        (until === null || time <= until);
+    };
+
+    const entries = [];
+
+    for (const file of this.getFiles()) {
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).reverse();
+
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          logger.debug(`Skipping unreadable audit log line in ${file}`);
+          continue;
+        }
+
+        if (!matches(entry)) {
+          continue;
+        }
+
+        entries.push(entry);
+
+        if (entries.length >= limit) {
+          return entries;
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Register the audit log endpoint on the API server
+   * @param {ApiServer} apiServer - API server to register with
+   */
+  registerRoutes(apiServer) {
+    apiServer.addRoute('GET', '/api/audit', (req, res, url) => {
+      const filters = {};
+
+      for (const field of ['name', ...QUERY_FIELDS, 'since', 'until']) {
+        if (url.searchParams.has(field)) {
+          filters[field] = url.searchParams.get(field);
+        }
+      }
+
+      if (url.searchParams.has('limit')) {
+        filters.limit = parseInt(url.searchParams.get('limit'), 10);
+
+        if (!(filters.limit > 0)) {
+          apiServer.sendJson(res, 400, { error: 'limit must be a positive integer' });
+          return;
+        }
+      }
+
+      let entries;
+      try {
+        entries = this.query(filters);
+      } catch (error) {
+        apiServer.sendJson(res, 400, { error: error.message });
+        return;
+      }
+
+      apiServer.sendJson(res, 200, { count: entries.length, entries });
+    });
+
+    logger.debug('DNS change audit log available at /api/audit');
+  }
+}
+
+/**
+ * Keep the fields of a record that describe it, in the same form for every provider
+ * @param {Object} record - Record from the provider cache or a record configuration
+ * @returns {Object} - Record with its content and type-specific fields
+ */
+function pickRecord(record) {
+  const picked = {};
+
+  for (const field of RECORD_FIELDS) {
+    const value = field === 'content' ? getRecordContent(record) : record[field];
+
+    if (value !== undefined && value !== null) {
+      picked[field] = value;
+    }
+  }
+
+  return picked;
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,111 @@
+/**
+ * Config Reloader Service
+ * Reloads the configuration when the configuration file changes or on SIGHUP,
+ * and publishes CONFIG_UPDATED so services can re-apply it
+ */
+const fs = require('fs');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const { ConfigFile } = require('../config');
+
+// How often the configuration file is checked for changes
+const WATCH_INTERVAL = 2000;
+
+// Wait for writes to settle before reloading
+const RELOAD_DELAY = 500;
+
+class ConfigReloader {
+  constructor(config, eventBus) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.filePath = ConfigFile.getPath();
+    this.reloadTimer = null;
+    this.watching = false;
+
+    this.handleSignal = () => this.scheduleReload('SIGHUP');
+    this.handleFileChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+        this.scheduleReload('file change');
+      }
+    };
+  }
+
+  /**
+   * Start listening for SIGHUP and, if enabled, watching the configuration file
+   */
+  start() {
+    process.on('SIGHUP', this.handleSignal);
+
+    // Stat polling copes with bind mounts and editors that replace the file
+    if (this.config.configWatch) {
+      fs.watchFile(this.filePath, { interval: WATCH_INTERVAL, persistent: false }, this.handleFileChange);
+      this.watching = true;
+      logger.debug(`Watching ${this.filePath} for configuration changes`);
+    }
+  }
+
+  /**
+   * Stop listening for reload triggers
+   */
+  stop() {
+    process.off('SIGHUP', this.handleSignal);
+
+    if (this.watching) {
+      fs.unwatchFile(this.filePath, this.handleFileChange);
+      this.watching = false;
+    }
+
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+
+  /**
+   * Reload after a short delay, collapsing bursts of changes into one reload
+   * @param {string} reason - What triggered the reload
+   */
+  scheduleReload(reason) {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reload(reason);
+    }, RELOAD_DELAY);
+  }
+
+  /**
+   * Reload the configuration and publish the changed settings
+   * An invalid configuration is reported and the current one is kept
+   * @param {string} reason - What triggered the reload
+   * @returns {Array<string>|null} - Changed settings, or null if the reload failed
+   */
+  reload(reason = 'manual') {
+    let changes;
+
+    try {
+      changes = this.config.reload();
+    } catch (error) {
+      logger.error(`Configuration reload failed, keeping the current configuration: ${error.message}`);
+      this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+        source: 'ConfigReloader.reload',
+        error: error.message
+      });
+      return null;
+    }
+
+    if (changes.length === 0) {
+      logger.info(`🔄 Configuration reloaded (${reason}), no changes`);
+      return changes;
+    }
+
+    logger.info(`🔄 Configuration reloaded (${reason}), changed: ${changes.join(', ')}`);
+    this.eventBus.publish(EventTypes.CONFIG_UPDATED, { changes, reason });
+
+    return changes;
+  }
+}
+
+module.exports = ConfigReloader;
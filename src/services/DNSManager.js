@@ -1,25 +1,56 @@
 /**
  * DNS Manager Service
- * Responsible for managing DNS records through the selected provider
+ * Responsible for managing DNS records through the configured providers
  */
 const { DNSProviderFactory } = require('../providers');
 const logger = require('../utils/logger');
 const EventTypes = require('../events/EventTypes');
-const { extractDnsConfigFromLabels } = require('../utils/dns');
+const ChangeReasons = require('../events/ChangeReasons');
+const { extractDnsConfigFromLabels, extractDualStackConfig, getRecordDifferences, getRecordContent } = require('../utils/dns');
 const RecordTracker = require('../utils/recordTracker');
+const TxtRegistry = require('../utils/txtRegistry');
+const { DryRunPlan, enableDryRun } = require('../utils/dryRun');
+const { instrumentProvider } = require('../utils/providerInstrumentation');
+const { isIPv6Suffix } = require('../ip');
+const { createAsyncQueue } = require('../utils/helpers');
 
 class DNSManager {
   constructor(config, eventBus) {
     this.config = config;
     this.eventBus = eventBus;
-    this.dnsProvider = DNSProviderFactory.createProvider(config);
     
     // Initialise record tracker
     this.recordTracker = new RecordTracker(config);
     
+    // Create a provider for each configured zone
+    this.providers = config.getProviderConfigs().map(providerConfig => this.createProviderContext(providerConfig));
+    
+    // The first provider is the primary one, used for hostnames without a domain
+    this.dnsProvider = this.providers[0].provider;
+    
+    // Each provider only manages the managed hostnames in its own zone
+    this.assignManagedHostnames();
+    
     // Track which preserved records we've already logged to avoid spam
     this.loggedPreservedRecords = new Set();
     
+    // Track hostnames outside all configured zones we've already logged
+    this.loggedUnroutedHostnames = new Set();
+    
+    // Track records owned by other instances we've already logged
+    this.loggedForeignRecords = new Set();
+    
+    // Snapshots the zones before any change is made, set when snapshots are enabled
+    this.snapshotManager = null;
+    
+    // Hostnames and labels from the last poll, re-applied after a config reload
+    this.lastHostnames = null;
+    this.lastContainerLabels = {};
+    
+    // Polls, config reloads and IP changes run one at a time, so a reload
+    // never swaps a provider's tracker or registry in the middle of a poll
+    this.updateQueue = createAsyncQueue();
+    
     // Initialise counters for statistics
     this.stats = {
       created: 0,
@@ -44,7 +75,16 @@ class DNSManager {
   async init() {
     try {
       logger.debug('Initializing DNS Manager...');
-      await this.dnsProvider.init();
+      
+      for (const context of this.providers) {
+        await context.provider.init();
+        await this.restoreTrackedRecords(context);
+      }
+      
+      // Keep a copy of each zone as it was before TráfegoDNS changes it
+      if (this.snapshotManager) {
+        await this.snapshotManager.takeSnapshots('startup');
+      }
       
       // Process managed hostnames during initialization
       await this.processManagedHostnames();
@@ -56,6 +96,120 @@ class DNSManager {
       throw error;
     }
   }
+  
+  /**
+   * Create the provider, record tracker and dry-run plan for a provider configuration
+   * @param {Object} providerConfig - Configuration for the provider instance
+   * @returns {Object} - Provider context
+   */
+  createProviderContext(providerConfig) {
+    const name = providerConfig.providerName;
+    const provider = DNSProviderFactory.createProvider(providerConfig);
+    
+    // Publish provider API latency and errors for metrics
+    instrumentProvider(provider, name, this.eventBus);
+    
+    // In dry-run mode, intercept provider writes and collect them into a plan
+    let dryRunPlan = null;
+    if (providerConfig.dryRun) {
+      dryRunPlan = new DryRunPlan(name);
+      enableDryRun(provider, dryRunPlan);
+    }
+    
+    return {
+      name,
+      zone: providerConfig.getProviderDomain().toLowerCase(),
+      config: providerConfig,
+      signature: this.config.getProviderSignature(providerConfig),
+      provider,
+      recordTracker: this.createRecordTracker(providerConfig),
+      registry: this.createRegistry(providerConfig, provider),
+      dryRunPlan
+    };
+  }
+  
+  /**
+   * Get the ownership registry for a provider, if DNS_REGISTRY is enabled
+   * @param {Object} providerConfig - Configuration for the provider instance
+   * @param {Object} provider - DNS provider for the zone
+   * @returns {TxtRegistry|null} - Registry, or null when ownership is tracked locally only
+   */
+  createRegistry(providerConfig, provider) {
+    return providerConfig.registry === 'txt' ? new TxtRegistry(providerConfig, provider) : null;
+  }
+  
+  /**
+   * Track the records this instance owns according to the ownership registry
+   * @param {Object} context - Provider context
+   */
+  async restoreTrackedRecords(context) {
+    if (!context.registry) {
+      return;
+    }
+    
+    const restored = await context.registry.rebuildTracker(context.recordTracker);
+    
+    if (restored > 0) {
+      logger.info(`📒 Restored ${restored} tracked DNS records for ${context.name} from the TXT registry`);
+    }
+  }
+  
+  /**
+   * Get the record tracker for a provider configuration
+   * @param {Object} providerConfig - Configuration for the provider instance
+   * @returns {RecordTracker} - Tracker scoped to the provider's zone
+   */
+  createRecordTracker(providerConfig) {
+    return providerConfig === this.config
+      ? this.recordTracker
+      : this.recordTracker.forProvider(providerConfig);
+  }
+  
+  /**
+   * Find the provider whose zone is the longest suffix match for a hostname
+   * With a single provider, every hostname is sent to it
+   * @param {string} hostname - Fully qualified hostname
+   * @returns {Object|null} - Provider context, or null if no zone matches
+   */
+  getProviderForHostname(hostname) {
+    if (this.providers.length === 1) {
+      return this.providers[0];
+    }
+    
+    const name = hostname.toLowerCase().replace(/\.$/, '');
+    let match = null;
+    
+    for (const context of this.providers) {
+      const inZone = name === context.zone || name.endsWith(`.${context.zone}`);
+      
+      if (inZone && (!match || context.zone.length > match.zone.length)) {
+        match = context;
+      }
+    }
+    
+    return match;
+  }
+  
+  /**
+   * Limit each provider's managed hostnames to the ones in its zone
+   */
+  assignManagedHostnames() {
+    if (this.providers.length === 1) {
+      return;
+    }
+    
+    for (const { hostname } of this.recordTracker.managedHostnames) {
+      if (!this.getProviderForHostname(hostname)) {
+        logger.warn(`Managed hostname ${hostname} is not in any configured zone and will be ignored`);
+      }
+    }
+    
+    for (const context of this.providers) {
+      context.recordTracker.managedHostnames = context.recordTracker.managedHostnames
+        .filter(managed => this.getProviderForHostname(managed.hostname) === context);
+    }
+  }
+  
   /**
    * Set up event subscriptions
    */
@@ -63,39 +217,303 @@ class DNSManager {
     // Subscribe to Traefik router updates
     this.eventBus.subscribe(EventTypes.TRAEFIK_ROUTERS_UPDATED, async (data) => {
       const { hostnames, containerLabels } = data;
-      await this.processHostnames(hostnames, containerLabels);
+      
+      // Remember the last hostnames so they can be re-applied after a config reload
+      this.lastHostnames = hostnames;
+      this.lastContainerLabels = containerLabels;
+      
+      await this.updateQueue.enqueue(() => this.processHostnames(hostnames, containerLabels));
+    });
+    
+    // Re-apply DNS settings when the configuration is reloaded
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, async () => {
+      try {
+        await this.updateQueue.enqueue(() => this.applyConfig());
+      } catch (error) {
+        logger.error(`Failed to apply reloaded configuration: ${error.message}`);
+        this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+          source: 'DNSManager.applyConfig',
+          error: error.message
+        });
+      }
+    });
+    
+    // Move records to the new address when the public IP changes
+    this.eventBus.subscribe(EventTypes.IP_UPDATED, async (data) => {
+      try {
+        await this.updateQueue.enqueue(() => this.applyIpChange(data));
+      } catch (error) {
+        logger.error(`Failed to update DNS records for the new public IP: ${error.message}`);
+        this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+          source: 'DNSManager.applyIpChange',
+          error: error.message
+        });
+      }
     });
   }
   
+  /**
+   * Apply a reloaded configuration
+   * Providers whose settings are unchanged are kept along with their record
+   * caches; new or changed providers are created and removed ones dropped.
+   * Tracked records, including orphan timers, are kept throughout
+   */
+  async applyConfig() {
+    const existing = new Map(this.providers.map(context => [context.name, context]));
+    const providers = [];
+    
+    for (const providerConfig of this.config.getProviderConfigs()) {
+      const signature = this.config.getProviderSignature(providerConfig);
+      let context = existing.get(providerConfig.providerName);
+      existing.delete(providerConfig.providerName);
+      
+      if (context && context.signature === signature) {
+        context.config = providerConfig;
+        context.provider.config = providerConfig;
+        context.recordTracker = this.createRecordTracker(providerConfig);
+        context.registry = this.createRegistry(providerConfig, context.provider);
+      } else {
+        logger.info(`${context ? '🔁 Recreating' : '➕ Adding'} DNS provider ${providerConfig.providerName}`);
+        context = this.createProviderContext(providerConfig);
+        await context.provider.init();
+      }
+      
+      await this.restoreTrackedRecords(context);
+      
+      providers.push(context);
+    }
+    
+    for (const name of existing.keys()) {
+      logger.info(`➖ Removing DNS provider ${name}`);
+    }
+    
+    this.providers = providers;
+    this.dnsProvider = providers[0].provider;
+    
+    // Reload preserved and managed hostnames
+    this.recordTracker.loadPreservedHostnames();
+    this.recordTracker.loadManagedHostnames();
+    this.assignManagedHostnames();
+    
+    await this.processManagedHostnames();
+    
+    // Re-apply the last hostnames with the new defaults and overrides
+    if (this.lastHostnames) {
+      await this.processHostnames(this.lastHostnames, this.lastContainerLabels || {}, ChangeReasons.CONFIG_RELOAD);
+    }
+  }
+  
+  /**
+   * Apply a change of the public IP addresses
+   * Every tracked A or AAAA record whose content is a previous address is
+   * updated right away instead of on the next poll, and managed hostnames
+   * that default to the public IP are reloaded with the new address
+   * @param {Object} change - IP_UPDATED event data
+   * @param {string} change.ipv4 - Current public IPv4 address
+   * @param {string} change.ipv6 - Current public IPv6 address
+   * @param {string|null} change.previousIpv4 - Previous IPv4 address, if it changed
+   * @param {string|null} change.previousIpv6 - Previous IPv6 address, if it changed
+   * @param {string} change.ipv6Prefix - Address the delegated IPv6 prefix is taken from
+   * @param {string|null} change.previousIpv6Prefix - Previous prefix address, if it changed
+   */
+  async applyIpChange({ ipv4, ipv6, previousIpv4, previousIpv6, ipv6Prefix, previousIpv6Prefix }) {
+    const replacements = {};
+    
+    if (previousIpv4) {
+      replacements.A = { previous: previousIpv4, current: ipv4 };
+      logger.info(`🌐 Public IPv4 address changed from ${previousIpv4} to ${ipv4}, updating DNS records`);
+    }
+    
+    if (previousIpv6) {
+      replacements.AAAA = { previous: previousIpv6, current: ipv6 };
+      logger.info(`🌐 Public IPv6 address changed from ${previousIpv6} to ${ipv6}, updating DNS records`);
+    }
+    
+    // The prefix follows the public IPv6 address unless it has its own sources
+    if (previousIpv6Prefix && !previousIpv6) {
+      logger.info(`🌐 IPv6 prefix address changed from ${previousIpv6Prefix} to ${ipv6Prefix}, updating DNS records with an IPv6 suffix`);
+    }
+    
+    if (Object.keys(replacements).length === 0 && !previousIpv6Prefix) {
+      return;
+    }
+    
+    // Managed hostnames without content took the public IP when they were loaded
+    for (const context of this.providers) {
+      context.recordTracker.loadManagedHostnames(true);
+    }
+    this.assignManagedHostnames();
+    
+    if (Object.keys(replacements).length > 0) {
+      this.resetStats();
+      
+      for (const context of this.providers) {
+        await this.updateIpRecords(context, replacements);
+      }
+      
+      this.logStats();
+    }
+    
+    // Creates managed hostnames that had no address until now
+    await this.processManagedHostnames();
+    
+    // Records written as an IPv6 host suffix are recomputed with the new prefix
+    if (previousIpv6Prefix && this.lastHostnames) {
+      await this.processHostnames(this.lastHostnames, this.lastContainerLabels || {}, ChangeReasons.IP_CHANGE);
+    }
+  }
+  
+  /**
+   * Update the tracked records of a provider that point to a previous public IP
+   * A multi-value record gets the new value next to the old one, and the old
+   * value is removed right away instead of by the orphan cleanup
+   * @param {Object} context - Provider context
+   * @param {Object} replacements - Previous and current address by record type
+   */
+  async updateIpRecords(context, replacements) {
+    const { provider, recordTracker } = context;
+    const zone = context.config.getProviderDomain();
+    
+    let outdatedRecords;
+    try {
+      const records = await provider.getRecordsFromCache(true);
+      
+      outdatedRecords = records.filter(record =>
+        replacements[record.type] &&
+        getRecordContent(record) === replacements[record.type].previous &&
+        recordTracker.isTracked(record));
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Error finding DNS records with the previous public IP in ${context.name}: ${error.message}`);
+      return;
+    }
+    
+    if (outdatedRecords.length === 0) {
+      logger.debug(`No tracked DNS records in ${context.name} use the previous public IP`);
+      return;
+    }
+    
+    const recordConfigs = outdatedRecords.map(record => {
+      const recordConfig = {
+        type: record.type,
+        name: this.getRecordFqdn(record, zone),
+        content: replacements[record.type].current,
+        ttl: record.ttl
+      };
+      
+      if (record.proxied !== undefined) {
+        recordConfig.proxied = record.proxied;
+      }
+      if (recordTracker.isMultiValueRecord(record)) {
+        recordConfig.multiValue = true;
+      }
+      if (recordTracker.isDualStackRecord(record)) {
+        recordConfig.dualStack = true;
+      }
+      
+      return recordConfig;
+    });
+    
+    try {
+      const processedRecords = await this.ensureRecords(context, recordConfigs, { reason: ChangeReasons.IP_CHANGE });
+      this.trackProcessedRecords(context, processedRecords);
+    } catch (error) {
+      this.stats.errors += recordConfigs.length;
+      logger.error(`Error updating DNS records for the new public IP in ${context.name}: ${error.message}`);
+      return;
+    }
+    
+    for (const record of outdatedRecords.filter(record => recordTracker.isMultiValueRecord(record))) {
+      const recordFqdn = this.getRecordFqdn(record, zone);
+      
+      try {
+        await provider.deleteRecordValue(record);
+        
+        // In dry-run mode the record still exists, so keep tracking it
+        if (this.config.dryRun) {
+          continue;
+        }
+        
+        recordTracker.untrackRecord(record);
+        
+        this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
+          provider: context.name,
+          zone: context.zone,
+          name: recordFqdn,
+          type: record.type,
+          record,
+          reason: ChangeReasons.IP_CHANGE
+        });
+      } catch (error) {
+        logger.error(`Error removing previous public IP from ${recordFqdn}: ${error.message}`);
+      }
+    }
+  }
+  
   /**
    * Process a list of hostnames and ensure DNS records exist
    * @param {Array<string>} hostnames - List of hostnames to process
    * @param {Object} containerLabels - Map of container IDs to their labels
+   * @param {string} reason - Reason reported for the changes, new-router or label-change by default
    */
-  async processHostnames(hostnames, containerLabels) {
+  async processHostnames(hostnames, containerLabels, reason = null) {
+    const startTime = Date.now();
+    
     try {
       logger.debug(`DNS Manager processing ${hostnames.length} hostnames`);
       
       // Reset statistics for this processing run
       this.resetStats();
       
+      // Pick up records tracked or released with the trafegodns command
+      this.recordTracker.reloadIfChanged();
+      
       // Track processed hostnames for cleanup
       const processedHostnames = [];
       
-      // Collect all DNS record configurations to batch process
-      const dnsRecordConfigs = [];
+      // Track the values of multi-value records, which are cleaned up one by one
+      const processedValues = new Set();
+      
+      // Collect DNS record configurations to batch process, per provider
+      const batches = new Map();
+      
+      // The router, container or resource each hostname comes from
+      const triggers = new Map();
       
       // Process each hostname
       for (const hostname of hostnames) {
         try {
           this.stats.total++;
           
-          // Find container labels for this hostname if possible
-          const labels = containerLabels[hostname] || {};
+          // Create fully qualified domain name and find the provider for its zone
+          const fqdn = this.ensureFqdn(hostname, this.config.getProviderDomain());
+          const context = this.getProviderForHostname(fqdn);
+          
+          // Find container labels for this hostname if possible, on top of any
+          // overrides for it in the configuration file and the record defaults
+          // of the Traefik instance and entrypoint that route it
+          const hostnameLabels = containerLabels[hostname] || {};
+          const labels = {
+            ...this.config.getTraefikInstanceLabels(hostnameLabels.traefikInstance),
+            ...this.config.getEntryPointLabels(hostnameLabels.traefikEntryPoints),
+            ...this.config.getHostOverrideLabels(fqdn),
+            ...hostnameLabels
+          };
+          
+          if (!context) {
+            const message = `No DNS provider configured for ${fqdn}, skipping`;
+            if (!this.loggedUnroutedHostnames.has(fqdn)) {
+              logger.warn(message);
+              this.loggedUnroutedHostnames.add(fqdn);
+            } else {
+              logger.debug(message);
+            }
+            continue;
+          }
           
           // Get label prefixes for easier reference
           const genericLabelPrefix = this.config.genericLabelPrefix;
-          const providerLabelPrefix = this.config.dnsLabelPrefix;
+          const providerLabelPrefix = context.config.dnsLabelPrefix;
           
           // Check if we should manage DNS based on global setting and labels
           // First check generic labels
@@ -133,19 +551,31 @@ class DNSManager {
             continue;
           }
           
-          // Create fully qualified domain name
-          const fqdn = this.ensureFqdn(hostname, this.config.getProviderDomain());
           processedHostnames.push(fqdn);
+          triggers.set(fqdn, this.getChangeTrigger(hostnameLabels));
           
           // Extract DNS configuration
           const recordConfig = extractDnsConfigFromLabels(
             labels, 
-            this.config,
+            context.config,
             fqdn
           );
           
-          // Add to batch instead of processing immediately
-          dnsRecordConfigs.push(recordConfig);
+          // In dual-stack mode an A record gets an AAAA record with the public IPv6 address
+          const dualStackConfig = extractDualStackConfig(labels, context.config, recordConfig);
+          const hostRecordConfigs = dualStackConfig ? [recordConfig, dualStackConfig] : [recordConfig];
+          
+          for (const hostRecordConfig of hostRecordConfigs) {
+            if (hostRecordConfig.multiValue) {
+              processedValues.add(this.getRecordValueKey(fqdn, hostRecordConfig.type, hostRecordConfig.content));
+            }
+          }
+          
+          // Add to the provider's batch instead of processing immediately
+          if (!batches.has(context)) {
+            batches.set(context, []);
+          }
+          batches.get(context).push(...hostRecordConfigs);
           
         } catch (error) {
           this.stats.errors++;
@@ -153,43 +583,56 @@ class DNSManager {
         }
       }
       
-      // Batch process all DNS records
-      if (dnsRecordConfigs.length > 0) {
-        logger.debug(`Batch processing ${dnsRecordConfigs.length} DNS record configurations`);
-        const processedRecords = await this.dnsProvider.batchEnsureRecords(dnsRecordConfigs);
+      // Start tracking existing records as ADOPTION_POLICY allows, before they are updated
+      for (const context of this.providers) {
+        await this.adoptRecords(context, batches.get(context) || [], triggers);
+      }
+      
+      // Batch process all DNS records, one batch per provider
+      for (const [context, dnsRecordConfigs] of batches) {
+        logger.debug(`Batch processing ${dnsRecordConfigs.length} DNS record configurations for ${context.name}`);
         
-        // Track all created/updated records
-        if (processedRecords && processedRecords.length > 0) {
-          for (const record of processedRecords) {
-            // Only track records that have an ID (successfully created/updated)
-            if (record && record.id) {
-              // Check if this is a new record or just an update
-              const isTracked = this.recordTracker.isTracked(record);
-              
-              if (isTracked) {
-                // Update the tracked record with the latest ID
-                this.recordTracker.updateRecordId(record, record);
-              } else {
-                // Track new record
-                this.recordTracker.trackRecord(record);
-              }
-            }
+        try {
+          const processedRecords = await this.ensureRecords(context, dnsRecordConfigs, { reason, triggers });
+          this.trackProcessedRecords(context, processedRecords);
+        } catch (error) {
+          // A failing provider should not stop the other providers from syncing
+          if (this.providers.length === 1) {
+            throw error;
           }
+          
+          this.stats.errors += dnsRecordConfigs.length;
+          logger.error(`Error processing DNS records for ${context.name}: ${error.message}`);
+          this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+            source: `DNSManager.processHostnames:${context.name}`,
+            error: error.message
+          });
         }
       }
       
+      // Remove dual-stack AAAA records of active hostnames that no longer want one
+      for (const [context, dnsRecordConfigs] of batches) {
+        await this.removeStaleDualStackRecords(context, dnsRecordConfigs);
+      }
+      
       // Log summary stats if we have records
       this.logStats();
       
       // Cleanup orphaned records if configured
       if (this.config.cleanupOrphaned && processedHostnames.length > 0) {
-        await this.cleanupOrphanedRecords(processedHostnames);
+        for (const context of this.providers) {
+          await this.cleanupOrphanedRecords(processedHostnames, context, processedValues);
+        }
       }
       
+      // Report the change set computed during this run
+      this.logDryRunPlan();
+      
       // Publish event with results
       this.eventBus.publish(EventTypes.DNS_RECORDS_UPDATED, {
         stats: this.stats,
-        processedHostnames
+        processedHostnames,
+        durationMs: Date.now() - startTime
       });
       
       return {
@@ -233,20 +676,10 @@ class DNSManager {
     if (this.stats.total > 0) {
       if (this.stats.created > 0) {
         logger.success(`Created ${this.stats.created} new DNS records`);
-        
-        // Publish event for each creation (for metrics/monitoring)
-        this.eventBus.publish(EventTypes.DNS_RECORD_CREATED, {
-          count: this.stats.created
-        });
       }
       
       if (this.stats.updated > 0) {
         logger.success(`Updated ${this.stats.updated} existing DNS records`);
-        
-        // Publish event for each update
-        this.eventBus.publish(EventTypes.DNS_RECORD_UPDATED, {
-          count: this.stats.updated
-        });
       }
       
       // Only log "up to date" records if the count has changed
@@ -270,6 +703,337 @@ class DNSManager {
     }
   }
   
+  /**
+   * Ensure a batch of records exists with a provider
+   * Compares the provider cache before and after the batch to count the outcome
+   * and publish an event for every record created or updated
+   * With the TXT registry, records owned by other instances are skipped and
+   * the rest are claimed for this instance
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations to ensure
+   * @param {Object} cause - Why the records are ensured, reported with each change
+   * @param {string} cause.reason - Change reason, new-router or label-change by default
+   * @param {Map} cause.triggers - Router, container or resource of each record name
+   * @returns {Promise<Array>} - Records returned by the provider
+   */
+  async ensureRecords(context, recordConfigs, cause = {}) {
+    const { reason, triggers } = cause;
+    const { provider } = context;
+    
+    // Make sure the cache is loaded before taking the snapshot
+    await provider.getRecordsFromCache();
+    
+    recordConfigs = this.filterForeignRecords(context, recordConfigs);
+    
+    const previousRecords = recordConfigs.map(recordConfig => {
+      const existing = provider.findRecordForConfig(recordConfig);
+      return existing ? { ...existing } : null;
+    });
+    
+    const processedRecords = await provider.batchEnsureRecords(recordConfigs);
+    
+    // Nothing was applied in dry-run mode, the plan reports the outcome instead
+    if (context.dryRunPlan) {
+      await this.claimRecords(context, recordConfigs);
+      return this.getTrackedResults(provider, recordConfigs, processedRecords);
+    }
+    
+    recordConfigs.forEach((recordConfig, index) => {
+      const previous = previousRecords[index];
+      const current = provider.findRecordForConfig(recordConfig);
+      const record = { ...recordConfig, id: current ? current.id : undefined };
+      
+      if (!current) {
+        this.stats.errors++;
+      } else if (!previous) {
+        this.stats.created++;
+        this.eventBus.publish(EventTypes.DNS_RECORD_CREATED, {
+          provider: context.name,
+          zone: context.zone,
+          record,
+          reason: reason || ChangeReasons.NEW_ROUTER,
+          trigger: triggers?.get(recordConfig.name) || null
+        });
+      } else if (provider.recordNeedsUpdate(previous, recordConfig)) {
+        // The update failed if the record still differs from the desired state
+        if (provider.recordNeedsUpdate(current, recordConfig)) {
+          this.stats.errors++;
+          return;
+        }
+
+        this.stats.updated++;
+        this.eventBus.publish(EventTypes.DNS_RECORD_UPDATED, {
+          provider: context.name,
+          zone: context.zone,
+          record,
+          previous,
+          differences: getRecordDifferences(previous, recordConfig),
+          reason: reason || ChangeReasons.LABEL_CHANGE,
+          trigger: triggers?.get(recordConfig.name) || null
+        });
+      } else {
+        this.stats.upToDate++;
+      }
+    });
+    
+    await this.claimRecords(context, recordConfigs.filter(recordConfig =>
+      provider.findRecordForConfig(recordConfig)));
+    
+    return this.getTrackedResults(provider, recordConfigs, processedRecords);
+  }
+  
+  /**
+   * Replace the provider's results for multi-value and dual-stack records with
+   * the cached record, marked so the tracker knows how the record is managed
+   * @param {Object} provider - DNS provider
+   * @param {Array<Object>} recordConfigs - Record configurations that were ensured
+   * @param {Array<Object>} processedRecords - Records returned by the provider
+   * @returns {Array<Object>} - Records to track
+   */
+  getTrackedResults(provider, recordConfigs, processedRecords) {
+    const markedRecords = recordConfigs
+      .filter(recordConfig => recordConfig.multiValue || recordConfig.dualStack)
+      .map(recordConfig => {
+        const record = provider.findRecordForConfig(recordConfig);
+        
+        if (!record) {
+          return null;
+        }
+        
+        const markedRecord = { ...record };
+        if (recordConfig.multiValue) {
+          markedRecord.multiValue = true;
+        }
+        if (recordConfig.dualStack) {
+          markedRecord.dualStack = true;
+        }
+        return markedRecord;
+      })
+      .filter(record => record);
+    
+    if (markedRecords.length === 0) {
+      return processedRecords;
+    }
+    
+    const markedIds = new Set(markedRecords.map(record => record.id));
+    
+    return (processedRecords || [])
+      .filter(record => !record || !markedIds.has(record.id))
+      .concat(markedRecords);
+  }
+  
+  /**
+   * Delete dual-stack AAAA records of hostnames that are still active but no
+   * longer get one, because dual-stack mode was turned off or the public IPv6
+   * address went away. Hostnames that are gone are left to the orphan cleanup,
+   * so their A and AAAA records are removed together.
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations ensured in this run
+   */
+  async removeStaleDualStackRecords(context, recordConfigs) {
+    const { provider, recordTracker } = context;
+    const zone = context.config.getProviderDomain();
+    
+    // Nothing to check until a dual-stack record has been published in this zone
+    if (!recordTracker.getCurrentProviderRecords().some(record => record.dualStack)) {
+      return;
+    }
+    
+    const activeHostnames = new Set(recordConfigs.map(recordConfig => recordConfig.name.toLowerCase()));
+    const wantedKeys = new Set(recordConfigs
+      .filter(recordConfig => recordConfig.type === 'AAAA')
+      .map(recordConfig => (recordConfig.multiValue
+        ? this.getRecordValueKey(recordConfig.name, recordConfig.type, recordConfig.content)
+        : recordConfig.name.toLowerCase())));
+    
+    let records;
+    try {
+      records = await provider.getRecordsFromCache();
+    } catch (error) {
+      logger.error(`Error checking dual-stack records for ${context.name}: ${error.message}`);
+      return;
+    }
+    
+    const hasIPv6 = !!this.config.getDualStackIPv6();
+    
+    for (const record of records) {
+      if (record.type !== 'AAAA' || !recordTracker.isDualStackRecord(record)) {
+        continue;
+      }
+      
+      const recordFqdn = this.getRecordFqdn(record, zone);
+      const isMultiValue = recordTracker.isMultiValueRecord(record);
+      const recordKey = isMultiValue
+        ? this.getRecordValueKey(recordFqdn, record.type, getRecordContent(record))
+        : recordFqdn;
+      
+      if (!activeHostnames.has(recordFqdn) || wantedKeys.has(recordKey)) {
+        continue;
+      }
+      
+      const reason = hasIPv6 ? 'dual-stack disabled' : 'no public IPv6 address';
+      logger.info(`🗑️ Removing dual-stack DNS record (${reason}): ${recordFqdn} (AAAA ${getRecordContent(record)})`);
+      
+      try {
+        if (isMultiValue) {
+          await provider.deleteRecordValue(record);
+        } else {
+          await provider.deleteRecord(record.id);
+        }
+        
+        // In dry-run mode the record still exists, so keep tracking it
+        if (this.config.dryRun) {
+          continue;
+        }
+        
+        recordTracker.untrackRecord(record);
+        
+        this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
+          provider: context.name,
+          zone: context.zone,
+          name: recordFqdn,
+          type: record.type,
+          record,
+          reason: ChangeReasons.DUAL_STACK
+        });
+      } catch (error) {
+        logger.error(`Error deleting dual-stack record ${recordFqdn}: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Build the key of one value of a multi-value record
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   * @param {string} content - Record value
+   */
+  getRecordValueKey(hostname, type, content) {
+    return `${hostname.replace(/\.$/, '')}:${type}:${content}`.toLowerCase();
+  }
+
+  /**
+   * Describe where a hostname comes from, reported with its record changes
+   * @param {Object} hostnameLabels - Labels the monitor found for the hostname
+   * @returns {Object|null} - Router, container and Kubernetes resource, when known
+   */
+  getChangeTrigger(hostnameLabels) {
+    const trigger = {};
+
+    if (hostnameLabels.routerName) {
+      trigger.router = hostnameLabels.routerName;
+    }
+
+    if (hostnameLabels.containerName) {
+      trigger.container = hostnameLabels.containerName;
+    }
+
+    if (hostnameLabels.kubernetesResource) {
+      trigger.resource = hostnameLabels.kubernetesResource;
+    }
+
+    return Object.keys(trigger).length > 0 ? trigger : null;
+  }
+
+  /**
+   * Drop records that the TXT registry says belong to another instance
+   * Multi-value records share their name with other instances, so ownership of
+   * their values is kept in the local tracker only
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Record configurations to ensure
+   * @returns {Array<Object>} - Record configurations this instance may manage
+   */
+  filterForeignRecords(context, recordConfigs) {
+    if (!context.registry) {
+      return recordConfigs;
+    }
+    
+    return recordConfigs.filter(recordConfig => {
+      if (recordConfig.multiValue) {
+        return true;
+      }
+      
+      const owner = context.registry.getOwner(recordConfig.name, recordConfig.type);
+      
+      if (owner === null || owner === context.registry.ownerId) {
+        return true;
+      }
+      
+      const message = `DNS record ${recordConfig.name} (${recordConfig.type}) is owned by ${owner}, skipping`;
+      const recordKey = `${recordConfig.name}-${recordConfig.type}`.toLowerCase();
+      
+      if (!this.loggedForeignRecords.has(recordKey)) {
+        logger.warn(message);
+        this.loggedForeignRecords.add(recordKey);
+      } else {
+        logger.debug(message);
+      }
+      
+      return false;
+    });
+  }
+  
+  /**
+   * Write ownership TXT records for records this instance manages
+   * A failure is logged but does not fail the sync, it is retried on the next poll
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Records that exist with the provider
+   */
+  async claimRecords(context, recordConfigs) {
+    recordConfigs = recordConfigs.filter(recordConfig => !recordConfig.multiValue);
+    
+    if (!context.registry || recordConfigs.length === 0) {
+      return;
+    }
+    
+    try {
+      await context.registry.claimRecords(recordConfigs);
+    } catch (error) {
+      logger.error(`Error writing ownership TXT records for ${context.name}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Track records created or updated by a provider
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} processedRecords - Records returned by the provider
+   */
+  trackProcessedRecords(context, processedRecords) {
+    if (!processedRecords || processedRecords.length === 0) {
+      return;
+    }
+    
+    for (const record of processedRecords) {
+      // Only track records that have an ID (successfully created/updated)
+      if (record && record.id) {
+        // Check if this is a new record or just an update
+        const isTracked = context.recordTracker.isTracked(record);
+        
+        if (isTracked) {
+          // Update the tracked record with the latest ID
+          context.recordTracker.updateRecordId(record, record);
+        } else {
+          // Track new record
+          context.recordTracker.trackRecord(record);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Log and reset the dry-run plans (no-op when dry-run mode is disabled)
+   */
+  logDryRunPlan() {
+    for (const { dryRunPlan } of this.providers) {
+      if (!dryRunPlan) {
+        continue;
+      }
+      
+      dryRunPlan.log();
+      dryRunPlan.reset();
+    }
+  }
+  
   /**
    * Ensure a hostname is a fully qualified domain name
    */
@@ -281,14 +1045,51 @@ class DNSManager {
   }
   
   /**
-   * Clean up orphaned DNS records
+   * Get the lowercase FQDN of a record from the provider cache
+   * Some providers store names relative to the zone, others store the FQDN
+   * @param {Object} record - Record from the provider cache
+   * @param {string} zone - Zone the record belongs to
+   * @returns {string} - Fully qualified record name
+   */
+  getRecordFqdn(record, zone) {
+    const domainName = zone.toLowerCase();
+    
+    if (record.name === '@') {
+      return domainName;
+    }
+    
+    // Check if the record name already contains the domain
+    const recordName = record.name.toLowerCase();
+    let recordFqdn = recordName.endsWith(domainName) ? recordName : `${recordName}.${domainName}`;
+    
+    // Check for domain duplication (e.g., example.com.example.com)
+    const doublePattern = new RegExp(`${domainName}\\.${domainName}$`, 'i');
+    if (doublePattern.test(recordFqdn)) {
+      // Remove the duplicated domain part
+      recordFqdn = recordFqdn.replace(doublePattern, domainName);
+      logger.debug(`Fixed duplicated domain in record: ${recordFqdn}`);
+    }
+    
+    return recordFqdn;
+  }
+  
+  /**
+   * Clean up orphaned DNS records in a provider's zone
+   * A value of a multi-value record is orphaned when it is no longer wanted,
+   * even while the name is, and only that value is deleted
+   * @param {Array<string>} activeHostnames - Hostnames currently in use
+   * @param {Object} context - Provider context (defaults to the primary provider)
+   * @param {Set<string>} activeValues - Keys of the multi-value record values currently in use
    */
-  async cleanupOrphanedRecords(activeHostnames) {
+  async cleanupOrphanedRecords(activeHostnames, context = this.providers[0], activeValues = new Set()) {
+    const { provider, recordTracker, registry } = context;
+    const zone = context.config.getProviderDomain();
+    
     try {
-      logger.debug('Checking for orphaned DNS records...');
+      logger.debug(`Checking for orphaned DNS records in ${zone}...`);
       
       // Get all DNS records for our zone (from cache when possible)
-      const allRecords = await this.dnsProvider.getRecordsFromCache(true); // Force refresh
+      const allRecords = await provider.getRecordsFromCache(true); // Force refresh
       
       // Normalize active hostnames for comparison
       const normalizedActiveHostnames = new Set(activeHostnames.map(host => host.toLowerCase()));
@@ -302,12 +1103,9 @@ class DNSManager {
       let reactivatedCount = 0;
       
       // Find records that were created by this tool but no longer exist in Traefik
-      const domainSuffix = `.${this.config.getProviderDomain()}`;
-      const domainName = this.config.getProviderDomain().toLowerCase();
-      
       for (const record of allRecords) {
         // Skip apex domain/root records
-        if (record.name === '@' || record.name === this.config.getProviderDomain()) {
+        if (record.name === '@' || record.name === zone) {
           logger.debug(`Skipping apex record: ${record.name}`);
           continue;
         }
@@ -318,15 +1116,40 @@ class DNSManager {
           continue;
         }
         
-        // Check if this record is tracked by our tool
-        if (!this.recordTracker.isTracked(record)) {
-          // Support legacy records with comment for backward compatibility
-          if (this.config.dnsProvider === 'cloudflare' && 
+        const recordFqdn = this.getRecordFqdn(record, zone);
+        
+        // Check if this record is managed by this instance
+        let isMultiValue = recordTracker.isMultiValueRecord(record);
+        
+        if (registry && !isMultiValue) {
+          // With the TXT registry, only records owned by this instance are cleaned up
+          if (registry.isOwnershipName(recordFqdn)) {
+            continue;
+          }
+          
+          const owner = registry.getOwner(recordFqdn, record.type);
+          
+          if (owner !== registry.ownerId) {
+            logger.debug(`Skipping DNS record not owned by ${registry.ownerId}: ${recordFqdn} (${record.type})${owner ? `, owner ${owner}` : ''}`);
+            continue;
+          }
+          
+          // Owned but missing from the tracker, e.g. after the tracker file was lost,
+          // a name with several values is restored value by value
+          if (!recordTracker.isTracked(record)) {
+            isMultiValue = registry.findRecordValues(recordFqdn, record.type).length > 1;
+            recordTracker.trackRecord(isMultiValue ? { ...record, multiValue: true } : record);
+          }
+        } else if (!recordTracker.isTracked(record)) {
+          // Support legacy records with comment for backward compatibility,
+          // other values of a multi-value record carry the comment too
+          if (context.config.dnsProvider === 'cloudflare' && 
               (record.comment === 'Managed by Traefik DNS Manager' || 
-               record.comment === 'Managed by TráfegoDNS')) {
+               record.comment === 'Managed by TráfegoDNS') &&
+              !recordTracker.hasMultiValueRecords(record)) {
             // This is a legacy record created before we implemented tracking
             logger.debug(`Found legacy managed record with comment: ${record.name} (${record.type})`);
-            this.recordTracker.trackRecord(record);
+            this.adoptRecord(context, record, recordFqdn);
           } else {
             // Not tracked and not a legacy record - skip it
             logger.debug(`Skipping non-managed record: ${record.name} (${record.type})`);
@@ -334,35 +1157,11 @@ class DNSManager {
           }
         }
         
-        // Reconstruct the FQDN from record name format
-        let recordFqdn;
-        if (record.name === '@') {
-          recordFqdn = domainName;
-        } else {
-          // Check if the record name already contains the domain
-          const recordName = record.name.toLowerCase();
-          if (recordName.endsWith(domainName)) {
-            // Already has domain name, use as is
-            recordFqdn = recordName;
-          } else {
-            // Need to append domain
-            recordFqdn = `${recordName}${domainSuffix}`;
-          }
-        }
-        
-        // Check for domain duplication (e.g., example.com.example.com)
-        const doublePattern = new RegExp(`${domainName}\\.${domainName}$`, 'i');
-        if (doublePattern.test(recordFqdn)) {
-          // Remove the duplicated domain part
-          recordFqdn = recordFqdn.replace(doublePattern, domainName);
-          logger.debug(`Fixed duplicated domain in record: ${recordFqdn}`);
-        }
-        
         // Log each record for debugging
         logger.debug(`Checking record FQDN: ${recordFqdn} (${record.type})`);
         
         // Check if this record should be preserved
-        if (this.recordTracker.shouldPreserveHostname(recordFqdn)) {
+        if (recordTracker.shouldPreserveHostname(recordFqdn)) {
           // Create a unique key for this record for tracking log messages
           const recordKey = `${recordFqdn}-${record.type}`;
           
@@ -379,8 +1178,8 @@ class DNSManager {
         }
         
         // Also check if this record is in the managed hostnames list
-        if (this.recordTracker.managedHostnames && 
-            this.recordTracker.managedHostnames.some(h => h.hostname.toLowerCase() === recordFqdn.toLowerCase())) {
+        if (recordTracker.managedHostnames && 
+            recordTracker.managedHostnames.some(h => h.hostname.toLowerCase() === recordFqdn.toLowerCase())) {
           // Create a unique key for this record for tracking log messages
           const recordKey = `${recordFqdn}-${record.type}-managed`;
           
@@ -397,11 +1196,18 @@ class DNSManager {
         }
         
         // Check if this record is still active
-        if (!normalizedActiveHostnames.has(recordFqdn)) {
+        const isActive = isMultiValue
+          ? activeValues.has(this.getRecordValueKey(recordFqdn, record.type, getRecordContent(record)))
+          : normalizedActiveHostnames.has(recordFqdn);
+        
+        // Values of multi-value records are logged along with the type, e.g. (A 192.0.2.10)
+        const recordDescription = isMultiValue ? `${record.type} ${getRecordContent(record)}` : record.type;
+        
+        if (!isActive) {
           // Check if the record was already marked as orphaned
-          if (this.recordTracker.isRecordOrphaned(record)) {
+          if (recordTracker.isRecordOrphaned(record)) {
             // Check if grace period has elapsed
-            const orphanedTime = this.recordTracker.getRecordOrphanedTime(record);
+            const orphanedTime = recordTracker.getRecordOrphanedTime(record);
             const now = new Date();
             const elapsedMinutes = (now - orphanedTime) / (1000 * 60);
             
@@ -409,44 +1215,30 @@ class DNSManager {
               // Grace period elapsed, we can delete the record
               readyForDeletionCount++;
               
-              // Format the display name for better reporting
-              const displayName = recordFqdn || 
-                                 (record.name === '@' ? this.config.getProviderDomain() 
-                                                    : `${record.name}.${this.config.getProviderDomain()}`);
-              
-              logger.info(`🗑️ Grace period elapsed (${Math.floor(elapsedMinutes)} minutes), removing orphaned DNS record: ${displayName} (${record.type})`);
+              logger.info(`🗑️ Grace period elapsed (${Math.floor(elapsedMinutes)} minutes), removing orphaned DNS record: ${recordFqdn} (${recordDescription})`);
               
               try {
-                await this.dnsProvider.deleteRecord(record.id);
-                
-                // Remove record from tracker
-                this.recordTracker.untrackRecord(record);
-                
-                // Publish delete event
-                this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
-                  name: displayName,
-                  type: record.type
-                });
+                await this.deleteOrphanedRecord(context, record, recordFqdn);
               } catch (error) {
-                logger.error(`Error deleting orphaned record ${displayName}: ${error.message}`);
+                logger.error(`Error deleting orphaned record ${recordFqdn}: ${error.message}`);
               }
             } else {
               // Grace period not elapsed yet, log the remaining time
               const remainingMinutes = Math.ceil(this.config.cleanupGracePeriod - elapsedMinutes);
               
-              logger.debug(`Orphaned DNS record ${recordFqdn} (${record.type}) will be deleted in ${remainingMinutes} minutes`);
+              logger.debug(`Orphaned DNS record ${recordFqdn} (${recordDescription}) will be deleted in ${remainingMinutes} minutes`);
             }
           } else {
             // Record is newly orphaned, mark it
-            logger.info(`🕒 Marking DNS record as orphaned (will be deleted after ${this.config.cleanupGracePeriod} minutes): ${recordFqdn} (${record.type})`);
-            this.recordTracker.markRecordOrphaned(record);
+            logger.info(`🕒 Marking DNS record as orphaned (will be deleted after ${this.config.cleanupGracePeriod} minutes): ${recordFqdn} (${recordDescription})`);
+            recordTracker.markRecordOrphaned(record);
             newlyOrphanedCount++;
           }
         } else {
           // Record is active again (found in active hostnames), unmark as orphaned if needed
-          if (this.recordTracker.isRecordOrphaned(record)) {
-            logger.info(`✅ DNS record is active again, removing orphaned mark: ${recordFqdn} (${record.type})`);
-            this.recordTracker.unmarkRecordOrphaned(record);
+          if (recordTracker.isRecordOrphaned(record)) {
+            logger.info(`✅ DNS record is active again, removing orphaned mark: ${recordFqdn} (${recordDescription})`);
+            recordTracker.unmarkRecordOrphaned(record);
             reactivatedCount++;
           }
         }
@@ -467,22 +1259,228 @@ class DNSManager {
     }
   }
   
+  /**
+   * Track existing records that TráfegoDNS did not create, as ADOPTION_POLICY allows
+   * With the active policy, records are adopted when an active hostname asks for
+   * their name and type, so they are cleaned up once the hostname goes away; with
+   * the list policy, records named in ADOPTION_HOSTNAMES are adopted
+   * @param {Object} context - Provider context
+   * @param {Array<Object>} recordConfigs - Records the active hostnames in the zone ask for
+   * @param {Map} triggers - The router, container or resource each hostname comes from
+   */
+  async adoptRecords(context, recordConfigs, triggers = new Map()) {
+    const policy = this.config.adoptionPolicy;
+    
+    if (policy === 'never') {
+      return;
+    }
+    
+    const { provider, recordTracker, registry, zone } = context;
+    
+    // Record configurations by name and type, and by value for multi-value records
+    const wantedRecords = new Set();
+    const wantedValues = new Set();
+    
+    for (const recordConfig of recordConfigs) {
+      const fqdn = this.getRecordFqdn(recordConfig, zone);
+      
+      if (recordConfig.multiValue) {
+        wantedValues.add(this.getRecordValueKey(fqdn, recordConfig.type, recordConfig.content));
+      } else {
+        wantedRecords.add(`${fqdn}:${recordConfig.type}`);
+      }
+    }
+    
+    const adopted = [];
+    
+    try {
+      for (const record of await provider.getRecordsFromCache()) {
+        if (record.type === 'NS' || record.type === 'SOA' || recordTracker.isTracked(record)) {
+          continue;
+        }
+        
+        const recordFqdn = this.getRecordFqdn(record, zone);
+        
+        // Ownership TXT records belong to the registry
+        if (record.type === 'TXT' && TxtRegistry.isOwnershipContent(getRecordContent(record))) {
+          continue;
+        }
+        
+        let multiValue = false;
+        
+        if (policy === 'active') {
+          multiValue = wantedValues.has(this.getRecordValueKey(recordFqdn, record.type, getRecordContent(record)));
+          
+          if (!multiValue && !wantedRecords.has(`${recordFqdn}:${record.type}`)) {
+            continue;
+          }
+        } else if (!this.isAdoptionHostname(recordFqdn)) {
+          continue;
+        }
+        
+        // Other values of a name managed value by value may belong to other hosts
+        if (!multiValue && recordTracker.hasMultiValueRecords(record)) {
+          logger.debug(`Not adopting ${recordFqdn} (${record.type}), its values are managed one by one`);
+          continue;
+        }
+        
+        // Records another instance owns are left to it
+        const owner = registry ? registry.getOwner(recordFqdn, record.type) : null;
+        if (owner && owner !== registry.ownerId) {
+          logger.debug(`Not adopting ${recordFqdn} (${record.type}), owned by ${owner}`);
+          continue;
+        }
+        
+        this.adoptRecord(context, multiValue ? { ...record, multiValue } : record, recordFqdn, triggers.get(recordFqdn));
+        adopted.push({ name: recordFqdn, type: record.type, multiValue });
+      }
+      
+      await this.claimRecords(context, adopted);
+    } catch (error) {
+      logger.error(`Error adopting existing records for ${context.name}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Whether a hostname is in ADOPTION_HOSTNAMES, exactly or through a *.example.com pattern
+   * @param {string} hostname - Fully qualified hostname
+   * @returns {boolean} - True if records of the hostname may be adopted
+   */
+  isAdoptionHostname(hostname) {
+    const name = hostname.toLowerCase();
+    
+    return this.config.adoptionHostnames.some(pattern => (pattern.startsWith('*.')
+      ? name.endsWith(pattern.substring(1))
+      : name === pattern));
+  }
+  
+  /**
+   * Start tracking a record TráfegoDNS did not create
+   * @param {Object} context - Provider context
+   * @param {Object} record - Record from the provider cache, with multiValue set to adopt one value
+   * @param {string} recordFqdn - Fully qualified record name
+   * @param {Object} trigger - The router, container or resource asking for the record (optional)
+   */
+  adoptRecord(context, record, recordFqdn, trigger = null) {
+    const recordDescription = record.multiValue ? `${record.type} ${getRecordContent(record)}` : record.type;
+    
+    context.recordTracker.trackRecord(record);
+    logger.info(`📥 Adopted existing DNS record: ${recordFqdn} (${recordDescription})`);
+    
+    // In dry-run mode the adoption is kept in memory only, like the tracker
+    if (this.config.dryRun) {
+      return;
+    }
+    
+    this.eventBus.publish(EventTypes.DNS_RECORD_ADOPTED, {
+      provider: context.name,
+      zone: context.zone,
+      name: recordFqdn,
+      type: record.type,
+      record,
+      reason: ChangeReasons.ADOPTION,
+      trigger
+    });
+  }
+  
+  /**
+   * Delete an orphaned record and its ownership TXT record, and stop tracking it
+   * @param {Object} context - Provider context
+   * @param {Object} record - Record from the provider cache
+   * @param {string} recordFqdn - Fully qualified record name
+   */
+  async deleteOrphanedRecord(context, record, recordFqdn) {
+    const { provider, recordTracker, registry } = context;
+    const isMultiValue = recordTracker.isMultiValueRecord(record);
+    
+    if (isMultiValue) {
+      await provider.deleteRecordValue(record);
+    } else {
+      await provider.deleteRecord(record.id);
+    }
+    
+    // Remove the ownership TXT record along with the record
+    if (registry && !isMultiValue) {
+      await registry.releaseRecord(recordFqdn, record.type);
+    }
+    
+    // In dry-run mode the record still exists, so keep tracking it
+    if (this.config.dryRun) {
+      return;
+    }
+    
+    recordTracker.untrackRecord(record);
+    
+    this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
+      provider: context.name,
+      zone: context.zone,
+      name: recordFqdn,
+      type: record.type,
+      record,
+      reason: ChangeReasons.ORPHAN_CLEANUP
+    });
+  }
+  
+  /**
+   * Get the tracked records of a provider that are marked as orphaned
+   * @param {Object} context - Provider context
+   * @returns {Promise<Array<Object>>} - { record, name, orphanedAt, deleteAt } for each orphaned record
+   */
+  async getOrphanedRecords(context) {
+    const { provider, recordTracker } = context;
+    const records = await provider.getRecordsFromCache();
+    
+    return records
+      .filter(record => recordTracker.isTracked(record) && recordTracker.isRecordOrphaned(record))
+      .map(record => {
+        const orphanedAt = recordTracker.getRecordOrphanedTime(record);
+        
+        return {
+          record,
+          name: this.getRecordFqdn(record, context.zone),
+          orphanedAt,
+          deleteAt: new Date(orphanedAt.getTime() + this.config.cleanupGracePeriod * 60000)
+        };
+      });
+  }
+  
   /**
    * Process managed hostnames and ensure they exist
    */
   async processManagedHostnames() {
-    if (!this.recordTracker.managedHostnames || this.recordTracker.managedHostnames.length === 0) {
-      logger.debug('No managed hostnames to process');
+    for (const context of this.providers) {
+      await this.processProviderManagedHostnames(context);
+    }
+    
+    this.logDryRunPlan();
+  }
+  
+  /**
+   * Process the managed hostnames in a provider's zone
+   * @param {Object} context - Provider context
+   */
+  async processProviderManagedHostnames(context) {
+    const { recordTracker } = context;
+    
+    if (!recordTracker.managedHostnames || recordTracker.managedHostnames.length === 0) {
+      logger.debug(`No managed hostnames to process for ${context.name}`);
       return;
     }
     
-    logger.info(`Processing ${this.recordTracker.managedHostnames.length} manually managed hostnames`);
+    logger.info(`Processing ${recordTracker.managedHostnames.length} manually managed hostnames for ${context.name}`);
     
     // Collect DNS record configurations
     const dnsRecordConfigs = [];
     
+    // Several managed hostnames with the same name and type are the values of one multi-value record
+    const valueCounts = new Map();
+    for (const config of recordTracker.managedHostnames) {
+      const key = `${config.type}:${config.hostname}`.toLowerCase();
+      valueCounts.set(key, (valueCounts.get(key) || 0) + 1);
+    }
+    
     // Process each managed hostname
-    for (const config of this.recordTracker.managedHostnames) {
+    for (const config of recordTracker.managedHostnames) {
       try {
         // Create a record configuration
         const recordConfig = {
@@ -492,11 +1490,32 @@ class DNSManager {
           ttl: config.ttl
         };
         
+        // An IPv6 host suffix is combined with the current delegated prefix
+        if (config.type === 'AAAA' && isIPv6Suffix(config.content)) {
+          recordConfig.content = context.config.resolveIPv6Suffix(config.content);
+          
+          if (!recordConfig.content) {
+            logger.warn(`Skipping managed hostname ${config.hostname}, no IPv6 prefix is known yet to combine with ${config.content}`);
+            continue;
+          }
+        }
+        
+        // Add type-specific fields, e.g. MX priority or SRV weight and port
+        for (const field of ['priority', 'weight', 'port', 'flags', 'tag']) {
+          if (config[field] !== undefined) {
+            recordConfig[field] = config[field];
+          }
+        }
+        
         // Add proxied flag for Cloudflare
-        if (this.config.dnsProvider === 'cloudflare' && ['A', 'AAAA', 'CNAME'].includes(config.type)) {
+        if (context.config.dnsProvider === 'cloudflare' && ['A', 'AAAA', 'CNAME'].includes(config.type)) {
           recordConfig.proxied = config.proxied;
         }
         
+        if (valueCounts.get(`${config.type}:${config.hostname}`.toLowerCase()) > 1) {
+          recordConfig.multiValue = true;
+        }
+        
         // Add to batch process list
         dnsRecordConfigs.push(recordConfig);
         
@@ -511,26 +1530,10 @@ class DNSManager {
       logger.debug(`Batch processing ${dnsRecordConfigs.length} managed DNS records`);
       
       try {
-        const processedRecords = await this.dnsProvider.batchEnsureRecords(dnsRecordConfigs);
+        const processedRecords = await this.ensureRecords(context, dnsRecordConfigs, { reason: ChangeReasons.MANAGED_HOSTNAME });
         
         // Track created/updated records
-        if (processedRecords && processedRecords.length > 0) {
-          for (const record of processedRecords) {
-            // Only track records that have an ID (successfully created/updated)
-            if (record && record.id) {
-              // Check if this is a new record or just an update
-              const isTracked = this.recordTracker.isTracked(record);
-              
-              if (isTracked) {
-                // Update the tracked record with the latest ID
-                this.recordTracker.updateRecordId(record, record);
-              } else {
-                // Track new record
-                this.recordTracker.trackRecord(record);
-              }
-            }
-          }
-        }
+        this.trackProcessedRecords(context, processedRecords);
         
         logger.success(`Successfully processed ${processedRecords.length} managed hostnames`);
       } catch (error) {
@@ -44,6 +44,13 @@ class DirectDNSManager {
         logger.debug('Updated Docker container labels cache in DirectDNSManager');
       }
     });
+    
+    // Apply the poll interval from a reloaded configuration
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, ({ changes = [] }) => {
+      if (changes.includes('pollInterval')) {
+        this.restartPolling();
+      }
+    });
   }
 
   /**
@@ -78,6 +85,19 @@ class DirectDNSManager {
       logger.debug('Container polling stopped');
     }
   }
+  
+  /**
+   * Restart the poll timer with the current poll interval
+   */
+  restartPolling() {
+    if (!this.pollTimer) {
+      return;
+    }
+    
+    clearInterval(this.pollTimer);
+    this.pollTimer = setInterval(() => this.pollContainers(), this.config.pollInterval);
+    logger.debug(`Container polling restarted with interval of ${this.config.pollInterval}ms`);
+  }
 
   /**
    * Poll containers for DNS labels
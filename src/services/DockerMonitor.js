@@ -26,8 +26,20 @@ class DockerMonitor {
     // Container ID to name mapping
     this.containerIdToName = new Map();
     
+    // Whether Swarm service labels are read, detected on the first cache update
+    this.swarmEnabled = null;
+    
+    // Names of the Swarm services in the labels cache
+    this.serviceNames = new Set();
+    
     // Event stream reference
     this.events = null;
+    
+    // Time the event stream was lost (null while connected or not yet started)
+    this.disconnectedSince = null;
+    
+    // Pending reconnect timer
+    this.reconnectTimer = null;
   }
   
   /**
@@ -40,24 +52,68 @@ class DockerMonitor {
       
       logger.debug('Starting Docker event monitoring...');
       
-      // Get the event stream
-      this.events = await this.getEvents();
+      // Get the event stream, including service events in Swarm mode
+      this.events = await this.getEvents({
+        type: this.swarmEnabled ? ['container', 'service'] : ['container']
+      });
       
       // Set up event listeners
       this.setupEventListeners();
       
+      if (this.disconnectedSince) {
+        logger.success('Docker event stream reconnected');
+      }
+      this.disconnectedSince = null;
+      
       logger.success('Docker event monitoring started successfully');
       return true;
     } catch (error) {
       logger.error(`Failed to start Docker monitoring: ${error.message}`);
       
       // Try to reconnect after a delay
-      setTimeout(() => this.startWatching(), 10000);
+      this.markDisconnected();
+      this.scheduleReconnect();
       
       throw error;
     }
   }
   
+  /**
+   * Record the time the event stream was lost
+   */
+  markDisconnected() {
+    if (!this.disconnectedSince) {
+      this.disconnectedSince = Date.now();
+    }
+  }
+  
+  /**
+   * Schedule a reconnection attempt to the Docker event stream
+   */
+  scheduleReconnect(delay = 10000) {
+    if (this.reconnectTimer) {
+      return;
+    }
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      
+      // Failures are logged and rescheduled by startWatching itself
+      this.startWatching().catch(() => {});
+    }, delay);
+  }
+  
+  /**
+   * Get the state of the Docker event stream
+   * @returns {Object} - Whether the stream is connected and since when it has been lost
+   */
+  getConnectionStatus() {
+    return {
+      connected: !!this.events && !this.disconnectedSince,
+      disconnectedSince: this.disconnectedSince
+    };
+  }
+  
   /**
    * Stop watching Docker events
    */
@@ -79,6 +135,8 @@ class DockerMonitor {
   setupEventListeners() {
     if (!this.events) return;
     
+    const stream = this.events;
+    
     this.events.on('data', (data) => {
       try {
         // More robust JSON parsing with fallbacks
@@ -133,27 +191,15 @@ class DockerMonitor {
             }
           );
           
-          // Prevent too frequent updates by checking time since last event
-          const now = Date.now();
-          if (now - this.lastEventTime < 3000) {
-            logger.debug('Skipping Docker event processing (rate limiting)');
-            return;
-          }
-          
-          this.lastEventTime = now;
+          this.scheduleLabelsRefresh(containerName);
+        } else if (
+          event.Type === 'service' &&
+          ['create', 'update', 'remove'].includes(event.Action)
+        ) {
+          const serviceName = event.Actor.Attributes.name || event.Actor.ID;
+          logger.debug(`Docker service ${event.Action} event detected for ${serviceName}`);
           
-          // Wait a moment for Traefik to update its routers
-          setTimeout(async () => {
-            // Update container labels cache
-            await this.updateContainerLabelsCache();
-            
-            // Publish labels updated event
-            this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
-              containerLabelsCache: this.containerLabelsCache,
-              containerIdToName: this.containerIdToName,
-              triggerContainer: containerName
-            });
-          }, 3000);
+          this.scheduleLabelsRefresh(serviceName);
         }
       } catch (error) {
         logger.error(`Error processing Docker event: ${error.message}`);
@@ -167,12 +213,52 @@ class DockerMonitor {
       
       // Try to reconnect after a delay
       this.stopWatching();
-      setTimeout(() => this.startWatching(), 10000);
+      this.markDisconnected();
+      this.scheduleReconnect();
+    });
+    
+    this.events.on('end', () => {
+      // Ignore streams we closed ourselves
+      if (this.events !== stream) return;
+      
+      logger.warn('Docker event stream closed, reconnecting...');
+      
+      this.stopWatching();
+      this.markDisconnected();
+      this.scheduleReconnect();
     });
     
     logger.debug('Docker event listeners set up');
   }
   
+  /**
+   * Refresh the labels cache shortly after a container or service event
+   * @param {string} triggerName - Name of the container or service that changed
+   */
+  scheduleLabelsRefresh(triggerName) {
+    // Prevent too frequent updates by checking time since last event
+    const now = Date.now();
+    if (now - this.lastEventTime < 3000) {
+      logger.debug('Skipping Docker event processing (rate limiting)');
+      return;
+    }
+    
+    this.lastEventTime = now;
+    
+    // Wait a moment for Traefik to update its routers
+    setTimeout(async () => {
+      // Update container labels cache
+      await this.updateContainerLabelsCache();
+      
+      // Publish labels updated event
+      this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
+        containerLabelsCache: this.containerLabelsCache,
+        containerIdToName: this.containerIdToName,
+        triggerContainer: triggerName
+      });
+    }, 3000);
+  }
+  
   /**
    * Update the cache of container labels
    */
@@ -180,6 +266,13 @@ class DockerMonitor {
     try {
       const containers = await this.listContainers();
       const newCache = {};
+      
+      // Swarm services are read as well when running against a Swarm manager
+      if (this.swarmEnabled === null) {
+        this.swarmEnabled = await this.detectSwarm();
+      }
+      const services = this.swarmEnabled ? await this.listServices() : [];
+      const serviceNames = new Set();
       const genericPrefix = this.config.genericLabelPrefix;
       const providerPrefix = this.config.dnsLabelPrefix;
       
@@ -205,22 +298,49 @@ class DockerMonitor {
         }
       }
       
-      // Process current containers
-      containers.forEach(container => {
-        const id = container.Id;
-        const labels = container.Labels || {};
-        currentIds.add(id);
-        newCache[id] = labels;
+      // Containers are indexed by ID and name, services by name only
+      const sources = containers.map(container => ({
+        kind: 'Container',
+        id: container.Id,
+        name: container.Names && container.Names.length > 0 ? container.Names[0].replace(/^\//, '') : null,
+        labels: container.Labels || {}
+      }));
+      
+      for (const service of services) {
+        sources.push({
+          kind: 'Service',
+          id: null,
+          name: service.Spec?.Name || service.ID,
+          labels: service.Spec?.Labels || {}
+        });
+      }
+      
+      // Process current containers and services
+      sources.forEach(({ kind, id, name, labels }) => {
+        if (id) {
+          currentIds.add(id);
+          newCache[id] = labels;
+        }
+        
+        // A container keeps its labels if a service has the same name
+        if (kind === 'Service') {
+          if (newCache[name]) {
+            logger.debug(`Skipping labels of service ${name}: a container has the same name`);
+            return;
+          }
+          serviceNames.add(name);
+        }
         
-        // Also index by container name for easier lookup
-        if (container.Names && container.Names.length > 0) {
-          const name = container.Names[0].replace(/^\//, '');
+        // Also index by name for easier lookup
+        if (name) {
           currentNames.add(name);
           newCache[name] = labels;
           
           // Track container ID to name and vice versa
-          containerIdToName.set(id, name);
-          containerNameToId.set(name, id);
+          if (id) {
+            containerIdToName.set(id, name);
+            containerNameToId.set(name, id);
+          }
           
           // Check for DNS-specific labels and log them for debugging
           const dnsLabels = {};
@@ -264,7 +384,7 @@ class DockerMonitor {
               }
             }
           } else {
-            // New container with DNS labels
+            // New container or service with DNS labels
             if (Object.keys(dnsLabels).length > 0) {
               dnsLabelsChanged = true;
               dnsLabelChanges[name] = true;
@@ -273,26 +393,26 @@ class DockerMonitor {
           
           // Only log at INFO level if there are changes or new containers
           if (dnsLabelsChanged && Object.keys(dnsLabels).length > 0) {
-            logger.info(`Container ${name} has DNS labels: ${JSON.stringify(dnsLabels)}`);
+            logger.info(`${kind} ${name} has DNS labels: ${JSON.stringify(dnsLabels)}`);
             
             // Check for important label settings - use getLabelValue for consistent precedence
             const proxiedLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'proxied', null);
             if (proxiedLabel === 'false') {
-              logger.info(`⚠️ Container ${name} has proxied=false label - will disable Cloudflare proxy`);
+              logger.info(`⚠️ ${kind} ${name} has proxied=false label - will disable Cloudflare proxy`);
             }
             
             const skipLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'skip', null);
             if (skipLabel === 'true') {
-              logger.info(`⚠️ Container ${name} has skip=true label - will skip DNS management`);
+              logger.info(`⚠️ ${kind} ${name} has skip=true label - will skip DNS management`);
             }
             
             const manageLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'manage', null);
             if (manageLabel === 'true') {
-              logger.info(`⚠️ Container ${name} has manage=true label - will enable DNS management`);
+              logger.info(`⚠️ ${kind} ${name} has manage=true label - will enable DNS management`);
             }
           } else if (Object.keys(dnsLabels).length > 0) {
             // No changes but still has DNS labels - log at debug level
-            logger.debug(`Container ${name} has DNS labels: ${JSON.stringify(dnsLabels)} (unchanged)`);
+            logger.debug(`${kind} ${name} has DNS labels: ${JSON.stringify(dnsLabels)} (unchanged)`);
           }
         }
       });
@@ -334,7 +454,8 @@ class DockerMonitor {
         );
         
         if (hasDnsLabels) {
-          logger.info(`Container ${name} with DNS labels was removed`);
+          const kind = this.serviceNames.has(name) ? 'Service' : 'Container';
+          logger.info(`${kind} ${name} with DNS labels was removed`);
           dnsLabelChanges[name] = true;
         }
       }
@@ -366,14 +487,16 @@ class DockerMonitor {
         }
         
         const uniqueChangesArray = [...uniqueChanges];
-        logger.info(`DNS label changes detected on ${uniqueChangesArray.length} containers: ${uniqueChangesArray.join(', ')}`);
+        const sourceKind = this.swarmEnabled ? 'containers and services' : 'containers';
+        logger.info(`DNS label changes detected on ${uniqueChangesArray.length} ${sourceKind}: ${uniqueChangesArray.join(', ')}`);
       }
       
       // Update the cache and ID-name mapping
       this.containerLabelsCache = newCache;
       this.containerIdToName = containerIdToName;
+      this.serviceNames = serviceNames;
       
-      logger.debug(`Updated container labels cache with ${containers.length} containers`);
+      logger.debug(`Updated container labels cache with ${containers.length} containers and ${serviceNames.size} services`);
       
       // Publish an immediate event with the updated labels
       this.eventBus.publish(EventTypes.DOCKER_LABELS_UPDATED, {
@@ -418,6 +541,45 @@ class DockerMonitor {
     }
   }
   
+  /**
+   * List all Swarm services
+   */
+  async listServices() {
+    try {
+      return await this.docker.listServices();
+    } catch (error) {
+      logger.error(`Failed to list Swarm services: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether Swarm service labels should be read
+   * Services can only be listed on a Swarm manager node
+   */
+  async detectSwarm() {
+    if (this.config.dockerSwarm === 'false') {
+      return false;
+    }
+    
+    try {
+      const info = await this.docker.info();
+      const swarm = info.Swarm || {};
+      const isManager = swarm.LocalNodeState === 'active' && swarm.ControlAvailable === true;
+      
+      if (isManager) {
+        logger.info('🐝 Docker Swarm manager detected, reading service labels');
+      } else if (this.config.dockerSwarm === 'true') {
+        logger.warn('DOCKER_SWARM is enabled but this Docker host is not a Swarm manager, service labels will not be read');
+      }
+      
+      return isManager;
+    } catch (error) {
+      logger.warn(`Could not detect Docker Swarm mode: ${error.message}`);
+      return false;
+    }
+  }
+  
   /**
    * Get container details by ID
    */
@@ -0,0 +1,165 @@
+/**
+ * Health Monitor Service
+ * Tracks application liveness and readiness for health probes
+ */
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+
+class HealthMonitor {
+  constructor(config, eventBus, dockerMonitor) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dockerMonitor = dockerMonitor;
+
+    // Set once all services have initialised
+    this.ready = false;
+
+    // Used as the last poll time until the first poll completes
+    this.startedAt = Date.now();
+    this.lastPollAt = null;
+
+    // Consecutive failed API operations and last error, per provider
+    this.providerFailures = new Map();
+
+    this.setupEventSubscriptions();
+  }
+
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    this.eventBus.subscribe(EventTypes.TRAEFIK_POLL_COMPLETED, () => {
+      this.lastPollAt = Date.now();
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_PROVIDER_REQUEST, (data) => {
+      if (data.success) {
+        this.providerFailures.delete(data.provider);
+      } else {
+        const failures = this.providerFailures.get(data.provider) || { consecutiveFailures: 0 };
+        this.providerFailures.set(data.provider, {
+          consecutiveFailures: failures.consecutiveFailures + 1,
+          lastError: data.error
+        });
+      }
+    });
+  }
+
+  /**
+   * Mark the application as ready to serve
+   */
+  markReady() {
+    this.ready = true;
+    logger.debug('Health monitor: application is ready');
+  }
+
+  /**
+   * Check that polls are still completing
+   */
+  checkPolling(now) {
+    const maxAgeMs = this.config.healthMaxMissedPolls * this.config.pollInterval;
+    const lastPollAt = this.lastPollAt || this.startedAt;
+    const ageMs = now - lastPollAt;
+
+    return {
+      healthy: ageMs <= maxAgeMs,
+      lastPollAt: this.lastPollAt ? new Date(this.lastPollAt).toISOString() : null,
+      ageSeconds: Math.floor(ageMs / 1000),
+      maxAgeSeconds: Math.floor(maxAgeMs / 1000)
+    };
+  }
+
+  /**
+   * Check that the Docker event stream has not been disconnected for too long
+   */
+  checkDockerEvents(now) {
+    if (!this.config.watchDockerEvents || !this.dockerMonitor) {
+      return { healthy: true, enabled: false };
+    }
+
+    const { connected, disconnectedSince } = this.dockerMonitor.getConnectionStatus();
+    const disconnectedMs = disconnectedSince ? now - disconnectedSince : 0;
+
+    return {
+      healthy: disconnectedMs <= this.config.healthDockerDisconnectTimeout,
+      enabled: true,
+      connected,
+      disconnectedSince: disconnectedSince ? new Date(disconnectedSince).toISOString() : null,
+      maxDisconnectedSeconds: Math.floor(this.config.healthDockerDisconnectTimeout / 1000)
+    };
+  }
+
+  /**
+   * Check that no DNS provider is failing repeatedly
+   */
+  checkProvider() {
+    const failing = {};
+    for (const [provider, failures] of this.providerFailures) {
+      failing[provider] = failures;
+    }
+
+    return {
+      healthy: [...this.providerFailures.values()]
+        .every(failures => failures.consecutiveFailures < this.config.healthMaxProviderFailures),
+      maxConsecutiveFailures: this.config.healthMaxProviderFailures,
+      failing
+    };
+  }
+
+  /**
+   * Get the liveness status
+   * @returns {Object} - Overall status and the result of each check
+   */
+  getLiveness() {
+    const now = Date.now();
+    const checks = {
+      polling: this.checkPolling(now),
+      dockerEvents: this.checkDockerEvents(now),
+      provider: this.checkProvider()
+    };
+
+    const healthy = Object.values(checks).every(check => check.healthy);
+
+    return {
+      status: healthy ? 'ok' : 'fail',
+      checks
+    };
+  }
+
+  /**
+   * Get the readiness status
+   */
+  getReadiness() {
+    return {
+      status: this.ready ? 'ok' : 'fail',
+      ready: this.ready
+    };
+  }
+
+  /**
+   * Register the /healthz and /readyz endpoints with the API server
+   * Health endpoints are public so probes do not need the API token
+   * @param {ApiServer} apiServer - The API server to register with
+   */
+  registerRoutes(apiServer) {
+    apiServer.addRoute('GET', '/healthz', (req, res) => {
+      const liveness = this.getLiveness();
+
+      if (liveness.status !== 'ok') {
+        const failed = Object.entries(liveness.checks)
+          .filter(([, check]) => !check.healthy)
+          .map(([name]) => name);
+        logger.warn(`Health check failing: ${failed.join(', ')}`);
+      }
+
+      apiServer.sendJson(res, liveness.status === 'ok' ? 200 : 503, liveness);
+    }, { public: true });
+
+    apiServer.addRoute('GET', '/readyz', (req, res) => {
+      const readiness = this.getReadiness();
+      apiServer.sendJson(res, readiness.ready ? 200 : 503, readiness);
+    }, { public: true });
+  }
+}
+
+module.exports = HealthMonitor;
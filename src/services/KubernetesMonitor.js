@@ -0,0 +1,515 @@
+/**
+ * Kubernetes Monitor Service
+ * Reads hostnames from Ingress objects and Traefik IngressRoute resources
+ * and publishes them the same way TraefikMonitor publishes router hostnames
+ */
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const readline = require('readline');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const {
+  KUBERNETES_RESOURCES,
+  extractIngressHostnames,
+  extractIngressRouteHostnames,
+  getDnsAnnotations,
+  describeObject
+} = require('../utils/kubernetes');
+
+// Credentials mounted into every pod for its service account
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+// Wait before re-opening a watch that ended or failed
+const WATCH_RETRY_DELAY = 5000;
+
+// Collapse bursts of watch events into a single poll
+const WATCH_POLL_DELAY = 1000;
+
+class KubernetesMonitor {
+  constructor(config, eventBus) {
+    this.config = config;
+    this.eventBus = eventBus;
+
+    // Initialize HTTP client
+    this.client = this.createClient();
+
+    // Track previous poll statistics to reduce logging noise
+    this.previousStats = {
+      hostnameCount: 0
+    };
+
+    // Lock to prevent parallel polling
+    this.isPolling = false;
+
+    // Poll timer reference
+    this.pollTimer = null;
+
+    // Not used in Kubernetes mode, set from app.js like the other monitors
+    this.dockerMonitor = null;
+
+    // API group serving each resource, or null if its CRD is not installed
+    this.resourceGroups = new Map();
+
+    // Resource version of the last list, watches start from it
+    this.resourceVersions = new Map();
+
+    // Open watch streams and pending timers
+    this.watches = new Map();
+    this.watchRetryTimers = new Map();
+    this.watchPollTimer = null;
+    this.watching = false;
+
+    this.setupEventSubscriptions();
+  }
+
+  /**
+   * Create the HTTP client for the Kubernetes API
+   * The service account token is read for each request because it is rotated
+   */
+  createClient() {
+    const client = axios.create({
+      baseURL: this.config.kubernetesApiUrl,
+      timeout: this.config.apiTimeout,
+      headers: { Accept: 'application/json' }
+    });
+
+    // Trust the cluster CA when running with a service account
+    const caFile = path.join(SERVICE_ACCOUNT_DIR, 'ca.crt');
+    if (this.config.kubernetesApiUrl.startsWith('https:') && fs.existsSync(caFile)) {
+      client.defaults.httpsAgent = new https.Agent({ ca: fs.readFileSync(caFile) });
+    }
+
+    client.interceptors.request.use(request => {
+      const token = this.getToken();
+      if (token) {
+        request.headers.Authorization = `Bearer ${token}`;
+      }
+      return request;
+    });
+
+    return client;
+  }
+
+  /**
+   * Get the bearer token, from KUBERNETES_TOKEN or the service account
+   */
+  getToken() {
+    if (this.config.kubernetesToken) {
+      return this.config.kubernetesToken;
+    }
+
+    const tokenFile = path.join(SERVICE_ACCOUNT_DIR, 'token');
+    return fs.existsSync(tokenFile) ? fs.readFileSync(tokenFile, 'utf8').trim() : null;
+  }
+
+  /**
+   * Initialize the Kubernetes Monitor
+   */
+  async init() {
+    try {
+      logger.debug('Testing connection to Kubernetes API...');
+
+      const response = await this.client.get('/version');
+
+      logger.success(`Successfully connected to Kubernetes API ${response.data.gitVersion || ''}`.trim());
+      return true;
+    } catch (error) {
+      logger.error(`Failed to initialize Kubernetes Monitor: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    // Apply Kubernetes API and polling settings from a reloaded configuration
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, ({ changes = [] }) => {
+      const clientSettings = ['kubernetesApiUrl', 'kubernetesToken', 'apiTimeout'];
+      const watchSettings = ['kubernetesNamespace', 'kubernetesResources', 'kubernetesWatch'];
+
+      if (changes.some(name => clientSettings.includes(name))) {
+        this.client = this.createClient();
+        logger.debug('Recreated Kubernetes API client with reloaded settings');
+      }
+
+      if (changes.includes('pollInterval')) {
+        this.restartPolling();
+      }
+
+      if (this.pollTimer && changes.some(name => clientSettings.includes(name) || watchSettings.includes(name))) {
+        this.stopWatching();
+        this.resourceVersions.clear();
+        this.pollKubernetes().then(() => this.startWatching());
+      }
+    });
+  }
+
+  /**
+   * Start the polling process
+   */
+  async startPolling() {
+    // Perform initial poll
+    await this.pollKubernetes();
+
+    // Set up interval for regular polling
+    this.pollTimer = setInterval(() => this.pollKubernetes(), this.config.pollInterval);
+
+    logger.debug(`Kubernetes polling started with interval of ${this.config.pollInterval}ms`);
+
+    this.startWatching();
+    return true;
+  }
+
+  /**
+   * Stop the polling process
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+      logger.debug('Kubernetes polling stopped');
+    }
+
+    this.stopWatching();
+  }
+
+  /**
+   * Restart the poll timer with the current poll interval
+   */
+  restartPolling() {
+    if (!this.pollTimer) {
+      return;
+    }
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = setInterval(() => this.pollKubernetes(), this.config.pollInterval);
+    logger.debug(`Kubernetes polling restarted with interval of ${this.config.pollInterval}ms`);
+  }
+
+  /**
+   * Poll the Kubernetes API for Ingress and IngressRoute objects
+   */
+  async pollKubernetes() {
+    // Skip if already polling to prevent parallel execution
+    if (this.isPolling) {
+      logger.debug('Skipping poll - another poll cycle is already in progress');
+      return;
+    }
+
+    // Set polling lock
+    this.isPolling = true;
+
+    try {
+      // Publish poll started event - use same event names as TraefikMonitor
+      // for compatibility with the rest of the system
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+
+      logger.debug('Polling Kubernetes API for ingress resources...');
+
+      const objects = [];
+      for (const resource of this.config.kubernetesResources) {
+        objects.push(...await this.listResource(resource));
+      }
+      logger.debug(`Found ${objects.length} ingress resources in Kubernetes`);
+
+      // Collect hostname data
+      const { hostnames, containerLabels } = this.processObjects(objects);
+
+      // Only log hostname count if it changed from previous poll
+      const hasChanged = this.previousStats.hostnameCount !== hostnames.length;
+
+      if (hasChanged) {
+        logger.info(`Processing ${hostnames.length} hostnames for DNS management`);
+      } else {
+        // Log at debug level instead of info when nothing has changed
+        logger.debug(`Processing ${hostnames.length} hostnames for DNS management`);
+      }
+
+      // Update the previous count for next comparison
+      this.previousStats.hostnameCount = hostnames.length;
+
+      // Publish the same event TraefikMonitor would, annotations take the place of labels
+      this.eventBus.publish(EventTypes.TRAEFIK_ROUTERS_UPDATED, {
+        hostnames,
+        containerLabels
+      });
+
+      // Publish poll completed event
+      this.eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, {
+        resourceCount: objects.length,
+        hostnameCount: hostnames.length
+      });
+    } catch (error) {
+      logger.error(`Error polling Kubernetes API: ${error.message}`);
+
+      this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+        source: 'KubernetesMonitor.pollKubernetes',
+        error: error.message
+      });
+    } finally {
+      // Always release the polling lock
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Build the API path of a resource, in one namespace or across the cluster
+   * @param {string} group - API group path, e.g. /apis/networking.k8s.io/v1
+   * @param {string} plural - Resource name, e.g. ingresses
+   */
+  getResourcePath(group, plural) {
+    const namespace = this.config.kubernetesNamespace;
+    return namespace
+      ? `${group}/namespaces/${encodeURIComponent(namespace)}/${plural}`
+      : `${group}/${plural}`;
+  }
+
+  /**
+   * List the objects of a resource
+   * API groups are tried in order and a resource whose CRD is not installed is skipped
+   * @param {string} resource - Resource key, e.g. ingressroute
+   * @returns {Promise<Array<Object>>} - Objects, with their kind set
+   */
+  async listResource(resource) {
+    const { kind, plural, groups } = KUBERNETES_RESOURCES[resource];
+    const knownGroup = this.resourceGroups.get(resource);
+    const wasMissing = knownGroup === null;
+    const candidates = knownGroup ? [knownGroup] : groups;
+
+    for (const group of candidates) {
+      try {
+        const response = await this.client.get(this.getResourcePath(group, plural));
+
+        if (!knownGroup) {
+          logger.debug(`Reading ${kind} objects from ${group}`);
+        }
+        this.resourceGroups.set(resource, group);
+        this.resourceVersions.set(resource, response.data.metadata?.resourceVersion);
+
+        // The CRD was installed after startup
+        if (wasMissing) {
+          logger.info(`${kind} resources are now available`);
+          if (this.watching) {
+            this.watchResource(resource);
+          }
+        }
+
+        return (response.data.items || []).map(item => ({ ...item, kind }));
+      } catch (error) {
+        if (error.response?.status === 404) {
+          logger.trace(`KubernetesMonitor.listResource: ${group}/${plural} not found`);
+          continue;
+        }
+
+        if (error.response?.status === 401 || error.response?.status === 403) {
+          throw new Error(`Not allowed to list ${kind} objects (HTTP ${error.response.status}). Check the service account permissions.`);
+        }
+
+        throw error;
+      }
+    }
+
+    // Warn once, the CRD may be installed later
+    if (this.resourceGroups.get(resource) !== null) {
+      logger.warn(`${kind} resources are not available in this cluster, skipping`);
+      this.resourceGroups.set(resource, null);
+    }
+
+    return [];
+  }
+
+  /**
+   * Extract hostnames and their DNS annotations from Kubernetes objects
+   * @param {Array<Object>} objects - Ingress and IngressRoute objects
+   */
+  processObjects(objects) {
+    const hostnames = [];
+    const containerLabels = {};
+    const genericPrefix = this.config.genericLabelPrefix;
+
+    for (const object of objects) {
+      const description = describeObject(object);
+      const objectHostnames = object.kind === 'Ingress'
+        ? extractIngressHostnames(object)
+        : extractIngressRouteHostnames(object);
+
+      const annotations = getDnsAnnotations(object, genericPrefix);
+
+      for (const hostname of objectHostnames) {
+        if (containerLabels[hostname]) {
+          logger.debug(`Hostname ${hostname} from ${description} is already defined by ${containerLabels[hostname].kubernetesResource}`);
+          continue;
+        }
+
+        hostnames.push(hostname);
+        containerLabels[hostname] = {
+          ...annotations,
+          kubernetesResource: description
+        };
+
+        logger.trace(`Processed ${description} for hostname "${hostname}"`);
+      }
+    }
+
+    return { hostnames, containerLabels };
+  }
+
+  /**
+   * Watch resources so changes are picked up before the next poll
+   */
+  startWatching() {
+    if (!this.config.kubernetesWatch) {
+      return;
+    }
+
+    this.watching = true;
+
+    for (const resource of this.config.kubernetesResources) {
+      if (this.resourceGroups.get(resource)) {
+        this.watchResource(resource);
+      }
+    }
+  }
+
+  /**
+   * Stop all watches
+   */
+  stopWatching() {
+    this.watching = false;
+
+    for (const stream of this.watches.values()) {
+      stream.destroy();
+    }
+    this.watches.clear();
+
+    for (const timer of this.watchRetryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchRetryTimers.clear();
+
+    if (this.watchPollTimer) {
+      clearTimeout(this.watchPollTimer);
+      this.watchPollTimer = null;
+    }
+  }
+
+  /**
+   * Open a watch on a resource, starting from the last listed resource version
+   * @param {string} resource - Resource key, e.g. ingress
+   */
+  async watchResource(resource) {
+    const { kind, plural } = KUBERNETES_RESOURCES[resource];
+    const params = { watch: 'true', allowWatchBookmarks: 'true' };
+
+    const resourceVersion = this.resourceVersions.get(resource);
+    if (resourceVersion) {
+      params.resourceVersion = resourceVersion;
+    }
+
+    try {
+      const response = await this.client.get(this.getResourcePath(this.resourceGroups.get(resource), plural), {
+        params,
+        responseType: 'stream',
+        timeout: 0
+      });
+
+      if (!this.watching) {
+        response.data.destroy();
+        return;
+      }
+
+      const stream = response.data;
+      this.watches.set(resource, stream);
+      logger.debug(`Watching ${kind} objects for changes`);
+
+      const lines = readline.createInterface({ input: stream });
+      lines.on('line', line => this.handleWatchEvent(resource, line));
+
+      stream.on('error', error => logger.debug(`${kind} watch failed: ${error.message}`));
+      stream.on('close', () => {
+        if (this.watches.get(resource) === stream) {
+          this.watches.delete(resource);
+          this.scheduleWatch(resource);
+        }
+      });
+    } catch (error) {
+      logger.warn(`Failed to watch ${kind} objects: ${error.message}`);
+      this.scheduleWatch(resource);
+    }
+  }
+
+  /**
+   * Re-open a watch after a delay
+   * @param {string} resource - Resource key
+   */
+  scheduleWatch(resource) {
+    if (!this.watching || this.watchRetryTimers.has(resource)) {
+      return;
+    }
+
+    this.watchRetryTimers.set(resource, setTimeout(() => {
+      this.watchRetryTimers.delete(resource);
+      this.watchResource(resource);
+    }, WATCH_RETRY_DELAY));
+  }
+
+  /**
+   * Handle one line of a watch stream
+   * @param {string} resource - Resource key
+   * @param {string} line - JSON watch event
+   */
+  handleWatchEvent(resource, line) {
+    let event;
+
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      logger.debug(`Ignoring invalid watch event: ${error.message}`);
+      return;
+    }
+
+    // The resource version is too old, start the next watch from a fresh list
+    if (event.type === 'ERROR') {
+      logger.debug(`Watch error for ${resource}: ${event.object?.message || 'unknown error'}`);
+      this.resourceVersions.delete(resource);
+      this.schedulePoll();
+      return;
+    }
+
+    if (event.object?.metadata?.resourceVersion) {
+      this.resourceVersions.set(resource, event.object.metadata.resourceVersion);
+    }
+
+    if (['ADDED', 'MODIFIED', 'DELETED'].includes(event.type)) {
+      const description = describeObject({ ...event.object, kind: KUBERNETES_RESOURCES[resource].kind });
+      logger.debug(`Kubernetes ${event.type.toLowerCase()} event for ${description}`);
+      this.schedulePoll();
+    }
+  }
+
+  /**
+   * Poll shortly after a change, so related changes are picked up together
+   */
+  schedulePoll() {
+    if (this.watchPollTimer) {
+      clearTimeout(this.watchPollTimer);
+    }
+
+    this.watchPollTimer = setTimeout(() => {
+      this.watchPollTimer = null;
+
+      // Try again once the running poll has finished, so the change is not missed
+      if (this.isPolling) {
+        this.schedulePoll();
+        return;
+      }
+
+      this.pollKubernetes();
+    }, WATCH_POLL_DELAY);
+  }
+}
+
+module.exports = KubernetesMonitor;
@@ -0,0 +1,180 @@
+/**
+ * Metrics Collector Service
+ * Builds Prometheus metrics from application events
+ */
+const path = require('path');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const { Registry } = require('../utils/metrics');
+
+const PREFIX = 'trafegodns_';
+
+// Error sources published when a monitor's poll fails, other errors
+// raised while a poll is in progress do not fail the poll
+const POLL_ERROR_SOURCES = new Set([
+  'TraefikMonitor.pollTraefikAPI',
+  'DirectDNSManager.pollContainers',
+  'KubernetesMonitor.pollKubernetes'
+]);
+
+class MetricsCollector {
+  constructor(config, eventBus, dnsManager) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dnsManager = dnsManager;
+    this.registry = new Registry();
+
+    // Start time of the poll currently in progress
+    this.pollStartedAt = null;
+
+    this.createMetrics();
+    this.setupEventSubscriptions();
+  }
+
+  /**
+   * Register all metrics with the registry
+   */
+  createMetrics() {
+    const registry = this.registry;
+
+    this.metrics = {
+      info: registry.gauge(`${PREFIX}info`, 'Application information', ['version', 'mode']),
+      providerInfo: registry.gauge(`${PREFIX}provider_info`, 'Configured DNS providers', ['provider', 'type', 'zone']),
+      recordsCreated: registry.counter(`${PREFIX}dns_records_created_total`, 'DNS records created', ['provider', 'type']),
+      recordsUpdated: registry.counter(`${PREFIX}dns_records_updated_total`, 'DNS records updated', ['provider', 'type']),
+      recordsDeleted: registry.counter(`${PREFIX}dns_records_deleted_total`, 'Orphaned DNS records deleted', ['provider', 'type']),
+      trackedRecords: registry.gauge(`${PREFIX}tracked_records`, 'DNS records tracked as managed by TrafegoDNS', ['provider']),
+      orphanedRecords: registry.gauge(`${PREFIX}orphaned_records`, 'Tracked DNS records waiting for deletion', ['provider']),
+      polls: registry.counter(`${PREFIX}polls_total`, 'Hostname polls by result', ['mode', 'result']),
+      pollDuration: registry.histogram(`${PREFIX}poll_duration_seconds`, 'Duration of hostname polls', ['mode']),
+      pollHostnames: registry.gauge(`${PREFIX}poll_hostnames`, 'Hostnames found in the last poll', ['mode']),
+      lastPoll: registry.gauge(`${PREFIX}last_successful_poll_timestamp_seconds`, 'Time of the last successful poll', ['mode']),
+      syncDuration: registry.histogram(`${PREFIX}dns_sync_duration_seconds`, 'Duration of DNS record synchronisation runs'),
+      lastSync: registry.gauge(`${PREFIX}last_successful_sync_timestamp_seconds`, 'Time of the last completed DNS synchronisation'),
+      providerRequests: registry.histogram(`${PREFIX}provider_request_duration_seconds`, 'Latency of DNS provider API operations', ['provider', 'operation']),
+      providerErrors: registry.counter(`${PREFIX}provider_request_errors_total`, 'Failed DNS provider API operations', ['provider', 'operation']),
+      errors: registry.counter(`${PREFIX}errors_total`, 'Errors reported by application components', ['source']),
+      ipChanges: registry.counter(`${PREFIX}ip_changes_total`, 'Public IP address changes detected'),
+      lastIpChange: registry.gauge(`${PREFIX}last_ip_change_timestamp_seconds`, 'Time of the last public IP address change')
+    };
+
+    const packageJson = require(path.join(__dirname, '..', '..', 'package.json'));
+    this.metrics.info.set({
+      version: packageJson.version,
+      mode: this.config.operationMode
+    }, 1);
+
+    // Providers and tracked record counts are read at scrape time,
+    // as both can change when the configuration is reloaded
+    registry.addCollector(() => this.collectRecordCounts());
+  }
+
+  /**
+   * Set up event subscriptions
+   */
+  setupEventSubscriptions() {
+    const mode = this.config.operationMode;
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_CREATED, (data) => {
+      this.metrics.recordsCreated.inc({ provider: data.provider, type: data.record.type });
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_UPDATED, (data) => {
+      this.metrics.recordsUpdated.inc({ provider: data.provider, type: data.record.type });
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORD_DELETED, (data) => {
+      this.metrics.recordsDeleted.inc({ provider: data.provider, type: data.type });
+    });
+
+    this.eventBus.subscribe(EventTypes.TRAEFIK_POLL_STARTED, () => {
+      this.pollStartedAt = Date.now();
+    });
+
+    this.eventBus.subscribe(EventTypes.TRAEFIK_POLL_COMPLETED, (data) => {
+      const now = Date.now();
+
+      if (this.pollStartedAt) {
+        this.metrics.pollDuration.observe({ mode }, (now - this.pollStartedAt) / 1000);
+        this.pollStartedAt = null;
+      }
+
+      this.metrics.polls.inc({ mode, result: 'success' });
+      this.metrics.pollHostnames.set({ mode }, data.hostnameCount || 0);
+      this.metrics.lastPoll.set({ mode }, Math.floor(now / 1000));
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_RECORDS_UPDATED, (data) => {
+      if (data.durationMs !== undefined) {
+        this.metrics.syncDuration.observe({}, data.durationMs / 1000);
+      }
+      this.metrics.lastSync.set({}, Math.floor(Date.now() / 1000));
+    });
+
+    this.eventBus.subscribe(EventTypes.DNS_PROVIDER_REQUEST, (data) => {
+      const labels = { provider: data.provider, operation: data.operation };
+
+      this.metrics.providerRequests.observe(labels, data.durationMs / 1000);
+      if (!data.success) {
+        this.metrics.providerErrors.inc(labels);
+      }
+    });
+
+    this.eventBus.subscribe(EventTypes.ERROR_OCCURRED, (data) => {
+      this.metrics.errors.inc({ source: data.source || 'unknown' });
+
+      if (this.pollStartedAt && POLL_ERROR_SOURCES.has(data.source)) {
+        this.metrics.polls.inc({ mode, result: 'error' });
+        this.pollStartedAt = null;
+      }
+    });
+
+    this.eventBus.subscribe(EventTypes.IP_UPDATED, () => {
+      this.metrics.ipChanges.inc();
+      this.metrics.lastIpChange.set({}, Math.floor(Date.now() / 1000));
+    });
+  }
+
+  /**
+   * Refresh provider, tracked and orphaned record gauges from the DNS manager
+   */
+  collectRecordCounts() {
+    this.metrics.providerInfo.reset();
+    this.metrics.trackedRecords.reset();
+    this.metrics.orphanedRecords.reset();
+
+    for (const context of this.dnsManager.providers) {
+      this.metrics.providerInfo.set({
+        provider: context.name,
+        type: context.config.dnsProvider,
+        zone: context.zone
+      }, 1);
+
+      const records = context.recordTracker.getCurrentProviderRecords();
+
+      this.metrics.trackedRecords.set({ provider: context.name }, records.length);
+      this.metrics.orphanedRecords.set({ provider: context.name }, records.filter(record => record.orphanedAt).length);
+    }
+  }
+
+  /**
+   * Register the /metrics endpoint with the API server
+   * @param {ApiServer} apiServer - The API server to register with
+   */
+  registerRoutes(apiServer) {
+    apiServer.addRoute('GET', '/metrics', (req, res) => {
+      apiServer.sendText(res, 200, this.render(), 'text/plain; version=0.0.4; charset=utf-8');
+    });
+
+    logger.debug('Prometheus metrics available at /metrics');
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+module.exports = MetricsCollector;
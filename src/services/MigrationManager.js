@@ -0,0 +1,546 @@
+/**
+ * Migration Manager Service
+ * Copies the records TráfegoDNS manages in a zone from one DNS provider to
+ * another, keeps the copy in sync while both providers run side by side, and
+ * removes the records from the old provider once the zone is delegated to the new one
+ */
+const dns = require('dns');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const ChangeReasons = require('../events/ChangeReasons');
+const { getMinimumTTL, getRecordDifferences, normalizeRecord } = require('../utils/dns');
+const { DryRunPlan } = require('../utils/dryRun');
+
+// Wait for the rest of a poll's changes before copying them
+const SYNC_DELAY = 5000;
+
+// Lowest TTL Cloudflare takes besides automatic (1)
+const CLOUDFLARE_MINIMUM_TTL = 60;
+
+// Record types Cloudflare can proxy
+const PROXIABLE_TYPES = ['A', 'AAAA', 'CNAME'];
+
+// Record types whose content is a host name
+const HOST_TYPES = ['CNAME', 'MX', 'NS', 'SRV'];
+
+// Fields copied besides the type, name and content
+const RECORD_FIELDS = ['priority', 'weight', 'port', 'flags', 'tag'];
+
+class MigrationManager {
+  constructor(config, eventBus, dnsManager) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dnsManager = dnsManager;
+
+    // Provider context of the target, created from config.migrationTargetConfig
+    this.target = null;
+
+    this.syncTimer = null;
+    this.syncQueue = Promise.resolve();
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Create the target provider and copy the source's records to it
+   * Does nothing when no migration is configured
+   */
+  async init() {
+    if (!this.config.migrationTargetConfig) {
+      return;
+    }
+
+    await this.createTarget();
+    await this.sync();
+  }
+
+  /**
+   * Copy changes of the source's records to the target as they happen
+   */
+  start() {
+    this.stop();
+
+    const onRecordChange = data => {
+      if (this.target && data.provider === this.config.migrationSource && data.reason !== ChangeReasons.MIGRATION) {
+        this.scheduleSync();
+      }
+    };
+
+    this.unsubscribers = [
+      this.eventBus.subscribe(EventTypes.DNS_RECORD_CREATED, onRecordChange),
+      this.eventBus.subscribe(EventTypes.DNS_RECORD_UPDATED, onRecordChange),
+      this.eventBus.subscribe(EventTypes.DNS_RECORD_DELETED, onRecordChange),
+      this.eventBus.subscribe(EventTypes.DNS_RECORD_ADOPTED, onRecordChange),
+      this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, async () => {
+        try {
+          // Queued with the DNS manager's polls, which read the same provider contexts
+          await this.dnsManager.updateQueue.enqueue(() => this.applyConfig());
+        } catch (error) {
+          logger.error(`Failed to apply the reloaded migration settings: ${error.message}`);
+          this.eventBus.publish(EventTypes.ERROR_OCCURRED, {
+            source: 'MigrationManager.applyConfig',
+            error: error.message
+          });
+        }
+      })
+    ];
+  }
+
+  /**
+   * Stop copying changes
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+
+  /**
+   * Create the provider context of the migration target
+   * @returns {Promise<Object>} - Target provider context
+   */
+  async createTarget() {
+    const targetConfig = this.config.migrationTargetConfig;
+
+    this.target = this.dnsManager.createProviderContext(targetConfig);
+    await this.target.provider.init();
+    await this.dnsManager.restoreTrackedRecords(this.target);
+
+    logger.info(`🚚 Migrating ${this.target.zone} from ${this.config.migrationSource} to ${this.target.name} (${targetConfig.dnsProvider})`);
+
+    return this.target;
+  }
+
+  /**
+   * Apply a reloaded configuration
+   * The target is recreated when its settings changed, and dropped when the
+   * migration is no longer configured
+   */
+  async applyConfig() {
+    const targetConfig = this.config.migrationTargetConfig;
+
+    if (!targetConfig) {
+      if (this.target) {
+        logger.info(`🚚 Stopped migrating ${this.target.zone} to ${this.target.name}`);
+        this.target = null;
+      }
+      return;
+    }
+
+    const signature = this.config.getProviderSignature(targetConfig);
+
+    if (this.target && this.target.name === targetConfig.providerName && this.target.signature === signature) {
+      this.target.config = targetConfig;
+      this.target.provider.config = targetConfig;
+      this.target.recordTracker = this.dnsManager.createRecordTracker(targetConfig);
+      this.target.registry = this.dnsManager.createRegistry(targetConfig, this.target.provider);
+    } else {
+      await this.createTarget();
+    }
+
+    this.scheduleSync();
+  }
+
+  /**
+   * Copy the source's records shortly, batching the changes of a poll
+   */
+  scheduleSync() {
+    if (this.syncTimer) {
+      return;
+    }
+
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.syncQueue = this.syncQueue
+        .then(() => this.dnsManager.updateQueue.enqueue(() => this.sync()))
+        .catch(error => logger.error(`Failed to copy DNS records to ${this.target?.name}: ${error.message}`));
+    }, SYNC_DELAY);
+  }
+
+  /**
+   * Bring the target in line with the source's managed records
+   * In dry-run mode the changes are logged instead
+   */
+  async sync() {
+    if (!this.target) {
+      return;
+    }
+
+    const plan = await this.planCopy();
+
+    if (!plan.hasChanges()) {
+      logger.debug(`MigrationManager.sync: ${this.target.name} matches ${this.config.migrationSource}`);
+      return;
+    }
+
+    if (this.config.dryRun) {
+      plan.log();
+      return;
+    }
+
+    await this.applyCopy(plan);
+  }
+
+  /**
+   * Get the provider context of the migration source
+   * @returns {Object} - Source provider context
+   */
+  getSource() {
+    const source = this.dnsManager.providers.find(context => context.name === this.config.migrationSource);
+
+    if (!source) {
+      throw new Error(`Unknown migration source: ${this.config.migrationSource}`);
+    }
+
+    return source;
+  }
+
+  /**
+   * Translate the records TráfegoDNS manages at the source into record
+   * configurations for the target
+   * Names become FQDNs without the trailing dot or DigitalOcean's @, and the
+   * TTL and proxy status are adjusted to what the target supports
+   * @param {Object} source - Source provider context
+   * @returns {Promise<Array<Object>>} - Record configurations for the target
+   */
+  async getTargetRecordConfigs(source) {
+    const records = (await source.provider.getRecordsFromCache())
+      .filter(record => source.recordTracker.isTracked(record));
+
+    const targetConfig = this.target.config;
+    const targetType = targetConfig.dnsProvider;
+    const minimumTTL = getMinimumTTL(targetType);
+
+    const recordConfigs = records.map(record => {
+      const normalized = normalizeRecord(record, source.zone);
+      const recordConfig = {
+        type: normalized.type,
+        name: normalized.name,
+        content: translateContent(normalized, source.zone)
+      };
+
+      for (const field of RECORD_FIELDS) {
+        if (normalized[field] !== undefined) {
+          recordConfig[field] = normalized[field];
+        }
+      }
+
+      if (targetType === 'cloudflare' && PROXIABLE_TYPES.includes(recordConfig.type)) {
+        recordConfig.proxied = normalized.proxied ?? targetConfig.defaultProxied;
+      }
+
+      // Cloudflare's automatic TTL (1) becomes the target's default elsewhere
+      const ttl = normalized.ttl === 1 && targetType !== 'cloudflare' ? null : normalized.ttl;
+      recordConfig.ttl = ttl ? Math.max(ttl, minimumTTL) : targetConfig.defaultTTL;
+
+      // Cloudflare takes automatic, forced for proxied records, or at least 60 seconds
+      if (targetType === 'cloudflare' && recordConfig.ttl !== 1) {
+        recordConfig.ttl = recordConfig.proxied ? 1 : Math.max(recordConfig.ttl, CLOUDFLARE_MINIMUM_TTL);
+      }
+
+      if (source.recordTracker.isMultiValueRecord(record)) {
+        recordConfig.multiValue = true;
+      }
+
+      if (source.recordTracker.isDualStackRecord(record)) {
+        recordConfig.dualStack = true;
+      }
+
+      return recordConfig;
+    });
+
+    // Names with several managed values are copied value by value
+    const counts = new Map();
+    for (const recordConfig of recordConfigs) {
+      const key = getNameKey(recordConfig);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    for (const recordConfig of recordConfigs) {
+      if (counts.get(getNameKey(recordConfig)) > 1) {
+        recordConfig.multiValue = true;
+      }
+    }
+
+    return recordConfigs;
+  }
+
+  /**
+   * Plan the changes that make the target match the source
+   * Records copied earlier that are no longer managed at the source are deleted
+   * @returns {Promise<DryRunPlan>} - Changes at the target
+   */
+  async planCopy() {
+    const source = this.getSource();
+    const { provider, recordTracker } = this.target;
+    const recordConfigs = await this.getTargetRecordConfigs(source);
+    const plan = new DryRunPlan(this.target.name);
+
+    const targetRecords = await provider.getRecordsFromCache();
+
+    for (const recordConfig of recordConfigs) {
+      const existing = provider.findRecordForConfig(recordConfig);
+
+      if (!existing) {
+        plan.addCreate(recordConfig);
+      } else if (provider.recordNeedsUpdate(existing, recordConfig)) {
+        plan.addUpdate(existing, recordConfig);
+      }
+    }
+
+    const wanted = new Set(recordConfigs.map(recordConfig =>
+      (recordConfig.multiValue ? getValueKey(recordConfig) : getNameKey(recordConfig))));
+
+    for (const record of targetRecords) {
+      if (!recordTracker.isTracked(record)) {
+        continue;
+      }
+
+      const normalized = normalizeRecord(record, this.target.zone);
+      normalized.content = translateContent(normalized, this.target.zone);
+      const key = recordTracker.isMultiValueRecord(record) ? getValueKey(normalized) : getNameKey(normalized);
+
+      if (!wanted.has(key)) {
+        plan.addDelete(record);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Apply planned changes to the target and track the copied records there
+   * @param {DryRunPlan} plan - Changes from planCopy
+   * @returns {Promise<Object>} - { applied, failed }
+   */
+  async applyCopy(plan) {
+    const { provider, recordTracker, registry } = this.target;
+    const recordConfigs = plan.changes
+      .filter(change => change.action !== 'delete')
+      .map(change => change.record);
+
+    let applied = 0;
+    let failed = 0;
+
+    if (recordConfigs.length > 0) {
+      const previousRecords = recordConfigs.map(recordConfig => {
+        const existing = provider.findRecordForConfig(recordConfig);
+        return existing ? { ...existing } : null;
+      });
+
+      await provider.batchEnsureRecords(recordConfigs);
+
+      // Records are looked up again, Technitium replaces a record to update it
+      const copiedRecords = [];
+      const copiedConfigs = [];
+
+      recordConfigs.forEach((recordConfig, index) => {
+        const current = provider.findRecordForConfig(recordConfig);
+        const previous = previousRecords[index];
+
+        if (!current || provider.recordNeedsUpdate(current, recordConfig)) {
+          failed++;
+          logger.error(`Failed to copy ${recordConfig.type} record ${recordConfig.name} to ${this.target.name}`);
+          return;
+        }
+
+        applied++;
+        copiedRecords.push({ ...current, multiValue: recordConfig.multiValue, dualStack: recordConfig.dualStack });
+        copiedConfigs.push(recordConfig);
+
+        const record = { ...recordConfig, id: current.id };
+        if (previous) {
+          this.publishChange(EventTypes.DNS_RECORD_UPDATED, {
+            record,
+            previous,
+            differences: getRecordDifferences(previous, recordConfig)
+          });
+        } else {
+          this.publishChange(EventTypes.DNS_RECORD_CREATED, { record });
+        }
+      });
+
+      this.dnsManager.trackProcessedRecords(this.target, copiedRecords);
+      await this.dnsManager.claimRecords(this.target, copiedConfigs);
+    }
+
+    for (const change of plan.changes.filter(candidate => candidate.action === 'delete')) {
+      const record = change.existing;
+      const isMultiValue = recordTracker.isMultiValueRecord(record);
+      const name = normalizeRecord(record, this.target.zone).name;
+
+      try {
+        await provider.deleteRecordValue(record);
+
+        if (registry && !isMultiValue) {
+          await registry.releaseRecord(name, record.type);
+        }
+
+        recordTracker.untrackRecord(record);
+        this.publishChange(EventTypes.DNS_RECORD_DELETED, { name, type: record.type, record });
+        applied++;
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to delete ${record.type} record ${name} from ${this.target.name}: ${error.message}`);
+      }
+    }
+
+    logger.info(`🚚 Copied ${this.config.migrationSource} to ${this.target.name}: ${applied} changes applied, ${failed} failed`);
+
+    return { applied, failed };
+  }
+
+  /**
+   * Check whether the target holds every record TráfegoDNS manages at the source
+   * @returns {Promise<Object>} - { inSync, plan } with the changes still needed
+   */
+  async verify() {
+    const plan = await this.planCopy();
+
+    return { inSync: !plan.hasChanges(), plan };
+  }
+
+  /**
+   * Check whether the zone is delegated to the target's nameservers
+   * @returns {Promise<Object>} - { delegated, expected, confirmed }
+   */
+  async checkDelegation() {
+    const expected = await this.target.provider.getNameservers();
+    let delegated = [];
+
+    try {
+      delegated = (await dns.promises.resolveNs(this.target.zone))
+        .map(nameserver => nameserver.toLowerCase().replace(/\.$/, ''));
+    } catch (error) {
+      logger.warn(`Could not look up the nameservers of ${this.target.zone}: ${error.message}`);
+    }
+
+    const confirmed = expected.length > 0 && delegated.length > 0 &&
+      delegated.every(nameserver => expected.includes(nameserver));
+
+    return { delegated, expected, confirmed };
+  }
+
+  /**
+   * Get the records TráfegoDNS manages at the source
+   * @returns {Promise<Array<Object>>} - Records from the source's cache
+   */
+  async getSourceRecords() {
+    const source = this.getSource();
+    const records = await source.provider.getRecordsFromCache();
+
+    return records.filter(record => source.recordTracker.isTracked(record));
+  }
+
+  /**
+   * Remove the records TráfegoDNS manages from the source
+   * Only once the target holds all of them and, unless forced, the zone is
+   * delegated to the target's nameservers
+   * @param {Object} options - Finish options
+   * @param {boolean} options.force - Skip the nameserver check
+   * @returns {Promise<Object>} - { removed, failed }
+   */
+  async finish({ force = false } = {}) {
+    const { inSync } = await this.verify();
+
+    if (!inSync) {
+      throw new Error(`${this.target.name} does not hold every record managed at ${this.config.migrationSource} yet`);
+    }
+
+    if (!force && !(await this.checkDelegation()).confirmed) {
+      throw new Error(`${this.target.zone} is not delegated to the nameservers of ${this.target.name} yet`);
+    }
+
+    const source = this.getSource();
+    const { provider, recordTracker, registry } = source;
+    let removed = 0;
+    let failed = 0;
+
+    for (const record of await this.getSourceRecords()) {
+      const isMultiValue = recordTracker.isMultiValueRecord(record);
+      const name = normalizeRecord(record, source.zone).name;
+
+      try {
+        if (isMultiValue) {
+          await provider.deleteRecordValue(record);
+        } else {
+          await provider.deleteRecord(record.id);
+        }
+
+        if (registry && !isMultiValue) {
+          await registry.releaseRecord(name, record.type);
+        }
+
+        recordTracker.untrackRecord(record);
+        this.eventBus.publish(EventTypes.DNS_RECORD_DELETED, {
+          provider: source.name,
+          zone: source.zone,
+          name,
+          type: record.type,
+          record,
+          reason: ChangeReasons.MIGRATION
+        });
+        removed++;
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to delete ${record.type} record ${name} from ${source.name}: ${error.message}`);
+      }
+    }
+
+    logger.info(`🚚 Removed ${removed} managed DNS records from ${source.name}, ${failed} failed`);
+
+    return { removed, failed };
+  }
+
+  /**
+   * Publish a record change at the target for the audit log and metrics
+   * @param {string} eventType - DNS record event type
+   * @param {Object} data - Event data besides the provider, zone and reason
+   */
+  publishChange(eventType, data) {
+    this.eventBus.publish(eventType, {
+      provider: this.target.name,
+      zone: this.target.zone,
+      ...data,
+      reason: ChangeReasons.MIGRATION
+    });
+  }
+}
+
+/**
+ * Translate record content into the form every provider accepts
+ * Host names lose the trailing dot, and DigitalOcean's @ becomes the zone
+ */
+function translateContent(record, zone) {
+  const content = String(record.content ?? '');
+
+  if (HOST_TYPES.includes(record.type)) {
+    return content === '@' ? zone : content.replace(/\.$/, '');
+  }
+
+  // Route53 returns TXT values with their quotes
+  if (record.type === 'TXT') {
+    return content.replace(/^"(.*)"$/, '$1');
+  }
+
+  return content;
+}
+
+/**
+ * Get the key of a record name and type
+ */
+function getNameKey(record) {
+  return `${record.type}:${record.name}`.toLowerCase();
+}
+
+/**
+ * Get the key of one value of a record name and type
+ */
+function getValueKey(record) {
+  return `${getNameKey(record)}:${String(record.content).toLowerCase().replace(/\.$/, '')}`;
+}
+
+module.exports = MigrationManager;
@@ -0,0 +1,420 @@
+/**
+ * Snapshot Manager Service
+ * Writes full snapshots of each provider's zone to disk and restores a zone
+ * from a snapshot through the provider's create, update and delete methods
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const EventTypes = require('../events/EventTypes');
+const ChangeReasons = require('../events/ChangeReasons');
+const { getRecordDifferences, normalizeRecord } = require('../utils/dns');
+const { DryRunPlan } = require('../utils/dryRun');
+
+const SNAPSHOT_VERSION = 1;
+
+// Fields restored besides the type, name and content
+const RECORD_FIELDS = ['ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag'];
+
+class SnapshotManager {
+  constructor(config, eventBus, dnsManager) {
+    this.config = config;
+    this.eventBus = eventBus;
+    this.dnsManager = dnsManager;
+
+    this.snapshotTimer = null;
+  }
+
+  /**
+   * Take snapshots periodically
+   */
+  start() {
+    this.stop();
+
+    if (this.config.snapshotInterval > 0) {
+      this.snapshotTimer = setInterval(() => this.takeSnapshots('scheduled'), this.config.snapshotInterval);
+      logger.debug(`Taking zone snapshots every ${Math.round(this.config.snapshotInterval / 60000)} minutes`);
+    }
+  }
+
+  /**
+   * Stop taking periodic snapshots
+   */
+  stop() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+
+  /**
+   * Take a snapshot of every provider's zone
+   * A failed snapshot is logged and does not stop the others
+   * @param {string} reason - Why the snapshots are taken, e.g. startup or scheduled
+   * @returns {Promise<Array<string>>} - Files written
+   */
+  async takeSnapshots(reason) {
+    const files = [];
+
+    for (const context of this.dnsManager.providers) {
+      try {
+        const { file } = await this.takeSnapshot(context, reason);
+        files.push(file);
+      } catch (error) {
+        logger.error(`Failed to take a snapshot of ${context.zone} (${context.name}): ${error.message}`);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Take a snapshot of a provider's zone and write it to the snapshot directory
+   * @param {Object} context - Provider context
+   * @param {string} reason - Why the snapshot is taken
+   * @returns {Promise<Object>} - { file, snapshot }
+   */
+  async takeSnapshot(context, reason) {
+    const records = await this.getLiveRecords(context);
+    const takenAt = new Date();
+
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      takenAt: takenAt.toISOString(),
+      reason,
+      provider: context.name,
+      type: context.config.dnsProvider,
+      zone: context.zone,
+      records
+    };
+
+    const file = path.join(
+      this.config.snapshotDir,
+      `${getFilePrefix(context.name)}-${takenAt.toISOString().replace(/[:.]/g, '-')}.json`
+    );
+
+    fs.mkdirSync(this.config.snapshotDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2), 'utf8');
+    logger.info(`📸 Saved snapshot of ${records.length} DNS records in ${context.zone} to ${file}`);
+
+    this.pruneSnapshots(context.name);
+
+    return { file, snapshot };
+  }
+
+  /**
+   * Fetch every record in a provider's zone, in snapshot form
+   * @param {Object} context - Provider context
+   * @returns {Promise<Array<Object>>} - Snapshot records
+   */
+  async getLiveRecords(context) {
+    const records = await context.provider.refreshRecordCache();
+
+    return records.map(record => this.toSnapshotRecord(context, record));
+  }
+
+  /**
+   * Convert a record from a provider's cache into a snapshot record
+   * @param {Object} context - Provider context
+   * @param {Object} record - Record from the provider cache
+   * @returns {Object} - Record in the same form for every provider
+   */
+  toSnapshotRecord(context, record) {
+    const snapshotRecord = normalizeRecord(record, context.zone);
+
+    // Note whether TráfegoDNS manages the record, for managed-only restores
+    const trackedRecord = { type: snapshotRecord.type, name: snapshotRecord.name, content: snapshotRecord.content };
+
+    if (context.recordTracker.isTracked(trackedRecord)) {
+      snapshotRecord.tracked = true;
+
+      if (context.recordTracker.isMultiValueRecord(trackedRecord)) {
+        snapshotRecord.multiValue = true;
+      }
+
+      if (context.recordTracker.isDualStackRecord(trackedRecord)) {
+        snapshotRecord.dualStack = true;
+      }
+    }
+
+    return snapshotRecord;
+  }
+
+  /**
+   * Remove the oldest snapshots of a provider beyond the retention count
+   * @param {string} providerName - Provider instance name
+   */
+  pruneSnapshots(providerName) {
+    const expired = this.listSnapshots(providerName).slice(this.config.snapshotRetention);
+
+    for (const { file } of expired) {
+      try {
+        fs.unlinkSync(file);
+        logger.debug(`Removed expired snapshot ${file}`);
+      } catch (error) {
+        logger.warn(`Failed to remove expired snapshot ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * List snapshot files, newest first
+   * @param {string} providerName - Only list snapshots of this provider instance (optional)
+   * @returns {Array<Object>} - { file, provider, takenAt }
+   */
+  listSnapshots(providerName = null) {
+    if (!fs.existsSync(this.config.snapshotDir)) {
+      return [];
+    }
+
+    const pattern = /^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+    const snapshots = [];
+
+    for (const fileName of fs.readdirSync(this.config.snapshotDir)) {
+      const match = fileName.match(pattern);
+
+      if (!match || (providerName && match[1] !== getFilePrefix(providerName))) {
+        continue;
+      }
+
+      // File names use dashes in the time, put the ISO 8601 separators back
+      const takenAt = match[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+
+      snapshots.push({ file: path.join(this.config.snapshotDir, fileName), provider: match[1], takenAt });
+    }
+
+    return snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  }
+
+  /**
+   * Read a snapshot file
+   * @param {string} file - Snapshot path, or a file name in the snapshot directory
+   * @returns {Object} - Snapshot
+   */
+  loadSnapshot(file) {
+    const snapshotPath = fs.existsSync(file) ? file : path.join(this.config.snapshotDir, file);
+
+    if (!fs.existsSync(snapshotPath)) {
+      throw new Error(`Snapshot not found: ${file}`);
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.records)) {
+      throw new Error(`${snapshotPath} is not a TráfegoDNS zone snapshot`);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Work out the changes that bring a zone back to a snapshot
+   * Records are paired on type, name and content first, then the remaining
+   * records of a name are paired as content changes. Unpaired snapshot records
+   * are created and unpaired live records are deleted
+   * @param {Object} context - Provider context
+   * @param {Object} snapshot - Snapshot to restore
+   * @param {Object} options - Restore options
+   * @param {boolean} options.managedOnly - Only change records TráfegoDNS manages, in the snapshot or now
+   * @returns {Promise<DryRunPlan>} - Planned changes
+   */
+  async planRestore(context, snapshot, { managedOnly = false } = {}) {
+    const live = await this.getLiveRecords(context);
+    const plan = new DryRunPlan(context.name);
+
+    const groupKey = record => `${record.type}:${record.name}`.toLowerCase();
+    const sameContent = (a, b) => normaliseContent(a.content) === normaliseContent(b.content);
+    const inScope = (...records) => !managedOnly || records.some(record => record && record.tracked);
+
+    const liveGroups = new Map();
+    for (const record of live) {
+      const key = groupKey(record);
+      liveGroups.set(key, [...(liveGroups.get(key) || []), record]);
+    }
+
+    const snapshotGroups = new Map();
+    for (const record of snapshot.records) {
+      const key = groupKey(record);
+      snapshotGroups.set(key, [...(snapshotGroups.get(key) || []), record]);
+    }
+
+    for (const [key, wanted] of snapshotGroups) {
+      const existing = liveGroups.get(key) || [];
+      const unpaired = [];
+
+      // Route53 writes all values of a name as one record set
+      const values = wanted.length > 1 ? wanted.map(record => record.content) : undefined;
+
+      for (const record of wanted) {
+        const index = existing.findIndex(candidate => sameContent(candidate, record));
+
+        if (index === -1) {
+          unpaired.push(record);
+          continue;
+        }
+
+        const [current] = existing.splice(index, 1);
+        if (inScope(record, current) && getRecordDifferences(current, toRecordConfig(record)).length > 0) {
+          plan.addUpdate(current, toRecordConfig(record, values));
+        }
+      }
+
+      for (const record of unpaired) {
+        const current = existing.shift();
+
+        if (!inScope(record, current)) {
+          continue;
+        }
+
+        if (current) {
+          plan.addUpdate(current, toRecordConfig(record, values));
+        } else {
+          plan.addCreate(toRecordConfig(record, values));
+        }
+      }
+
+      liveGroups.set(key, existing);
+    }
+
+    for (const existing of liveGroups.values()) {
+      for (const current of existing) {
+        if (inScope(current)) {
+          plan.addDelete(current);
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Restore a zone from a snapshot
+   * A snapshot of the zone is taken first, so the restore itself can be undone
+   * @param {Object} context - Provider context
+   * @param {DryRunPlan} plan - Changes from planRestore
+   * @param {Object} snapshot - Snapshot being restored, for tracking restored records
+   * @returns {Promise<Object>} - { file, applied, failed }
+   */
+  async applyRestore(context, plan, snapshot) {
+    const { file } = await this.takeSnapshot(context, 'pre-restore');
+    const { provider, recordTracker } = context;
+    const tracked = snapshot.records.filter(record => record.tracked);
+    const wasTracked = record => tracked.find(candidate =>
+      candidate.type === record.type && candidate.name === record.name && normaliseContent(candidate.content) === normaliseContent(record.content));
+
+    let applied = 0;
+    let failed = 0;
+    const restoredRecords = [];
+
+    for (const change of plan.changes) {
+      try {
+        if (change.action === 'create') {
+          // Another value of a Route53 record set may have written this one already
+          if (provider.findRecordInCache(change.type, change.name, change.record.content)) {
+            applied++;
+            continue;
+          }
+
+          const record = await provider.createRecord(change.record);
+          this.publishChange(context, EventTypes.DNS_RECORD_CREATED, { record: { ...change.record, ...record } });
+          restoredRecords.push({ ...change.record, id: record?.id });
+        } else if (change.action === 'update') {
+          const record = await provider.updateRecord(change.existing.id, change.record);
+          this.publishChange(context, EventTypes.DNS_RECORD_UPDATED, {
+            record: { ...change.record, ...record },
+            previous: change.existing,
+            differences: change.differences
+          });
+          recordTracker.untrackRecord(change.existing);
+          restoredRecords.push({ ...change.record, id: record?.id ?? change.existing.id });
+        } else {
+          await provider.deleteRecordValue(change.existing);
+          this.publishChange(context, EventTypes.DNS_RECORD_DELETED, {
+            name: change.name,
+            type: change.type,
+            record: change.existing
+          });
+          recordTracker.untrackRecord(change.existing);
+        }
+
+        applied++;
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to ${change.action} ${change.type} record ${change.name}: ${error.message}`);
+      }
+    }
+
+    // Records TráfegoDNS managed when the snapshot was taken are managed again
+    const managedRecords = [];
+    for (const record of restoredRecords) {
+      const snapshotRecord = wasTracked(record);
+
+      if (snapshotRecord) {
+        recordTracker.trackRecord({ ...record, multiValue: snapshotRecord.multiValue, dualStack: snapshotRecord.dualStack });
+        managedRecords.push(record);
+      }
+    }
+
+    if (context.registry && managedRecords.length > 0) {
+      await provider.refreshRecordCache();
+      await context.registry.claimRecords(managedRecords);
+    }
+
+    logger.info(`♻️ Restored ${context.zone} (${context.name}) from the snapshot of ${snapshot.takenAt}: ${applied} changes applied, ${failed} failed`);
+
+    return { file, applied, failed };
+  }
+
+  /**
+   * Publish a restored record change for the audit log and metrics
+   * @param {Object} context - Provider context
+   * @param {string} eventType - DNS record event type
+   * @param {Object} data - Event data besides the provider, zone and reason
+   */
+  publishChange(context, eventType, data) {
+    this.eventBus.publish(eventType, {
+      provider: context.name,
+      zone: context.zone,
+      ...data,
+      reason: ChangeReasons.RESTORE
+    });
+  }
+}
+
+/**
+ * Get the file name prefix for a provider instance's snapshots
+ */
+function getFilePrefix(providerName) {
+  return providerName.replace(/[^A-Za-z0-9_.]/g, '_');
+}
+
+/**
+ * Normalise record content for comparison
+ */
+function normaliseContent(content) {
+  return String(content).toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Turn a snapshot record into a record configuration for the provider
+ * @param {Object} record - Snapshot record
+ * @param {Array<string>} values - All values of the record's name, when it has several
+ * @returns {Object} - Record configuration
+ */
+function toRecordConfig(record, values) {
+  const recordConfig = { type: record.type, name: record.name, content: record.content };
+
+  for (const field of RECORD_FIELDS) {
+    if (record[field] !== undefined) {
+      recordConfig[field] = record[field];
+    }
+  }
+
+  if (values) {
+    recordConfig.values = values;
+  }
+
+  return recordConfig;
+}
+
+module.exports = SnapshotManager;
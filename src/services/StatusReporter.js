@@ -89,24 +89,46 @@ class StatusReporter {
       console.log(''); // Empty line for spacing
       
       // DNS Provider Section
-      logger.info('🌐 DNS PROVIDER');
-      logger.info(`  🟢 Provider: ${this.config.dnsProvider}`);
-      // Mask any sensitive tokens for security
-      const maskedToken = this.config.cloudflareToken ? 'Configured' : 'Not configured';
-      logger.info(`  🔑 Auth: ${maskedToken}`);
-      logger.info(`  🌐 Zone: ${this.config.getProviderDomain()}`);
+      const providerConfigs = this.config.getProviderConfigs();
+      
+      if (providerConfigs.length === 1) {
+        logger.info('🌐 DNS PROVIDER');
+        logger.info(`  🟢 Provider: ${this.config.dnsProvider}`);
+        // Mask any sensitive tokens for security
+        const maskedToken = this.config.cloudflareToken ? 'Configured' : 'Not configured';
+        logger.info(`  🔑 Auth: ${maskedToken}`);
+        logger.info(`  🌐 Zone: ${this.config.getProviderDomain()}`);
+      } else {
+        logger.info('🌐 DNS PROVIDERS');
+        for (const providerConfig of providerConfigs) {
+          logger.info(`  🟢 ${providerConfig.providerName}: ${providerConfig.dnsProvider} → ${providerConfig.getProviderDomain()}`);
+        }
+      }
       console.log(''); // Empty line for spacing
       
       // Connectivity Section
       logger.info('🔄 CONNECTIVITY');
       if (operationMode.toLowerCase() === 'traefik') {
-        logger.info(`  🟢 Traefik API: Connected at ${this.config.traefikApiUrl}`);
-        const authStatus = this.config.traefikApiUsername ? 'Enabled' : 'Disabled';
-        logger.info(`  🔐 Basic Auth: ${authStatus}`);
+        const traefikInstances = this.config.traefikInstances;
+        if (traefikInstances.length === 1) {
+          logger.info(`  🟢 Traefik API: Connected at ${traefikInstances[0].apiUrl}`);
+          const authStatus = traefikInstances[0].username ? 'Enabled' : 'Disabled';
+          logger.info(`  🔐 Basic Auth: ${authStatus}`);
+        } else {
+          for (const instance of traefikInstances) {
+            const authStatus = instance.username ? 'basic auth' : 'no auth';
+            logger.info(`  🟢 Traefik API ${instance.name}: Connected at ${instance.apiUrl} (${authStatus})`);
+          }
+        }
+      } else if (operationMode.toLowerCase() === 'kubernetes') {
+        logger.info(`  🟢 Kubernetes API: ${this.config.kubernetesApiUrl}`);
+        logger.info(`  ☸️ Resources: ${this.config.kubernetesResources.join(', ')} in ${this.config.kubernetesNamespace || 'all namespaces'}`);
       } else {
         logger.info(`  🟢 Docker Labels: Direct access mode (no Traefik)`);
       }
-      logger.info(`  🐳 Docker Socket: Accessible`);
+      if (operationMode.toLowerCase() !== 'kubernetes') {
+        logger.info(`  🐳 Docker Socket: Accessible`);
+      }
       console.log(''); // Empty line for spacing
       
       // Network Section
@@ -132,6 +154,19 @@ class StatusReporter {
       logger.info(`  📊 Log Level: ${logger.levelNames[logger.level]}`);
       logger.info(`  🐳 Docker Events: ${this.config.watchDockerEvents ? 'Yes' : 'No'}`);
       logger.info(`  🧹 Cleanup Orphaned: ${this.config.cleanupOrphaned ? 'Yes' : 'No'}`);
+      if (this.config.adoptionPolicy !== 'never') {
+        const adoptionHostnames = this.config.adoptionPolicy === 'list' ? ` (${this.config.adoptionHostnames.join(', ')})` : '';
+        logger.info(`  📥 Adopt Existing Records: ${this.config.adoptionPolicy}${adoptionHostnames}`);
+      }
+      logger.info(`  🔌 Management API: ${this.config.apiEnabled ? `Enabled on port ${this.config.apiPort}` : 'Disabled'}`);
+      logger.info(`  📜 Audit Log: ${this.config.auditLogEnabled ? this.config.auditLogFile : 'Disabled'}`);
+      logger.info(`  📸 Zone Snapshots: ${this.config.snapshotEnabled ? this.config.snapshotDir : 'Disabled'}`);
+      if (this.config.migrationTargetConfig) {
+        logger.info(`  🚚 Provider Migration: ${this.config.migrationSource} → ${this.config.migrationTarget}`);
+      }
+      if (this.config.dryRun) {
+        logger.info(`  🧪 Dry Run: Yes (changes are planned and logged, not applied)`);
+      }
       if (this.config.cleanupOrphaned) {
         logger.info(`  🕒 Cleanup Grace Period: ${this.config.cleanupGracePeriod} minutes`);
       }
@@ -5,27 +5,19 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const EventTypes = require('../events/EventTypes');
-const { extractHostnamesFromRule } = require('../utils/traefik');
+const { extractHostnamesFromRule, extractHostnamesFromSniRule } = require('../utils/traefik');
 const { getLabelValue } = require('../utils/dns');
 
+// Traefik router types that can carry hostnames
+const ROUTER_PROTOCOLS = ['http', 'tcp', 'udp'];
+
 class TraefikMonitor {
   constructor(config, eventBus) {
     this.config = config;
     this.eventBus = eventBus;
     
-    // Initialize HTTP client
-    this.client = axios.create({
-      baseURL: config.traefikApiUrl,
-      timeout: config.apiTimeout  // Use the configurable timeout
-    });
-    
-    // Add basic auth if configured
-    if (config.traefikApiUsername && config.traefikApiPassword) {
-      this.client.defaults.auth = {
-        username: config.traefikApiUsername,
-        password: config.traefikApiPassword
-      };
-    }
+    // Initialize an HTTP client for each Traefik instance
+    this.clients = this.createClients();
     
     // Track previous poll statistics to reduce logging noise
     this.previousStats = {
@@ -51,6 +43,38 @@ class TraefikMonitor {
     this.setupEventSubscriptions();
   }
   
+  /**
+   * Create an HTTP client for the API of each Traefik instance
+   * @returns {Array<Object>} - Instances with their client
+   */
+  createClients() {
+    return this.config.traefikInstances.map(instance => ({
+      instance,
+      client: this.createClient(instance)
+    }));
+  }
+  
+  /**
+   * Create the HTTP client for the API of a Traefik instance
+   * @param {Object} instance - Traefik instance from the configuration
+   */
+  createClient(instance) {
+    const client = axios.create({
+      baseURL: instance.apiUrl,
+      timeout: this.config.apiTimeout  // Use the configurable timeout
+    });
+    
+    // Add basic auth if configured
+    if (instance.username && instance.password) {
+      client.defaults.auth = {
+        username: instance.username,
+        password: instance.password
+      };
+    }
+    
+    return client;
+  }
+  
   /**
    * Initialize the Traefik Monitor
    */
@@ -86,6 +110,20 @@ class TraefikMonitor {
       this.lastContainerIdToName = containerIdToName || new Map();
       logger.debug('Updated Docker container labels cache in TraefikMonitor');
     });
+    
+    // Apply Traefik API and polling settings from a reloaded configuration
+    this.eventBus.subscribe(EventTypes.CONFIG_UPDATED, ({ changes = [] }) => {
+      const clientSettings = ['traefikInstances', 'apiTimeout'];
+      
+      if (changes.some(name => clientSettings.includes(name))) {
+        this.clients = this.createClients();
+        logger.debug('Recreated Traefik API clients with reloaded settings');
+      }
+      
+      if (changes.includes('pollInterval')) {
+        this.restartPolling();
+      }
+    });
   }
   
   /**
@@ -114,17 +152,42 @@ class TraefikMonitor {
   }
   
   /**
-   * Test the connection to the Traefik API
+   * Restart the poll timer with the current poll interval
+   */
+  restartPolling() {
+    if (!this.pollTimer) {
+      return;
+    }
+    
+    clearInterval(this.pollTimer);
+    this.pollTimer = setInterval(() => this.pollTraefikAPI(), this.config.pollInterval);
+    logger.debug(`Traefik polling restarted with interval of ${this.config.pollInterval}ms`);
+  }
+  
+  /**
+   * Test the connection to the API of every Traefik instance
    */
   async testConnection() {
-    try {
-      // Try to access the overview endpoint
-      await this.client.get('/overview');
-      return true;
-    } catch (error) {
-      logger.error(`Failed to connect to Traefik API: ${error.message}`);
-      return false;
+    let connected = true;
+    
+    for (const { instance, client } of this.clients) {
+      try {
+        // Try to access the overview endpoint
+        await client.get('/overview');
+      } catch (error) {
+        logger.error(`Failed to connect to Traefik API${this.describeInstance(instance)} at ${instance.apiUrl}: ${error.message}`);
+        connected = false;
+      }
     }
+    
+    return connected;
+  }
+  
+  /**
+   * Describe an instance for log messages, empty when only one is configured
+   */
+  describeInstance(instance) {
+    return this.clients.length > 1 ? ` '${instance.name}'` : '';
   }
   
   /**
@@ -194,25 +257,58 @@ class TraefikMonitor {
   }
   
   /**
-   * Get all HTTP routers from Traefik
+   * Get all HTTP, TCP and UDP routers from every Traefik instance
+   * Each router is tagged with the protocol it was listed under and its instance.
+   * A failing instance fails the whole poll, so its hostnames are not cleaned up.
+   * @returns {Promise<Array<Object>>} - Routers of all protocols and instances
    */
   async getRouters() {
+    const routers = [];
+    
+    for (const { instance, client } of this.clients) {
+      for (const protocol of ROUTER_PROTOCOLS) {
+        const protocolRouters = await this.getProtocolRouters(instance, client, protocol);
+        
+        for (const router of Object.values(protocolRouters)) {
+          routers.push({ ...router, protocol, instance: instance.name });
+        }
+      }
+    }
+    
+    return routers;
+  }
+  
+  /**
+   * Get the routers of one protocol from a Traefik instance
+   * @param {Object} instance - Traefik instance from the configuration
+   * @param {Object} client - HTTP client for the instance
+   * @param {string} protocol - http, tcp or udp
+   */
+  async getProtocolRouters(instance, client, protocol) {
+    const apiUrl = instance.apiUrl;
+    
     try {
-      const response = await this.client.get('/http/routers');
-      return response.data;
+      const response = await client.get(`/${protocol}/routers`);
+      return response.data || [];
     } catch (error) {
+      // Older Traefik versions have no UDP routers endpoint
+      if (protocol !== 'http' && error.response && error.response.status === 404) {
+        logger.debug(`Traefik API has no /${protocol}/routers endpoint, skipping ${protocol.toUpperCase()} routers`);
+        return [];
+      }
+      
       // Check for specific error types for better error messages
       if (error.code === 'ECONNREFUSED') {
-        logger.error(`Connection refused to Traefik API at ${this.config.traefikApiUrl}. Is Traefik running?`);
-        throw new Error(`Connection refused to Traefik API at ${this.config.traefikApiUrl}. Is Traefik running?`);
+        logger.error(`Connection refused to Traefik API at ${apiUrl}. Is Traefik running?`);
+        throw new Error(`Connection refused to Traefik API at ${apiUrl}. Is Traefik running?`);
       }
       
       if (error.response && error.response.status === 401) {
-        logger.error('Authentication failed for Traefik API. Check your username and password.');
-        throw new Error('Authentication failed for Traefik API. Check your username and password.');
+        logger.error(`Authentication failed for Traefik API at ${apiUrl}. Check your username and password.`);
+        throw new Error(`Authentication failed for Traefik API at ${apiUrl}. Check your username and password.`);
       }
       
-      logger.error(`Failed to get Traefik routers: ${error.message}`);
+      logger.error(`Failed to get Traefik ${protocol.toUpperCase()} routers${this.describeInstance(instance)}: ${error.message}`);
       throw error;
     }
   }
@@ -226,20 +322,50 @@ class TraefikMonitor {
     
     for (const [_, router] of Object.entries(routers)) {
       const routerName = router.name;
+      const protocol = router.protocol || 'http';
       if (router.rule && router.rule.includes('Host')) {
-        // Extract all hostnames from the rule
-        const routerHostnames = extractHostnamesFromRule(router.rule);
+        // Extract all hostnames from the rule, TCP and UDP routers match on SNI
+        const routerHostnames = protocol === 'http'
+          ? extractHostnamesFromRule(router.rule)
+          : extractHostnamesFromSniRule(router.rule);
         
         for (const hostname of routerHostnames) {
-          hostnames.push(hostname);
+          if (!hostnames.includes(hostname)) {
+            hostnames.push(hostname);
+          }
+          
+          const existing = containerLabels[hostname];
+          
+          // The first instance to route a hostname provides its record defaults
+          if (existing && existing.traefikInstance !== router.instance) {
+            logger.debug(`Hostname "${hostname}" is routed by Traefik instances "${existing.traefikInstance}" and "${router.instance}", using "${existing.traefikInstance}"`);
+            continue;
+          }
+          
+          // Keep the entrypoints of every router for the hostname, so a router that
+          // only redirects HTTP to HTTPS does not hide the entrypoint it redirects to
+          const entryPoints = [...new Set([
+            ...(existing?.traefikEntryPoints ? existing.traefikEntryPoints.split(',') : []),
+            ...(router.entryPoints || [])
+          ])].join(',');
+          
+          // HTTP routers take precedence when a hostname is also used by a TCP or UDP router
+          if (existing && protocol !== 'http') {
+            existing.traefikEntryPoints = entryPoints;
+            logger.trace(`Hostname "${hostname}" of ${protocol.toUpperCase()} router "${routerName}" is already served by router "${existing.routerName}"`);
+            continue;
+          }
           
           // Store router service information with hostname for later lookup
           containerLabels[hostname] = {
-            [`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`]: router.service,
-            routerName: routerName
+            [`${this.config.traefikLabelPrefix}${protocol}.routers.${routerName}.service`]: router.service,
+            routerName: routerName,
+            routerProtocol: protocol,
+            traefikInstance: router.instance,
+            traefikEntryPoints: entryPoints
           };
           
-          logger.trace(`Processed router "${routerName}" for hostname "${hostname}" with service "${router.service}"`);
+          logger.trace(`Processed ${protocol.toUpperCase()} router "${routerName}" for hostname "${hostname}" with service "${router.service}"`);
         }
       }
     }
@@ -272,8 +398,9 @@ class TraefikMonitor {
     // For each hostname
     for (const [hostname, routerLabels] of Object.entries(routerContainerLabels)) {
       const routerName = routerLabels.routerName;
-      const routerNameDocker = routerName.replace(/@docker$/, "");
-      const serviceName = routerLabels[`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`];
+      const routerNameDocker = routerName.replace(/@(docker|swarm)$/, "");
+      const protocol = routerLabels.routerProtocol || 'http';
+      const serviceName = routerLabels[`${this.config.traefikLabelPrefix}${protocol}.routers.${routerName}.service`];
       
       logger.debug(`Looking for container labels for hostname=${hostname}, router=${routerName}, service=${serviceName}`);
       
@@ -285,9 +412,9 @@ class TraefikMonitor {
         // Various ways a container might be related to this router/service
         if (
           containerId.includes(serviceName) || 
-          containerLabels[`${this.config.traefikLabelPrefix}http.routers.${routerName}.service`] === serviceName ||
-          containerLabels[`${this.config.traefikLabelPrefix}http.routers.${routerNameDocker}.service`] === serviceName ||
-          containerLabels[`${this.config.traefikLabelPrefix}http.services.${serviceName}.loadbalancer.server.port`]
+          containerLabels[`${this.config.traefikLabelPrefix}${protocol}.routers.${routerName}.service`] === serviceName ||
+          containerLabels[`${this.config.traefikLabelPrefix}${protocol}.routers.${routerNameDocker}.service`] === serviceName ||
+          containerLabels[`${this.config.traefikLabelPrefix}${protocol}.services.${serviceName}.loadbalancer.server.port`]
         ) {
           // Get container name if available
           const containerName = containerIdToName.get(containerId) || containerId;
@@ -334,7 +461,8 @@ class TraefikMonitor {
           // Merge the container's DNS labels into our hostname labels
           mergedLabels[hostname] = {
             ...mergedLabels[hostname],
-            ...dnsLabels
+            ...dnsLabels,
+            containerName
           };
           
           if (Object.keys(dnsLabels).length > 0) {
@@ -367,17 +495,23 @@ class TraefikMonitor {
   }
   
   /**
-   * Get all HTTP services from Traefik
+   * Get all HTTP services from every Traefik instance
    */
   async getServices() {
-    try {
-      const response = await this.client.get('/http/services');
-      logger.debug(`Retrieved ${Object.keys(response.data).length} services from Traefik API`);
-      return response.data;
-    } catch (error) {
-      logger.error(`Failed to get Traefik services: ${error.message}`);
-      throw error;
+    const services = [];
+    
+    for (const { instance, client } of this.clients) {
+      try {
+        const response = await client.get('/http/services');
+        logger.debug(`Retrieved ${Object.keys(response.data).length} services from Traefik API${this.describeInstance(instance)}`);
+        services.push(...Object.values(response.data).map(service => ({ ...service, instance: instance.name })));
+      } catch (error) {
+        logger.error(`Failed to get Traefik services${this.describeInstance(instance)}: ${error.message}`);
+        throw error;
+      }
     }
+    
+    return services;
   }
 }
 
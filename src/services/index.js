@@ -7,11 +7,27 @@ const TraefikMonitor = require('./TraefikMonitor');
 const DockerMonitor = require('./DockerMonitor');
 const StatusReporter = require('./StatusReporter');
 const DirectDNSManager = require('./DirectDNSManager');
+const KubernetesMonitor = require('./KubernetesMonitor');
+const ApiServer = require('./ApiServer');
+const MetricsCollector = require('./MetricsCollector');
+const HealthMonitor = require('./HealthMonitor');
+const ConfigReloader = require('./ConfigReloader');
+const AuditLog = require('./AuditLog');
+const SnapshotManager = require('./SnapshotManager');
+const MigrationManager = require('./MigrationManager');
 
 module.exports = {
   DNSManager,
   TraefikMonitor,
   DockerMonitor,
   StatusReporter,
-  DirectDNSManager
+  DirectDNSManager,
+  KubernetesMonitor,
+  ApiServer,
+  MetricsCollector,
+  HealthMonitor,
+  ConfigReloader,
+  AuditLog,
+  SnapshotManager,
+  MigrationManager
 };
\ No newline at end of file
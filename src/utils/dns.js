@@ -3,6 +3,7 @@
  */
 const logger = require('./logger');
 const { LOG_LEVELS } = require('./logger');
+const { isIPv6Suffix } = require('../ip');
 
 /**
  * Check if a hostname is an apex/root domain
@@ -184,6 +185,37 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
     recordConfig.type = 'AAAA';
     logger.debug(`IPv6 address (${recordConfig.content}) content detected for ${hostname}, using AAAA record instead of CNAME`);
   }
+
+  // An IPv6 host suffix such as ::1:2:3:4/64 is combined with the current delegated prefix
+  if (isIPv6Suffix(recordConfig.content)) {
+    if (!recordTypeLabel && recordConfig.type === 'CNAME') {
+      recordConfig.type = 'AAAA';
+      logger.debug(`IPv6 suffix (${recordConfig.content}) content detected for ${hostname}, using AAAA record instead of CNAME`);
+    }
+
+    if (recordConfig.type === 'AAAA') {
+      const suffix = recordConfig.content;
+      recordConfig.content = config.resolveIPv6Suffix(suffix);
+
+      if (!recordConfig.content) {
+        throw new Error(`No IPv6 prefix is known yet to combine with the suffix ${suffix}`);
+      }
+
+      logger.trace(`dns.extractDnsConfigFromLabels: Combined IPv6 suffix ${suffix} with the delegated prefix: ${recordConfig.content}`);
+    }
+  }
+
+  // Multi-value A and AAAA records share their name with the values other
+  // hosts or instances add, so only this record's own value is managed
+  const multiValueLabel = getLabelValue(labels, genericPrefix, providerPrefix, 'multivalue', null);
+  if (multiValueLabel === 'true') {
+    if (['A', 'AAAA'].includes(recordConfig.type)) {
+      recordConfig.multiValue = true;
+      logger.trace(`dns.extractDnsConfigFromLabels: Managing ${hostname} as one value of a multi-value record`);
+    } else {
+      logger.debug(`Ignoring multivalue label for ${hostname}, only A and AAAA records can have several values`);
+    }
+  }
   
   // Handle proxied status ONLY for providers that support it (Cloudflare)
   if (['A', 'AAAA', 'CNAME'].includes(recordConfig.type) && config.dnsProvider === 'cloudflare') {
@@ -281,9 +313,139 @@ function extractDnsConfigFromLabels(labels, config, hostname) {
   return recordConfig;
 }
 
+/**
+ * Build the AAAA record published next to an A record in dual-stack mode
+ * The AAAA record shares the TTL, proxy and multi-value settings of the A record
+ * @param {Object} labels - Container labels
+ * @param {Object} config - Configuration for the provider instance
+ * @param {Object} recordConfig - Record configuration from extractDnsConfigFromLabels
+ * @returns {Object|null} - AAAA record configuration, or null when there should be none
+ */
+function extractDualStackConfig(labels, config, recordConfig) {
+  if (recordConfig.type !== 'A') {
+    return null;
+  }
+  
+  const dualStackLabel = getLabelValue(labels, config.genericLabelPrefix, config.dnsLabelPrefix, 'dualstack', null);
+  const isDualStack = dualStackLabel !== null ? dualStackLabel === 'true' : config.defaultDualStack;
+  
+  if (!isDualStack) {
+    return null;
+  }
+  
+  const ipv6 = config.getDualStackIPv6();
+  
+  if (!ipv6) {
+    logger.debug(`No public IPv6 address available, skipping dual-stack AAAA record for ${recordConfig.name}`);
+    return null;
+  }
+  
+  const dualStackConfig = {
+    type: 'AAAA',
+    name: recordConfig.name,
+    content: ipv6,
+    ttl: recordConfig.ttl,
+    dualStack: true
+  };
+  
+  if (recordConfig.proxied !== undefined) {
+    dualStackConfig.proxied = recordConfig.proxied;
+  }
+  
+  if (recordConfig.multiValue) {
+    dualStackConfig.multiValue = true;
+  }
+  
+  logger.trace(`dns.extractDualStackConfig: Dual-stack AAAA record for ${recordConfig.name}: ${ipv6}`);
+  return dualStackConfig;
+}
+
+/**
+ * Get the value of a record
+ * Providers store content as "content" (Cloudflare, Route53, Technitium) or "data" (DigitalOcean)
+ * @param {Object} record - Record configuration or record from a provider's cache
+ * @returns {string|undefined} - Record value
+ */
+function getRecordContent(record) {
+  return record.content !== undefined ? record.content : record.data;
+}
+
+/**
+ * Convert a record from a provider's cache into the same form for every provider
+ * Names become FQDNs without a trailing dot (Route53 adds one, DigitalOcean
+ * stores names relative to the zone and @ for the apex), and SRV and CAA
+ * fields are taken out of Cloudflare's data object
+ * @param {Object} record - Record from a provider's cache
+ * @param {string} zone - Zone the record belongs to
+ * @returns {Object} - { id, type, name, content } and the type-specific fields the record has
+ */
+function normalizeRecord(record, zone) {
+  const domainName = zone.toLowerCase().replace(/\.$/, '');
+  const data = record.data && typeof record.data === 'object' ? record.data : {};
+  
+  let name = record.name.toLowerCase().replace(/\.$/, '');
+  if (name === '@') {
+    name = domainName;
+  } else if (name !== domainName && !name.endsWith(`.${domainName}`)) {
+    name = `${name}.${domainName}`;
+  }
+  
+  const normalized = {
+    id: record.id,
+    type: record.type,
+    name,
+    content: data.target ?? data.value ?? getRecordContent(record)
+  };
+  
+  for (const field of ['ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag']) {
+    const value = record[field] ?? data[field];
+    
+    if (value !== undefined && value !== null) {
+      normalized[field] = value;
+    }
+  }
+  
+  return normalized;
+}
+
+/**
+ * List the fields that differ between an existing record and a desired record
+ * Only fields present on the desired record are compared, so provider-specific
+ * extras on the existing record (IDs, comments, metadata) are ignored
+ * @param {Object|null} existing - The existing record (provider cache format)
+ * @param {Object} record - The desired record configuration
+ * @returns {Array<Object>} - Array of { field, from, to } entries
+ */
+function getRecordDifferences(existing, record) {
+  const differences = [];
+  
+  if (!existing) {
+    return differences;
+  }
+  
+  const existingContent = getRecordContent(existing);
+  const normalise = value => (typeof value === 'string' && value.endsWith('.') ? value.slice(0, -1) : value);
+  
+  if (record.content !== undefined && normalise(existingContent) !== normalise(record.content)) {
+    differences.push({ field: 'content', from: existingContent, to: record.content });
+  }
+  
+  for (const field of ['ttl', 'proxied', 'priority', 'weight', 'port', 'flags', 'tag']) {
+    if (record[field] !== undefined && existing[field] !== record[field]) {
+      differences.push({ field, from: existing[field], to: record[field] });
+    }
+  }
+  
+  return differences;
+}
+
 module.exports = {
   isApexDomain,
   extractDnsConfigFromLabels,
+  extractDualStackConfig,
+  getRecordDifferences,
+  getRecordContent,
+  normalizeRecord,
   getLabelValue,
   getMinimumTTL
 };
\ No newline at end of file
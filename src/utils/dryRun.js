@@ -0,0 +1,221 @@
+/**
+ * Dry-run support
+ * Intercepts provider write operations and collects them into a change plan
+ * instead of sending them to the DNS provider
+ */
+const logger = require('./logger');
+const { getRecordDifferences } = require('./dns');
+
+class DryRunPlan {
+  constructor(providerName) {
+    this.providerName = providerName;
+    this.changes = [];
+
+    // Signature of the last plan logged at INFO level, to avoid repeating it every poll
+    this.lastLoggedSignature = null;
+  }
+
+  /**
+   * Clear all planned changes
+   */
+  reset() {
+    this.changes = [];
+  }
+
+  /**
+   * Add a planned record creation
+   */
+  addCreate(record) {
+    this.changes.push({
+      action: 'create',
+      type: record.type,
+      name: record.name,
+      record: { ...record }
+    });
+  }
+
+  /**
+   * Add a planned record update
+   */
+  addUpdate(existing, record) {
+    this.changes.push({
+      action: 'update',
+      type: record.type,
+      name: record.name,
+      existing,
+      record: { ...record },
+      differences: getRecordDifferences(existing, record)
+    });
+  }
+
+  /**
+   * Add a planned record deletion
+   */
+  addDelete(existing) {
+    this.changes.push({
+      action: 'delete',
+      type: existing.type,
+      name: existing.name,
+      existing
+    });
+  }
+
+  /**
+   * Check if the plan contains any changes
+   */
+  hasChanges() {
+    return this.changes.length > 0;
+  }
+
+  /**
+   * Get a summary count of planned changes by action
+   */
+  getSummary() {
+    return {
+      create: this.changes.filter(change => change.action === 'create').length,
+      update: this.changes.filter(change => change.action === 'update').length,
+      delete: this.changes.filter(change => change.action === 'delete').length
+    };
+  }
+
+  /**
+   * Format a single planned change for display
+   */
+  formatChange(change) {
+    switch (change.action) {
+      case 'create': {
+        const { record } = change;
+        const details = [`content=${record.content}`, `ttl=${record.ttl}`];
+        if (record.proxied !== undefined) details.push(`proxied=${record.proxied}`);
+        if (record.priority !== undefined) details.push(`priority=${record.priority}`);
+        if (record.weight !== undefined) details.push(`weight=${record.weight}`);
+        if (record.port !== undefined) details.push(`port=${record.port}`);
+        if (record.flags !== undefined) details.push(`flags=${record.flags}`);
+        if (record.tag !== undefined) details.push(`tag=${record.tag}`);
+        return `  + create ${change.type} ${change.name} (${details.join(', ')})`;
+      }
+      case 'update': {
+        const details = change.differences
+          .map(diff => `${diff.field}: ${diff.from} → ${diff.to}`)
+          .join(', ');
+        return `  ~ update ${change.type} ${change.name} (${details || 'provider reports a difference'})`;
+      }
+      case 'delete': {
+        const content = change.existing.content !== undefined ? change.existing.content : change.existing.data;
+        return `  - delete ${change.type} ${change.name} (content=${content})`;
+      }
+      default:
+        return `  ? ${change.action} ${change.type} ${change.name}`;
+    }
+  }
+
+  /**
+   * Log the plan
+   * Logs at INFO level when the plan differs from the last one logged,
+   * otherwise at DEBUG level to reduce noise between polls
+   */
+  log() {
+    const lines = this.changes.map(change => this.formatChange(change));
+    const signature = lines.join('\n');
+    const hasPlanChanged = signature !== this.lastLoggedSignature;
+    const log = hasPlanChanged ? logger.info.bind(logger) : logger.debug.bind(logger);
+
+    if (!this.hasChanges()) {
+      log(`🧪 DRY RUN: no changes planned for ${this.providerName}`);
+    } else {
+      const summary = this.getSummary();
+      log(`🧪 DRY RUN: planned changes for ${this.providerName}: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete`);
+      lines.forEach(line => log(line));
+    }
+
+    this.lastLoggedSignature = signature;
+  }
+}
+
+/**
+ * Replace the write operations of a provider instance with dry-run versions
+ * Read operations (init, refreshRecordCache, listRecords) still hit the provider
+ * so the plan is computed against the live zone
+ * @param {DNSProvider} provider - The provider instance to intercept
+ * @param {DryRunPlan} plan - Plan that collects the intercepted changes
+ * @returns {DNSProvider} - The same provider instance
+ */
+function enableDryRun(provider, plan) {
+  const findById = id => provider.recordCache.records.find(record => record.id === id);
+
+  provider.createRecord = async function(record) {
+    logger.trace(`dryRun.createRecord: Intercepted create for ${record.name} (${record.type})`);
+    plan.addCreate(record);
+    return null;
+  };
+
+  provider.updateRecord = async function(id, record) {
+    logger.trace(`dryRun.updateRecord: Intercepted update for ${record.name} (${record.type})`);
+    const existing = findById(id) || provider.findRecordInCache(record.type, record.name);
+    plan.addUpdate(existing, record);
+    return existing;
+  };
+
+  provider.deleteRecord = async function(id) {
+    logger.trace(`dryRun.deleteRecord: Intercepted delete for record ID=${id}`);
+    const existing = findById(id);
+
+    if (existing) {
+      plan.addDelete(existing);
+    } else {
+      logger.debug(`Dry run: record with ID ${id} not found in cache, nothing to delete`);
+    }
+
+    return true;
+  };
+
+  provider.batchEnsureRecords = async function(recordConfigs) {
+    if (!recordConfigs || recordConfigs.length === 0) {
+      return [];
+    }
+
+    logger.trace(`dryRun.batchEnsureRecords: Planning ${recordConfigs.length} records`);
+
+    // Read from the live zone so the plan reflects the current state
+    await provider.getRecordsFromCache();
+
+    const results = [];
+
+    for (const recordConfig of recordConfigs) {
+      try {
+        // Resolve apex domains that need an IP lookup, as the provider would
+        if ((recordConfig.needsIpLookup || recordConfig.content === 'pending') && recordConfig.type === 'A') {
+          const ip = await provider.config.getPublicIP();
+          if (!ip) {
+            throw new Error(`Unable to determine public IP for apex domain A record: ${recordConfig.name}`);
+          }
+          recordConfig.content = ip;
+          delete recordConfig.needsIpLookup;
+        }
+
+        const existing = provider.findRecordForConfig(recordConfig);
+
+        if (!existing) {
+          await provider.createRecord(recordConfig);
+        } else if (provider.recordNeedsUpdate(existing, recordConfig)) {
+          await provider.updateRecord(existing.id, recordConfig);
+        } else {
+          // Unchanged records are returned as-is, like the real providers do
+          results.push(existing);
+        }
+      } catch (error) {
+        logger.error(`Dry run: error planning ${recordConfig.name}: ${error.message}`);
+      }
+    }
+
+    return results;
+  };
+
+  logger.debug(`Dry-run mode enabled for ${provider.constructor.name}`);
+  return provider;
+}
+
+module.exports = {
+  DryRunPlan,
+  enableDryRun
+};
@@ -0,0 +1,91 @@
+/**
+ * Kubernetes-related utility functions
+ */
+const logger = require('./logger');
+const { extractHostnamesFromRule } = require('./traefik');
+
+/**
+ * Resources TráfegoDNS can read hostnames from
+ * Each API group is tried in order, so older Traefik CRDs are still found
+ */
+const KUBERNETES_RESOURCES = {
+  ingress: {
+    kind: 'Ingress',
+    plural: 'ingresses',
+    groups: ['/apis/networking.k8s.io/v1']
+  },
+  ingressroute: {
+    kind: 'IngressRoute',
+    plural: 'ingressroutes',
+    groups: ['/apis/traefik.io/v1alpha1', '/apis/traefik.containo.us/v1alpha1']
+  }
+};
+
+/**
+ * Extract hostnames from an Ingress
+ * @param {Object} ingress - Ingress object
+ * @returns {Array<string>} - Hostnames from the Ingress rules
+ */
+function extractIngressHostnames(ingress) {
+  const rules = ingress.spec?.rules || [];
+
+  return rules
+    .map(rule => rule.host)
+    .filter(host => typeof host === 'string' && host.length > 0);
+}
+
+/**
+ * Extract hostnames from a Traefik IngressRoute
+ * @param {Object} ingressRoute - IngressRoute object
+ * @returns {Array<string>} - Hostnames from the Host rules of its routes
+ */
+function extractIngressRouteHostnames(ingressRoute) {
+  const routes = ingressRoute.spec?.routes || [];
+  const hostnames = [];
+
+  for (const route of routes) {
+    if (route.match) {
+      hostnames.push(...extractHostnamesFromRule(route.match));
+    }
+  }
+
+  return hostnames;
+}
+
+/**
+ * Get the DNS annotations of an object
+ * Annotations use the same keys as container labels, e.g. dns.proxied or
+ * dns.cloudflare.proxied, so provider-specific precedence works unchanged
+ * @param {Object} object - Kubernetes object
+ * @param {string} genericPrefix - Generic label prefix
+ * @returns {Object} - DNS annotations keyed by name
+ */
+function getDnsAnnotations(object, genericPrefix) {
+  const annotations = object.metadata?.annotations || {};
+  const dnsAnnotations = {};
+
+  for (const [key, value] of Object.entries(annotations)) {
+    if (key.startsWith(genericPrefix)) {
+      dnsAnnotations[key] = value;
+    }
+  }
+
+  logger.trace(`kubernetes.getDnsAnnotations: ${Object.keys(dnsAnnotations).length} DNS annotations on ${describeObject(object)}`);
+  return dnsAnnotations;
+}
+
+/**
+ * Describe an object for logging, e.g. Ingress default/web
+ */
+function describeObject(object) {
+  const { namespace, name } = object.metadata || {};
+  return `${object.kind || 'object'} ${namespace ? `${namespace}/` : ''}${name}`;
+}
+
+module.exports = {
+  KUBERNETES_RESOURCES,
+  extractIngressHostnames,
+  extractIngressRouteHostnames,
+  getDnsAnnotations,
+  describeObject
+};
@@ -17,6 +17,9 @@ class Logger {
     // Default to INFO level unless specified in environment
     this.level = LOG_LEVELS[process.env.LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
     
+    // Logs go to stdout unless LOG_OUTPUT=stderr, e.g. when a command writes its results to stdout
+    this.write = process.env.LOG_OUTPUT?.toLowerCase() === 'stderr' ? console.error : console.log;
+    
     // Log level name mapping for debug/trace outputs
     this.levelNames = {
       [LOG_LEVELS.ERROR]: 'ERROR',
@@ -35,7 +38,7 @@ class Logger {
       warning: '⚠️'
     };
     
-    console.log(`Logger initialised with level: ${this.levelNames[this.level]} (${this.level})`);
+    this.write(`Logger initialised with level: ${this.levelNames[this.level]} (${this.level})`);
   }
   
   /**
@@ -70,7 +73,7 @@ class Logger {
       formattedMessage = `${this.formatTimestamp(level)} [${this.levelNames[level]}] ${message}`;
     }
     
-    console.log(formattedMessage);
+    this.write(formattedMessage);
   }
   
   /**
@@ -0,0 +1,228 @@
+/**
+ * Minimal Prometheus metrics registry
+ * Supports counters, gauges and histograms rendered in the text exposition format
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class for all metric types
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // Series values keyed by serialised label values
+    this.series = new Map();
+  }
+
+  /**
+   * Build the label object and series key for a set of label values
+   */
+  resolveLabels(labels = {}) {
+    const resolved = {};
+    for (const labelName of this.labelNames) {
+      resolved[labelName] = labels[labelName] !== undefined ? String(labels[labelName]) : '';
+    }
+
+    return { key: JSON.stringify(resolved), resolved };
+  }
+
+  /**
+   * Remove all series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the HELP and TYPE header lines
+   */
+  renderHeader() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increment the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount to increment by
+   */
+  inc(labels = {}, value = 1) {
+    const { key, resolved } = this.resolveLabels(labels);
+    const current = this.series.get(key) || { labels: resolved, value: 0 };
+    current.value += value;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Set the gauge to a value
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels = {}, value) {
+    const { key, resolved } = this.resolveLabels(labels);
+    this.series.set(key, { labels: resolved, value });
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const { key, resolved } = this.resolveLabels(labels);
+    const current = this.series.get(key) || {
+      labels: resolved,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        current.counts[index]++;
+      }
+    });
+    current.sum += value;
+    current.count++;
+
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.renderHeader();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+
+    // Callbacks run before rendering to refresh point-in-time gauges
+    this.collectors = [];
+  }
+
+  /**
+   * Register a metric, returning the existing one if the name is already registered
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      return this.metrics.get(metric.name);
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Add a callback that runs before every render
+   */
+  addCollector(callback) {
+    this.collectors.push(callback);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   */
+  render() {
+    for (const collect of this.collectors) {
+      collect();
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS
+};
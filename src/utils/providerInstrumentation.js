@@ -0,0 +1,55 @@
+/**
+ * Provider instrumentation
+ * Wraps the provider operations that call the DNS provider API and publishes
+ * their latency and outcome on the event bus
+ */
+const logger = require('./logger');
+const EventTypes = require('../events/EventTypes');
+
+// Provider methods that perform API requests, submitChangeBatch sends the
+// batched changes of providers that write several records in one request
+const INSTRUMENTED_OPERATIONS = ['refreshRecordCache', 'createRecord', 'updateRecord', 'deleteRecord', 'submitChangeBatch'];
+
+/**
+ * Wrap the API operations of a provider instance
+ * @param {DNSProvider} provider - The provider instance to instrument
+ * @param {string} providerName - Provider name used in published events
+ * @param {EventBus} eventBus - Event bus to publish to
+ * @returns {DNSProvider} - The same provider instance
+ */
+function instrumentProvider(provider, providerName, eventBus) {
+  const operations = INSTRUMENTED_OPERATIONS.filter(operation => typeof provider[operation] === 'function');
+
+  for (const operation of operations) {
+    const original = provider[operation];
+
+    provider[operation] = async function(...args) {
+      const startTime = process.hrtime.bigint();
+      const publish = (success, error) => {
+        eventBus.publish(EventTypes.DNS_PROVIDER_REQUEST, {
+          provider: providerName,
+          operation,
+          durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+          success,
+          error
+        });
+      };
+
+      try {
+        const result = await original.apply(provider, args);
+        publish(true);
+        return result;
+      } catch (error) {
+        publish(false, error.message);
+        throw error;
+      }
+    };
+  }
+
+  logger.debug(`Instrumented ${providerName} provider operations: ${operations.join(', ')}`);
+  return provider;
+}
+
+module.exports = {
+  instrumentProvider
+};
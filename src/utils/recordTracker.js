@@ -6,14 +6,23 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { getRecordContent } = require('./dns');
+
+// Directory of the tracker file, in the /config volume
+const DEFAULT_DATA_DIR = path.join('/config', 'data');
 
 class RecordTracker {
-  constructor(config) {
+  /**
+   * @param {Object} config - Configuration
+   * @param {Object} options - Tracker options
+   * @param {string} options.dataDir - Directory of the tracker file (default /config/data)
+   */
+  constructor(config, { dataDir = DEFAULT_DATA_DIR } = {}) {
     this.config = config;
     this.trackedRecords = new Map();
     
     // Define config directory path for data storage
-    const configDir = path.join('/config', 'data');
+    const configDir = dataDir;
     
     // Ensure the config directory exists
     if (!fs.existsSync(configDir)) {
@@ -31,6 +40,10 @@ class RecordTracker {
     // Also check for the legacy location
     this.legacyTrackerFile = path.join(process.cwd(), 'dns-records.json');
     
+    // Modification time of the tracker file when it was last loaded or saved,
+    // kept in an object so trackers from forProvider() update the same value
+    this.trackerFileState = { modifiedTime: undefined };
+    
     this.providerDomain = config.getProviderDomain();
     this.provider = config.dnsProvider;
     
@@ -45,11 +58,11 @@ class RecordTracker {
   }
   
   /**
-   * Load preserved hostnames from environment variable
+   * Load preserved hostnames from the configuration
    */
   loadPreservedHostnames() {
     try {
-      const preservedHostnamesStr = process.env.PRESERVED_HOSTNAMES || '';
+      const preservedHostnamesStr = this.config.preservedHostnames || '';
       
       // Split by comma and trim each hostname
       this.preservedHostnames = preservedHostnamesStr
@@ -83,10 +96,12 @@ class RecordTracker {
         
         // Process each record
         for (const record of records) {
-          const key = this.getRecordKey(record.provider, record.domain, record.name, record.type);
+          const key = this.getRecordKey(record.provider, record.domain, record.name, record.type,
+            record.multiValue ? record.content : undefined);
           this.trackedRecords.set(key, record);
         }
         
+        this.trackerFileState.modifiedTime = fs.statSync(this.trackerFile).mtimeMs;
         logger.debug(`Loaded ${this.trackedRecords.size} tracked DNS records from ${this.trackerFile}`);
       } 
       // If not, check the legacy location
@@ -98,7 +113,8 @@ class RecordTracker {
         
         // Process each record
         for (const record of records) {
-          const key = this.getRecordKey(record.provider, record.domain, record.name, record.type);
+          const key = this.getRecordKey(record.provider, record.domain, record.name, record.type,
+            record.multiValue ? record.content : undefined);
           this.trackedRecords.set(key, record);
         }
         
@@ -127,13 +143,44 @@ class RecordTracker {
     }
   }
   
+  /**
+   * Reload the tracker file if another process wrote it since it was last
+   * loaded or saved, e.g. the trafegodns command in the container
+   * @returns {boolean} - True if the tracked records were reloaded
+   */
+  reloadIfChanged() {
+    try {
+      const { mtimeMs } = fs.statSync(this.trackerFile);
+      
+      const { modifiedTime } = this.trackerFileState;
+      
+      if (modifiedTime === undefined || mtimeMs === modifiedTime) {
+        return false;
+      }
+      
+      logger.debug(`Tracker file ${this.trackerFile} changed, reloading tracked DNS records`);
+      this.loadTrackedRecords();
+      return true;
+    } catch (error) {
+      logger.trace(`RecordTracker.reloadIfChanged: Cannot read ${this.trackerFile}: ${error.message}`);
+      return false;
+    }
+  }
+  
   /**
    * Save tracked records to file
    */
   saveTrackedRecords() {
+    // In dry-run mode tracking changes are kept in memory only
+    if (this.config.dryRun) {
+      logger.trace('RecordTracker.saveTrackedRecords: Dry-run mode, not writing tracker file');
+      return;
+    }
+    
     try {
       const records = Array.from(this.trackedRecords.values());
       fs.writeFileSync(this.trackerFile, JSON.stringify(records, null, 2), 'utf8');
+      this.trackerFileState.modifiedTime = fs.statSync(this.trackerFile).mtimeMs;
       logger.debug(`Saved ${records.length} tracked DNS records to ${this.trackerFile}`);
     } catch (error) {
       logger.error(`Error saving tracked DNS records: ${error.message}`);
@@ -142,23 +189,41 @@ class RecordTracker {
   
   /**
    * Create a unique key for a record
+   * Each value of a multi-value record has its own key
    */
-  getRecordKey(provider, domain, name, type) {
-    return `${provider}:${domain}:${name}:${type}`.toLowerCase();
+  getRecordKey(provider, domain, name, type, content) {
+    const key = `${provider}:${domain}:${name}:${type}`;
+    return (content === undefined ? key : `${key}:${content}`).toLowerCase();
+  }
+  
+  /**
+   * Get the key of a record for the current provider and domain
+   * Records from a provider's cache do not say whether they are one value of a
+   * multi-value record, so a tracked value takes precedence over the name
+   * @param {Object} record - Record configuration or record from the cache
+   * @returns {string} - Tracking key
+   */
+  getTrackedRecordKey(record) {
+    const content = getRecordContent(record);
+    
+    if (content !== undefined) {
+      const valueKey = this.getRecordKey(this.provider, this.providerDomain, record.name, record.type, content);
+      
+      if (record.multiValue || this.trackedRecords.has(valueKey)) {
+        return valueKey;
+      }
+    }
+    
+    return this.getRecordKey(this.provider, this.providerDomain, record.name, record.type);
   }
   
   /**
    * Track a new DNS record
    */
   trackRecord(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
-    
-    this.trackedRecords.set(key, {
+    const key = this.getTrackedRecordKey(record);
+    
+    const trackedRecord = {
       id: record.id,
       provider: this.provider,
       domain: this.providerDomain,
@@ -166,24 +231,35 @@ class RecordTracker {
       type: record.type,
       createdAt: new Date().toISOString(),
       managedBy: 'TráfegoDNS'
-    });
+    };
+    
+    // Values of a multi-value record are tracked one by one
+    if (record.multiValue) {
+      trackedRecord.content = getRecordContent(record);
+      trackedRecord.multiValue = true;
+      
+      // The name may have been tracked as a whole before it became multi-value
+      this.trackedRecords.delete(this.getRecordKey(this.provider, this.providerDomain, record.name, record.type));
+    }
+    
+    // AAAA records published next to an A record are removed when IPv6 goes away
+    if (record.dualStack) {
+      trackedRecord.dualStack = true;
+    }
+    
+    this.trackedRecords.set(key, trackedRecord);
     
     // Save after each new record to prevent data loss
     this.saveTrackedRecords();
     
-    logger.debug(`Tracked new DNS record: ${record.name} (${record.type})`);
+    logger.debug(`Tracked new DNS record: ${record.name} (${record.type})${record.multiValue ? ` with value ${trackedRecord.content}` : ''}`);
   }
   
   /**
    * Remove a tracked record
    */
   untrackRecord(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     const wasTracked = this.trackedRecords.delete(key);
     
@@ -200,16 +276,53 @@ class RecordTracker {
    * Check if a record is tracked
    */
   isTracked(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     return this.trackedRecords.has(key);
   }
   
+  /**
+   * Check if a record is tracked as one value of a multi-value record
+   * @param {Object} record - Record configuration or record from the cache
+   * @returns {boolean} - True if only this value of the name is managed
+   */
+  isMultiValueRecord(record) {
+    const trackedRecord = this.trackedRecords.get(this.getTrackedRecordKey(record));
+    return !!(trackedRecord && trackedRecord.multiValue);
+  }
+  
+  /**
+   * Check if a record is tracked as the AAAA record of a dual-stack hostname
+   * @param {Object} record - Record configuration or record from the cache
+   * @returns {boolean} - True if the record follows the public IPv6 address
+   */
+  isDualStackRecord(record) {
+    const trackedRecord = this.trackedRecords.get(this.getTrackedRecordKey(record));
+    return !!(trackedRecord && trackedRecord.dualStack);
+  }
+  
+  /**
+   * Check if any value of a name is tracked as part of a multi-value record
+   * Other values of such a name belong to other hosts or instances
+   * @param {Object} record - Record configuration or record from the cache
+   * @returns {boolean} - True if the name and type are managed value by value
+   */
+  hasMultiValueRecords(record) {
+    const name = record.name.toLowerCase();
+    
+    for (const trackedRecord of this.trackedRecords.values()) {
+      if (trackedRecord.multiValue &&
+          trackedRecord.provider === this.provider &&
+          trackedRecord.domain === this.providerDomain &&
+          trackedRecord.type === record.type &&
+          trackedRecord.name.toLowerCase() === name) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
   /**
    * Get all tracked records
    */
@@ -217,6 +330,25 @@ class RecordTracker {
     return Array.from(this.trackedRecords.values());
   }
   
+  /**
+   * Create a tracker for another provider and zone
+   * The returned tracker shares tracked records, preserved hostnames and the
+   * tracking file with this one, and reloads managed hostnames using the
+   * provider's configuration
+   * @param {Object} providerConfig - Configuration for the provider instance
+   * @returns {RecordTracker} - Tracker scoped to the provider and zone
+   */
+  forProvider(providerConfig) {
+    const tracker = Object.create(this);
+
+    tracker.config = providerConfig;
+    tracker.provider = providerConfig.dnsProvider;
+    tracker.providerDomain = providerConfig.getProviderDomain();
+    tracker.loadManagedHostnames(true);
+
+    return tracker;
+  }
+
   /**
    * Get tracked records for current provider and domain
    */
@@ -266,17 +398,20 @@ class RecordTracker {
    * Update a record ID (when a record is updated/recreated)
    */
   updateRecordId(oldRecord, newRecord) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      oldRecord.name,
-      oldRecord.type
-    );
+    const key = this.getTrackedRecordKey(oldRecord);
     
     if (this.trackedRecords.has(key)) {
       const record = this.trackedRecords.get(key);
       record.id = newRecord.id;
       record.updatedAt = new Date().toISOString();
+      
+      // A record is only dual-stack while it is ensured as one
+      if (newRecord.dualStack) {
+        record.dualStack = true;
+      } else {
+        delete record.dualStack;
+      }
+      
       this.trackedRecords.set(key, record);
       this.saveTrackedRecords();
       logger.debug(`Updated tracked DNS record ID: ${oldRecord.name} (${oldRecord.type})`);
@@ -289,12 +424,7 @@ class RecordTracker {
    * @returns {boolean} - True if the record was successfully marked
    */
   markRecordOrphaned(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     if (this.trackedRecords.has(key)) {
       const trackedRecord = this.trackedRecords.get(key);
@@ -314,12 +444,7 @@ class RecordTracker {
    * @returns {boolean} - True if the record was successfully unmarked
    */
   unmarkRecordOrphaned(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     if (this.trackedRecords.has(key)) {
       const trackedRecord = this.trackedRecords.get(key);
@@ -341,12 +466,7 @@ class RecordTracker {
    * @returns {boolean} - True if the record is marked as orphaned
    */
   isRecordOrphaned(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     if (this.trackedRecords.has(key)) {
       return !!this.trackedRecords.get(key).orphanedAt;
@@ -361,12 +481,7 @@ class RecordTracker {
    * @returns {Date|null} - Date object when the record was orphaned, or null if not orphaned
    */
   getRecordOrphanedTime(record) {
-    const key = this.getRecordKey(
-      this.provider,
-      this.providerDomain,
-      record.name,
-      record.type
-    );
+    const key = this.getTrackedRecordKey(record);
     
     if (this.trackedRecords.has(key)) {
       const orphanedAt = this.trackedRecords.get(key).orphanedAt;
@@ -379,43 +494,109 @@ class RecordTracker {
   }
 
   /**
-   * Load managed hostnames from environment variable
+   * Load managed hostnames from the configuration file or environment variable
+   * @param {boolean} quiet - Log the number loaded at debug level only
    */
-  loadManagedHostnames() {
+  loadManagedHostnames(quiet = false) {
     try {
-      const managedHostnamesStr = this.config.managedHostnames || '';
+      const managedHostnames = this.config.managedHostnames || '';
       
-      // Split by comma and process each hostname configuration
-      this.managedHostnames = managedHostnamesStr
-        .split(',')
-        .map(hostnameConfig => {
-          const parts = hostnameConfig.trim().split(':');
-          if (parts.length < 1) return null;
-          
-          const hostname = parts[0];
-          
-          // Return basic record with defaults if parts are missing
-          return {
-            hostname: hostname,
-            type: parts[1] || 'A',
-            content: parts[2] || (parts[1] === 'CNAME' ? this.config.getProviderDomain() : this.config.getPublicIPSync()),
-            ttl: parseInt(parts[3] || '3600', 10),
-            proxied: parts[4] ? parts[4].toLowerCase() === 'true' : this.config.defaultProxied
-          };
-        })
-        .filter(config => config && config.hostname && config.hostname.length > 0);
+      // The configuration file provides records, MANAGED_HOSTNAMES a colon-delimited string
+      if (Array.isArray(managedHostnames)) {
+        this.managedHostnames = managedHostnames.map(record => this.buildManagedHostname(record));
+      } else {
+        this.managedHostnames = this.parseManagedHostnames(managedHostnames);
+      }
       
       if (this.managedHostnames.length === 0) {
         logger.debug('No managed hostnames configured');
         this.managedHostnames = [];
       } else {
-        logger.info(`Loaded ${this.managedHostnames.length} managed hostnames from configuration`);
+        const message = `Loaded ${this.managedHostnames.length} managed hostnames from configuration`;
+        if (quiet) {
+          logger.debug(message);
+        } else {
+          logger.info(message);
+        }
       }
     } catch (error) {
       logger.error(`Error loading managed hostnames: ${error.message}`);
       this.managedHostnames = [];
     }
   }
+  
+  /**
+   * Parse managed hostnames from the MANAGED_HOSTNAMES format
+   * hostname:type:content:ttl:proxied, separated by commas
+   * @param {string} managedHostnamesStr - Managed hostnames string
+   * @returns {Array<Object>} - Managed hostnames
+   */
+  parseManagedHostnames(managedHostnamesStr) {
+    // Split by comma and process each hostname configuration
+    return managedHostnamesStr
+      .split(',')
+      .map(hostnameConfig => {
+        const parts = hostnameConfig.trim().split(':');
+        if (parts.length < 1) return null;
+        
+        const hostname = parts[0];
+        
+        // Return basic record with defaults if parts are missing
+        return {
+          hostname: hostname,
+          type: parts[1] || 'A',
+          content: parts[2] || (parts[1] === 'CNAME' ? this.config.getProviderDomain() : this.config.getPublicIPSync()),
+          ttl: parseInt(parts[3] || '3600', 10),
+          proxied: parts[4] ? parts[4].toLowerCase() === 'true' : this.config.defaultProxied
+        };
+      })
+      .filter(config => config && config.hostname && config.hostname.length > 0);
+  }
+  
+  /**
+   * Build a managed hostname from a configuration file record
+   * Missing fields are filled in from the defaults for the record type
+   * @param {Object} record - Record from the managedHostnames setting
+   * @returns {Object} - Managed hostname
+   */
+  buildManagedHostname(record) {
+    const defaults = this.config.getDefaultsForType(record.type);
+    
+    let content = record.content;
+    if (content === undefined) {
+      switch (record.type) {
+        case 'CNAME':
+          content = this.config.getProviderDomain();
+          break;
+        case 'A':
+          content = this.config.getPublicIPSync();
+          break;
+        case 'AAAA':
+          content = this.config.getPublicIPv6Sync();
+          break;
+        default:
+          content = defaults.content;
+      }
+    }
+    
+    const managed = {
+      hostname: record.hostname,
+      type: record.type,
+      content,
+      ttl: record.ttl !== undefined ? record.ttl : 3600,
+      proxied: record.proxied !== undefined ? record.proxied : this.config.defaultProxied
+    };
+    
+    // Type-specific fields, e.g. SRV priority, weight and port or CAA flags and tag
+    for (const field of ['priority', 'weight', 'port', 'flags', 'tag']) {
+      const value = record[field] !== undefined ? record[field] : defaults[field];
+      if (value !== undefined) {
+        managed[field] = value;
+      }
+    }
+    
+    return managed;
+  }
 }
 
 module.exports = RecordTracker;
\ No newline at end of file
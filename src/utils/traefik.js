@@ -2,36 +2,50 @@
  * Traefik-related utility functions
  */
 const logger = require('./logger');
+const { analyzeRule, HTTP_HOST_MATCHERS, SNI_HOST_MATCHERS } = require('./traefikRule');
+
+// Rules that failed to parse and have been logged
+const reportedRuleErrors = new Set();
 
 /**
  * Extract hostnames from a Traefik router rule
- * Supports both v1 and v2 formats
+ * Supports the v1, v2 and v3 rule syntax
  * @param {string} rule - Traefik router rule
  * @returns {Array<string>} - Array of extracted hostnames
  */
 function extractHostnamesFromRule(rule) {
-  logger.trace(`traefik.extractHostnamesFromRule: Extracting hostnames from rule: ${rule}`);
-  
-  const hostnames = [];
+  return extractHostnames(rule, HTTP_HOST_MATCHERS, 'extractHostnamesFromRule');
+}
+
+/**
+ * Extract hostnames from a Traefik TCP or UDP router rule
+ * Reads HostSNI and HostSNIRegexp matchers, catch-all rules like HostSNI(`*`) are skipped
+ * @param {string} rule - Traefik router rule
+ * @returns {Array<string>} - Array of extracted hostnames
+ */
+function extractHostnamesFromSniRule(rule) {
+  return extractHostnames(rule, SNI_HOST_MATCHERS, 'extractHostnamesFromSniRule');
+}
+
+/**
+ * Extract hostnames with the rule parser and log why hosts were skipped
+ */
+function extractHostnames(rule, matchers, caller) {
+  logger.trace(`traefik.${caller}: Extracting hostnames from rule: ${rule}`);
   
-  // Handle Traefik v2 format: Host(`example.com`)
-  const v2HostRegex = /Host\(`([^`]+)`\)/g;
-  let match;
+  const { hostnames, skipped, error } = analyzeRule(rule, { matchers });
   
-  while ((match = v2HostRegex.exec(rule)) !== null) {
-    logger.trace(`traefik.extractHostnamesFromRule: Found v2 hostname: ${match[1]}`);
-    hostnames.push(match[1]);
+  // Unparseable rules are reported once, they would otherwise be logged on every poll
+  if (error && !reportedRuleErrors.has(rule)) {
+    reportedRuleErrors.add(rule);
+    logger.warn(`Could not parse Traefik rule ${rule}: ${error}`);
   }
   
-  // Handle Traefik v1 format: Host:example.com
-  const v1HostRegex = /Host:([a-zA-Z0-9.-]+)/g;
-  
-  while ((match = v1HostRegex.exec(rule)) !== null) {
-    logger.trace(`traefik.extractHostnamesFromRule: Found v1 hostname: ${match[1]}`);
-    hostnames.push(match[1]);
+  for (const { matcher, value, reason } of skipped) {
+    logger.debug(`Skipping ${matcher}(${value}) in rule ${rule}: ${reason}`);
   }
   
-  logger.trace(`traefik.extractHostnamesFromRule: Extracted ${hostnames.length} hostnames: ${hostnames.join(', ')}`);
+  logger.trace(`traefik.${caller}: Extracted ${hostnames.length} hostnames: ${hostnames.join(', ')}`);
   return hostnames;
 }
 
@@ -81,6 +95,7 @@ function extractServiceName(router) {
 
 module.exports = {
   extractHostnamesFromRule,
+  extractHostnamesFromSniRule,
   findLabelsForRouter,
   extractServiceName
 };
\ No newline at end of file
@@ -0,0 +1,506 @@
+/**
+ * Traefik router rule parser
+ * Understands the v2/v3 matcher grammar, e.g. Host(`a.com`) && !PathPrefix(`/api`),
+ * as well as v1 rules such as Host:a.com,b.com;PathPrefix:/api
+ */
+
+// Matchers that select on the requested host
+const HTTP_HOST_MATCHERS = ['Host', 'HostHeader', 'HostRegexp'];
+const SNI_HOST_MATCHERS = ['HostSNI', 'HostSNIRegexp'];
+
+const HOSTNAME_REGEX = /^(\*\.)?[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)*\.?$/;
+
+/**
+ * Error for rules that do not follow the Traefik rule grammar
+ */
+class RuleSyntaxError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'RuleSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a v2/v3 rule into tokens
+ * @param {string} rule - Router rule
+ * @returns {Array<Object>} - Tokens with type, value and position
+ */
+function tokenize(rule) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < rule.length) {
+    const char = rule[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '&' || char === '|') {
+      if (rule[i + 1] !== char) {
+        throw new RuleSyntaxError(`Expected ${char}${char}`, i);
+      }
+      tokens.push({ type: char === '&' ? 'AND' : 'OR', position: i });
+      i += 2;
+      continue;
+    }
+
+    if (char === '!' || char === '(' || char === ')' || char === ',') {
+      const type = { '!': 'NOT', '(': 'LPAREN', ')': 'RPAREN', ',': 'COMMA' }[char];
+      tokens.push({ type, position: i });
+      i++;
+      continue;
+    }
+
+    // Raw strings are quoted with backticks and contain no escapes
+    if (char === '`') {
+      const end = rule.indexOf('`', i + 1);
+      if (end === -1) {
+        throw new RuleSyntaxError('Unterminated string', i);
+      }
+      tokens.push({ type: 'STRING', value: rule.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Interpreted strings are quoted with double quotes and use backslash escapes
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < rule.length && rule[j] !== '"') {
+        if (rule[j] === '\\' && j + 1 < rule.length) {
+          j++;
+        }
+        value += rule[j];
+        j++;
+      }
+      if (j >= rule.length) {
+        throw new RuleSyntaxError('Unterminated string', i);
+      }
+      tokens.push({ type: 'STRING', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const identifier = rule.slice(i).match(/^[A-Za-z][A-Za-z0-9]*/);
+    if (identifier) {
+      tokens.push({ type: 'IDENT', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    throw new RuleSyntaxError(`Unexpected character ${JSON.stringify(char)}`, i);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse the tokens of a v2/v3 rule into an expression tree
+ * Operator precedence follows Traefik: ! binds tightest, then &&, then ||
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @returns {Object} - Expression tree of or, and, not and matcher nodes
+ */
+function parseTokens(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `${token.value || token.type}` : 'end of rule');
+
+  const expect = (type) => {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      throw new RuleSyntaxError(`Expected ${type} but found ${describe(token)}`, token?.position);
+    }
+    index++;
+    return token;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.type === 'OR') {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (peek()?.type === 'AND') {
+      index++;
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (token?.type === 'NOT') {
+      index++;
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (token?.type === 'LPAREN') {
+      index++;
+      const node = parseOr();
+      expect('RPAREN');
+      return node;
+    }
+
+    const name = expect('IDENT').value;
+    expect('LPAREN');
+
+    const args = [];
+    if (peek()?.type !== 'RPAREN') {
+      args.push(expect('STRING').value);
+      while (peek()?.type === 'COMMA') {
+        index++;
+        args.push(expect('STRING').value);
+      }
+    }
+    expect('RPAREN');
+
+    return { type: 'matcher', name, args };
+  };
+
+  const tree = parseOr();
+
+  if (index < tokens.length) {
+    throw new RuleSyntaxError(`Unexpected ${describe(tokens[index])}`, tokens[index].position);
+  }
+
+  return tree;
+}
+
+/**
+ * Parse a v1 rule such as Host:a.com,b.com;PathPrefix:/api
+ * Matchers separated by ; must all match, so the result is an and of matchers
+ * @param {string} rule - Router rule
+ * @returns {Object} - Expression tree
+ */
+function parseV1Rule(rule) {
+  const matchers = rule
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map(part => {
+      const separator = part.indexOf(':');
+      if (separator === -1) {
+        throw new RuleSyntaxError(`Expected Matcher:value but found ${JSON.stringify(part)}`);
+      }
+      return {
+        type: 'matcher',
+        name: part.slice(0, separator).trim(),
+        args: splitOutsideBraces(part.slice(separator + 1), ',').map(value => value.trim())
+      };
+    });
+
+  if (matchers.length === 0) {
+    throw new RuleSyntaxError('Empty rule');
+  }
+
+  return matchers.reduce((left, right) => ({ type: 'and', left, right }));
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside {...} groups
+ */
+function splitOutsideBraces(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth = Math.max(0, depth - 1);
+    }
+
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Parse a rule in either the v2/v3 or the v1 syntax
+ * @param {string} rule - Router rule
+ * @returns {Object} - Expression tree
+ */
+function parseRule(rule) {
+  if (typeof rule !== 'string' || rule.trim().length === 0) {
+    throw new RuleSyntaxError('Empty rule');
+  }
+
+  // v1 rules name a matcher followed by a colon instead of parentheses
+  if (/^\s*[A-Za-z]+\s*:/.test(rule)) {
+    return parseV1Rule(rule);
+  }
+
+  return parseTokens(tokenize(rule));
+}
+
+// Most hosts a single pattern may expand to, e.g. (a|b|c)\.(x|y)\.com gives 6
+const MAX_PATTERN_HOSTS = 32;
+
+/**
+ * Expand a regular expression made of literal characters and alternations
+ * into every string it matches, e.g. (www\.)?(a|b)\.com gives www.a.com,
+ * www.b.com, a.com and b.com. An unescaped dot between literals is almost
+ * always meant literally and is read as one.
+ * @param {string} pattern - Regular expression without flags
+ * @returns {Object} - { values } with the matched strings, or { reason } when the
+ *   pattern uses character classes, repetition or other non-literal constructs
+ */
+function expandLiteralPattern(pattern) {
+  let i = 0;
+  let tooManyValues = false;
+
+  const parseAlternatives = () => {
+    const values = parseSequence();
+    if (values === null) {
+      return null;
+    }
+
+    while (pattern[i] === '|') {
+      i++;
+      const alternative = parseSequence();
+      if (alternative === null) {
+        return null;
+      }
+      values.push(...alternative);
+    }
+
+    return values;
+  };
+
+  const parseSequence = () => {
+    let values = [''];
+
+    while (i < pattern.length && pattern[i] !== '|' && pattern[i] !== ')') {
+      let atom = parseAtom();
+      if (atom === null) {
+        return null;
+      }
+
+      // An optional atom may also be left out, other repetition is not literal
+      if (pattern[i] === '?') {
+        i++;
+        atom = [...atom, ''];
+      } else if (['*', '+', '{'].includes(pattern[i])) {
+        return null;
+      }
+
+      values = values.flatMap(prefix => atom.map(value => prefix + value));
+      if (values.length > MAX_PATTERN_HOSTS) {
+        tooManyValues = true;
+        return null;
+      }
+    }
+
+    return values;
+  };
+
+  const parseAtom = () => {
+    const char = pattern[i];
+
+    // Anchors match no characters
+    if (char === '^' || char === '$') {
+      i++;
+      return [''];
+    }
+
+    if (char === '\\') {
+      const escaped = pattern[i + 1];
+      i += 2;
+      return escaped === '.' || escaped === '-' ? [escaped] : null;
+    }
+
+    if (char === '(') {
+      i++;
+      if (pattern.startsWith('?:', i)) {
+        i += 2;
+      } else if (pattern[i] === '?') {
+        return null;
+      }
+
+      const values = parseAlternatives();
+      if (values === null || pattern[i] !== ')') {
+        return null;
+      }
+      i++;
+      return values;
+    }
+
+    if (/[a-zA-Z0-9.-]/.test(char)) {
+      i++;
+      return [char];
+    }
+
+    return null;
+  };
+
+  const values = parseAlternatives();
+
+  if (tooManyValues) {
+    return { reason: `regular expression matches more than ${MAX_PATTERN_HOSTS} hosts` };
+  }
+
+  if (values === null || i !== pattern.length) {
+    return { reason: 'regular expression matches labels that are not literal or alternations of literals' };
+  }
+
+  return { values };
+}
+
+/**
+ * Get the DNS names a host regular expression matches
+ * Literal patterns give that host and alternations give one host per
+ * alternative, e.g. ^(a|b)\.example\.com$ gives a.example.com and
+ * b.example.com. Labels that match arbitrary text, like [a-z]+ or .+, cannot
+ * be mapped to DNS names and the pattern is skipped. Both v3 regular
+ * expressions and v2 {name:regex} templates work.
+ * @param {string} pattern - HostRegexp or HostSNIRegexp pattern
+ * @returns {Object} - { hostnames } or { reason } when no DNS names cover the pattern
+ */
+function hostnamesFromPattern(pattern) {
+  let regex = pattern.trim().replace(/^\(\?i\)/, '');
+
+  if (regex.includes('{')) {
+    // v2 templates: text outside {...} groups is literal, a group without
+    // a regular expression matches any label
+    const parts = splitOutsideBraces(regex, '.').map(label => label.replace(
+      /\{[^:{}]*(?::([^{}]*))?\}/g,
+      (group, groupRegex) => (groupRegex === undefined ? '[^.]+' : `(${groupRegex})`)
+    ));
+    regex = parts.join('\\.');
+  }
+
+  const { values, reason } = expandLiteralPattern(regex);
+
+  if (reason) {
+    return { reason };
+  }
+
+  const hostnames = [...new Set(values.map(value => value.replace(/\.$/, '').toLowerCase()))];
+
+  if (hostnames.some(hostname => !HOSTNAME_REGEX.test(hostname) || hostname.startsWith('*'))) {
+    return { reason: 'regular expression matches a value that is not a valid hostname' };
+  }
+
+  return { hostnames };
+}
+
+/**
+ * Get the hostname a single matcher argument stands for
+ * @param {string} matcher - Matcher name
+ * @param {string} value - Matcher argument
+ * @returns {Object} - { hostnames } or { reason } when the value is skipped
+ */
+function resolveHostValue(matcher, value) {
+  const trimmed = value.trim();
+
+  if (trimmed.length === 0) {
+    return { reason: 'empty host' };
+  }
+
+  if (matcher.endsWith('Regexp')) {
+    return hostnamesFromPattern(trimmed);
+  }
+
+  if (trimmed === '*') {
+    return { reason: 'catch-all host' };
+  }
+
+  if (!HOSTNAME_REGEX.test(trimmed)) {
+    return { reason: 'not a valid hostname' };
+  }
+
+  return { hostnames: [trimmed.replace(/\.$/, '').toLowerCase()] };
+}
+
+/**
+ * Find the concrete hostnames a rule can match
+ * @param {string} rule - Router rule
+ * @param {Object} options - Options
+ * @param {Array<string>} options.matchers - Matchers to read hosts from
+ * @returns {Object} - { hostnames, skipped, error }, where skipped lists
+ *   { matcher, value, reason } for each host that was not used
+ */
+function analyzeRule(rule, { matchers = HTTP_HOST_MATCHERS } = {}) {
+  const hostnames = [];
+  const skipped = [];
+
+  let tree;
+  try {
+    tree = parseRule(rule);
+  } catch (error) {
+    if (!(error instanceof RuleSyntaxError)) {
+      throw error;
+    }
+    return { hostnames, skipped, error: error.message };
+  }
+
+  const visit = (node, negated) => {
+    switch (node.type) {
+      case 'or':
+      case 'and':
+        visit(node.left, negated);
+        visit(node.right, negated);
+        break;
+
+      case 'not':
+        visit(node.operand, !negated);
+        break;
+
+      case 'matcher': {
+        // Matcher names are case-insensitive in v1 and v2
+        const name = matchers.find(matcher => matcher.toLowerCase() === node.name.toLowerCase());
+        if (!name) {
+          break;
+        }
+
+        for (const value of node.args) {
+          const { hostnames: valueHostnames = [], reason } = negated
+            ? { reason: 'negated host' }
+            : resolveHostValue(name, value);
+
+          if (reason) {
+            skipped.push({ matcher: node.name, value, reason });
+          }
+
+          for (const hostname of valueHostnames) {
+            if (!hostnames.includes(hostname)) {
+              hostnames.push(hostname);
+            }
+          }
+        }
+        break;
+      }
+    }
+  };
+
+  visit(tree, false);
+  return { hostnames, skipped, error: null };
+}
+
+module.exports = {
+  HTTP_HOST_MATCHERS,
+  SNI_HOST_MATCHERS,
+  RuleSyntaxError,
+  tokenize,
+  parseRule,
+  analyzeRule,
+  hostnamesFromPattern
+};
@@ -0,0 +1,246 @@
+/**
+ * TXT Ownership Registry
+ * Records which TráfegoDNS instance owns each DNS record in companion TXT
+ * records stored in the zone itself, so instances can share a zone and
+ * ownership survives the loss of the local tracker file
+ */
+const logger = require('./logger');
+const { getRecordContent } = require('./dns');
+
+const HERITAGE = 'heritage=trafegodns';
+const OWNER_KEY = 'trafegodns/owner';
+
+// Wildcard labels must be leftmost, so they are replaced in companion names
+const WILDCARD_LABEL = '_wildcard';
+
+class TxtRegistry {
+  /**
+   * @param {Object} config - Configuration for the provider instance
+   * @param {Object} provider - DNS provider for the zone
+   */
+  constructor(config, provider) {
+    this.config = config;
+    this.provider = provider;
+    this.ownerId = config.registryOwnerId;
+    this.prefix = config.registryPrefix.toLowerCase();
+    this.zone = config.getProviderDomain().toLowerCase();
+  }
+
+  /**
+   * Get the name of the companion TXT record for a record
+   * e.g. _trafegodns.a.app.example.com for the A record app.example.com
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   */
+  getOwnershipName(hostname, type) {
+    const name = hostname.toLowerCase().replace(/\.$/, '').replace(/^\*(?=\.)/, WILDCARD_LABEL);
+    return `${this.prefix}.${type.toLowerCase()}.${name}`;
+  }
+
+  /**
+   * Get the record a companion TXT record name refers to
+   * @param {string} ownershipName - Fully qualified companion record name
+   * @returns {Object|null} - Hostname and type, or null if not a companion name
+   */
+  parseOwnershipName(ownershipName) {
+    const match = ownershipName.toLowerCase().match(/^([^.]+)\.([a-z]+)\.(.+)$/);
+
+    if (!match || match[1] !== this.prefix) {
+      return null;
+    }
+
+    return {
+      hostname: match[3].replace(new RegExp(`^${WILDCARD_LABEL}(?=\\.)`), '*'),
+      type: match[2].toUpperCase()
+    };
+  }
+
+  /**
+   * Whether a fully qualified name is a companion TXT record name
+   */
+  isOwnershipName(name) {
+    return name.toLowerCase().startsWith(`${this.prefix}.`);
+  }
+
+  /**
+   * Whether TXT record content is companion record content of any instance
+   * @param {string} content - TXT record content
+   */
+  static isOwnershipContent(content) {
+    return typeof content === 'string' && content.replace(/^"(.*)"$/, '$1').split(',').some(field => field.trim() === HERITAGE);
+  }
+
+  /**
+   * Build the content of a companion TXT record for this instance
+   */
+  buildOwnershipContent() {
+    return `${HERITAGE},${OWNER_KEY}=${this.ownerId}`;
+  }
+
+  /**
+   * Read the owner ID from companion TXT record content
+   * @param {string} content - TXT record content
+   * @returns {string|null} - Owner ID, or null if the content is not ours
+   */
+  parseOwnershipContent(content) {
+    if (typeof content !== 'string') {
+      return null;
+    }
+
+    // Some providers return TXT content wrapped in quotes
+    const fields = content.replace(/^"(.*)"$/, '$1').split(',').map(field => field.trim());
+
+    if (!fields.includes(HERITAGE)) {
+      return null;
+    }
+
+    const owner = fields.find(field => field.startsWith(`${OWNER_KEY}=`));
+    return owner ? owner.slice(OWNER_KEY.length + 1) : null;
+  }
+
+  /**
+   * Build the fully qualified name of a record in the provider's cache
+   * DigitalOcean stores names relative to the zone, other providers store FQDNs
+   * @param {Object} record - Record from the provider's cache
+   */
+  getRecordFqdn(record) {
+    const name = record.name.toLowerCase().replace(/\.$/, '');
+
+    if (name === '@' || name === this.zone) {
+      return this.zone;
+    }
+
+    return name.endsWith(`.${this.zone}`) ? name : `${name}.${this.zone}`;
+  }
+
+  /**
+   * Find the companion TXT record for a record in the provider's cache
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   */
+  findOwnershipRecord(hostname, type) {
+    return this.provider.findRecordInCache('TXT', this.getOwnershipName(hostname, type));
+  }
+
+  /**
+   * Find every value of a record in the provider's cache
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   * @returns {Array<Object>} - Cached records of the name and type, one per value
+   */
+  findRecordValues(hostname, type) {
+    const name = hostname.toLowerCase();
+
+    return this.provider.recordCache.records.filter(
+      record => record.type === type && this.getRecordFqdn(record) === name
+    );
+  }
+
+  /**
+   * Get the owner of a record from its companion TXT record in the cache
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   * @returns {string|null} - Owner ID, or null if the record has no owner
+   */
+  getOwner(hostname, type) {
+    const ownershipRecord = this.findOwnershipRecord(hostname, type);
+
+    if (!ownershipRecord) {
+      return null;
+    }
+
+    return this.parseOwnershipContent(ownershipRecord.content ?? ownershipRecord.data);
+  }
+
+  /**
+   * Make sure every record has a companion TXT record naming this instance
+   * Records owned by another instance are left alone
+   * @param {Array<Object>} recordConfigs - Records that were ensured with the provider
+   * @returns {Promise<number>} - Number of companion records written
+   */
+  async claimRecords(recordConfigs) {
+    const content = this.buildOwnershipContent();
+    const ownershipConfigs = [];
+
+    for (const { name, type } of recordConfigs) {
+      // Already owned, by this instance or another one
+      if (this.getOwner(name, type) !== null) {
+        continue;
+      }
+
+      ownershipConfigs.push({
+        type: 'TXT',
+        name: this.getOwnershipName(name, type),
+        content,
+        ttl: this.config.defaultTTL
+      });
+    }
+
+    if (ownershipConfigs.length === 0) {
+      return 0;
+    }
+
+    logger.debug(`Writing ${ownershipConfigs.length} ownership TXT records for owner ${this.ownerId}`);
+    await this.provider.batchEnsureRecords(ownershipConfigs);
+
+    return ownershipConfigs.length;
+  }
+
+  /**
+   * Delete the companion TXT record of a deleted record
+   * @param {string} hostname - Fully qualified record name
+   * @param {string} type - Record type
+   */
+  async releaseRecord(hostname, type) {
+    const ownershipRecord = this.findOwnershipRecord(hostname, type);
+
+    if (!ownershipRecord) {
+      return;
+    }
+
+    logger.debug(`Removing ownership TXT record ${this.getOwnershipName(hostname, type)}`);
+    await this.provider.deleteRecord(ownershipRecord.id);
+  }
+
+  /**
+   * Track every record in the zone that this instance owns
+   * Restores the record tracker when the tracker file has been lost
+   * @param {RecordTracker} recordTracker - Tracker scoped to the provider's zone
+   * @returns {Promise<number>} - Number of records added to the tracker
+   */
+  async rebuildTracker(recordTracker) {
+    const records = await this.provider.getRecordsFromCache();
+    let restored = 0;
+
+    for (const ownershipRecord of records) {
+      if (ownershipRecord.type !== 'TXT') {
+        continue;
+      }
+
+      const target = this.parseOwnershipName(this.getRecordFqdn(ownershipRecord));
+      const owner = this.parseOwnershipContent(ownershipRecord.content ?? ownershipRecord.data);
+
+      if (!target || owner !== this.ownerId) {
+        continue;
+      }
+
+      // A name with several values is tracked value by value, as the track command does
+      const values = this.findRecordValues(target.hostname, target.type);
+      const multiValue = values.length > 1;
+
+      for (const value of values) {
+        const record = multiValue ? { ...value, multiValue } : value;
+
+        if (!recordTracker.isTracked(record)) {
+          logger.trace(`TxtRegistry.rebuildTracker: Restoring ${target.hostname} (${target.type}${multiValue ? ` ${getRecordContent(value)}` : ''})`);
+          recordTracker.trackRecord(record);
+          restored++;
+        }
+      }
+    }
+
+    return restored;
+  }
+}
+
+module.exports = TxtRegistry;
@@ -0,0 +1,376 @@
+/**
+ * BIND zone files (RFC 1035 master file format)
+ * Renders records as a zone file and parses zone files back into records,
+ * with SRV, CAA and MX fields split out the way the provider converters model them
+ */
+
+// TTL used for records without one, e.g. Cloudflare records with an automatic TTL
+const DEFAULT_TTL = 3600;
+
+// Longest character-string in a TXT record
+const TXT_CHUNK_SIZE = 255;
+
+const CLASSES = ['IN', 'CH', 'HS'];
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Render records as a zone file
+ * @param {string} zone - Zone name, the $ORIGIN of the file
+ * @param {Array<Object>} records - Records with FQDN names, e.g. from a snapshot
+ * @param {Array<string>} comments - Lines for the header comment (optional)
+ * @returns {string} - Zone file contents
+ */
+function renderZoneFile(zone, records, comments = []) {
+  const origin = zone.toLowerCase().replace(/\.$/, '');
+  const lines = [
+    ...comments.map(comment => `; ${comment}`),
+    `$ORIGIN ${origin}.`,
+    `$TTL ${DEFAULT_TTL}`,
+    ''
+  ];
+
+  // The apex comes first, then names in order
+  const sortKey = record => {
+    const owner = getOwner(record.name, origin);
+    return owner === '@' ? '' : owner;
+  };
+  const sorted = [...records].sort((a, b) => sortKey(a).localeCompare(sortKey(b)) || a.type.localeCompare(b.type));
+
+  const rows = sorted.map(record => {
+    // Cloudflare's automatic TTL (1) falls back to $TTL
+    const ttl = record.ttl && record.ttl !== 1 ? String(record.ttl) : '';
+    const comment = record.proxied !== undefined ? ` ; proxied=${record.proxied}` : '';
+
+    return [getOwner(record.name, origin), ttl, 'IN', record.type, `${renderData(record, origin)}${comment}`];
+  });
+
+  // Align the columns, the last one holds the record data
+  const widths = [0, 1, 2, 3].map(column => Math.max(...rows.map(row => row[column].length), 0));
+
+  for (const row of rows) {
+    lines.push(row.map((value, column) => (column < 4 ? value.padEnd(widths[column]) : value)).join(' '));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Get the owner name of a record relative to the origin
+ */
+function getOwner(name, origin) {
+  const fqdn = name.toLowerCase().replace(/\.$/, '');
+
+  if (fqdn === origin || fqdn === '@') {
+    return '@';
+  }
+
+  return fqdn.endsWith(`.${origin}`) ? fqdn.slice(0, -(origin.length + 1)) : `${fqdn}.`;
+}
+
+/**
+ * Render the data of a record
+ */
+function renderData(record, origin) {
+  const content = String(record.content ?? '');
+
+  switch (record.type) {
+    case 'CNAME':
+    case 'NS':
+    case 'PTR':
+      return toAbsolute(content, origin);
+    case 'MX':
+      return `${record.priority ?? 10} ${toAbsolute(content, origin)}`;
+    case 'SRV':
+      return `${record.priority ?? 1} ${record.weight ?? 1} ${record.port} ${toAbsolute(content, origin)}`;
+    case 'CAA':
+      return `${record.flags ?? 0} ${record.tag} ${quote(content)}`;
+    case 'TXT': {
+      // Providers may return TXT content with its quotes
+      const text = content.replace(/^"(.*)"$/, '$1');
+      const chunks = [];
+      for (let index = 0; index < text.length || chunks.length === 0; index += TXT_CHUNK_SIZE) {
+        chunks.push(quote(text.slice(index, index + TXT_CHUNK_SIZE)));
+      }
+      return chunks.join(' ');
+    }
+    default:
+      return content;
+  }
+}
+
+/**
+ * Make a host name absolute, with its trailing dot
+ */
+function toAbsolute(host, origin) {
+  if (host === '@') {
+    return `${origin}.`;
+  }
+
+  return host.endsWith('.') ? host : `${host}.`;
+}
+
+/**
+ * Quote a character-string
+ */
+function quote(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Parse a zone file into records
+ * Every resource record is returned, callers decide which types they support
+ * @param {string} text - Zone file contents
+ * @param {Object} options - Parse options
+ * @param {string} options.origin - Origin for relative names until a $ORIGIN line (optional)
+ * @returns {Array<Object>} - Records with FQDN names, without trailing dots
+ */
+function parseZoneFile(text, { origin = null } = {}) {
+  const records = [];
+  let currentOrigin = origin ? origin.toLowerCase().replace(/\.$/, '') : null;
+  let defaultTtl = null;
+  let previousOwner = null;
+
+  for (const { tokens, comment, lineNumber, startsWithBlank } of readEntries(text)) {
+    const fail = message => {
+      throw new Error(`Line ${lineNumber}: ${message}`);
+    };
+
+    const qualify = name => {
+      if (name === '@') {
+        return currentOrigin || fail('@ is used before the origin is known, add $ORIGIN or pass the zone');
+      }
+      if (name.endsWith('.')) {
+        return name.slice(0, -1).toLowerCase();
+      }
+      if (!currentOrigin) {
+        fail(`Relative name ${name} is used before the origin is known, add $ORIGIN or pass the zone`);
+      }
+      return `${name}.${currentOrigin}`.toLowerCase();
+    };
+
+    const directive = tokens[0].value.toUpperCase();
+
+    if (!tokens[0].quoted && directive === '$ORIGIN') {
+      currentOrigin = qualify(tokens[1]?.value || fail('$ORIGIN needs a domain name'));
+      continue;
+    }
+
+    if (!tokens[0].quoted && directive === '$TTL') {
+      defaultTtl = parseTtl(tokens[1]?.value) ?? fail('$TTL needs a time');
+      continue;
+    }
+
+    if (!tokens[0].quoted && directive.startsWith('$')) {
+      fail(`${tokens[0].value} is not supported`);
+    }
+
+    // A line starting with a blank belongs to the previous owner
+    const fields = tokens.map(token => token.value);
+    let owner = previousOwner;
+
+    if (!startsWithBlank) {
+      owner = qualify(fields.shift());
+    }
+
+    if (!owner) {
+      fail('The first record has no owner name');
+    }
+
+    previousOwner = owner;
+
+    // TTL and class may come in either order before the type
+    let ttl = null;
+    while (fields.length > 0 && (parseTtl(fields[0]) !== null || CLASSES.includes(fields[0].toUpperCase()))) {
+      const field = fields.shift();
+      if (!CLASSES.includes(field.toUpperCase())) {
+        ttl = parseTtl(field);
+      }
+    }
+
+    const type = (fields.shift() || fail('Missing record type')).toUpperCase();
+    const record = { type, name: owner, ...parseData(type, fields, tokens.slice(tokens.length - fields.length), qualify, fail) };
+
+    if (ttl !== null || defaultTtl !== null) {
+      record.ttl = ttl ?? defaultTtl;
+    }
+
+    // Cloudflare proxy status, as written by renderZoneFile
+    const proxied = comment.match(/\bproxied=(true|false)\b/);
+    if (proxied) {
+      record.proxied = proxied[1] === 'true';
+    }
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Parse the data fields of a record
+ * @param {string} type - Record type
+ * @param {Array<string>} fields - Data fields
+ * @param {Array<Object>} tokens - Data tokens, to tell quoted strings apart
+ * @param {Function} qualify - Turn a name into an FQDN
+ * @param {Function} fail - Throw an error for the current line
+ * @returns {Object} - Content and type-specific fields
+ */
+function parseData(type, fields, tokens, qualify, fail) {
+  const expect = count => {
+    if (fields.length < count) {
+      fail(`${type} record needs ${count} fields, found ${fields.length}`);
+    }
+  };
+
+  const number = value => (/^\d+$/.test(value) ? parseInt(value, 10) : fail(`${value} is not a number`));
+
+  switch (type) {
+    case 'CNAME':
+    case 'NS':
+    case 'PTR':
+      expect(1);
+      return { content: qualify(fields[0]) };
+    case 'MX':
+      expect(2);
+      return { priority: number(fields[0]), content: qualify(fields[1]) };
+    case 'SRV':
+      expect(4);
+      return {
+        priority: number(fields[0]),
+        weight: number(fields[1]),
+        port: number(fields[2]),
+        content: qualify(fields[3])
+      };
+    case 'CAA':
+      expect(3);
+      return { flags: number(fields[0]), tag: fields[1], content: fields.slice(2).join(' ') };
+    case 'TXT':
+      expect(1);
+      return { content: tokens.map(token => token.value).join('') };
+    default:
+      expect(1);
+      return { content: fields.join(' ') };
+  }
+}
+
+/**
+ * Parse a TTL in seconds or with BIND units, e.g. 3600 or 1h30m
+ * @param {string} value - TTL field
+ * @returns {number|null} - TTL in seconds, or null when the field is not a TTL
+ */
+function parseTtl(value) {
+  if (typeof value !== 'string' || !/^(\d+[smhdw]?)+$/i.test(value)) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  // Units must follow every number, e.g. 1h30 is not a TTL
+  if (!/[smhdw]$/i.test(value)) {
+    return null;
+  }
+
+  return [...value.matchAll(/(\d+)([smhdw])/gi)]
+    .reduce((total, [, amount, unit]) => total + parseInt(amount, 10) * TTL_UNITS[unit.toLowerCase()], 0);
+}
+
+/**
+ * Split a zone file into entries of tokens
+ * Comments are removed and lines inside parentheses are joined
+ * @param {string} text - Zone file contents
+ * @returns {Array<Object>} - { tokens, comment, lineNumber, startsWithBlank }
+ */
+function readEntries(text) {
+  const entries = [];
+  let entry = null;
+  let depth = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const { tokens, comment } = tokenize(line, index + 1);
+
+    if (depth === 0) {
+      entry = { tokens: [], comment: '', lineNumber: index + 1, startsWithBlank: /^[ \t]/.test(line) };
+    }
+
+    for (const token of tokens) {
+      if (!token.quoted && token.value === '(') {
+        depth++;
+      } else if (!token.quoted && token.value === ')') {
+        depth--;
+        if (depth < 0) {
+          throw new Error(`Line ${index + 1}: Unbalanced parenthesis`);
+        }
+      } else {
+        entry.tokens.push(token);
+      }
+    }
+
+    entry.comment += comment;
+
+    if (depth === 0 && entry.tokens.length > 0) {
+      entries.push(entry);
+    }
+  });
+
+  if (depth > 0) {
+    throw new Error(`Line ${entry.lineNumber}: Unclosed parenthesis`);
+  }
+
+  return entries;
+}
+
+/**
+ * Split a line into tokens, keeping quoted strings whole
+ * @param {string} line - Zone file line
+ * @param {number} lineNumber - Line number, for errors
+ * @returns {Object} - { tokens, comment }
+ */
+function tokenize(line, lineNumber) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < line.length) {
+    const char = line[index];
+
+    if (char === ' ' || char === '\t') {
+      index++;
+    } else if (char === ';') {
+      return { tokens, comment: line.slice(index + 1) };
+    } else if (char === '(' || char === ')') {
+      tokens.push({ value: char, quoted: false });
+      index++;
+    } else if (char === '"') {
+      let value = '';
+      index++;
+
+      while (index < line.length && line[index] !== '"') {
+        if (line[index] === '\\' && index + 1 < line.length) {
+          index++;
+        }
+        value += line[index];
+        index++;
+      }
+
+      if (index >= line.length) {
+        throw new Error(`Line ${lineNumber}: Unclosed quote`);
+      }
+
+      tokens.push({ value, quoted: true });
+      index++;
+    } else {
+      const match = line.slice(index).match(/^[^\s;()"]+/);
+      tokens.push({ value: match[0], quoted: false });
+      index += match[0].length;
+    }
+  }
+
+  return { tokens, comment: '' };
+}
+
+module.exports = {
+  renderZoneFile,
+  parseZoneFile
+};
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventBus } = require('../src/events/EventBus');
+const AuditLog = require('../src/services/AuditLog');
+
+describe('AuditLog', () => {
+  const START = Date.parse('2026-01-01T00:00:00.000Z');
+
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trafegodns-audit-'));
+    file = path.join(directory, 'audit.log');
+    mock.timers.enable({ apis: ['Date'], now: START });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const createEntry = n => ({ provider: 'test', zone: 'example.com', action: 'create', name: `host${n}.example.com`, type: 'A', reason: 'container-started' });
+
+  /**
+   * Create an audit log whose files hold two entries each
+   * @param {number} maxFiles - Rotated files to keep
+   */
+  const createAuditLog = (maxFiles) => {
+    const auditLog = new AuditLog({ auditLogFile: file, auditLogMaxSize: Infinity, auditLogMaxFiles: maxFiles }, new EventBus());
+
+    // Every entry has the same size, as names and timestamps have the same length
+    auditLog.append(createEntry(0));
+    auditLog.config.auditLogMaxSize = fs.statSync(file).size * 2;
+    fs.rmSync(file);
+
+    return auditLog;
+  };
+
+  // Entry number n is written n minutes after the start
+  const appendEntries = (auditLog, count) => {
+    for (let n = 1; n <= count; n++) {
+      mock.timers.setTime(START + n * 60000);
+      auditLog.append(createEntry(n));
+    }
+  };
+
+  const entryNumbers = entries => entries.map(entry => Number(entry.name.match(/^host(\d+)\./)[1]));
+
+  const readFile = name => entryNumbers(fs.readFileSync(path.join(directory, name), 'utf8').trim().split('\n').map(line => JSON.parse(line)));
+
+  it('rotates the journal through the numbered files and drops the oldest', () => {
+    const auditLog = createAuditLog(2);
+    appendEntries(auditLog, 7);
+
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['audit.log', 'audit.log.1', 'audit.log.2']);
+    assert.deepStrictEqual(readFile('audit.log'), [7]);
+    assert.deepStrictEqual(readFile('audit.log.1'), [5, 6]);
+    assert.deepStrictEqual(readFile('audit.log.2'), [3, 4]);
+  });
+
+  it('starts the journal again without rotated files when none are kept', () => {
+    const auditLog = createAuditLog(0);
+    appendEntries(auditLog, 3);
+
+    assert.deepStrictEqual(fs.readdirSync(directory), ['audit.log']);
+    assert.deepStrictEqual(readFile('audit.log'), [3]);
+  });
+
+  it('finds entries across rotated files, newest first', () => {
+    const auditLog = createAuditLog(2);
+    appendEntries(auditLog, 7);
+
+    assert.deepStrictEqual(entryNumbers(auditLog.query()), [7, 6, 5, 4, 3]);
+    assert.deepStrictEqual(entryNumbers(auditLog.query({ limit: 3 })), [7, 6, 5]);
+    assert.deepStrictEqual(entryNumbers(auditLog.query({ name: 'HOST4.example.com.' })), [4]);
+  });
+
+  it('filters entries on their time', () => {
+    const auditLog = createAuditLog(2);
+    appendEntries(auditLog, 7);
+
+    const at = n => new Date(START + n * 60000).toISOString();
+
+    assert.deepStrictEqual(entryNumbers(auditLog.query({ since: at(5) })), [7, 6, 5]);
+    assert.deepStrictEqual(entryNumbers(auditLog.query({ until: at(4) })), [4, 3]);
+    assert.deepStrictEqual(entryNumbers(auditLog.query({ since: at(4), until: at(6), limit: 2 })), [6, 5]);
+    assert.throws(() => auditLog.query({ since: 'yesterday' }), /since and until must be ISO 8601 times/);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ConfigFile = require('../src/config/ConfigFile');
+
+describe('ConfigFile.parse', () => {
+  for (const logLevel of ['info', 'Debug', 'TRACE']) {
+    it(`accepts logLevel ${logLevel} in any case`, () => {
+      const configFile = ConfigFile.parse(`logLevel: ${logLevel}\n`, 'trafegodns.yml');
+      assert.strictEqual(configFile.data.logLevel, logLevel.toUpperCase());
+    });
+  }
+
+  it('rejects an unknown log level', () => {
+    assert.throws(
+      () => ConfigFile.parse('{"logLevel": "verbose"}', 'trafegodns.json'),
+      /logLevel: must be one of ERROR, WARN, INFO, DEBUG, TRACE but got "VERBOSE"/
+    );
+  });
+
+  for (const dockerSwarm of ['auto', 'true', 'false', true, false]) {
+    it(`accepts dockerSwarm ${JSON.stringify(dockerSwarm)}`, () => {
+      const configFile = ConfigFile.parse(JSON.stringify({ dockerSwarm }), 'trafegodns.json');
+      assert.strictEqual(configFile.toEnvironment().DOCKER_SWARM, String(dockerSwarm));
+    });
+  }
+
+  it('rejects an unknown dockerSwarm value', () => {
+    assert.throws(
+      () => ConfigFile.parse('dockerSwarm: sometimes\n', 'trafegodns.yml'),
+      /dockerSwarm: must be one of auto, true, false but got "sometimes"/
+    );
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { IpDiscovery } = require('../src/ip');
+
+describe('IpDiscovery', () => {
+  let server;
+  let url;
+  const requests = [];
+
+  before(async () => {
+    // Reports the address in the request path, e.g. /203.0.113.1
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      res.end(req.url.slice(1));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  /**
+   * Create a discovery whose IPv4 chain asks the given sources in order
+   * @param {Array<Object>} sources - Source definitions without names
+   * @param {number} quorum - IPv4 quorum
+   */
+  const createDiscovery = (sources, quorum) => {
+    const definitions = sources.map((source, index) => ({ name: `source${index}`, ...source }));
+    return new IpDiscovery({
+      sources: definitions,
+      ipv4: { sources: definitions.map(source => source.name), quorum },
+      ipv6: { sources: [], quorum: 0 },
+      timeout: 1000
+    });
+  };
+
+  const reports = address => ({ type: 'http', url: `${url}/${address}` });
+
+  it('uses the first answer with a quorum of 1', async () => {
+    requests.length = 0;
+    const discovery = createDiscovery([reports('203.0.113.1'), reports('203.0.113.2')], 1);
+
+    assert.strictEqual(await discovery.lookup('ipv4'), '203.0.113.1');
+    assert.deepStrictEqual(requests, ['/203.0.113.1']);
+  });
+
+  it('stops asking once the quorum agrees', async () => {
+    requests.length = 0;
+    const discovery = createDiscovery([reports('203.0.113.1'), reports('203.0.113.1'), reports('203.0.113.3')], 2);
+
+    assert.strictEqual(await discovery.lookup('ipv4'), '203.0.113.1');
+    assert.deepStrictEqual(requests, ['/203.0.113.1', '/203.0.113.1']);
+  });
+
+  it('outvotes a single wrong answer', async () => {
+    const discovery = createDiscovery([reports('203.0.113.9'), reports('203.0.113.1'), reports('203.0.113.1')], 2);
+    assert.strictEqual(await discovery.lookup('ipv4'), '203.0.113.1');
+  });
+
+  it('skips sources that fail or report an address that is not public', async () => {
+    const discovery = createDiscovery([
+      { type: 'http', url: `${url.replace(/:\d+$/, ':1')}/unreachable` },
+      reports('not-an-address'),
+      reports('169.254.1.1'),
+      { type: 'static', value: '127.0.0.1' },
+      reports('203.0.113.1'),
+      { type: 'static', value: '203.0.113.1' }
+    ], 2);
+
+    assert.strictEqual(await discovery.lookup('ipv4'), '203.0.113.1');
+  });
+
+  it('fails when no address reaches the quorum', async () => {
+    const discovery = createDiscovery([reports('203.0.113.1'), reports('203.0.113.2'), { type: 'static', value: 'bad' }], 2);
+    assert.strictEqual(await discovery.lookup('ipv4'), null);
+  });
+
+  it('rejects a quorum larger than the number of sources', () => {
+    assert.throws(() => createDiscovery([reports('203.0.113.1')], 2), /needs at least 2 IP sources, 1 configured/);
+  });
+
+  it('rejects sources that cannot look up the family', () => {
+    assert.throws(() => new IpDiscovery({
+      sources: [],
+      ipv4: { sources: ['ipify'], quorum: 1 },
+      ipv6: { sources: ['upnp'], quorum: 1 },
+      timeout: 1000
+    }), /Built-in IP source 'upnp' cannot look up IPv6 addresses/);
+  });
+
+  it('reports every source when checking the settings', async () => {
+    const discovery = createDiscovery([reports('203.0.113.1'), { type: 'static', value: 'bad' }], 1);
+    const results = await discovery.checkSources();
+
+    assert.deepStrictEqual(results.map(({ source, address, error }) => ({ source, address, failed: !!error })), [
+      { source: 'source0', address: '203.0.113.1', failed: false },
+      { source: 'source1', address: undefined, failed: true }
+    ]);
+  });
+});
@@ -0,0 +1,272 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const http = require('http');
+const os = require('os');
+const { createIpSource } = require('../src/ip');
+
+/**
+ * Start an HTTP server on a free loopback port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<Object>} - { server, url }
+ */
+async function startHttpServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Start a UDP server on a free loopback port
+ * @param {Function} handler - Called with (message, remote, socket)
+ * @returns {Promise<dgram.Socket>} - Bound socket
+ */
+async function startUdpServer(handler) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message, remote) => handler(message, remote, socket));
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return socket;
+}
+
+/**
+ * Build a DNS response with one answer to the question of a query
+ * @param {Buffer} query - DNS query
+ * @param {Object} answers - Record data by record type number, e.g. { 1: Buffer }
+ * @returns {Buffer} - DNS response
+ */
+function buildDnsResponse(query, answers) {
+  // The question ends after the QNAME labels, followed by QTYPE and QCLASS
+  let end = 12;
+  while (query[end] !== 0) {
+    end += query[end] + 1;
+  }
+  const question = query.subarray(12, end + 5);
+  const type = query.readUInt16BE(end + 1);
+  const data = answers[type];
+
+  const header = Buffer.alloc(12);
+  query.copy(header, 0, 0, 2);
+  header.writeUInt16BE(0x8180, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(data ? 1 : 0, 6);
+
+  if (!data) {
+    return Buffer.concat([header, question]);
+  }
+
+  const answer = Buffer.alloc(12);
+  answer.writeUInt16BE(0xc00c, 0);
+  answer.writeUInt16BE(type, 2);
+  answer.writeUInt16BE(1, 4);
+  answer.writeUInt32BE(60, 6);
+  answer.writeUInt16BE(data.length, 10);
+
+  return Buffer.concat([header, question, answer, data]);
+}
+
+describe('http IP source', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startHttpServer((req, res) => {
+      const bodies = {
+        '/plain': '203.0.113.7\n',
+        '/json': JSON.stringify({ wan: { ipv4: '203.0.113.8' } }),
+        '/html': '<p>Current IP Address: 203.0.113.9</p>'
+      };
+      res.writeHead(bodies[req.url] ? 200 : 404);
+      res.end(bodies[req.url] || 'not found');
+    });
+  });
+
+  after(() => stub.server.close());
+
+  it('reads a plain text response', async () => {
+    const source = createIpSource({ name: 'plain', type: 'http', url: `${stub.url}/plain` });
+    assert.strictEqual((await source.lookup('ipv4')).trim(), '203.0.113.7');
+  });
+
+  it('reads the address at a JSON path', async () => {
+    const source = createIpSource({ name: 'json', type: 'http', url: `${stub.url}/json`, jsonPath: '$.wan.ipv4' });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.8');
+  });
+
+  it('reads the first capture group of a regular expression', async () => {
+    const source = createIpSource({ name: 'html', type: 'http', url: `${stub.url}/html`, regex: 'Address: ([0-9.]+)' });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.9');
+  });
+
+  it('fails when the JSON path is missing', async () => {
+    const source = createIpSource({ name: 'json', type: 'http', url: `${stub.url}/json`, jsonPath: 'lan.ipv4' });
+    await assert.rejects(source.lookup('ipv4'), /JSON path lan.ipv4 not found/);
+  });
+
+  it('fails on an error response', async () => {
+    const source = createIpSource({ name: 'missing', type: 'http', url: `${stub.url}/missing` });
+    await assert.rejects(source.lookup('ipv4'), /404/);
+  });
+
+  it('requires a URL', () => {
+    assert.throws(() => createIpSource({ name: 'nourl', type: 'http' }), /requires url/);
+  });
+});
+
+describe('dns IP source', () => {
+  let socket;
+  const queries = [];
+
+  before(async () => {
+    socket = await startUdpServer((message, remote, server) => {
+      queries.push(message.readUInt16BE(message.length - 4));
+      const txt = Buffer.from('203.0.113.11');
+      server.send(buildDnsResponse(message, {
+        1: Buffer.from([203, 0, 113, 10]),
+        16: Buffer.concat([Buffer.from([txt.length]), txt])
+      }), remote.port, remote.address);
+    });
+  });
+
+  after(() => socket.close());
+
+  it('reads an A record from the resolver', async () => {
+    const source = createIpSource({ name: 'dns', type: 'dns', hostname: 'myip.example.com', resolver: `127.0.0.1:${socket.address().port}` });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.10');
+    assert.strictEqual(queries.at(-1), 1);
+  });
+
+  it('reads a TXT record from the resolver', async () => {
+    const source = createIpSource({ name: 'dns', type: 'dns', hostname: 'myip.example.com', resolver: `127.0.0.1:${socket.address().port}`, recordType: 'txt' });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.11');
+    assert.strictEqual(queries.at(-1), 16);
+  });
+
+  it('asks for an AAAA record for IPv6 and fails without one', async () => {
+    const source = createIpSource({ name: 'dns', type: 'dns', hostname: 'myip.example.com', resolver: `127.0.0.1:${socket.address().port}` });
+    await assert.rejects(source.lookup('ipv6'));
+    assert.strictEqual(queries.at(-1), 28);
+  });
+});
+
+describe('upnp IP source', () => {
+  let stub;
+  const actions = [];
+
+  const description = (serviceType) => '<?xml version="1.0"?><root><device><serviceList>' +
+    '<service><serviceType>urn:schemas-upnp-org:service:Layer3Forwarding:1</serviceType><controlURL>/l3f</controlURL></service>' +
+    `<service><serviceType>${serviceType}</serviceType><controlURL>/ctl/IPConn</controlURL></service>` +
+    '</serviceList></device></root>';
+
+  before(async () => {
+    stub = await startHttpServer((req, res) => {
+      if (req.method === 'GET' && req.url === '/rootDesc.xml') {
+        res.end(description('urn:schemas-upnp-org:service:WANIPConnection:1'));
+      } else if (req.method === 'GET' && req.url === '/lan.xml') {
+        res.end(description('urn:schemas-upnp-org:service:LANHostConfigManagement:1'));
+      } else if (req.method === 'POST' && req.url === '/ctl/IPConn') {
+        actions.push(req.headers.soapaction);
+        res.end('<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+          '<u:GetExternalIPAddressResponse xmlns:u="urn:schemas-upnp-org:service:WANIPConnection:1">' +
+          '<NewExternalIPAddress>203.0.113.20</NewExternalIPAddress>' +
+          '</u:GetExternalIPAddressResponse></s:Body></s:Envelope>');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+
+  after(() => stub.server.close());
+
+  it('asks the WAN connection service of the gateway', async () => {
+    const source = createIpSource({ name: 'upnp', type: 'upnp', url: `${stub.url}/rootDesc.xml` });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.20');
+    assert.deepStrictEqual(actions, ['"urn:schemas-upnp-org:service:WANIPConnection:1#GetExternalIPAddress"']);
+  });
+
+  it('fails when the gateway has no WAN connection service', async () => {
+    const source = createIpSource({ name: 'upnp', type: 'upnp', url: `${stub.url}/lan.xml` });
+    await assert.rejects(source.lookup('ipv4'), /no WANIPConnection or WANPPPConnection service/);
+  });
+
+  it('only looks up IPv4 addresses', () => {
+    assert.deepStrictEqual(createIpSource({ name: 'upnp', type: 'upnp' }).families, ['ipv4']);
+  });
+});
+
+describe('natpmp IP source', () => {
+  let socket;
+  let resultCode = 0;
+
+  before(async () => {
+    socket = await startUdpServer((message, remote, server) => {
+      // Only answer external address requests: version 0, opcode 0
+      if (message.length !== 2 || message[0] !== 0 || message[1] !== 0) {
+        return;
+      }
+
+      const response = Buffer.alloc(12);
+      response[1] = 128;
+      response.writeUInt16BE(resultCode, 2);
+      response.writeUInt32BE(1000, 4);
+      Buffer.from([203, 0, 113, 30]).copy(response, 8);
+      server.send(response, remote.port, remote.address);
+    });
+  });
+
+  after(() => socket.close());
+
+  it('reads the external address from the gateway', async () => {
+    resultCode = 0;
+    const source = createIpSource({ name: 'natpmp', type: 'natpmp', gateway: '127.0.0.1', port: socket.address().port });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.30');
+  });
+
+  it('fails when the gateway reports an error', async () => {
+    resultCode = 3;
+    const source = createIpSource({ name: 'natpmp', type: 'natpmp', gateway: '127.0.0.1', port: socket.address().port });
+    await assert.rejects(source.lookup('ipv4'), /result code 3/);
+  });
+
+  it('times out without a response', async () => {
+    const silent = await startUdpServer(() => {});
+    const source = createIpSource({ name: 'natpmp', type: 'natpmp', gateway: '127.0.0.1', port: silent.address().port, timeout: 100 });
+    await assert.rejects(source.lookup('ipv4'), /No NAT-PMP response/);
+    silent.close();
+  });
+});
+
+describe('interface IP source', () => {
+  before(() => {
+    mock.method(os, 'networkInterfaces', () => ({
+      lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+      eth1: [
+        { address: 'fe80::1', family: 'IPv6', internal: false },
+        { address: 'fd00::5', family: 'IPv6', internal: false },
+        { address: '2001:db8::5', family: 'IPv6', internal: false },
+        { address: '203.0.113.40', family: 4, internal: false }
+      ]
+    }));
+  });
+
+  after(() => mock.restoreAll());
+
+  it('reads the IPv4 address of the interface', async () => {
+    const source = createIpSource({ name: 'wan', type: 'interface', interface: 'eth1' });
+    assert.strictEqual(await source.lookup('ipv4'), '203.0.113.40');
+  });
+
+  it('prefers a global IPv6 address over link-local and unique local ones', async () => {
+    const source = createIpSource({ name: 'wan', type: 'interface', interface: 'eth1' });
+    assert.strictEqual(await source.lookup('ipv6'), '2001:db8::5');
+  });
+
+  it('skips internal addresses', async () => {
+    const source = createIpSource({ name: 'lo', type: 'interface', interface: 'lo' });
+    await assert.rejects(source.lookup('ipv4'), /has no IPv4 address/);
+  });
+
+  it('fails for an unknown interface', async () => {
+    const source = createIpSource({ name: 'wan', type: 'interface', interface: 'eth9' });
+    await assert.rejects(source.lookup('ipv4'), /eth9 not found/);
+  });
+});
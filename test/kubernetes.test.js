@@ -0,0 +1,375 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventBus } = require('../src/events/EventBus');
+const EventTypes = require('../src/events/EventTypes');
+const KubernetesMonitor = require('../src/services/KubernetesMonitor');
+const {
+  extractIngressHostnames,
+  extractIngressRouteHostnames,
+  getDnsAnnotations
+} = require('../src/utils/kubernetes');
+
+const INGRESS = {
+  metadata: {
+    name: 'web',
+    namespace: 'apps',
+    resourceVersion: '101',
+    annotations: {
+      'dns.proxied': 'false',
+      'dns.cloudflare.ttl': '300',
+      'kubernetes.io/ingress.class': 'traefik',
+      'example.com/dns.type': 'A'
+    }
+  },
+  spec: {
+    rules: [
+      { host: 'web.example.com', http: { paths: [] } },
+      { http: { paths: [] } },
+      { host: 'www.example.com' }
+    ]
+  }
+};
+
+const INGRESS_ROUTE = {
+  metadata: {
+    name: 'api',
+    namespace: 'apps',
+    resourceVersion: '102',
+    annotations: { 'dns.content': 'lb.example.com' }
+  },
+  spec: {
+    routes: [
+      { match: 'Host(`api.example.com`) && PathPrefix(`/v1`)', kind: 'Rule' },
+      { match: 'HostRegexp(`^(admin|status)\\.example\\.com$`)', kind: 'Rule' },
+      { match: 'Host(`web.example.com`)', kind: 'Rule' },
+      { kind: 'Rule' }
+    ]
+  }
+};
+
+describe('kubernetes utils', () => {
+  it('reads the hosts of Ingress rules', () => {
+    assert.deepStrictEqual(extractIngressHostnames(INGRESS), ['web.example.com', 'www.example.com']);
+    assert.deepStrictEqual(extractIngressHostnames({ metadata: { name: 'empty' } }), []);
+  });
+
+  it('reads the hosts of IngressRoute matches', () => {
+    assert.deepStrictEqual(extractIngressRouteHostnames(INGRESS_ROUTE), [
+      'api.example.com',
+      'admin.example.com',
+      'status.example.com',
+      'web.example.com'
+    ]);
+  });
+
+  it('keeps only annotations with the DNS label prefix', () => {
+    assert.deepStrictEqual(getDnsAnnotations(INGRESS, 'dns.'), {
+      'dns.proxied': 'false',
+      'dns.cloudflare.ttl': '300'
+    });
+  });
+
+  it('supports a custom DNS label prefix', () => {
+    assert.deepStrictEqual(getDnsAnnotations(INGRESS, 'example.com/dns.'), {
+      'example.com/dns.type': 'A'
+    });
+    assert.deepStrictEqual(getDnsAnnotations({ metadata: {} }, 'dns.'), {});
+  });
+});
+
+/**
+ * Fake Kubernetes API server
+ * Serves lists from `resources`, keyed by request path, and keeps watch
+ * requests open so tests can send events and close them
+ */
+class FakeApiServer {
+  constructor() {
+    this.resources = {};
+    this.requests = [];
+    this.watches = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, this.url);
+    this.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization });
+
+    if (url.pathname === '/version') {
+      this.sendJson(res, 200, { gitVersion: 'v1.30.0' });
+      return;
+    }
+
+    const list = this.resources[url.pathname];
+
+    if (typeof list === 'number') {
+      this.sendJson(res, list, { kind: 'Status', code: list });
+      return;
+    }
+
+    if (!list) {
+      this.sendJson(res, 404, { kind: 'Status', code: 404 });
+      return;
+    }
+
+    if (url.searchParams.get('watch') === 'true') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.flushHeaders();
+      const watch = { path: url.pathname, query: Object.fromEntries(url.searchParams), res, closed: false };
+      res.on('close', () => {
+        watch.closed = true;
+      });
+      this.watches.push(watch);
+      return;
+    }
+
+    this.sendJson(res, 200, { metadata: { resourceVersion: list.resourceVersion }, items: list.items });
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  listRequests(path) {
+    return this.requests.filter(request => request.path === path && request.query.watch !== 'true');
+  }
+}
+
+/**
+ * Let pending I/O and promises settle until a condition holds
+ */
+async function waitFor(condition, message) {
+  for (let i = 0; i < 5000; i++) {
+    if (condition()) {
+      return;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.fail(`Timed out waiting for ${message}`);
+}
+
+describe('KubernetesMonitor', () => {
+  const INGRESSES = '/apis/networking.k8s.io/v1/ingresses';
+  const INGRESS_ROUTES = '/apis/traefik.containo.us/v1alpha1/ingressroutes';
+  const NEW_INGRESS_ROUTES = '/apis/traefik.io/v1alpha1/ingressroutes';
+
+  let api;
+  let eventBus;
+  let events;
+  let monitor;
+
+  const createMonitor = (settings = {}) => new KubernetesMonitor({
+    kubernetesApiUrl: api.url,
+    kubernetesToken: 'test-token',
+    kubernetesResources: ['ingress', 'ingressroute'],
+    kubernetesNamespace: '',
+    kubernetesWatch: false,
+    genericLabelPrefix: 'dns.',
+    apiTimeout: 2000,
+    pollInterval: 60000,
+    ...settings
+  }, eventBus);
+
+  const routerUpdates = () => events.filter(event => event.type === EventTypes.TRAEFIK_ROUTERS_UPDATED);
+
+  before(async () => {
+    api = new FakeApiServer();
+    await api.start();
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => {
+    api.requests = [];
+    api.resources = {
+      [INGRESSES]: { resourceVersion: '200', items: [INGRESS] },
+      [INGRESS_ROUTES]: { resourceVersion: '300', items: [INGRESS_ROUTE] }
+    };
+
+    eventBus = new EventBus();
+    events = [];
+    for (const type of [EventTypes.TRAEFIK_ROUTERS_UPDATED, EventTypes.ERROR_OCCURRED]) {
+      eventBus.subscribe(type, data => events.push({ type, data }));
+    }
+  });
+
+  afterEach(() => {
+    monitor?.stopPolling();
+    monitor = null;
+  });
+
+  it('publishes the hostnames of Ingress and IngressRoute objects with their annotations', async () => {
+    monitor = createMonitor();
+    await monitor.pollKubernetes();
+
+    const [{ data }] = routerUpdates();
+    assert.deepStrictEqual(data.hostnames, [
+      'web.example.com',
+      'www.example.com',
+      'api.example.com',
+      'admin.example.com',
+      'status.example.com'
+    ]);
+
+    assert.deepStrictEqual(data.containerLabels['web.example.com'], {
+      'dns.proxied': 'false',
+      'dns.cloudflare.ttl': '300',
+      kubernetesResource: 'Ingress apps/web'
+    });
+    assert.deepStrictEqual(data.containerLabels['api.example.com'], {
+      'dns.content': 'lb.example.com',
+      kubernetesResource: 'IngressRoute apps/api'
+    });
+  });
+
+  it('sends the token and falls back to the older Traefik API group', async () => {
+    monitor = createMonitor();
+    await monitor.pollKubernetes();
+    await monitor.pollKubernetes();
+
+    assert.ok(api.requests.every(request => request.authorization === 'Bearer test-token'));
+    assert.strictEqual(api.listRequests(NEW_INGRESS_ROUTES).length, 1);
+    assert.strictEqual(api.listRequests(INGRESS_ROUTES).length, 2);
+  });
+
+  it('reads only the configured namespace', async () => {
+    api.resources['/apis/networking.k8s.io/v1/namespaces/apps/ingresses'] = { resourceVersion: '1', items: [INGRESS] };
+    monitor = createMonitor({ kubernetesNamespace: 'apps', kubernetesResources: ['ingress'] });
+    await monitor.pollKubernetes();
+
+    assert.deepStrictEqual(routerUpdates()[0].data.hostnames, ['web.example.com', 'www.example.com']);
+    assert.deepStrictEqual(api.listRequests(INGRESSES), []);
+  });
+
+  it('uses a custom annotation prefix', async () => {
+    monitor = createMonitor({ genericLabelPrefix: 'example.com/dns.', kubernetesResources: ['ingress'] });
+    await monitor.pollKubernetes();
+
+    assert.deepStrictEqual(routerUpdates()[0].data.containerLabels['web.example.com'], {
+      'example.com/dns.type': 'A',
+      kubernetesResource: 'Ingress apps/web'
+    });
+  });
+
+  it('skips resources whose CRD is not installed until they appear', async () => {
+    delete api.resources[INGRESS_ROUTES];
+    monitor = createMonitor();
+    await monitor.pollKubernetes();
+
+    assert.deepStrictEqual(routerUpdates()[0].data.hostnames, ['web.example.com', 'www.example.com']);
+
+    api.resources[NEW_INGRESS_ROUTES] = { resourceVersion: '1', items: [INGRESS_ROUTE] };
+    await monitor.pollKubernetes();
+
+    assert.ok(routerUpdates()[1].data.hostnames.includes('api.example.com'));
+  });
+
+  it('reports missing permissions as a poll error', async () => {
+    api.resources[INGRESSES] = 403;
+    monitor = createMonitor();
+    await monitor.pollKubernetes();
+
+    assert.deepStrictEqual(routerUpdates(), []);
+    const error = events.find(event => event.type === EventTypes.ERROR_OCCURRED);
+    assert.match(error.data.error, /Not allowed to list Ingress objects \(HTTP 403\)/);
+  });
+
+  describe('watches', () => {
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    });
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    const watchesOf = path => api.watches.filter(watch => watch.path === path);
+
+    it('starts from the listed version and polls after a change', async () => {
+      api.watches = [];
+      monitor = createMonitor({ kubernetesWatch: true, kubernetesResources: ['ingress'] });
+      await monitor.startPolling();
+      await waitFor(() => watchesOf(INGRESSES).length === 1, 'the watch to open');
+
+      assert.strictEqual(watchesOf(INGRESSES)[0].query.resourceVersion, '200');
+      assert.strictEqual(api.listRequests(INGRESSES).length, 1);
+
+      // Bursts of events are collapsed into one poll
+      const { res } = watchesOf(INGRESSES)[0];
+      res.write(`${JSON.stringify({ type: 'MODIFIED', object: { metadata: { name: 'web', namespace: 'apps', resourceVersion: '201' } } })}\n`);
+      res.write(`${JSON.stringify({ type: 'ADDED', object: { metadata: { name: 'new', namespace: 'apps', resourceVersion: '202' } } })}\n`);
+      await waitFor(() => monitor.resourceVersions.get('ingress') === '202', 'the watch events');
+
+      mock.timers.tick(1000);
+      await waitFor(() => routerUpdates().length === 2, 'the poll after the change');
+      assert.strictEqual(api.listRequests(INGRESSES).length, 2);
+    });
+
+    it('re-opens a closed watch from the last seen version', async () => {
+      api.watches = [];
+      monitor = createMonitor({ kubernetesWatch: true, kubernetesResources: ['ingress'] });
+      await monitor.startPolling();
+      await waitFor(() => watchesOf(INGRESSES).length === 1, 'the watch to open');
+
+      const { res } = watchesOf(INGRESSES)[0];
+      res.write(`${JSON.stringify({ type: 'BOOKMARK', object: { metadata: { resourceVersion: '250' } } })}\n`);
+      await waitFor(() => monitor.resourceVersions.get('ingress') === '250', 'the bookmark');
+      res.end();
+      await waitFor(() => monitor.watchRetryTimers.has('ingress'), 'the watch to close');
+
+      mock.timers.tick(5000);
+      await waitFor(() => watchesOf(INGRESSES).length === 2, 'the watch to re-open');
+      assert.strictEqual(watchesOf(INGRESSES)[1].query.resourceVersion, '250');
+
+      // A bookmark is not a change
+      assert.strictEqual(api.listRequests(INGRESSES).length, 1);
+    });
+
+    it('lists again after a watch error and re-opens from the new list', async () => {
+      api.watches = [];
+      monitor = createMonitor({ kubernetesWatch: true, kubernetesResources: ['ingress'] });
+      await monitor.startPolling();
+      await waitFor(() => watchesOf(INGRESSES).length === 1, 'the watch to open');
+
+      const { res } = watchesOf(INGRESSES)[0];
+      api.resources[INGRESSES].resourceVersion = '900';
+      res.end(`${JSON.stringify({ type: 'ERROR', object: { code: 410, message: 'too old resource version: 200 (850)' } })}\n`);
+      await waitFor(() => !monitor.resourceVersions.has('ingress') && monitor.watchRetryTimers.has('ingress'), 'the watch error');
+
+      mock.timers.tick(1000);
+      await waitFor(() => monitor.resourceVersions.get('ingress') === '900', 'the poll after the error');
+
+      mock.timers.tick(4000);
+      await waitFor(() => watchesOf(INGRESSES).length === 2, 'the watch to re-open');
+      assert.strictEqual(watchesOf(INGRESSES)[1].query.resourceVersion, '900');
+    });
+
+    it('does not re-open watches after polling stops', async () => {
+      api.watches = [];
+      monitor = createMonitor({ kubernetesWatch: true, kubernetesResources: ['ingress'] });
+      await monitor.startPolling();
+      await waitFor(() => watchesOf(INGRESSES).length === 1, 'the watch to open');
+
+      monitor.stopPolling();
+      await waitFor(() => watchesOf(INGRESSES)[0].closed, 'the watch to close');
+
+      mock.timers.tick(10000);
+      for (let i = 0; i < 50; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      assert.strictEqual(watchesOf(INGRESSES).length, 1);
+      assert.strictEqual(monitor.watchRetryTimers.size, 0);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventBus } = require('../src/events/EventBus');
+const EventTypes = require('../src/events/EventTypes');
+const MetricsCollector = require('../src/services/MetricsCollector');
+
+describe('MetricsCollector', () => {
+  let eventBus;
+  let collector;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    collector = new MetricsCollector({ operationMode: 'traefik' }, eventBus, { providers: [] });
+  });
+
+  /**
+   * Get the value of a rendered sample, or undefined when it is not rendered
+   * @param {string} sample - Metric name with labels
+   */
+  const sampleValue = (sample) => {
+    const line = collector.render().split('\n').find(entry => entry.startsWith(`${sample} `));
+    return line ? Number(line.slice(sample.length + 1)) : undefined;
+  };
+
+  const polls = result => sampleValue(`trafegodns_polls_total{mode="traefik",result="${result}"}`);
+  const pollDurations = () => sampleValue('trafegodns_poll_duration_seconds_count{mode="traefik"}');
+
+  it('counts a completed poll as a success', () => {
+    eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+    eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, { hostnameCount: 2 });
+
+    assert.strictEqual(polls('success'), 1);
+    assert.strictEqual(polls('error'), undefined);
+    assert.strictEqual(pollDurations(), 1);
+  });
+
+  it('counts a poll that fails as an error', () => {
+    eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+    eventBus.publish(EventTypes.ERROR_OCCURRED, { source: 'TraefikMonitor.pollTraefikAPI', error: 'connect ECONNREFUSED' });
+
+    assert.strictEqual(polls('error'), 1);
+    assert.strictEqual(polls('success'), undefined);
+    assert.strictEqual(pollDurations(), undefined);
+  });
+
+  it('does not fail a poll on a non-fatal error raised while it runs', () => {
+    eventBus.publish(EventTypes.TRAEFIK_POLL_STARTED);
+    eventBus.publish(EventTypes.ERROR_OCCURRED, { source: 'DNSManager.cleanupOrphanedRecords', error: 'Rate limited' });
+    eventBus.publish(EventTypes.TRAEFIK_POLL_COMPLETED, { hostnameCount: 2 });
+
+    assert.strictEqual(polls('success'), 1);
+    assert.strictEqual(polls('error'), undefined);
+    assert.strictEqual(pollDurations(), 1);
+    assert.strictEqual(sampleValue('trafegodns_errors_total{source="DNSManager.cleanupOrphanedRecords"}'), 1);
+  });
+});
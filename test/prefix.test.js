@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseIPv6Suffix,
+  applyIPv6Prefix,
+  isSamePrefix,
+  toBigInt,
+  fromBigInt
+} = require('../src/ip/prefix');
+
+describe('toBigInt', () => {
+  it('reads an embedded IPv4 address as the last two groups', () => {
+    assert.strictEqual(toBigInt('::ffff:192.0.2.1'), 0xffffc0000201n);
+    assert.strictEqual(toBigInt('64:ff9b::192.0.2.1'), 0x0064ff9b0000000000000000c0000201n);
+    assert.strictEqual(toBigInt('::ffff:192.0.2.1'), toBigInt('::ffff:c000:201'));
+  });
+
+  it('expands :: at the start, middle and end', () => {
+    assert.strictEqual(toBigInt('::'), 0n);
+    assert.strictEqual(toBigInt('::1'), 1n);
+    assert.strictEqual(toBigInt('2001:db8::'), 0x20010db8n << 96n);
+    assert.strictEqual(toBigInt('2001:db8::1'), (0x20010db8n << 96n) | 1n);
+  });
+});
+
+describe('fromBigInt', () => {
+  // RFC 5952: the longest run of zero groups is compressed, the first one on a tie
+  const ADDRESSES = [
+    ['2001:db8:0:0:1:0:0:1', '2001:db8::1:0:0:1'],
+    ['2001:0:0:1:0:0:0:1', '2001:0:0:1::1'],
+    ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+    ['0:0:0:0:0:0:0:0', '::'],
+    ['2001:DB8:0:0:0:0:0:0', '2001:db8::']
+  ];
+
+  for (const [address, expected] of ADDRESSES) {
+    it(`formats ${address} as ${expected}`, () => {
+      assert.strictEqual(fromBigInt(toBigInt(address)), expected);
+    });
+  }
+});
+
+describe('applyIPv6Prefix', () => {
+  const PREFIXES = [
+    ['2001:db8:aaaa:bbbb::20', '::1:2:3:4/64', '2001:db8:aaaa:bbbb:1:2:3:4'],
+    ['2001:db8:aaaa:bbff::20', '::12:1:2:3:4/56', '2001:db8:aaaa:bb12:1:2:3:4'],
+    ['2001:db8:aaaa:bbbb::20', '::cc:1:2:3:4/48', '2001:db8:aaaa:cc:1:2:3:4']
+  ];
+
+  for (const [prefixAddress, suffix, expected] of PREFIXES) {
+    it(`combines ${prefixAddress} with ${suffix}`, () => {
+      assert.strictEqual(applyIPv6Prefix(prefixAddress, suffix), expected);
+    });
+  }
+
+  it('rejects content that is not a suffix', () => {
+    assert.strictEqual(parseIPv6Suffix('::1:2:3:4/128'), null);
+    assert.throws(() => applyIPv6Prefix('2001:db8::20', '2001:db8::1'), /Invalid IPv6 suffix/);
+  });
+});
+
+describe('isSamePrefix', () => {
+  it('ignores the bits after the prefix length', () => {
+    assert.strictEqual(isSamePrefix('2001:db8:aaaa:bbbb::20', '2001:db8:aaaa:bbbb:9f2e:11ff:fe3a:1', 64), true);
+    assert.strictEqual(isSamePrefix('2001:db8:aaaa:bb01::20', '2001:db8:aaaa:bb02::20', 56), true);
+    assert.strictEqual(isSamePrefix('2001:db8:aaaa:bb01::20', '2001:db8:aaaa:bb02::20', 64), false);
+    assert.strictEqual(isSamePrefix('2001:db8:aaaa:bbbb::20', '2001:db8:aaab:bbbb::20', 48), false);
+  });
+});
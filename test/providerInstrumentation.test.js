@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { EventBus } = require('../src/events/EventBus');
+const EventTypes = require('../src/events/EventTypes');
+const Route53Provider = require('../src/providers/route53/provider');
+const { instrumentProvider } = require('../src/utils/providerInstrumentation');
+
+describe('instrumentProvider', () => {
+  let provider;
+  let requests;
+  let sent;
+  let failBatches;
+
+  beforeEach(() => {
+    provider = new Route53Provider({
+      route53AccessKey: 'key',
+      route53SecretKey: 'secret',
+      route53Zone: 'example.com',
+      route53ZoneId: 'Z1',
+      cacheRefreshInterval: 60000,
+      getPublicIP: async () => '203.0.113.1'
+    });
+
+    // Stand-in for the AWS SDK client, batches fail while failBatches is set
+    sent = [];
+    failBatches = false;
+    provider.route53 = {
+      send: async command => {
+        const changes = command.input.ChangeBatch?.Changes;
+        sent.push(changes ? `change ${changes.length}` : 'list');
+
+        if (!changes) {
+          return { ResourceRecordSets: [], IsTruncated: false };
+        }
+        if (failBatches && changes.length > 1) {
+          throw Object.assign(new Error('Rate exceeded'), { name: 'Throttling' });
+        }
+        return {};
+      }
+    };
+
+    const eventBus = new EventBus();
+    requests = [];
+    eventBus.subscribe(EventTypes.DNS_PROVIDER_REQUEST, data => requests.push(data));
+    instrumentProvider(provider, 'route53', eventBus);
+  });
+
+  const recordConfigs = () => [
+    { type: 'A', name: 'a.example.com', content: '203.0.113.1', ttl: 300 },
+    { type: 'A', name: 'b.example.com', content: '203.0.113.1', ttl: 300 }
+  ];
+
+  it('publishes the change batch of batchEnsureRecords', async () => {
+    await provider.batchEnsureRecords(recordConfigs());
+
+    assert.deepStrictEqual(sent, ['list', 'change 2', 'list']);
+    assert.deepStrictEqual(requests.map(({ operation, success }) => `${operation} ${success}`), [
+      'refreshRecordCache true',
+      'submitChangeBatch true',
+      'refreshRecordCache true'
+    ]);
+    assert.ok(requests.every(request => request.provider === 'route53' && request.durationMs >= 0));
+  });
+
+  it('publishes a failed change batch before falling back to single changes', async () => {
+    failBatches = true;
+    await provider.batchEnsureRecords(recordConfigs());
+
+    const operations = requests.map(({ operation, success }) => `${operation} ${success}`);
+    assert.deepStrictEqual(operations, [
+      'refreshRecordCache true',
+      'submitChangeBatch false',
+      'refreshRecordCache true',
+      'createRecord true',
+      'createRecord true'
+    ]);
+    assert.strictEqual(requests[1].error, 'Rate exceeded');
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordTracker = require('../src/utils/recordTracker');
+
+describe('RecordTracker', () => {
+  let directory;
+  let tracker;
+
+  const createConfig = (dnsProvider, domain) => ({
+    dnsProvider,
+    dryRun: false,
+    preservedHostnames: '',
+    managedHostnames: '',
+    getProviderDomain: () => domain
+  });
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'trafegodns-tracker-'));
+
+    tracker = new RecordTracker(createConfig('cloudflare', 'example.com'), { dataDir: directory });
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('does not reload its own saves made through a provider tracker', () => {
+    const providerTracker = tracker.forProvider(createConfig('route53', 'example.org'));
+
+    providerTracker.trackRecord({ id: '1', type: 'A', name: 'app.example.org', content: '203.0.113.1' });
+
+    assert.strictEqual(tracker.reloadIfChanged(), false);
+    assert.strictEqual(providerTracker.reloadIfChanged(), false);
+    assert.strictEqual(tracker.getAllTrackedRecords().length, 1);
+  });
+
+  it('reloads records written by another process', () => {
+    const records = JSON.parse(fs.readFileSync(tracker.trackerFile, 'utf8'));
+    records.push({ ...records[0], name: 'api.example.org' });
+
+    fs.writeFileSync(tracker.trackerFile, JSON.stringify(records));
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(tracker.trackerFile, future, future);
+
+    assert.strictEqual(tracker.reloadIfChanged(), true);
+    assert.strictEqual(tracker.getAllTrackedRecords().length, 2);
+    assert.strictEqual(tracker.reloadIfChanged(), false);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SnapshotManager = require('../src/services/SnapshotManager');
+
+describe('SnapshotManager.planRestore', () => {
+  const snapshotManager = new SnapshotManager({}, null, null);
+
+  /**
+   * Create a provider context for a zone with the given live records
+   * @param {Array<Object>} records - Records in the provider's cache
+   * @param {Array<string>} tracked - Tracked records as "TYPE name content"
+   */
+  const createContext = (records, tracked = []) => ({
+    name: 'test',
+    zone: 'example.com',
+    config: { dnsProvider: 'cloudflare' },
+    provider: {
+      refreshRecordCache: async () => records.map((record, index) => ({ id: `live-${index}`, ...record }))
+    },
+    recordTracker: {
+      isTracked: record => tracked.includes(`${record.type} ${record.name} ${record.content}`),
+      isMultiValueRecord: () => false,
+      isDualStackRecord: () => false
+    }
+  });
+
+  const createSnapshot = records => ({ version: 1, records });
+
+  // One line per planned change, e.g. "update A app.example.com 192.0.2.1 -> 192.0.2.2"
+  const describePlan = plan => plan.changes.map(change => {
+    if (change.action === 'create') {
+      return `create ${change.type} ${change.name} ${change.record.content}`;
+    }
+    if (change.action === 'delete') {
+      return `delete ${change.type} ${change.name} ${change.existing.content}`;
+    }
+    return `update ${change.type} ${change.name} ${change.existing.content} -> ${change.record.content}`;
+  });
+
+  it('pairs equal values first, then changes content within the name', async () => {
+    const context = createContext([
+      { type: 'A', name: 'app.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'A', name: 'app.example.com', content: '192.0.2.2', ttl: 300 }
+    ]);
+    const plan = await snapshotManager.planRestore(context, createSnapshot([
+      { type: 'A', name: 'app.example.com', content: '192.0.2.2', ttl: 300 },
+      { type: 'A', name: 'app.example.com', content: '192.0.2.3', ttl: 300 }
+    ]));
+
+    assert.deepStrictEqual(describePlan(plan), ['update A app.example.com 192.0.2.1 -> 192.0.2.3']);
+  });
+
+  it('updates an equal value whose other fields differ', async () => {
+    const context = createContext([{ type: 'A', name: 'app.example.com', content: '192.0.2.1', ttl: 300, proxied: true }]);
+    const plan = await snapshotManager.planRestore(context, createSnapshot([
+      { type: 'A', name: 'app.example.com', content: '192.0.2.1', ttl: 60, proxied: true }
+    ]));
+
+    assert.deepStrictEqual(describePlan(plan), ['update A app.example.com 192.0.2.1 -> 192.0.2.1']);
+    assert.deepStrictEqual(plan.changes[0].differences.map(difference => difference.field), ['ttl']);
+  });
+
+  it('creates values missing from the zone and deletes values missing from the snapshot', async () => {
+    const context = createContext([
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'CNAME', name: 'old.example.com', content: 'app.example.com', ttl: 300 },
+      { type: 'A', name: 'shrink.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'A', name: 'shrink.example.com', content: '192.0.2.2', ttl: 300 }
+    ]);
+    const plan = await snapshotManager.planRestore(context, createSnapshot([
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.2', ttl: 300 },
+      { type: 'A', name: 'new.example.com', content: '192.0.2.5', ttl: 300 },
+      { type: 'A', name: 'shrink.example.com', content: '192.0.2.2', ttl: 300 }
+    ]));
+
+    assert.deepStrictEqual(describePlan(plan), [
+      'create A multi.example.com 192.0.2.2',
+      'create A new.example.com 192.0.2.5',
+      'delete CNAME old.example.com app.example.com',
+      'delete A shrink.example.com 192.0.2.1'
+    ]);
+  });
+
+  it('gives every change to a name with several values all of its values', async () => {
+    const context = createContext([
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.9', ttl: 300 }
+    ]);
+    const plan = await snapshotManager.planRestore(context, createSnapshot([
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.1', ttl: 60 },
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.2', ttl: 60 },
+      { type: 'A', name: 'multi.example.com', content: '192.0.2.3', ttl: 60 },
+      { type: 'A', name: 'single.example.com', content: '192.0.2.4', ttl: 60 }
+    ]));
+
+    // Route53 writes the values of a name as one record set
+    const values = ['192.0.2.1', '192.0.2.2', '192.0.2.3'];
+    assert.deepStrictEqual(plan.changes.map(change => change.record?.values), [values, values, values, undefined]);
+    assert.deepStrictEqual(describePlan(plan), [
+      'update A multi.example.com 192.0.2.1 -> 192.0.2.1',
+      'update A multi.example.com 192.0.2.9 -> 192.0.2.2',
+      'create A multi.example.com 192.0.2.3',
+      'create A single.example.com 192.0.2.4'
+    ]);
+  });
+
+  it('only changes records tracked in the zone or in the snapshot with managedOnly', async () => {
+    const context = createContext([
+      { type: 'A', name: 'tracked-now.example.com', content: '192.0.2.1', ttl: 300 },
+      { type: 'A', name: 'manual.example.com', content: '192.0.2.2', ttl: 300 },
+      { type: 'A', name: 'changed-now.example.com', content: '192.0.2.3', ttl: 300 },
+      { type: 'A', name: 'changed-before.example.com', content: '192.0.2.4', ttl: 300 },
+      { type: 'A', name: 'never.example.com', content: '192.0.2.5', ttl: 300 }
+    ], [
+      'A tracked-now.example.com 192.0.2.1',
+      'A changed-now.example.com 192.0.2.3'
+    ]);
+    const plan = await snapshotManager.planRestore(context, createSnapshot([
+      { type: 'A', name: 'tracked-before.example.com', content: '192.0.2.10', ttl: 300, tracked: true },
+      { type: 'A', name: 'manual-before.example.com', content: '192.0.2.11', ttl: 300 },
+      { type: 'A', name: 'changed-now.example.com', content: '192.0.2.13', ttl: 300 },
+      { type: 'A', name: 'changed-before.example.com', content: '192.0.2.14', ttl: 300, tracked: true },
+      { type: 'A', name: 'never.example.com', content: '192.0.2.15', ttl: 300 }
+    ]), { managedOnly: true });
+
+    assert.deepStrictEqual(describePlan(plan), [
+      'create A tracked-before.example.com 192.0.2.10',
+      'update A changed-now.example.com 192.0.2.3 -> 192.0.2.13',
+      'update A changed-before.example.com 192.0.2.4 -> 192.0.2.14',
+      'delete A tracked-now.example.com 192.0.2.1'
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseRule,
+  analyzeRule,
+  RuleSyntaxError,
+  SNI_HOST_MATCHERS
+} = require('../src/utils/traefikRule');
+const { extractHostnamesFromRule, extractHostnamesFromSniRule } = require('../src/utils/traefik');
+
+// Rules as they appear in Traefik dashboards, Docker labels and IngressRoutes
+const HTTP_RULES = [
+  ['Host(`app.example.com`)', ['app.example.com']],
+  ['Host(`App.Example.com.`)', ['app.example.com']],
+  ['Host(`a.example.com`, `b.example.com`)', ['a.example.com', 'b.example.com']],
+  ['Host("a.example.com")', ['a.example.com']],
+  ['Host(`a.example.com`) || Host(`b.example.com`)', ['a.example.com', 'b.example.com']],
+  ['Host(`a.example.com`) && PathPrefix(`/api`)', ['a.example.com']],
+  ['(Host(`a.example.com`) || Host(`b.example.com`)) && !PathPrefix(`/admin`)', ['a.example.com', 'b.example.com']],
+  ['Host(`a.example.com`) && !Host(`b.example.com`)', ['a.example.com']],
+  ['PathPrefix(`/api`) && Host(`api.example.com`) && Headers(`X-Env`, `prod`)', ['api.example.com']],
+  ['host(`lower.example.com`)', ['lower.example.com']],
+  ['HostHeader(`header.example.com`)', ['header.example.com']],
+  ['Host(`*.apps.example.com`)', ['*.apps.example.com']],
+  ['Host(`a.example.com`) || Host(`a.example.com`)', ['a.example.com']],
+  ['HostRegexp(`^app\\.example\\.com$`)', ['app.example.com']],
+  ['HostRegexp(`^(app|api)\\.example\\.com$`)', ['app.example.com', 'api.example.com']],
+  ['HostRegexp(`(?i)^(?:www\\.)?example\\.com$`)', ['www.example.com', 'example.com']],
+  ['HostRegexp(`a\\.com|b\\.com`)', ['a.com', 'b.com']],
+  ['HostRegexp(`{subdomain:(app|api)}.example.com`)', ['app.example.com', 'api.example.com']],
+  ['HostRegexp(`^.+\\.example\\.com$`)', []],
+  ['HostRegexp(`{subdomain:[a-z]+}.example.com`)', []],
+  ['HostRegexp(`{subdomain}.example.com`)', []],
+  ['HostRegexp(`^[a-z0-9-]+\\.example\\.com$`) || Host(`example.com`)', ['example.com']],
+  ['Host(`*`)', []],
+  ['PathPrefix(`/`)', []],
+  ['Host:a.example.com,b.example.com;PathPrefix:/api', ['a.example.com', 'b.example.com']],
+  ['Host: v1.example.com', ['v1.example.com']],
+  ['Host(`broken.example.com`', []],
+  ['Host(`a.example.com`) & Host(`b.example.com`)', []]
+];
+
+describe('extractHostnamesFromRule', () => {
+  for (const [rule, expected] of HTTP_RULES) {
+    it(`finds ${expected.length ? expected.join(', ') : 'no hostnames'} in ${rule}`, () => {
+      assert.deepStrictEqual(extractHostnamesFromRule(rule), expected);
+    });
+  }
+});
+
+describe('extractHostnamesFromSniRule', () => {
+  const SNI_RULES = [
+    ['HostSNI(`db.example.com`)', ['db.example.com']],
+    ['HostSNI(`*`)', []],
+    ['HostSNIRegexp(`^(db|cache)\\.example\\.com$`)', ['db.example.com', 'cache.example.com']],
+    ['Host(`web.example.com`)', []]
+  ];
+
+  for (const [rule, expected] of SNI_RULES) {
+    it(`finds ${expected.length ? expected.join(', ') : 'no hostnames'} in ${rule}`, () => {
+      assert.deepStrictEqual(extractHostnamesFromSniRule(rule), expected);
+    });
+  }
+});
+
+describe('analyzeRule', () => {
+  const SKIPPED = [
+    ['Host(`a.example.com`) && !Host(`b.example.com`)', 'negated host'],
+    ['Host(`*`)', 'catch-all host'],
+    ['Host(`not a host`)', 'not a valid hostname'],
+    ['HostRegexp(`^.+\\.example\\.com$`)', 'regular expression matches labels that are not literal or alternations of literals'],
+    ['HostRegexp(`(a|b)(c|d)(e|f)(g|h)(i|j)(k|l)\\.com`)', 'regular expression matches more than 32 hosts']
+  ];
+
+  for (const [rule, reason] of SKIPPED) {
+    it(`skips a host in ${rule} as ${reason}`, () => {
+      const { skipped, error } = analyzeRule(rule);
+      assert.strictEqual(error, null);
+      assert.deepStrictEqual(skipped.map(entry => entry.reason), [reason]);
+    });
+  }
+
+  it('never creates wildcard hosts from regular expressions', () => {
+    const { hostnames } = analyzeRule('HostRegexp(`^[a-z]+\\.example\\.com$`, `{name:.*}.example.org`)');
+    assert.deepStrictEqual(hostnames, []);
+  });
+
+  it('reports rules that cannot be parsed', () => {
+    const { hostnames, error } = analyzeRule('Host(`a.example.com`');
+    assert.deepStrictEqual(hostnames, []);
+    assert.match(error, /Expected RPAREN/);
+  });
+
+  it('reads only the matchers it is given', () => {
+    const { hostnames } = analyzeRule('HostSNI(`db.example.com`) || Host(`web.example.com`)', { matchers: SNI_HOST_MATCHERS });
+    assert.deepStrictEqual(hostnames, ['db.example.com']);
+  });
+});
+
+describe('parseRule', () => {
+  it('gives ! precedence over && and && precedence over ||', () => {
+    assert.deepStrictEqual(parseRule('Host(`a`) || !Host(`b`) && Path(`/`)'), {
+      type: 'or',
+      left: { type: 'matcher', name: 'Host', args: ['a'] },
+      right: {
+        type: 'and',
+        left: { type: 'not', operand: { type: 'matcher', name: 'Host', args: ['b'] } },
+        right: { type: 'matcher', name: 'Path', args: ['/'] }
+      }
+    });
+  });
+
+  it('keeps regular expression braces together in v1 rules', () => {
+    assert.deepStrictEqual(parseRule('HostRegexp:{sub:[a-z]{2,4}}.example.com,example.org'), {
+      type: 'matcher',
+      name: 'HostRegexp',
+      args: ['{sub:[a-z]{2,4}}.example.com', 'example.org']
+    });
+  });
+
+  const INVALID = ['', '   ', 'Host(`a`) &', 'Host(`a`))', 'Host(a)', 'Host(`a` `b`)'];
+
+  for (const rule of INVALID) {
+    it(`rejects ${JSON.stringify(rule)}`, () => {
+      assert.throws(() => parseRule(rule), RuleSyntaxError);
+    });
+  }
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { renderZoneFile, parseZoneFile } = require('../src/utils/zoneFile');
+
+// Records as a snapshot stores them, one of each type the converters model
+const RECORDS = [
+  { type: 'A', name: 'example.com', content: '203.0.113.1', ttl: 300, proxied: true },
+  { type: 'AAAA', name: 'app.example.com', content: '2001:db8::1', ttl: 3600 },
+  { type: 'CNAME', name: 'www.example.com', content: 'example.com', ttl: 3600 },
+  { type: 'MX', name: 'example.com', priority: 10, content: 'mail.example.com', ttl: 3600 },
+  { type: 'SRV', name: '_sip._tcp.example.com', priority: 1, weight: 5, port: 5060, content: 'sip.example.com', ttl: 3600 },
+  { type: 'CAA', name: 'example.com', flags: 0, tag: 'issue', content: 'letsencrypt.org', ttl: 3600 },
+  { type: 'TXT', name: 'example.com', content: `v=spf1 "quoted" \\ ${'x'.repeat(300)}`, ttl: 3600 },
+  { type: 'A', name: 'other.example.org', content: '203.0.113.2', ttl: 60 }
+];
+
+const byNameAndType = (a, b) => a.name.localeCompare(b.name) || a.type.localeCompare(b.type);
+
+describe('renderZoneFile', () => {
+  it('renders records that parse back to the same records', () => {
+    const text = renderZoneFile('example.com', RECORDS, ['Snapshot of example.com']);
+
+    assert.ok(text.startsWith('; Snapshot of example.com\n$ORIGIN example.com.\n$TTL 3600\n'));
+    assert.deepStrictEqual(parseZoneFile(text).sort(byNameAndType), [...RECORDS].sort(byNameAndType));
+  });
+
+  it('splits long TXT content into character-strings', () => {
+    const text = renderZoneFile('example.com', [{ type: 'TXT', name: 'long.example.com', content: 'x'.repeat(300), ttl: 300 }]);
+    assert.match(text, /TXT "x{255}" "x{45}"\n$/);
+  });
+
+  it('leaves the automatic TTL to $TTL', () => {
+    const text = renderZoneFile('example.com', [{ type: 'A', name: 'auto.example.com', content: '203.0.113.1', ttl: 1 }]);
+    assert.deepStrictEqual(parseZoneFile(text), [{ type: 'A', name: 'auto.example.com', content: '203.0.113.1', ttl: 3600 }]);
+  });
+});
+
+describe('parseZoneFile', () => {
+  it('joins records spread over lines in parentheses', () => {
+    const records = parseZoneFile([
+      '$ORIGIN example.com.',
+      '@ 3600 IN SOA ns1 hostmaster (',
+      '    2024010101 ; serial',
+      '    7200 3600 1209600 300 )',
+      'sip IN SRV ( 10 20',
+      '    5060 sip.example.net. )'
+    ].join('\n'));
+
+    assert.deepStrictEqual(records, [
+      { type: 'SOA', name: 'example.com', content: 'ns1 hostmaster 2024010101 7200 3600 1209600 300', ttl: 3600 },
+      { type: 'SRV', name: 'sip.example.com', priority: 10, weight: 20, port: 5060, content: 'sip.example.net' }
+    ]);
+  });
+
+  it('gives records without an owner name to the previous owner', () => {
+    const records = parseZoneFile([
+      '$ORIGIN example.com.',
+      'app 300 IN A 203.0.113.1',
+      '        300 IN A 203.0.113.2',
+      '\tIN AAAA 2001:db8::1'
+    ].join('\n'));
+
+    assert.deepStrictEqual(records.map(({ name, type, content }) => `${name} ${type} ${content}`), [
+      'app.example.com A 203.0.113.1',
+      'app.example.com A 203.0.113.2',
+      'app.example.com AAAA 2001:db8::1'
+    ]);
+  });
+
+  it('reads TTLs with BIND units', () => {
+    const records = parseZoneFile([
+      '$TTL 1d',
+      'a IN 1h30m A 203.0.113.1',
+      'b 2w IN A 203.0.113.2',
+      'c IN A 203.0.113.3'
+    ].join('\n'), { origin: 'example.com' });
+
+    assert.deepStrictEqual(records.map(record => record.ttl), [5400, 1209600, 86400]);
+  });
+
+  it('qualifies relative names with the origin passed in', () => {
+    const records = parseZoneFile('www IN CNAME @', { origin: 'Example.com.' });
+    assert.deepStrictEqual(records, [{ type: 'CNAME', name: 'www.example.com', content: 'example.com' }]);
+  });
+
+  const INVALID = [
+    ['app IN TXT "unclosed', /Line 1: Unclosed quote/],
+    ['$ORIGIN example.com.\napp IN SRV ( 10 20\n  5060 sip.example.net.', /Line 2: Unclosed parenthesis/],
+    ['app IN A 203.0.113.1 )', /Line 1: Unbalanced parenthesis/],
+    ['app IN A 203.0.113.1', /Line 1: Relative name app is used before the origin is known/],
+    ['; header\n@ IN A 203.0.113.1', /Line 2: @ is used before the origin is known/],
+    ['$ORIGIN example.com.\n  IN A 203.0.113.1', /Line 2: The first record has no owner name/],
+    ['$INCLUDE other.zone', /Line 1: \$INCLUDE is not supported/],
+    ['$ORIGIN example.com.\nmail IN MX mail', /Line 2: MX record needs 2 fields, found 1/]
+  ];
+
+  for (const [text, error] of INVALID) {
+    it(`rejects ${JSON.stringify(text)}`, () => {
+      assert.throws(() => parseZoneFile(text), error);
+    });
+  }
+});